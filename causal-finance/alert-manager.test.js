@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AlertManager = require('./alert-manager');
+const { tempDir } = require('./test-helpers');
+
+const event = { process: 'eth-extractor', address: '0xabc', chain: 'ethereum', balanceETH: 0.01, minimumETH: 0.05 };
+
+// A sink whose next sends fail while `down` is set
+function sink(name) {
+    const sent = [];
+    return {
+        name,
+        sent,
+        down: false,
+        send: async function (alert) {
+            if (this.down) throw new Error(`${name} is down`);
+            sent.push(alert);
+        }
+    };
+}
+
+test('alert manager cooldowns', async t => {
+    const dir = tempDir('alerts-');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    let files = 0;
+    const manager = sinks => new AlertManager('test', {
+        sinks,
+        stateFile: path.join(dir, `alerts-${files++}.json`),
+        cooldownS: 3600
+    });
+
+    await t.test('a delivered alert cools down and counts the repeats', async () => {
+        const hook = sink('hook');
+        const alerts = manager([hook]);
+        assert.ok(await alerts.notify('lowBalance', event));
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        assert.strictEqual(hook.sent.length, 1);
+
+        const state = JSON.parse(fs.readFileSync(alerts.stateFile, 'utf8'));
+        assert.strictEqual(state['lowBalance:eth-extractor@ethereum'].suppressed, 2);
+    });
+
+    await t.test('one sink delivering is enough to start the cooldown', async () => {
+        const hook = sink('hook');
+        const mail = sink('mail');
+        mail.down = true;
+        const alerts = manager([hook, mail]);
+        assert.ok(await alerts.notify('lowBalance', event));
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        assert.strictEqual(hook.sent.length, 1);
+    });
+
+    await t.test('an alert no sink delivered is sent again on the next event', async () => {
+        const hook = sink('hook');
+        const mail = sink('mail');
+        hook.down = mail.down = true;
+        const alerts = manager([hook, mail]);
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        // Never delivered, so there is nothing to resolve either
+        assert.strictEqual(await alerts.resolve('lowBalance', event), null);
+
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        hook.down = mail.down = false;
+        const alert = await alerts.notify('lowBalance', event);
+        assert.ok(alert);
+        assert.strictEqual(alert.suppressed, 1); // the failed send after resolve()
+        assert.deepStrictEqual([hook.sent.length, mail.sent.length], [1, 1]);
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+    });
+
+    await t.test('a failed re-send keeps the earlier cooldown entry and its count', async () => {
+        const hook = sink('hook');
+        const alerts = manager([hook]);
+        alerts.cooldownMs = 0;
+        assert.ok(await alerts.notify('lowBalance', event));
+        const [delivered] = hook.sent;
+
+        hook.down = true;
+        assert.strictEqual(await alerts.notify('lowBalance', event), null);
+        const entry = JSON.parse(fs.readFileSync(alerts.stateFile, 'utf8'))['lowBalance:eth-extractor@ethereum'];
+        assert.deepStrictEqual(entry, { lastSent: delivered.at, suppressed: 1, process: 'test' });
+    });
+});
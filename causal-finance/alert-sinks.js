@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+// Alert Sinks - Where alerts go: generic JSON webhooks and email over SMTP
+// Each sink is { name, send(alert) }. Only node's http/net/tls are used, so local stand-in
+// servers work in tests and no mail library is needed.
+//   webhook  POST { text, ...alert } - `text` is what Slack/Mattermost-style hooks display
+//   smtp     plain text mail; smtps:// connects over TLS, smtp:// upgrades with STARTTLS when
+//            the server offers it; user:pass in the url logs in with AUTH PLAIN, which is refused
+//            without TLS unless insecureAuth is set
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { URL } = require('url');
+const { postJSON } = require('./http-json');
+
+const SMTP_TIMEOUT_MS = 15000;
+
+// One line, for chat hooks and mail subjects
+function summary(alert) {
+    const state = alert.resolved ? 'RESOLVED' : alert.severity.toUpperCase();
+    const repeats = alert.suppressed > 0 ? ` (+${alert.suppressed} suppressed)` : '';
+    return `[${state}] ${alert.process}: ${alert.message}${repeats}`;
+}
+
+function describe(alert) {
+    return [
+        summary(alert),
+        '',
+        `rule:     ${alert.rule}`,
+        `key:      ${alert.key}`,
+        `process:  ${alert.process}`,
+        `host:     ${alert.host}`,
+        `at:       ${new Date(alert.at).toISOString()}`,
+        ...Object.entries(alert.fields || {}).map(([name, value]) =>
+            `${(name + ':').padEnd(10)}${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    ].join('\n');
+}
+
+function webhookSink(url, options = {}) {
+    const headers = options.token ? { authorization: `Bearer ${options.token}` } : {};
+    return {
+        name: `webhook:${new URL(url).host}`,
+        send: alert => postJSON(url, { text: summary(alert), ...alert }, { headers, timeout: options.timeout })
+    };
+}
+
+// url: smtp[s]://[user:pass@]host[:port]; to: address or list
+function smtpSink(url, { from, to, timeout, insecureAuth } = {}) {
+    const recipients = (Array.isArray(to) ? to : String(to || '').split(',')).map(s => s.trim()).filter(Boolean);
+    if (!from || recipients.length === 0) {
+        throw new Error('The SMTP sink needs a from address and at least one recipient');
+    }
+    return {
+        name: `smtp:${new URL(url).host}`,
+        send: alert => sendMail(url, { from, to: recipients, subject: summary(alert), text: describe(alert) }, { timeout, insecureAuth })
+    };
+}
+
+// Replies are read line by line; a line with a space after the code ends a (multi-line) reply
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.replies = [];
+        this.waiting = null;
+        this.failure = null;
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    // Hand the raw socket over to TLS: nothing here may read the handshake
+    detach() {
+        const socket = this.socket;
+        for (const event of ['data', 'error', 'close']) socket.removeAllListeners(event);
+        socket.setTimeout(0);
+        return socket;
+    }
+
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let end;
+        while ((end = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, end).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(end + 1);
+            this.lines.push(line.slice(4));
+            if (line[3] === '-') continue;
+
+            const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines };
+            this.lines = [];
+            if (this.waiting) {
+                const { resolve } = this.waiting;
+                this.waiting = null;
+                resolve(reply);
+            } else {
+                this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        if (this.waiting) this.waiting.reject(error);
+        this.waiting = null;
+    }
+
+    reply() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    // Send a command (none for the greeting) and require one of the expected reply codes
+    async expect(command, codes) {
+        if (command !== null) this.socket.write(command + '\r\n');
+        const reply = await this.reply();
+        if (!codes.includes(reply.code)) {
+            const shown = /^AUTH /.test(command || '') ? 'AUTH' : command || 'greeting';
+            throw new Error(`SMTP ${shown} → ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+function connect(target, secure, timeout) {
+    const port = Number(target.port) || (secure ? 465 : 25);
+    return new Promise((resolve, reject) => {
+        const socket = secure ?
+            tls.connect({ host: target.hostname, port, servername: target.hostname }, () => resolve(socket)) :
+            net.connect({ host: target.hostname, port }, () => resolve(socket));
+        socket.once('error', reject);
+        socket.setTimeout(timeout, () => socket.destroy(new Error(`Connecting to ${target.host} timed out`)));
+    });
+}
+
+function upgrade(socket, target) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: target.hostname }, () => resolve(secured));
+        secured.once('error', reject);
+    });
+}
+
+// RFC 2047 for non-ASCII subjects
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function message({ from, to, subject, text }) {
+    const body = text.replace(/\r?\n/g, '\r\n').split('\r\n')
+        .map(line => (line.startsWith('.') ? '.' + line : line)) // dot-stuffing
+        .join('\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body
+    ].join('\r\n');
+}
+
+async function sendMail(url, mail, options = {}) {
+    const target = new URL(url);
+    const secure = target.protocol === 'smtps:';
+    const timeout = options.timeout || SMTP_TIMEOUT_MS;
+    const helo = options.hostname || os.hostname();
+    const connection = new SmtpConnection(await connect(target, secure, timeout), timeout);
+
+    try {
+        await connection.expect(null, [220]);
+        const ehlo = await connection.expect(`EHLO ${helo}`, [250]);
+        const offers = reply => reply.lines.map(line => line.toUpperCase());
+
+        let encrypted = secure;
+        if (!secure && offers(ehlo).includes('STARTTLS') && options.starttls !== false) {
+            await connection.expect('STARTTLS', [220]);
+            connection.attach(await upgrade(connection.detach(), target));
+            await connection.expect(`EHLO ${helo}`, [250]);
+            encrypted = true;
+        }
+        if (target.username) {
+            // AUTH PLAIN is the password in base64; only a server on a trusted network may see it in clear
+            if (!encrypted && !options.insecureAuth) {
+                throw new Error(`SMTP server ${target.host} offers no STARTTLS; refusing to send the password unencrypted`);
+            }
+            const credentials = `\0${decodeURIComponent(target.username)}\0${decodeURIComponent(target.password)}`;
+            await connection.expect(`AUTH PLAIN ${Buffer.from(credentials).toString('base64')}`, [235]);
+        }
+
+        await connection.expect(`MAIL FROM:<${mail.from}>`, [250]);
+        for (const recipient of mail.to) {
+            await connection.expect(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await connection.expect('DATA', [354]);
+        await connection.expect(message(mail) + '\r\n.', [250]);
+        await connection.expect('QUIT', [221]).catch(() => {});
+    } finally {
+        connection.socket.destroy();
+    }
+}
+
+module.exports = {
+    webhookSink,
+    smtpSink,
+    sendMail,
+    summary
+};
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const os = require('os');
+const { webhookSink, smtpSink, summary } = require('./alert-sinks');
+const { jsonServer } = require('./test-helpers');
+
+const alert = {
+    rule: 'lowBalance',
+    key: 'eth-extractor@ethereum',
+    severity: 'critical',
+    message: 'eth-extractor wallet 0xabc holds 0.01 ETH on ethereum (minimum 0.05)',
+    process: 'balance-monitor',
+    host: 'box',
+    at: Date.UTC(2026, 0, 1),
+    suppressed: 2,
+    fields: { chain: 'ethereum', balanceETH: 0.01, note: 'two lines\n.' }
+};
+
+// Stand-in SMTP server: plain text (no STARTTLS, so logging in needs insecureAuth; no dot un-stuffing),
+// AUTH PLAIN against `credentials`, recipients matching `reject` refused. Every session is recorded as
+// { commands, mails: [{ from, to, data }] }.
+async function smtpServer({ credentials = null, reject = /^$/ } = {}) {
+    const sessions = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], mails: [] };
+        sessions.push(session);
+        let mail = null;
+        let data = null;
+        let buffer = '';
+        const reply = line => socket.write(line + '\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (data !== null) {
+                    if (line !== '.') {
+                        data.push(line);
+                        continue;
+                    }
+                    mail.data = data.join('\r\n');
+                    session.mails.push(mail);
+                    data = null;
+                    reply('250 queued');
+                    continue;
+                }
+
+                session.commands.push(line);
+                const [verb, ...rest] = line.split(' ');
+                const argument = rest.join(' ');
+                if (verb === 'EHLO') reply('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME');
+                else if (verb === 'AUTH') {
+                    const given = Buffer.from(argument.replace(/^PLAIN /, ''), 'base64').toString('utf8');
+                    reply(credentials && given === `\0${credentials.user}\0${credentials.pass}` ? '235 ok' : '535 bad credentials');
+                } else if (verb === 'MAIL') {
+                    mail = { from: argument.match(/<(.*)>/)[1], to: [] };
+                    reply('250 ok');
+                } else if (verb === 'RCPT') {
+                    const recipient = argument.match(/<(.*)>/)[1];
+                    if (reject.test(recipient)) {
+                        reply('550 no such user');
+                    } else {
+                        mail.to.push(recipient);
+                        reply('250 ok');
+                    }
+                } else if (verb === 'DATA') {
+                    data = [];
+                    reply('354 go ahead');
+                } else if (verb === 'QUIT') {
+                    reply('221 bye');
+                    socket.end();
+                } else reply('502 unknown');
+            }
+        });
+        reply('220 localhost ready');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `smtp://127.0.0.1:${server.address().port}`,
+        sessions,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('alert sinks', async t => {
+    const servers = [];
+    t.after(() => Promise.all(servers.map(server => server.close())));
+    const start = async server => {
+        servers.push(await server);
+        return servers[servers.length - 1];
+    };
+
+    await t.test('webhook posts the alert with its summary line and bearer token', async () => {
+        const hook = await start(jsonServer(() => ({ ok: true })));
+        const sink = webhookSink(hook.url + '/hook', { token: 'secret' });
+        assert.strictEqual(sink.name, `webhook:${new URL(hook.url).host}`);
+
+        await sink.send(alert);
+        const [request] = hook.requests;
+        assert.strictEqual(request.url, '/hook');
+        assert.strictEqual(request.headers.authorization, 'Bearer secret');
+        assert.deepStrictEqual(request.body, { text: summary(alert), ...alert });
+        assert.strictEqual(request.body.text,
+            '[CRITICAL] balance-monitor: eth-extractor wallet 0xabc holds 0.01 ETH on ethereum (minimum 0.05) (+2 suppressed)');
+    });
+
+    await t.test('webhook rejects on a non-2xx reply', async () => {
+        const hook = await start(jsonServer(() => ({ status: 503, body: { error: 'down' } })));
+        await assert.rejects(webhookSink(hook.url).send(alert), error => error.status === 503);
+    });
+
+    await t.test('smtp logs in and delivers a dot-stuffed plain text mail', async () => {
+        const smtp = await start(smtpServer({ credentials: { user: 'ops@example.com', pass: 'p@ss' } }));
+        const url = smtp.url.replace('//', '//ops%40example.com:p%40ss@');
+        await smtpSink(url, { from: 'alerts@example.com', to: 'a@example.com, b@example.com', insecureAuth: true }).send(alert);
+
+        const [session] = smtp.sessions;
+        assert.deepStrictEqual(session.commands.map(command => command.split(' ')[0]),
+            ['EHLO', 'AUTH', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+        const [mail] = session.mails;
+        assert.strictEqual(mail.from, 'alerts@example.com');
+        assert.deepStrictEqual(mail.to, ['a@example.com', 'b@example.com']);
+        assert.match(mail.data, /^From: alerts@example\.com\r\nTo: a@example\.com, b@example\.com\r\n/);
+        assert.ok(mail.data.includes(`Subject: ${summary(alert)}\r\n`));
+        assert.ok(mail.data.includes('\r\nrule:     lowBalance\r\n'));
+        // A lone '.' would end the mail early; it goes out stuffed as '..'
+        assert.ok(mail.data.endsWith('\r\nnote:     two lines\r\n..'));
+    });
+
+    await t.test('smtp rejects on bad credentials or a refused recipient', async () => {
+        const smtp = await start(smtpServer({ credentials: { user: 'ops', pass: 'right' }, reject: /^nobody@/ }));
+        const options = { from: 'a@example.com', to: 'b@example.com', insecureAuth: true };
+        await assert.rejects(smtpSink(smtp.url.replace('//', '//ops:wrong@'), options).send(alert),
+            /SMTP AUTH → 535/);
+        await assert.rejects(smtpSink(smtp.url.replace('//', '//ops:right@'), { ...options, to: 'nobody@example.com' }).send(alert),
+            /SMTP RCPT TO:<nobody@example\.com> → 550 no such user/);
+        assert.throws(() => smtpSink(smtp.url, { from: 'a@example.com' }), /at least one recipient/);
+    });
+
+    await t.test('smtp will not send a password without TLS unless insecureAuth is set', async () => {
+        const smtp = await start(smtpServer({ credentials: { user: 'ops', pass: 'right' } }));
+        await assert.rejects(smtpSink(smtp.url.replace('//', '//ops:right@'), { from: 'a@example.com', to: 'b@example.com' }).send(alert),
+            /offers no STARTTLS; refusing to send the password unencrypted/);
+        const [session] = smtp.sessions;
+        assert.deepStrictEqual(session.commands, [`EHLO ${os.hostname()}`]);
+        assert.deepStrictEqual(session.mails, []);
+
+        // Without credentials there is nothing to protect
+        await smtpSink(smtp.url, { from: 'a@example.com', to: 'b@example.com' }).send(alert);
+        assert.strictEqual(smtp.sessions[1].mails.length, 1);
+    });
+});
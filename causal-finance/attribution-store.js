@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+// Attribution Store - Append-only journal for the causal attribution ledger
+// Every change is one JSONL line appended (and fsynced) to causal-profits.journal.jsonl;
+// compaction folds the journal into causal-profits.snapshot.json via atomic rename.
+// A crash can at worst leave a torn last line, which replay skips. One writer, any number of readers.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeAtomic, readJSON } = require('./file-lock');
+const { createLogger } = require('./logger');
+
+const log = createLogger('attribution-store');
+
+const SCHEMA_VERSION = 2;
+
+// Schema migrations, keyed by the version they upgrade from.
+// v1 is the original whole-file format: { chains: [[id, chain]], profits: [[txHash, profit]], timestamp }
+const MIGRATIONS = {
+    1: data => ({
+        schemaVersion: 2,
+        seq: 0,
+        chains: data.chains || [],
+        profits: data.profits || [],
+        timestamp: data.timestamp || Date.now()
+    })
+};
+
+class AttributionStore {
+    constructor(options = {}) {
+        this.dir = options.dir || __dirname;
+        this.name = options.name || 'causal-profits';
+        this.compactEvery = options.compactEvery || 500;
+        this.readOnly = Boolean(options.readOnly);
+
+        this.legacyPath = path.join(this.dir, `${this.name}.json`);
+        this.snapshotPath = path.join(this.dir, `${this.name}.snapshot.json`);
+        this.journalPath = path.join(this.dir, `${this.name}.journal.jsonl`);
+
+        this.seq = 0;
+        this.journalLength = 0;
+        this.handle = null;
+        this.compactPending = false;
+        this.queue = Promise.resolve(); // serializes appends and compactions
+    }
+
+    // Replay snapshot + journal into { chains, profits } Maps
+    async load() {
+        if (!this.readOnly) {
+            await this.migrateLegacy();
+        }
+
+        // Retry if a compaction swaps the snapshot while we're reading
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const snapshot = await this.readSnapshot();
+            const journal = await readLines(this.journalPath);
+            const after = await this.readSnapshot();
+            if (after.seq !== snapshot.seq) continue;
+
+            const chains = new Map(snapshot.chains);
+            const profits = new Map(snapshot.profits);
+            let seq = snapshot.seq;
+            let torn = false;
+
+            for (const line of journal.lines) {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (e) {
+                    torn = true; // half-written line from a crash
+                    continue;
+                }
+                if (record.v > SCHEMA_VERSION) {
+                    throw new Error(`Journal record v${record.v} is newer than supported v${SCHEMA_VERSION}`);
+                }
+                if (record.seq <= seq) continue; // already folded into the snapshot
+                apply({ chains, profits }, record);
+                seq = record.seq;
+            }
+
+            this.seq = seq;
+            this.journalLength = journal.lines.length;
+
+            // Never append after a torn or unterminated line - fold it away first
+            if (!this.readOnly && (torn || !journal.terminated)) {
+                await this.compact({ chains, profits });
+            }
+            return { chains, profits };
+        }
+        throw new Error('Attribution snapshot kept changing during load');
+    }
+
+    async readSnapshot() {
+        let data = await readJSON(this.snapshotPath);
+        if (!data) {
+            // Readers can still see a ledger the writer hasn't migrated yet
+            const legacy = this.readOnly ? await readJSON(this.legacyPath) : null;
+            data = legacy ? MIGRATIONS[1](legacy) : { schemaVersion: SCHEMA_VERSION, seq: 0, chains: [], profits: [] };
+        }
+        return upgrade(data);
+    }
+
+    // causal-profits.json → snapshot, keeping the original as .migrated
+    async migrateLegacy() {
+        const snapshotExists = await exists(this.snapshotPath);
+        if (snapshotExists || !await exists(this.legacyPath)) return;
+
+        const legacy = await readJSON(this.legacyPath);
+        if (!legacy) {
+            throw new Error(`${path.basename(this.legacyPath)} is not valid JSON; refusing to migrate`);
+        }
+        const snapshot = upgrade(legacy);
+        await writeAtomic(this.snapshotPath, JSON.stringify(snapshot));
+        await fs.rename(this.legacyPath, this.legacyPath + '.migrated');
+        log.info('Migrated legacy ledger to journaled store', { file: path.basename(this.legacyPath), schemaVersion: SCHEMA_VERSION });
+    }
+
+    // op: 'chain' (signalId → chain) or 'profit' (txHash → profit); value is the full current object
+    append(op, id, value) {
+        if (this.readOnly) return Promise.reject(new Error('Attribution store opened read-only'));
+
+        const run = async () => {
+            const record = { v: SCHEMA_VERSION, seq: this.seq + 1, op, id, value, ts: Date.now() };
+            if (!this.handle) {
+                this.handle = await fs.open(this.journalPath, 'a');
+            }
+            await this.handle.write(JSON.stringify(record) + '\n');
+            await this.handle.datasync();
+            this.seq = record.seq;
+            this.journalLength++;
+        };
+
+        this.queue = this.queue.then(run, run);
+        return this.queue;
+    }
+
+    needsCompaction() {
+        return !this.compactPending && this.journalLength >= this.compactEvery;
+    }
+
+    // Snapshot first, then empty the journal; replay skips anything at or below the snapshot seq,
+    // so a crash between the two steps loses nothing
+    compact(state) {
+        this.compactPending = true;
+        const run = async () => {
+            this.compactPending = false;
+            const snapshot = {
+                schemaVersion: SCHEMA_VERSION,
+                seq: this.seq,
+                chains: Array.from(state.chains.entries()),
+                profits: Array.from(state.profits.entries()),
+                timestamp: Date.now()
+            };
+            await writeAtomic(this.snapshotPath, JSON.stringify(snapshot));
+
+            if (this.handle) {
+                await this.handle.close();
+                this.handle = null;
+            }
+            await writeAtomic(this.journalPath, '');
+            this.journalLength = 0;
+        };
+
+        this.queue = this.queue.then(run, run);
+        return this.queue;
+    }
+
+    async close() {
+        await this.queue.catch(() => {});
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+function apply(state, record) {
+    switch (record.op) {
+        case 'chain':
+            state.chains.set(record.id, record.value);
+            break;
+        case 'profit':
+            state.profits.set(record.id, record.value);
+            break;
+        default:
+            throw new Error(`Unknown journal op: ${record.op}`);
+    }
+}
+
+function upgrade(data) {
+    let version = data.schemaVersion || 1;
+    while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data);
+        version = data.schemaVersion;
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Attribution snapshot v${version} is newer than supported v${SCHEMA_VERSION}`);
+    }
+    return data;
+}
+
+async function readLines(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (e) {
+        return { lines: [], terminated: true };
+    }
+    return {
+        lines: text.split('\n').filter(line => line.length > 0),
+        terminated: text.length === 0 || text.endsWith('\n')
+    };
+}
+
+async function exists(file) {
+    return fs.access(file).then(() => true, () => false);
+}
+
+module.exports = AttributionStore;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.MIGRATIONS = MIGRATIONS;
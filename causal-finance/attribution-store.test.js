@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AttributionStore = require('./attribution-store');
+const { tempDir } = require('./test-helpers');
+
+// A chain as CausalAttribution journals it: the whole object after every event
+const chain = events => ({ status: 'TRIGGERED', events: events.map(n => ({ type: 'BOT_RESPONSE', txHash: `0x${n}` })), profit: 0 });
+
+async function writeEvents(store, count) {
+    for (let n = 1; n <= count; n++) {
+        await store.append('chain', 'SIG-1', chain(Array.from({ length: n }, (_, i) => i + 1)));
+    }
+}
+
+test('attribution store', async t => {
+    const dirs = [];
+    t.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+    const fresh = () => {
+        dirs.push(tempDir('attribution-store-'));
+        return dirs[dirs.length - 1];
+    };
+    const journal = dir => path.join(dir, 'causal-profits.journal.jsonl');
+    const snapshot = dir => path.join(dir, 'causal-profits.snapshot.json');
+
+    await t.test('replay skips a torn last line and folds it away before appending', async () => {
+        const dir = fresh();
+        const writer = new AttributionStore({ dir });
+        await writeEvents(writer, 2);
+        await writer.append('profit', '0xp', { netProfit: 0.1 });
+        await writer.close();
+        fs.appendFileSync(journal(dir), '{"v":2,"seq":4,"op":"chain","id":"SIG-1","val');
+
+        const store = new AttributionStore({ dir });
+        const { chains, profits } = await store.load();
+        assert.deepStrictEqual(chains.get('SIG-1'), chain([1, 2]));
+        assert.deepStrictEqual(profits.get('0xp'), { netProfit: 0.1 });
+        assert.strictEqual(store.seq, 3);
+        assert.strictEqual(fs.readFileSync(journal(dir), 'utf8'), '');
+        assert.strictEqual(JSON.parse(fs.readFileSync(snapshot(dir), 'utf8')).seq, 3);
+
+        await store.append('chain', 'SIG-1', chain([1, 2, 3]));
+        await store.close();
+        const reloaded = await new AttributionStore({ dir }).load();
+        assert.deepStrictEqual(reloaded.chains.get('SIG-1'), chain([1, 2, 3]));
+    });
+
+    await t.test('a crash between the snapshot write and the journal truncate loses and repeats nothing', async () => {
+        const dir = fresh();
+        const writer = new AttributionStore({ dir });
+        await writeEvents(writer, 3);
+        const beforeTruncate = fs.readFileSync(journal(dir), 'utf8');
+        await writer.compact(await new AttributionStore({ dir, readOnly: true }).load());
+        await writer.close();
+        // The snapshot (seq 3) landed, the journal still holds records 1..3
+        fs.writeFileSync(journal(dir), beforeTruncate);
+
+        const store = new AttributionStore({ dir });
+        const { chains } = await store.load();
+        assert.deepStrictEqual(chains.get('SIG-1'), chain([1, 2, 3]));
+        assert.strictEqual(store.seq, 3);
+
+        await store.append('chain', 'SIG-1', chain([1, 2, 3, 4]));
+        await store.close();
+        const lines = fs.readFileSync(journal(dir), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(lines.map(record => record.seq), [1, 2, 3, 4]);
+        const reloaded = await new AttributionStore({ dir }).load();
+        assert.strictEqual(reloaded.chains.get('SIG-1').events.length, 4);
+    });
+
+    await t.test('a legacy v1 causal-profits.json is migrated once and kept', async () => {
+        const dir = fresh();
+        const legacy = {
+            chains: [['SIG-old', chain([1])]],
+            profits: [['0xold', { netProfit: 0.2 }]],
+            timestamp: 1700000000000
+        };
+        fs.writeFileSync(path.join(dir, 'causal-profits.json'), JSON.stringify(legacy));
+
+        // Readers see the legacy ledger without touching it
+        const reader = await new AttributionStore({ dir, readOnly: true }).load();
+        assert.deepStrictEqual(reader.chains.get('SIG-old'), chain([1]));
+        assert.ok(fs.existsSync(path.join(dir, 'causal-profits.json')));
+
+        const { chains, profits } = await new AttributionStore({ dir }).load();
+        assert.deepStrictEqual(chains.get('SIG-old'), chain([1]));
+        assert.deepStrictEqual(profits.get('0xold'), { netProfit: 0.2 });
+        assert.ok(!fs.existsSync(path.join(dir, 'causal-profits.json')));
+        assert.ok(fs.existsSync(path.join(dir, 'causal-profits.json.migrated')));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(snapshot(dir), 'utf8')),
+            { schemaVersion: AttributionStore.SCHEMA_VERSION, seq: 0, ...legacy });
+    });
+
+    await t.test('newer snapshots and journal records are refused', async () => {
+        const dir = fresh();
+        fs.writeFileSync(snapshot(dir), JSON.stringify({ schemaVersion: 99, seq: 0, chains: [], profits: [] }));
+        await assert.rejects(new AttributionStore({ dir }).load(), /snapshot v99 is newer/);
+
+        fs.rmSync(snapshot(dir));
+        fs.writeFileSync(journal(dir), JSON.stringify({ v: 99, seq: 1, op: 'chain', id: 'x', value: {} }) + '\n');
+        await assert.rejects(new AttributionStore({ dir }).load(), /record v99 is newer/);
+    });
+
+    await t.test('a read-only store refuses writes', async () => {
+        const dir = fresh();
+        const writer = new AttributionStore({ dir });
+        await writeEvents(writer, 1);
+        await writer.close();
+
+        const reader = new AttributionStore({ dir, readOnly: true });
+        assert.deepStrictEqual((await reader.load()).chains.get('SIG-1'), chain([1]));
+        await assert.rejects(reader.append('chain', 'SIG-2', chain([])), /opened read-only/);
+        assert.strictEqual(fs.readFileSync(journal(dir), 'utf8').trim().split('\n').length, 1);
+        assert.ok(!fs.existsSync(snapshot(dir)));
+    });
+});
@@ -1,119 +1,301 @@
 #!/usr/bin/env node
 
-const { ethers } = require('ethers');
+const eth = require('./ethers-compat');
+const { createSigner } = require('./signers');
+const Keystore = require('./keystore');
+const AttributionStore = require('./attribution-store');
+const PriceService = require('./price-service');
+const TokenBalances = require('./token-balances');
+const { createOraclePricer } = require('./realized-pnl');
+const PnLReport = require('./pnl-report');
+const AlertManager = require('./alert-manager');
+const { CONTRACTS } = require('./contract-interface');
+const metrics = require('./metrics');
+const Logger = require('./logger');
+
+const log = Logger.createLogger('balance-monitor');
 const fs = require('fs').promises;
 const path = require('path');
 
+const AAVE_V3_ORACLE = '0xb56c2F0B653B2e0b10C9b928C8580Ac5Df02C7C7';
+
+// Wallets found through their keystore only spend gas on these chains (all chains otherwise)
+const PROCESS_CHAINS = { 'semantic-daemon': ['base'] };
+
+// MIN_BALANCE_ETH: chain=ETH pairs; a watched wallet's ETH below its chain's minimum is a low-balance alert.
+// Base matches the semantic daemon's own pause threshold.
+const DEFAULT_MIN_BALANCE = 'ethereum=0.05,base=0.001';
+
 class BalanceMonitor {
-    constructor() {
-        this.privateKey = process.env.PRIVATE_KEY;
-        if (!this.privateKey) {
-            console.error('Error: PRIVATE_KEY not set');
-            process.exit(1);
+    // options.prices: anything with getETHPrice() → { price, source } (tests pass fixed prices);
+    // options.tokenLists: { chain: [token] } instead of token-balances.js defaults + BALANCE_TOKENS;
+    // options.wallets: [{ label, address, chains }] instead of discoverWallets()
+    constructor(options = {}) {
+        this.wallets = options.wallets || this.discoverWallets(options.keystoreDir);
+        if (this.wallets.length === 0) {
+            throw new Error('No address configured: set WATCH_WALLETS, WATCH_ADDRESS, SIGNER_ADDRESS or PRIVATE_KEY');
         }
-        
-        const wallet = new ethers.Wallet(this.privateKey);
-        this.address = wallet.address;
+        this.minBalances = options.minBalances || parseMinBalances(process.env.MIN_BALANCE_ETH || DEFAULT_MIN_BALANCE);
+        this.lowBalances = []; // from the last check
         
         this.chains = {
             ethereum: {
                 rpc: process.env.ETH_RPC || 'https://eth-mainnet.g.alchemy.com/v2/demo',
                 name: 'Ethereum',
-                symbol: 'ETH'
+                symbol: 'ETH',
+                weth: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+                oracle: CONTRACTS.aave.oracle
             },
             base: {
                 rpc: process.env.BASE_RPC || 'https://mainnet.base.org',
                 name: 'Base',
-                symbol: 'ETH'
+                symbol: 'ETH',
+                weth: '0x4200000000000000000000000000000000000006',
+                oracle: null // stablecoins fall back to their dollar peg
             },
             arbitrum: {
                 rpc: 'https://arb1.arbitrum.io/rpc',
                 name: 'Arbitrum',
-                symbol: 'ETH'
+                symbol: 'ETH',
+                weth: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+                oracle: AAVE_V3_ORACLE
             },
             optimism: {
                 rpc: 'https://mainnet.optimism.io',
                 name: 'Optimism',
-                symbol: 'ETH'
+                symbol: 'ETH',
+                weth: '0x4200000000000000000000000000000000000006',
+                oracle: AAVE_V3_ORACLE
             }
         };
         
-        this.profitLogPath = path.join(__dirname, 'logs', 'karmic-reflections.json');
-        this.balanceHistory = [];
+        this.prices = options.prices || new PriceService();
+        this.alerts = options.alerts || AlertManager.forProcess();
+        this.tokenLists = options.tokenLists || null; // loaded on first check
+        this.profitLogPath = options.profitLogPath || path.join(__dirname, 'logs', 'karmic-reflections.json');
+        this.historyPath = options.historyPath || PnLReport.HISTORY_FILE;
+        this.report = options.report || new PnLReport({ historyFile: this.historyPath, legacyFile: this.profitLogPath });
+        this.reportWindowHours = parseFloat(process.env.REPORT_WINDOW_HOURS || '24');
     }
     
-    async checkAllBalances() {
-        console.log('BALANCE CHECK: Address', this.address);
-        let totalValueUSD = 0;
-        const ethPrice = await this.getETHPrice();
+    // Every address that pays gas, labelled by the process spending from it:
+    // WATCH_WALLETS first, then this process's signer, then any process keystore on disk.
+    // Only addresses are needed - WATCH_ADDRESS / WATCH_WALLETS keep keys out of this process entirely.
+    discoverWallets(keystoreDir) {
+        const wallets = [];
+        const add = (label, address, chains = null) => {
+            address = eth.getAddress(address);
+            if (!wallets.some(w => w.address === address)) wallets.push({ label, address, chains });
+        };
         
-        for (const [chainId, config] of Object.entries(this.chains)) {
+        for (const entry of parseWalletList(process.env.WATCH_WALLETS)) {
+            add(entry.label, entry.address, entry.chains);
+        }
+        const signer = createSigner();
+        if (signer) add(process.env.SIGNER_LABEL || 'signer', signer.address);
+        
+        const keystore = new Keystore({ dir: keystoreDir, mnemonic: '' });
+        for (const name of Object.keys(Keystore.PROCESS_INDEX)) {
+            const legacy = name === 'semantic-daemon' ? path.join(keystore.dir, '.semantic-wallet.json') : null;
             try {
-                const provider = new ethers.JsonRpcProvider(config.rpc);
-                const balance = await provider.getBalance(this.address);
-                const ethBalance = parseFloat(ethers.formatEther(balance));
-                const usdValue = ethBalance * ethPrice;
-                
-                console.log(`[${config.name}] ${ethBalance.toFixed(6)} ${config.symbol} ($${usdValue.toFixed(2)})`);
-                
-                totalValueUSD += usdValue;
-                
-                this.balanceHistory.push({
-                    chain: chainId,
-                    balance: ethBalance,
-                    usdValue,
-                    timestamp: Date.now()
-                });
-                
+                const address = keystore.addressOf(name, legacy);
+                if (address) add(name, address, PROCESS_CHAINS[name] || null);
             } catch (error) {
-                console.error(`Error: ${config.name}: ${error.message}`);
+                log.warn('Unreadable keystore', { process: name, error });
+            }
+        }
+        return wallets;
+    }
+    
+    async checkAllBalances() {
+        const quote = await this.getETHPrice();
+        const ethPrice = quote ? quote.price : null;
+        if (!this.tokenLists) this.tokenLists = await TokenBalances.loadTokenLists();
+        const balances = [];
+        this.lowBalances = [];
+        
+        for (const [chainId, config] of Object.entries(this.chains)) {
+            const wallets = this.wallets.filter(w => !w.chains || w.chains.includes(chainId));
+            if (wallets.length === 0) continue;
+            const provider = eth.getProvider(config.rpc);
+            const priceInETH = config.oracle ?
+                createOraclePricer(provider, { oracle: config.oracle, weth: config.weth }) : null;
+            
+            for (const wallet of wallets) {
+                const balanceLog = log.child({ process: wallet.label, address: wallet.address });
+                try {
+                    const rows = await this.readChain(chainId, provider, wallet.address);
+                    
+                    for (const row of rows) {
+                        if (row.error) {
+                            balanceLog.warn('Asset balance unreadable', { chain: chainId, asset: row.asset, error: row.error });
+                            continue;
+                        }
+                        if (row.kind === 'native') {
+                            metrics.walletBalance.set({ chain: chainId, address: wallet.address }, row.balance);
+                            await this.checkMinimum(wallet, chainId, row.balance, balanceLog);
+                        }
+                        metrics.assetBalance.set({ chain: chainId, address: wallet.address, asset: row.asset }, row.balance);
+                        // Zero token rows would only bloat the history; native ETH is always kept
+                        if (row.kind !== 'native' && row.raw === '0') continue;
+                        
+                        const valueETH = await this.valueInETH(row, config, priceInETH, ethPrice);
+                        const usdValue = valueETH === null || ethPrice === null ? null : valueETH * ethPrice;
+                        balanceLog.info('Balance', {
+                            chain: chainId,
+                            asset: row.asset,
+                            balance: row.balance,
+                            underlying: row.underlying,
+                            underlyingBalance: row.underlyingBalance,
+                            valueETH,
+                            usdValue
+                        });
+                        
+                        balances.push({
+                            process: wallet.label,
+                            address: wallet.address,
+                            chain: chainId,
+                            asset: row.asset,
+                            kind: row.kind,
+                            balance: row.balance,
+                            underlying: row.underlying,
+                            underlyingBalance: row.underlyingBalance,
+                            valueETH,
+                            usdValue,
+                            timestamp: Date.now()
+                        });
+                    }
+                    
+                } catch (error) {
+                    balanceLog.error('Balance check failed', { chain: chainId, error });
+                }
             }
         }
         
-        console.log(`TOTAL USD VALUE: $${totalValueUSD.toFixed(2)}`);
+        // Assets without a price are listed but left out of the totals; without an ETH price the
+        // USD total is unknown, not zero
+        const valued = balances.filter(b => b.valueETH !== null);
+        const totalValueETH = valued.reduce((sum, b) => sum + b.valueETH, 0);
+        const totalValueUSD = ethPrice === null ? null : totalValueETH * ethPrice;
+        log.info('Total balance', {
+            wallets: this.wallets.length,
+            valueETH: totalValueETH,
+            usdValue: totalValueUSD,
+            ethPrice,
+            priceSource: quote && quote.source,
+            unpriced: balances.filter(b => b.valueETH === null).map(b => `${b.process}:${b.chain}:${b.asset}`)
+        });
         
         await this.checkCausalProfits();
-        await this.saveHistory();
+        await this.saveHistory(balances, quote, totalValueETH, totalValueUSD);
         
         return totalValueUSD;
     }
     
+    // ETH below the chain's minimum means that process is about to stop sending
+    async checkMinimum(wallet, chainId, balanceETH, balanceLog) {
+        const minimumETH = this.minBalances[chainId];
+        if (minimumETH === undefined) return;
+        const low = balanceETH < minimumETH;
+        metrics.walletBelowMinimum.set({ chain: chainId, process: wallet.label }, low ? 1 : 0);
+        
+        const alert = { process: wallet.label, address: wallet.address, chain: chainId, balanceETH, minimumETH };
+        if (!low) {
+            await this.alerts.resolve('lowBalance', alert);
+            return;
+        }
+        this.lowBalances.push(alert);
+        balanceLog.error('Low balance - fund this wallet', { chain: chainId, balanceETH, minimumETH });
+        await this.alerts.notify('lowBalance', alert);
+    }
+    
+    // Token rows through Multicall3; a chain without it (or a node that rejects the call) still gets its ETH balance
+    async readChain(chainId, provider, address) {
+        try {
+            return await new TokenBalances(provider).read(address, this.tokenLists[chainId] || []);
+        } catch (error) {
+            log.warn('Token balances unavailable, reading ETH only', { chain: chainId, error });
+            const balance = eth.toBigInt(await provider.getBalance(address));
+            const amount = parseFloat(eth.formatEther(balance));
+            return [{
+                asset: TokenBalances.NATIVE,
+                kind: 'native',
+                raw: balance.toString(),
+                balance: amount,
+                underlying: TokenBalances.NATIVE,
+                underlyingBalance: amount
+            }];
+        }
+    }
+    
+    // ETH value of a row's underlying: 1:1 for ETH and WETH, the chain's Aave oracle for the rest,
+    // the dollar peg where there is no oracle. null when nothing can price it.
+    async valueInETH(row, config, priceInETH, ethPrice) {
+        if (row.underlying === TokenBalances.NATIVE || row.underlyingAddress === eth.getAddress(config.weth)) {
+            return row.underlyingBalance;
+        }
+        if (priceInETH && row.underlyingAddress) {
+            try {
+                return await priceInETH(row.underlyingAddress, row.underlyingRaw);
+            } catch (error) {
+                log.warn('Oracle price failed', { asset: row.underlying, error });
+            }
+        }
+        if (row.peg === 'USD' && ethPrice) return row.underlyingBalance / ethPrice;
+        return null;
+    }
+    
+    // { price, source, blockNumber }, or null when every price source failed
     async getETHPrice() {
-        return 2000;
+        try {
+            const quote = await this.prices.getETHPrice();
+            metrics.ethPrice.set({}, quote.price);
+            await this.alerts.resolve('stalePrice', { source: quote.source, price: quote.price });
+            return quote;
+        } catch (error) {
+            log.error('No ETH price, USD values skipped', { error });
+            await this.alerts.notify('stalePrice', { error: error.message, failures: error.failures });
+            return null;
+        }
     }
     
     async checkCausalProfits() {
         try {
-            const causalData = await fs.readFile(
-                path.join(__dirname, 'causal-profits.json'),
-                'utf8'
-            );
-            const profits = JSON.parse(causalData);
+            // Read-only replay of the journal - safe while eth-extractor is appending
+            const { profits } = await new AttributionStore({ readOnly: true }).load();
             
-            if (profits.profits && profits.profits.length > 0) {
-                console.log('CAUSAL PROFIT ATTRIBUTION:');
-                
-                const recentProfits = profits.profits
-                    .slice(-5)
-                    .map(([txHash, data]) => data);
+            if (profits.size > 0) {
+                const recentProfits = Array.from(profits.values()).slice(-5);
                 
                 let totalProfit = 0;
                 recentProfits.forEach(profit => {
-                    console.log(`Signal: ${profit.signalId.substring(0, 16)}...`);
-                    console.log(`Profit: ${profit.netProfit.toFixed(4)} ETH`);
+                    log.info('Causal profit', { signalId: profit.signalId, txHash: profit.txHash, netProfitETH: profit.netProfit });
                     totalProfit += profit.netProfit;
                 });
                 
-                console.log(`Recent Profit Total: ${totalProfit.toFixed(4)} ETH`);
+                log.info('Recent profit total', { netProfitETH: totalProfit, profits: recentProfits.length });
             }
         } catch (error) {
-            console.error('Error: Reading causal profits');
+            log.error('Reading causal profits failed', { error });
         }
     }
     
-    async saveHistory() {
+    // The full history is appended to historyPath (what P&L reports read); profitLogPath keeps
+    // the last 1000 snapshots for a quick look
+    async saveHistory(balances, quote, totalETH, totalUSD) {
+        const snapshot = {
+            timestamp: Date.now(),
+            balances,
+            ethPrice: quote ? quote.price : null,
+            priceSource: quote ? quote.source : null,
+            priceBlock: quote ? quote.blockNumber : null,
+            totalETH,
+            totalUSD
+        };
+        
         try {
-            await fs.mkdir(path.dirname(this.profitLogPath), { recursive: true });
+            await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+            await fs.appendFile(this.historyPath, JSON.stringify(snapshot) + '\n');
             
             let history = [];
             try {
@@ -121,11 +303,7 @@ class BalanceMonitor {
                 history = JSON.parse(existing);
             } catch (e) {}
             
-            history.push({
-                timestamp: Date.now(),
-                balances: this.balanceHistory.slice(-4),
-                totalUSD: this.balanceHistory.reduce((sum, b) => sum + b.usdValue, 0)
-            });
+            history.push(snapshot);
             
             if (history.length > 1000) {
                 history = history.slice(-1000);
@@ -134,39 +312,66 @@ class BalanceMonitor {
             await fs.writeFile(this.profitLogPath, JSON.stringify(history, null, 2));
             
         } catch (error) {
-            console.error('Error: Failed to save history:', error.message);
+            log.error('Failed to save history', { error });
         }
     }
     
+    // P&L over the last REPORT_WINDOW_HOURS (default 24); `node pnl-report.js` for other windows and CSV
     async generateReport() {
         try {
-            const history = JSON.parse(
-                await fs.readFile(this.profitLogPath, 'utf8')
-            );
-            
-            if (history.length < 2) return;
-            
-            const firstSnapshot = history[0];
-            const lastSnapshot = history[history.length - 1];
-            
-            const totalGain = lastSnapshot.totalUSD - firstSnapshot.totalUSD;
-            const timeElapsed = (lastSnapshot.timestamp - firstSnapshot.timestamp) / 1000 / 60 / 60; // hours
-            const gainPerHour = totalGain / timeElapsed;
+            const to = Date.now();
+            const { totals, processes } = await this.report.generate({ from: to - this.reportWindowHours * 3600000, to });
             
-            console.log('REPORT:');
-            console.log(`Initial Balance: $${firstSnapshot.totalUSD.toFixed(2)}`);
-            console.log(`Current Balance: $${lastSnapshot.totalUSD.toFixed(2)}`);
-            console.log(`Total Gain: $${totalGain.toFixed(2)}`);
-            console.log(`Gain/Hour: $${gainPerHour.toFixed(2)}`);
-            console.log(`Time Running: ${timeElapsed.toFixed(1)} hours`);
+            log.info('Report', {
+                currency: totals.currency,
+                startValue: totals.startValue,
+                endValue: totals.endValue,
+                change: totals.change,
+                realizedProfit: totals.realizedProfit,
+                gasCost: totals.gasCost,
+                netProfit: totals.netProfit,
+                transfers: totals.transfers,
+                priceEffect: totals.priceEffect,
+                netProfitPerHour: totals.netProfitPerHour,
+                liquidations: totals.liquidations,
+                assets: totals.assets,
+                processes,
+                hours: totals.hours
+            });
             
-        } catch (error) {}
+        } catch (error) {
+            log.error('Report failed', { error });
+        }
     }
 }
 
+// label=address[@chain+chain], comma-separated
+function parseWalletList(value) {
+    if (!value) return [];
+    return value.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^([^=]+)=(0x[0-9a-fA-F]{40})(?:@([a-z0-9+-]+))?$/);
+        if (!match) throw new Error(`WATCH_WALLETS entry ${entry} is not label=address[@chain+chain]`);
+        return { label: match[1].trim(), address: match[2], chains: match[3] ? match[3].split('+') : null };
+    });
+}
+
+// chain=ETH, comma-separated
+function parseMinBalances(value) {
+    const minimums = {};
+    for (const pair of value.split(',').map(s => s.trim()).filter(Boolean)) {
+        const [chain, amount] = pair.split('=');
+        if (!chain || !(parseFloat(amount) >= 0)) throw new Error(`MIN_BALANCE_ETH entry ${pair} is not chain=ETH`);
+        minimums[chain.trim()] = parseFloat(amount);
+    }
+    return minimums;
+}
+
 async function main() {
     const monitor = new BalanceMonitor();
-    console.log('Starting Balance Monitor');
+    log.info('Starting balance monitor');
+    metrics.startMetricsServer();
+    eth.onProvider(metrics.instrumentProvider);
+    eth.onProvider((provider, endpoint) => AlertManager.forProcess().watchProvider(provider, endpoint));
     
     await monitor.checkAllBalances();
     await monitor.generateReport();
@@ -176,13 +381,22 @@ async function main() {
     }
     
     setInterval(async () => {
-        await monitor.checkAllBalances();
-        await monitor.generateReport();
+        // An RPC outage or unreadable ledger skips this check instead of crashing the process
+        try {
+            await monitor.checkAllBalances();
+            await monitor.generateReport();
+        } catch (error) {
+            log.error('Balance check failed', { error });
+        }
     }, 5 * 60 * 1000);
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    Logger.redactConsole();
+    main().catch(error => {
+        log.error('Balance monitor failed', { error });
+        process.exit(1);
+    });
 }
 
 module.exports = BalanceMonitor;
@@ -0,0 +1,7 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BalanceMonitor = require('./balance-monitor');
+
+test('a monitor with no wallet to watch throws instead of exiting', () => {
+    assert.throws(() => new BalanceMonitor({ wallets: [] }), /No address configured/);
+});
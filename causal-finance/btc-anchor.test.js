@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ETHERS, loadWith, jsonServer } = require('./test-helpers');
+
+// Private key 1: its well-known compressed key, addresses and WIFs
+const KEY = '0x' + '00'.repeat(31) + '01';
+const PUBLIC_KEY = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+const MAINNET = { address: '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH', wif: 'KwDiBf89QgGbjEhKnhXJuH7LrciVrZi3qYjgd9M7rFU73sVHnoWn' };
+const TESTNET = { address: 'mrCDrCybB6J1vRfbwM5hemdJz73FwDBC8r', wif: 'cMahea7zqjxrtgAbB7LSGbcQUr1uX1ojuat9jZodMN87JcbXMTcA' };
+const SCRIPT = '76a914751e76e8199196d454941c45d1b3a323f1433bd688ac';
+
+// The genesis coinbase
+const GENESIS_TX = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+const GENESIS_TXID = '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b';
+
+// BIP143 "native P2WPKH" example: the unsigned tx and the preimage signed for input 1 (SIGHASH_ALL)
+const BIP143 = {
+    unsigned: '0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000',
+    scriptCode: '76a9141d0f172a0ecb48aee1be1f2687d2963ae33f1a7c88ac',
+    value: 600000000n,
+    preimage: '0100000096b827c8483d4e9b96712b6713a7b68d6e8003a781feba36c31143470b4efd3752b0a642eea2fb7ae638c36f6252b6750293dbe574a806984b8e4d8548339a3bef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a010000001976a9141d0f172a0ecb48aee1be1f2687d2963ae33f1a7c88ac0046c32300000000ffffffff863ef3e1a92afbfdb97f31ad0fc7683ee943e9abcf2501590ff8f6551f47e5e51100000001000000'
+};
+
+const INTENT_HASH = '0x' + 'ab'.repeat(32);
+const FUNDING_TXID = '11'.repeat(32);
+// Key 1 anchoring INTENT_HASH from FUNDING_TXID:0 (100000 sats) on regtest at 1 sat/byte
+const ANCHOR_TXID = '351dfceca0de1149a94234c898d5ccca28f924ad22ef4967f9b2065fad648b52';
+
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest();
+const le32 = n => {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(n);
+    return buf;
+};
+const le64 = n => {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64LE(BigInt(n));
+    return buf;
+};
+const slice = buf => Buffer.concat([Buffer.from([buf.length]), buf]);
+
+// Pushes of a P2PKH scriptSig: [signature + hash type, public key]
+function scriptSigPushes(script) {
+    const pushes = [];
+    for (let offset = 0; offset < script.length;) {
+        const length = script[offset];
+        pushes.push(script.subarray(offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+    return pushes;
+}
+
+const sha256d = buf => sha256(sha256(buf));
+const outpoint = input => Buffer.concat([Buffer.from(input.txid, 'hex').reverse(), le32(input.vout)]);
+const output = out => Buffer.concat([le64(out.value), slice(out.script)]);
+
+// OpenSSL does the ECDSA: it hashes the sha256 of the preimage once more, giving sha256d
+function checkSignature(script, preimageFor) {
+    const [signature, publicKey] = scriptSigPushes(script);
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([Buffer.from('3036301006072a8648ce3d020106052b8104000a032200', 'hex'), publicKey]),
+        format: 'der',
+        type: 'spki'
+    });
+    const preimage = preimageFor(signature[signature.length - 1]);
+    return crypto.verify('sha256', sha256(preimage), key, signature.subarray(0, -1));
+}
+
+// Input `index` of a parsed legacy tx, checked the way a node does: the previous output script
+// replaces the scriptSigs and the hash type is appended
+function verifyLegacyInput(tx, index, prevScript) {
+    return checkSignature(tx.inputs[index].script, hashType => Buffer.concat([
+        le32(tx.version),
+        Buffer.from([tx.inputs.length]),
+        ...tx.inputs.map((input, i) => Buffer.concat([
+            outpoint(input),
+            slice(i === index ? prevScript : Buffer.alloc(0)),
+            le32(input.sequence)
+        ])),
+        Buffer.from([tx.outputs.length]),
+        ...tx.outputs.map(output),
+        le32(tx.locktime),
+        le32(hashType)
+    ]));
+}
+
+// Same for a SIGHASH_FORKID input: the BIP143 preimage, which commits to the spent value
+function verifyForkIdInput(tx, index, prevScript, value) {
+    const input = tx.inputs[index];
+    return checkSignature(input.script, hashType => Buffer.concat([
+        le32(tx.version),
+        sha256d(Buffer.concat(tx.inputs.map(outpoint))),
+        sha256d(Buffer.concat(tx.inputs.map(i => le32(i.sequence)))),
+        outpoint(input),
+        slice(prevScript),
+        le64(value),
+        le32(input.sequence),
+        sha256d(Buffer.concat(tx.outputs.map(output))),
+        le32(tx.locktime),
+        le32(hashType)
+    ]));
+}
+
+// Stand-in for a regtest bitcoind: JSON-RPC 1.0 behind basic auth, one wallet's UTXO set, a
+// mempool that accepts only correctly signed spends of unspent outputs, and mine() to confirm it.
+// Errors come back as HTTP 500 with a JSON body, like bitcoind's.
+async function regtestNode(parseTransaction, utxos) {
+    const unspent = new Map(utxos.map(utxo => [`${utxo.txid}:${utxo.vout}`, utxo]));
+    const transactions = new Map();
+    const fail = (code, message) => ({ status: 500, body: { result: null, error: { code, message } } });
+
+    const methods = {
+        listunspent: ([, , addresses]) => Array.from(unspent.values())
+            .filter(utxo => addresses.includes(utxo.address))
+            .map(({ txid, vout, amount }) => ({ txid, vout, amount, scriptPubKey: SCRIPT, confirmations: 6 })),
+        sendrawtransaction: ([hex]) => {
+            const tx = parseTransaction(hex);
+            for (const [i, input] of tx.inputs.entries()) {
+                if (!unspent.has(`${input.txid}:${input.vout}`)) return fail(-25, 'bad-txns-inputs-missingorspent');
+                if (!verifyLegacyInput(tx, i, Buffer.from(SCRIPT, 'hex'))) {
+                    return fail(-26, 'mandatory-script-verify-flag-failed (Signature must be zero for failed CHECK(MULTI)SIG operation)');
+                }
+            }
+            tx.inputs.forEach(input => unspent.delete(`${input.txid}:${input.vout}`));
+            transactions.set(tx.txid, { hex, confirmations: 0 });
+            return tx.txid;
+        },
+        getrawtransaction: ([txid, verbose]) => {
+            const tx = transactions.get(txid);
+            if (!tx) return fail(-5, 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.');
+            return verbose ? { txid, hex: tx.hex, confirmations: tx.confirmations } : tx.hex;
+        }
+    };
+
+    const server = await jsonServer((body, req) => {
+        if (req.headers.authorization !== 'Basic ' + Buffer.from('rpc:secret').toString('base64')) {
+            return { status: 401, body: null };
+        }
+        const reply = methods[body.method] ? methods[body.method](body.params) : fail(-32601, 'Method not found');
+        return reply && reply.status ? { status: reply.status, body: { ...reply.body, id: body.id } } :
+            { result: reply, error: null, id: body.id };
+    });
+    return {
+        ...server,
+        url: server.url.replace('//', '//rpc:secret@'),
+        mine: () => transactions.forEach(tx => {
+            tx.confirmations++;
+        })
+    };
+}
+
+for (const pkg of ETHERS) {
+    test(`btc anchor on ${pkg}`, async t => {
+        const [BitcoinAnchor, Intent, eth] = loadWith(pkg, 'btc-anchor', 'intent', 'ethers-compat');
+        const { parseTransaction, opReturnData, forkIdSighash, AnchorError } = BitcoinAnchor;
+
+        await t.test('derives addresses from hex and WIF keys', () => {
+            const regtest = new BitcoinAnchor({ network: 'regtest', privateKey: KEY });
+            assert.strictEqual(regtest.publicKey.toString('hex'), PUBLIC_KEY);
+            assert.strictEqual(regtest.address, TESTNET.address);
+            assert.strictEqual(new BitcoinAnchor({ network: 'regtest', privateKey: TESTNET.wif }).address, TESTNET.address);
+            assert.strictEqual(new BitcoinAnchor({ network: 'bitcoin', privateKey: MAINNET.wif }).address, MAINNET.address);
+            assert.strictEqual(new BitcoinAnchor({ network: 'bsv', privateKey: KEY }).address, MAINNET.address);
+
+            assert.throws(() => new BitcoinAnchor({ network: 'bitcoin', privateKey: TESTNET.wif }),
+                error => error instanceof AnchorError && error.code === 'INVALID_KEY');
+            assert.throws(() => new BitcoinAnchor({ network: 'regtest', privateKey: TESTNET.wif.slice(0, -1) + 'B' }),
+                error => error.code === 'INVALID_ENCODING');
+            assert.throws(() => new BitcoinAnchor({ network: 'litecoin' }), error => error.code === 'MISSING_CONFIG');
+        });
+
+        await t.test('parses the genesis coinbase', () => {
+            const tx = parseTransaction(GENESIS_TX);
+            assert.strictEqual(tx.txid, GENESIS_TXID);
+            assert.strictEqual(tx.inputs[0].txid, '00'.repeat(32));
+            assert.strictEqual(tx.outputs[0].value, 5000000000n);
+            assert.strictEqual(opReturnData(tx.outputs[0].script), '');
+        });
+
+        await t.test('computes the BIP143 digest used with SIGHASH_FORKID', () => {
+            const tx = parseTransaction(BIP143.unsigned);
+            tx.inputs[1].value = BIP143.value;
+            const digest = forkIdSighash(tx, 1, Buffer.from(BIP143.scriptCode, 'hex'), 0x01);
+            assert.strictEqual(digest.toString('hex'), sha256d(Buffer.from(BIP143.preimage, 'hex')).toString('hex'));
+        });
+
+        await t.test('builds and signs an OP_RETURN anchor with change', () => {
+            const anchor = new BitcoinAnchor({ network: 'regtest', privateKey: KEY, feeRate: 1 });
+            const built = anchor.build(Intent.encodeAnchor(INTENT_HASH), [{ txid: FUNDING_TXID, vout: 0, value: 100000, scriptPubKey: SCRIPT }]);
+
+            // 4 + 1 + 148 (input) + 1 + 47 (OP_RETURN output) + 34 (change output) + 4 bytes at 1 sat/byte
+            assert.strictEqual(built.fee, 239n);
+            assert.strictEqual(built.change, 100000n - 239n);
+            assert.strictEqual(built.size, 238);
+            assert.strictEqual(built.txid, ANCHOR_TXID);
+
+            const tx = parseTransaction(built.hex);
+            assert.strictEqual(tx.txid, built.txid);
+            assert.strictEqual(tx.version, 2);
+            assert.deepStrictEqual(tx.inputs.map(input => [input.txid, input.vout]), [[FUNDING_TXID, 0]]);
+            assert.strictEqual(tx.outputs[0].value, 0n);
+            assert.strictEqual(tx.outputs[0].script.toString('hex'), '6a24' + '43464931' + 'ab'.repeat(32));
+            assert.strictEqual(Intent.decodeAnchor('0x' + opReturnData(tx.outputs[0].script)), INTENT_HASH);
+            assert.strictEqual(tx.outputs[1].script.toString('hex'), SCRIPT);
+
+            const [signature, publicKey] = scriptSigPushes(tx.inputs[0].script);
+            assert.strictEqual(signature[signature.length - 1], 0x01);
+            assert.strictEqual(publicKey.toString('hex'), PUBLIC_KEY);
+            assert.ok(verifyLegacyInput(tx, 0, Buffer.from(SCRIPT, 'hex')));
+
+            // RFC 6979 signatures are deterministic: the same inputs give the same tx
+            assert.strictEqual(anchor.build(Intent.encodeAnchor(INTENT_HASH), [{ txid: FUNDING_TXID, vout: 0, value: 100000 }]).hex, built.hex);
+        });
+
+        await t.test('leaves dust change to the fee and refuses short inputs', () => {
+            const anchor = new BitcoinAnchor({ network: 'regtest', privateKey: KEY, feeRate: 1 });
+            const built = anchor.build(Intent.encodeAnchor(INTENT_HASH), [{ txid: FUNDING_TXID, vout: 0, value: 700 }]);
+            assert.strictEqual(built.change, 0n);
+            assert.strictEqual(built.fee, 700n);
+            assert.strictEqual(parseTransaction(built.hex).outputs.length, 1);
+
+            assert.throws(() => anchor.build(Intent.encodeAnchor(INTENT_HASH), [{ txid: FUNDING_TXID, vout: 0, value: 100 }]),
+                error => error.code === 'INSUFFICIENT_FUNDS');
+        });
+
+        await t.test('signs BSV anchors with SIGHASH_FORKID behind OP_FALSE OP_RETURN', () => {
+            const anchor = new BitcoinAnchor({ network: 'bsv-testnet', privateKey: KEY, feeRate: 0.5 });
+            const utxo = { txid: FUNDING_TXID, vout: 1, value: 5000 };
+            const tx = parseTransaction(anchor.build(Intent.encodeAnchor(INTENT_HASH), [utxo]).hex);
+
+            assert.strictEqual(tx.version, 1);
+            assert.strictEqual(tx.outputs[0].script.toString('hex').slice(0, 8), '006a2443');
+            const [signature] = scriptSigPushes(tx.inputs[0].script);
+            assert.strictEqual(signature[signature.length - 1], 0x41);
+
+            assert.ok(verifyForkIdInput(tx, 0, Buffer.from(SCRIPT, 'hex'), utxo.value));
+            assert.ok(!verifyForkIdInput(tx, 0, Buffer.from(SCRIPT, 'hex'), utxo.value + 1));
+        });
+
+        await t.test('anchors and verifies an intent through a regtest node', async () => {
+            const node = await regtestNode(parseTransaction, [
+                { txid: FUNDING_TXID, vout: 0, amount: 0.001, address: TESTNET.address },
+                { txid: FUNDING_TXID, vout: 1, amount: 0.5, address: TESTNET.address },
+                { txid: FUNDING_TXID, vout: 2, amount: 1, address: 'someone else' }
+            ]);
+            t.after(() => node.close());
+            const anchor = new BitcoinAnchor({ network: 'regtest', privateKey: TESTNET.wif, rpcUrl: node.url });
+
+            const wallet = eth.createWallet('0x' + '22'.repeat(32));
+            const signed = await Intent.signIntent(Intent.createIntent('LIQUIDATE', { protocol: 'aave' }), wallet, 8453);
+            const built = await anchor.anchor(signed.hash);
+            assert.deepStrictEqual(built.inputs, [{ txid: FUNDING_TXID, vout: 1, value: 50000000n }]);
+
+            let result = await anchor.verifyIntent(signed, built.txid);
+            assert.deepStrictEqual(result.checks, { hashMatches: true, signatureValid: true, anchored: true, confirmed: false });
+            assert.strictEqual(result.valid, false);
+
+            node.mine();
+            result = await anchor.verifyIntent(signed, built.txid);
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.confirmations, 1);
+            assert.strictEqual(result.signer, wallet.address);
+
+            // The same output can't be spent twice; the node's error comes back as RPC_ERROR
+            await assert.rejects(anchor.anchor(signed.hash, { utxos: [{ txid: FUNDING_TXID, vout: 1, value: 50000000 }] }),
+                error => error.code === 'RPC_ERROR' && /missingorspent/.test(error.message));
+            await assert.rejects(anchor.verifyIntent(signed, 'ff'.repeat(32)), /No such mempool/);
+
+            const other = await Intent.signIntent(Intent.createIntent('LIQUIDATE', { protocol: 'compound' }), wallet, 8453);
+            assert.strictEqual((await anchor.verifyIntent(other, built.txid)).checks.anchored, false);
+        });
+
+        await t.test('a node refuses a tx signed by another key', async () => {
+            const node = await regtestNode(parseTransaction, [{ txid: FUNDING_TXID, vout: 0, amount: 0.01, address: TESTNET.address }]);
+            t.after(() => node.close());
+            const impostor = new BitcoinAnchor({ network: 'regtest', privateKey: '0x' + '00'.repeat(31) + '02', rpcUrl: node.url });
+            const built = impostor.build(Intent.encodeAnchor(INTENT_HASH), [{ txid: FUNDING_TXID, vout: 0, value: 1000000 }]);
+            await assert.rejects(impostor.broadcast(built.hex), /mandatory-script-verify-flag-failed/);
+        });
+    });
+}
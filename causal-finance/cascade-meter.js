@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Cascade Meter - Measures the on-chain response to each broadcast signal
+// After a signal tx is mined, every following block inside the window is scanned for
+// transactions that reference the signal's tx hash in calldata, or that come from / go to
+// an address on the watch list (liquidation bots, lending pools, DEX routers). The count and
+// ETH value of those responses is the signal's measured cascade.
+//
+//   CASCADE_WATCH       comma-separated addresses to watch
+//   CASCADE_WINDOW_MS   how long after the signal's block responses count (default 5 minutes)
+//   CASCADE_POLL_MS     block polling interval (default 4 seconds)
+
+const EventEmitter = require('events');
+const eth = require('./ethers-compat');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cascade-meter');
+
+class CascadeMeter extends EventEmitter {
+    constructor(provider, options = {}) {
+        super();
+
+        this.provider = provider;
+        this.watchList = new Set(normalizeAddresses(options.watchList !== undefined ?
+            options.watchList : (process.env.CASCADE_WATCH || '').split(',')));
+        this.ignore = new Set(normalizeAddresses(options.ignore || [])); // our own sender
+        this.windowMs = options.windowMs || parseInt(process.env.CASCADE_WINDOW_MS || '300000', 10);
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.CASCADE_POLL_MS || '4000', 10);
+        this.maxBlocksPerPoll = options.maxBlocksPerPoll || 20;
+
+        this.open = new Map(); // signal tx hash → measurement in progress
+        this.cursor = null; // last block scanned
+        this.timer = null;
+        this.polling = false;
+    }
+
+    // Start measuring a mined signal tx; meta (type, txId, ...) is passed through to 'measured'
+    async track(txHash, meta = {}) {
+        const hash = txHash.toLowerCase();
+        if (this.open.has(hash)) return;
+
+        const receipt = await this.provider.send('eth_getTransactionReceipt', [hash]);
+        if (!receipt || receipt.blockNumber === null) {
+            throw new Error(`Signal ${hash} is not mined yet`);
+        }
+        const blockNumber = Number(receipt.blockNumber);
+        const block = await this.provider.send('eth_getBlockByNumber', [receipt.blockNumber, false]);
+
+        // Nothing open means nothing left to scan before this block
+        if (this.open.size === 0 || this.cursor > blockNumber) {
+            this.cursor = blockNumber;
+        }
+        this.open.set(hash, {
+            txHash: hash,
+            needle: hash.slice(2),
+            meta,
+            blockNumber,
+            blockTimestamp: Number(block.timestamp),
+            lastBlock: blockNumber, // last block scanned for this signal
+            responses: 0,
+            references: 0,
+            watchHits: 0,
+            value: 0n,
+            responders: new Set()
+        });
+        log.debug('Tracking signal', { txHash: hash, blockNumber, ...meta });
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.poll().catch(error => log.error('Poll failed', { error }));
+        }, this.pollIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Scan new blocks (bounded per call) and close measurements whose window has passed
+    async poll() {
+        if (this.polling || this.open.size === 0) return;
+        this.polling = true;
+
+        try {
+            const head = Number(await this.provider.send('eth_blockNumber', []));
+            const last = Math.min(head, this.cursor + this.maxBlocksPerPoll);
+
+            for (let number = this.cursor + 1; number <= last; number++) {
+                const block = await this.provider.send('eth_getBlockByNumber', ['0x' + number.toString(16), true]);
+                if (!block) break; // not served yet by this node
+                this.scanBlock(block);
+                this.cursor = number;
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    scanBlock(block) {
+        const number = Number(block.number);
+        const timestamp = Number(block.timestamp);
+
+        for (const measurement of Array.from(this.open.values())) {
+            // track() can rewind the shared cursor for an older signal; never count a block twice
+            if (number <= measurement.lastBlock) continue;
+
+            if (timestamp - measurement.blockTimestamp > this.windowMs / 1000) {
+                this.finish(measurement);
+                continue;
+            }
+
+            for (const tx of block.transactions) {
+                this.scanTransaction(measurement, tx);
+            }
+            measurement.lastBlock = number;
+        }
+    }
+
+    scanTransaction(measurement, tx) {
+        const from = (tx.from || '').toLowerCase();
+        const to = (tx.to || '').toLowerCase();
+        if (this.ignore.has(from)) return;
+
+        const references = (tx.input || tx.data || '').toLowerCase().includes(measurement.needle);
+        const watched = this.watchList.has(from) || this.watchList.has(to);
+        if (!references && !watched) return;
+
+        measurement.responses++;
+        if (references) measurement.references++;
+        if (watched) measurement.watchHits++;
+        measurement.value += BigInt(tx.value || 0);
+        measurement.responders.add(from);
+    }
+
+    finish(measurement) {
+        this.open.delete(measurement.txHash);
+
+        const result = {
+            ...measurement.meta,
+            txHash: measurement.txHash,
+            fromBlock: measurement.blockNumber + 1,
+            toBlock: measurement.lastBlock,
+            responses: measurement.responses,
+            references: measurement.references,
+            watchHits: measurement.watchHits,
+            responders: measurement.responders.size,
+            valueETH: parseFloat(eth.formatEther(measurement.value))
+        };
+        log.info('Cascade measured', result);
+        this.emit('measured', result);
+    }
+}
+
+function normalizeAddresses(list) {
+    return list.map(address => address.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = CascadeMeter;
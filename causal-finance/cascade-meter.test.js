@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CascadeMeter = require('./cascade-meter');
+
+const BOT = '0x00000000000000000000000000000000000000b0';
+const hex = n => '0x' + n.toString(16);
+const signal = n => '0x' + n.toString(16).padStart(64, '0');
+
+// A chain of blocks 100..110, 12s apart; each block after 100 holds one tx from the watched bot
+function chain(signals) {
+    const blocks = new Map();
+    for (let number = 100; number <= 110; number++) {
+        blocks.set(number, {
+            number: hex(number),
+            timestamp: hex(1000 + (number - 100) * 12),
+            transactions: number === 100 ? [] : [{ from: BOT, to: BOT, input: '0x', value: '0x1' }]
+        });
+    }
+    let head = 100;
+    return {
+        setHead: number => {
+            head = number;
+        },
+        send: async (method, params) => {
+            if (method === 'eth_blockNumber') return hex(head);
+            if (method === 'eth_getTransactionReceipt') return { blockNumber: hex(signals[params[0]]) };
+            if (method === 'eth_getBlockByNumber') return blocks.get(Number(params[0])) || null;
+            throw new Error(`unexpected ${method}`);
+        }
+    };
+}
+
+test('tracking an older signal does not rescan blocks for newer ones', async () => {
+    const provider = chain({ [signal(1)]: 105, [signal(2)]: 102 });
+    const meter = new CascadeMeter(provider, { watchList: [BOT], windowMs: 1000000 });
+
+    await meter.track(signal(1));
+    provider.setHead(108);
+    await meter.poll();
+    assert.strictEqual(meter.open.get(signal(1)).responses, 3); // 106..108
+
+    // Rewinds the cursor to 102: blocks 103..108 are scanned again, but only for the new signal
+    await meter.track(signal(2));
+    await meter.poll();
+    assert.strictEqual(meter.open.get(signal(1)).responses, 3);
+    assert.strictEqual(meter.open.get(signal(2)).responses, 6); // 103..108
+
+    provider.setHead(110);
+    await meter.poll();
+    assert.strictEqual(meter.open.get(signal(1)).responses, 5);
+    assert.strictEqual(meter.open.get(signal(2)).responses, 8);
+    assert.strictEqual(meter.open.get(signal(1)).lastBlock, 110);
+});
+
+test('a measurement closes once a block falls outside its window', async () => {
+    const provider = chain({ [signal(1)]: 100 });
+    const meter = new CascadeMeter(provider, { watchList: [BOT], windowMs: 30000 });
+    const measured = [];
+    meter.on('measured', result => measured.push(result));
+
+    await meter.track(signal(1), { type: 'test' });
+    provider.setHead(110);
+    await meter.poll();
+
+    assert.deepStrictEqual(measured, [{
+        type: 'test',
+        txHash: signal(1),
+        fromBlock: 101,
+        toBlock: 102,
+        responses: 2,
+        references: 0,
+        watchHits: 2,
+        responders: 1,
+        valueETH: 2e-18
+    }]);
+});
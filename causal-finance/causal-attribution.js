@@ -5,14 +5,65 @@
 // Proves which signals generated which yield
 
 const crypto = require('crypto');
-const fs = require('fs').promises;
-const path = require('path');
+const os = require('os');
+const AttributionStore = require('./attribution-store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('causal-attribution');
+
+// Causal chain lifecycle
+// BROADCASTED → TRIGGERED → PROFITABLE ⇄ COMPLETED  (one signal can drive several liquidations)
+// Open chains with no events past the expiry window → EXPIRED; every referenced tx dropped/reverted → FAILED
+// A later liquidation of the same signal that mines reopens a FAILED chain
+const STATES = {
+    BROADCASTED: 'BROADCASTED', // signal tagged, nothing observed yet
+    TRIGGERED: 'TRIGGERED',     // bots responded
+    PROFITABLE: 'PROFITABLE',   // a liquidation mined, profit not booked yet
+    COMPLETED: 'COMPLETED',     // profit booked
+    EXPIRED: 'EXPIRED',         // never produced an event
+    FAILED: 'FAILED'            // every referenced tx dropped or reverted
+};
+
+const TRANSITIONS = {
+    BROADCASTED: ['TRIGGERED', 'PROFITABLE', 'COMPLETED', 'EXPIRED', 'FAILED'],
+    TRIGGERED: ['PROFITABLE', 'COMPLETED', 'EXPIRED', 'FAILED'],
+    PROFITABLE: ['COMPLETED', 'FAILED'],
+    COMPLETED: ['PROFITABLE'],
+    EXPIRED: [],
+    FAILED: ['PROFITABLE', 'COMPLETED']
+};
+
+// Event types that move a chain; anything else is recorded without a status change
+const EVENT_STATES = {
+    BOT_RESPONSE: STATES.TRIGGERED,
+    LIQUIDATION_EXECUTED: STATES.PROFITABLE
+};
+
+// The only events a FAILED chain still accepts
+const LIQUIDATION_EVENTS = ['LIQUIDATION_EXECUTED', 'LIQUIDATION_REVERTED'];
+
+class InvalidTransitionError extends Error {
+    constructor(signalId, from, to) {
+        super(`Causal chain ${signalId} cannot go from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.signalId = signalId;
+        this.from = from;
+        this.to = to;
+    }
+}
 
 class CausalAttribution {
-    constructor() {
+    constructor(options = {}) {
         this.chains = new Map(); // signalId → causal chain
         this.profits = new Map(); // txHash → profit data
-        this.dbPath = path.join(__dirname, 'causal-profits.json');
+        
+        // Journaled ledger - every change is appended, never a whole-file rewrite
+        this.store = options.store || new AttributionStore({ dir: options.dir });
+        
+        // Chains with no events after this long are expired
+        this.expireAfterMs = options.expireAfterMs ||
+            parseInt(process.env.ATTRIBUTION_EXPIRE_MS || '3600000', 10);
+        this.expiryTimer = null;
     }
 
     // Generate unique signal ID with semantic fingerprint
@@ -54,50 +105,139 @@ class CausalAttribution {
             jam: taggedJAM,
             events: [],
             profit: 0,
-            status: 'BROADCASTED'
+            status: STATES.BROADCASTED,
+            statusHistory: [{ status: STATES.BROADCASTED, timestamp: Date.now(), reason: 'tagged' }]
         });
+        this.persistChain(signalId);
+        log.info('Signal tagged', { signalId, type: semanticSource.type, weight: semanticSource.weight });
 
         return taggedJAM;
     }
 
     // Record on-chain event in causal chain
+    // Throws InvalidTransitionError for events on a closed chain or an illegal status change
     recordEvent(signalId, eventData) {
         const chain = this.chains.get(signalId);
         if (!chain) return;
 
+        const next = EVENT_STATES[eventData.type];
+        const closed = chain.status === STATES.EXPIRED ||
+            (chain.status === STATES.FAILED && !LIQUIDATION_EVENTS.includes(eventData.type));
+        if (closed || (next && next !== chain.status && !canTransition(chain.status, next))) {
+            throw new InvalidTransitionError(signalId, chain.status, next || eventData.type);
+        }
+
         chain.events.push({
             timestamp: Date.now(),
             type: eventData.type,
             txHash: eventData.txHash,
             gasUsed: eventData.gasUsed || 0,
-            response: eventData.response || null
+            response: eventData.response || null,
+            // Events are recorded once their tx is mined
+            txStatus: eventData.txHash ? (eventData.txStatus || 'confirmed') : null
         });
 
         // Update status based on event
-        if (eventData.type === 'BOT_RESPONSE') {
-            chain.status = 'TRIGGERED';
-        } else if (eventData.type === 'LIQUIDATION_EXECUTED') {
-            chain.status = 'PROFITABLE';
+        if (next && next !== chain.status) {
+            this.transition(signalId, next, eventData.type);
         }
+        this.persistChain(signalId);
     }
 
-    // Record profit extraction
+    // Link the tx that anchored the signal's intent hash (intent.js). Allowed in any state -
+    // the commitment is about the signal, not its outcome.
+    recordCommit(signalId, commit) {
+        const chain = this.chains.get(signalId);
+        if (!chain) return;
+
+        chain.intent = {
+            hash: commit.hash,
+            chainId: commit.chainId,
+            commitTxHash: commit.txHash,
+            commitBlock: commit.blockNumber === undefined ? null : commit.blockNumber,
+            committedAt: commit.timestamp || Date.now(),
+            revealTxHash: null,
+            revealBlock: null,
+            revealFile: null,
+            revealedAt: null
+        };
+        this.persistChain(signalId);
+        log.info('Intent committed', { signalId, intentHash: commit.hash, txHash: commit.txHash });
+    }
+
+    // Link the reveal - a tx (txHash, blockNumber) or a signed reveal file - to the committed intent
+    recordReveal(signalId, reveal) {
+        const chain = this.chains.get(signalId);
+        if (!chain) return;
+        if (!chain.intent) {
+            throw new Error(`Causal chain ${signalId} has no committed intent to reveal`);
+        }
+
+        // A file reveal can be followed by an on-chain one; keep both
+        if (reveal.txHash) {
+            chain.intent.revealTxHash = reveal.txHash;
+            chain.intent.revealBlock = reveal.blockNumber === undefined ? null : reveal.blockNumber;
+        }
+        if (reveal.file) chain.intent.revealFile = reveal.file;
+        chain.intent.revealedAt = reveal.timestamp || Date.now();
+        this.persistChain(signalId);
+        log.info('Intent revealed', {
+            signalId,
+            intentHash: chain.intent.hash,
+            txHash: chain.intent.revealTxHash,
+            file: chain.intent.revealFile
+        });
+    }
+
+    findByIntent(intentHash) {
+        const hash = String(intentHash).toLowerCase();
+        for (const [signalId, chain] of this.chains) {
+            if (chain.intent && chain.intent.hash.toLowerCase() === hash) return signalId;
+        }
+        return null;
+    }
+
+    transition(signalId, to, reason) {
+        const chain = this.chains.get(signalId);
+        if (!canTransition(chain.status, to)) {
+            throw new InvalidTransitionError(signalId, chain.status, to);
+        }
+        log.info('Chain transition', { signalId, from: chain.status, to, reason });
+        chain.status = to;
+        chain.statusHistory = chain.statusHistory || [];
+        chain.statusHistory.push({ status: to, timestamp: Date.now(), reason });
+    }
+
+    // Record profit extraction. A reverted liquidation (status other than 'success') only
+    // books its gas loss; the chain fails once every tx it references dropped or reverted.
     async recordProfit(signalId, profitData) {
         const chain = this.chains.get(signalId);
         if (!chain) return;
 
+        const reverted = profitData.status !== undefined && profitData.status !== 'success';
+        const next = reverted ?
+            (allTxsFailed(chain) && chain.status !== STATES.COMPLETED ? STATES.FAILED : chain.status) :
+            STATES.COMPLETED;
+        if (next !== chain.status && !canTransition(chain.status, next)) {
+            throw new InvalidTransitionError(signalId, chain.status, next);
+        }
+
+        const amountETH = reverted ? 0 : profitData.amountETH;
         const profit = {
             signalId,
             txHash: profitData.txHash,
-            amountETH: profitData.amountETH,
+            amountETH,
             gasSpent: profitData.gasSpent || 0,
-            netProfit: profitData.amountETH - (profitData.gasSpent || 0),
+            netProfit: amountETH - (profitData.gasSpent || 0),
             timestamp: Date.now(),
-            liquidationType: profitData.type || 'UNKNOWN'
+            liquidationType: profitData.type || 'UNKNOWN',
+            status: profitData.status || 'success'
         };
 
         chain.profit += profit.netProfit;
-        chain.status = 'COMPLETED';
+        if (next !== chain.status) {
+            this.transition(signalId, next, reverted ? 'referenced transactions dropped or reverted' : 'profit booked');
+        }
         
         this.profits.set(profitData.txHash, profit);
         
@@ -105,7 +245,9 @@ class CausalAttribution {
         const semanticROI = (profit.netProfit / chain.origin.weight) * 100;
         chain.semanticROI = semanticROI;
 
-        await this.saveToDatabase();
+        await this.store.append('profit', profitData.txHash, profit);
+        await this.persistChain(signalId);
+        log.info(reverted ? 'Gas loss booked' : 'Profit booked', { signalId, txHash: profitData.txHash, netProfitETH: profit.netProfit, semanticROI });
         
         return {
             signalId,
@@ -131,6 +273,7 @@ class CausalAttribution {
                 timestamp: chain.jam.attribution.timestamp,
                 expectedCascade: chain.jam.attribution.expectedCascade
             },
+            intent: chain.intent ? this.intentProof(signalId, chain) : null,
             events: chain.events,
             profit: {
                 total: chain.profit,
@@ -141,6 +284,18 @@ class CausalAttribution {
         };
     }
 
+    // Commit and reveal, and whether the commitment predates every recorded outcome
+    intentProof(signalId, chain) {
+        const outcomes = chain.events.map(event => event.timestamp)
+            .concat(Array.from(this.profits.values()).filter(p => p.signalId === signalId).map(p => p.timestamp));
+        return {
+            ...chain.intent,
+            revealed: Boolean(chain.intent.revealTxHash || chain.intent.revealFile),
+            committedBeforeOutcomes: outcomes.length === 0 ? null :
+                outcomes.every(timestamp => chain.intent.committedAt <= timestamp)
+        };
+    }
+
     calculateTimeline(chain) {
         if (chain.events.length === 0) return null;
         
@@ -188,6 +343,14 @@ class CausalAttribution {
         return analysis;
     }
 
+    // Profit records booked at or after `since` (ms), oldest first
+    getProfits({ since = 0, limit } = {}) {
+        const profits = Array.from(this.profits.values())
+            .filter(p => p.timestamp >= since)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        return limit ? profits.slice(-limit) : profits;
+    }
+
     // Get profit dashboard data
     async getDashboard() {
         const totalSignals = this.chains.size;
@@ -207,9 +370,9 @@ class CausalAttribution {
             summary: {
                 totalSignals,
                 completedSignals,
-                successRate: (completedSignals / totalSignals) * 100,
+                successRate: totalSignals ? (completedSignals / totalSignals) * 100 : 0,
                 totalProfitETH: totalProfit,
-                avgProfitPerSignal: totalProfit / totalSignals
+                avgProfitPerSignal: totalSignals ? totalProfit / totalSignals : 0
             },
             semanticAnalysis,
             recentProfits,
@@ -217,37 +380,144 @@ class CausalAttribution {
         };
     }
 
+    // Boot: reload the ledger, expire stale chains and re-check open ones against chain state.
+    // recoverProfit(txHash, signalId) → profit record, for liquidations that mined but were never booked.
+    async rehydrate({ provider, recoverProfit } = {}) {
+        await this.loadFromDatabase();
+        
+        const summary = { restored: this.chains.size, expired: this.expireStale().length, failed: 0, recovered: 0 };
+        if (provider) {
+            for (const signalId of this.openChains()) {
+                const result = await this.recheckChain(signalId, provider, recoverProfit);
+                summary.failed += result.failed ? 1 : 0;
+                summary.recovered += result.recovered;
+            }
+        }
+        summary.open = this.openChains().length;
+        
+        log.info('Attribution rehydrated', summary);
+        return summary;
+    }
+    
+    openChains() {
+        return Array.from(this.chains.entries())
+            .filter(([_, chain]) => [STATES.BROADCASTED, STATES.TRIGGERED, STATES.PROFITABLE].includes(chain.status))
+            .map(([signalId]) => signalId);
+    }
+    
+    // Did the txs this chain references confirm, revert or drop?
+    async recheckChain(signalId, provider, recoverProfit) {
+        const chain = this.chains.get(signalId);
+        const result = { failed: false, recovered: 0 };
+        
+        for (const event of chain.events) {
+            if (!event.txHash || (event.txStatus && event.txStatus !== 'pending')) continue;
+            
+            const receipt = await provider.getTransactionReceipt(event.txHash);
+            if (receipt && receipt.blockNumber !== null && receipt.blockNumber !== undefined) {
+                event.txStatus = Number(receipt.status) === 1 ? 'confirmed' : 'reverted';
+            } else {
+                event.txStatus = await provider.getTransaction(event.txHash) ? 'pending' : 'dropped';
+            }
+        }
+        
+        // Liquidations that mined but crashed before their profit was booked
+        if (chain.status === STATES.PROFITABLE && recoverProfit) {
+            for (const event of chain.events) {
+                if (event.type !== 'LIQUIDATION_EXECUTED' || event.txStatus !== 'confirmed') continue;
+                if (this.profits.has(event.txHash)) continue;
+                await this.recordProfit(signalId, await recoverProfit(event.txHash, signalId));
+                result.recovered++;
+            }
+        }
+        
+        if (chain.status !== STATES.COMPLETED && chain.status !== STATES.FAILED && allTxsFailed(chain)) {
+            this.transition(signalId, STATES.FAILED, 'referenced transactions dropped or reverted');
+            result.failed = true;
+        }
+        
+        await this.persistChain(signalId);
+        return result;
+    }
+    
+    // Open chains that never produced an event within the window
+    expireStale(now = Date.now()) {
+        const expired = [];
+        for (const [signalId, chain] of this.chains) {
+            if (isTerminal(chain.status) || chain.events.length > 0) continue;
+            if (now - chain.jam.attribution.timestamp < this.expireAfterMs) continue;
+            
+            this.transition(signalId, STATES.EXPIRED, `no events within ${this.expireAfterMs}ms`);
+            this.persistChain(signalId);
+            expired.push(signalId);
+        }
+        return expired;
+    }
+    
+    startExpiryTimer(intervalMs = 60000) {
+        if (this.expiryTimer) return;
+        this.expiryTimer = setInterval(() => this.expireStale(), intervalMs);
+        if (this.expiryTimer.unref) this.expiryTimer.unref();
+    }
+    
+    stopExpiryTimer() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
     // Persistence
+    // Journal the chain's current state; sync callers don't await but writes stay ordered
+    persistChain(signalId) {
+        const write = this.store.append('chain', signalId, this.chains.get(signalId))
+            .then(() => this.store.needsCompaction() ? this.saveToDatabase() : null);
+        write.catch(error => log.error('Journal write failed', { signalId, error }));
+        return write;
+    }
+
+    // Fold the journal into a fresh snapshot
     async saveToDatabase() {
-        const data = {
-            chains: Array.from(this.chains.entries()),
-            profits: Array.from(this.profits.entries()),
-            timestamp: Date.now()
-        };
-        
-        await fs.writeFile(this.dbPath, JSON.stringify(data, null, 2));
+        await this.store.compact(this);
     }
 
     async loadFromDatabase() {
-        try {
-            const data = await fs.readFile(this.dbPath, 'utf8');
-            const parsed = JSON.parse(data);
-            
-            this.chains = new Map(parsed.chains);
-            this.profits = new Map(parsed.profits);
-        } catch (e) {
+        const { chains, profits } = await this.store.load();
+        this.chains = chains;
+        this.profits = profits;
+        
+        if (chains.size === 0) {
             // Fresh start if no database
-            console.log('[*] Starting fresh attribution database');
+            log.info('Starting fresh attribution database');
         }
     }
 }
 
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// At least one tx referenced, and none of them still pending or confirmed
+function allTxsFailed(chain) {
+    const txEvents = chain.events.filter(event => event.txHash);
+    return txEvents.length > 0 &&
+        txEvents.every(event => event.txStatus === 'dropped' || event.txStatus === 'reverted');
+}
+
+function isTerminal(status) {
+    return status === STATES.EXPIRED || status === STATES.FAILED;
+}
+
 // Export for integration
 module.exports = CausalAttribution;
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.InvalidTransitionError = InvalidTransitionError;
 
 // Demo if run directly
 if (require.main === module) {
-    const attribution = new CausalAttribution();
+    // Demo writes to a scratch ledger, not causal-profits.*
+    const attribution = new CausalAttribution({ dir: os.tmpdir() });
     
     console.log('[*] Causal Attribution Engine initialized');
     console.log('[*] This tracks: Semantic Signal → JAM → Bot Response → Profit');
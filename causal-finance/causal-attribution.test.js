@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const CausalAttribution = require('./causal-attribution');
+const { tempDir } = require('./test-helpers');
+
+const { STATES, InvalidTransitionError } = CausalAttribution;
+
+function tagged(attribution) {
+    return attribution.tagJAM({ id: 'jam' }, { type: 'test', source: 'test', weight: 2 }).attribution.signalId;
+}
+
+test('causal attribution: settling liquidations', async t => {
+    const dir = tempDir('attribution-');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const attribution = new CausalAttribution({ dir });
+
+    await t.test('a reverted liquidation books only its gas and fails the chain', async () => {
+        const signalId = tagged(attribution);
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_REVERTED', txHash: '0xr', gasUsed: 300000, txStatus: 'reverted' });
+        await attribution.recordProfit(signalId, { txHash: '0xr', amountETH: 0.5, gasSpent: 0.01, type: 'AAVE_V3', status: 'reverted' });
+
+        const trace = attribution.getCausalTrace(signalId);
+        assert.strictEqual(trace.profit.status, STATES.FAILED);
+        assert.strictEqual(trace.profit.total, -0.01);
+        assert.strictEqual(attribution.profits.get('0xr').amountETH, 0);
+        assert.ok(!attribution.openChains().includes(signalId));
+    });
+
+    await t.test('a successful liquidation completes the chain', async () => {
+        const signalId = tagged(attribution);
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_EXECUTED', txHash: '0xs', gasUsed: 300000 });
+        await attribution.recordProfit(signalId, { txHash: '0xs', amountETH: 0.05, gasSpent: 0.01, status: 'success' });
+
+        assert.strictEqual(attribution.getCausalTrace(signalId).profit.status, STATES.COMPLETED);
+        assert.ok(Math.abs(attribution.profits.get('0xs').netProfit - 0.04) < 1e-12);
+    });
+
+    await t.test('a revert after a mined liquidation keeps the chain completed', async () => {
+        const signalId = tagged(attribution);
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_EXECUTED', txHash: '0xa', gasUsed: 1 });
+        await attribution.recordProfit(signalId, { txHash: '0xa', amountETH: 0.05, gasSpent: 0, status: 'success' });
+        await attribution.recordProfit(signalId, { txHash: '0xb', amountETH: 0, gasSpent: 0.01, status: 'reverted' });
+
+        const trace = attribution.getCausalTrace(signalId);
+        assert.strictEqual(trace.profit.status, STATES.COMPLETED);
+        assert.ok(Math.abs(trace.profit.total - 0.04) < 1e-12);
+    });
+
+    await t.test('a chain with a tx still pending does not fail on a revert', async () => {
+        const signalId = tagged(attribution);
+        attribution.recordEvent(signalId, { type: 'BOT_RESPONSE', txHash: '0xp', txStatus: 'pending' });
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_REVERTED', txHash: '0xc', txStatus: 'reverted' });
+        await attribution.recordProfit(signalId, { txHash: '0xc', amountETH: 0, gasSpent: 0.01, status: 'reverted' });
+
+        assert.strictEqual(attribution.getCausalTrace(signalId).profit.status, STATES.TRIGGERED);
+        assert.ok(attribution.openChains().includes(signalId));
+    });
+
+    await t.test('a liquidation that mines after a revert still books', async () => {
+        const signalId = tagged(attribution);
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_REVERTED', txHash: '0xd', txStatus: 'reverted' });
+        await attribution.recordProfit(signalId, { txHash: '0xd', amountETH: 0, gasSpent: 0.01, status: 'reverted' });
+        assert.strictEqual(attribution.chains.get(signalId).status, STATES.FAILED);
+        assert.throws(() => attribution.recordEvent(signalId, { type: 'BOT_RESPONSE', txHash: '0xq' }), InvalidTransitionError);
+
+        attribution.recordEvent(signalId, { type: 'LIQUIDATION_EXECUTED', txHash: '0xe', gasUsed: 1 });
+        await attribution.recordProfit(signalId, { txHash: '0xe', amountETH: 1, gasSpent: 0, status: 'success' });
+
+        const trace = attribution.getCausalTrace(signalId);
+        assert.strictEqual(trace.profit.status, STATES.COMPLETED);
+        assert.ok(Math.abs(trace.profit.total - 0.99) < 1e-12);
+        assert.strictEqual(attribution.profits.get('0xe').amountETH, 1);
+    });
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+// Commit-Reveal - Anchor an intent's hash now, publish its content later
+// commit(): sign the intent, journal the preimage (salt included) in .intents.jsonl, send the
+// 36-byte anchor and wait for it to mine. reveal(): publish the preimage as a reveal tx, or as a
+// signed reveal file under reveals/. Both tx hashes (or the file) are linked to the signal's
+// causal chain in CausalAttribution, so a trace shows the commitment and whether it came first.
+//
+//   INTENT_REVEAL   none (default, content stays private) | file | chain - what ETHExtractor does
+//                   once a signal's profit is booked
+
+const path = require('path');
+const fs = require('fs').promises;
+const eth = require('./ethers-compat');
+const Intent = require('./intent');
+const { writeAtomic } = require('./file-lock');
+const { createLogger } = require('./logger');
+
+const BASE_TX_GAS = 21000;
+const REVEAL_MODES = ['none', 'file', 'chain'];
+
+class CommitReveal {
+    // txManager sends the anchor/reveal txs (self-sends) from signer's address; attribution is optional.
+    // File reveals need neither.
+    constructor(txManager, signer, options = {}) {
+        this.txManager = txManager;
+        this.signer = signer;
+        this.attribution = options.attribution || null;
+        this.journal = options.journal; // intent.js default when undefined
+        this.revealDir = options.revealDir || path.join(__dirname, 'reveals');
+        this.log = createLogger('commit-reveal', signer ? { from: signer.address } : {});
+    }
+
+    async commit(intent, { signalId } = {}) {
+        const chainId = await this.txManager.getChainId();
+        const signed = await Intent.signIntent(intent, this.signer, chainId);
+        await Intent.saveIntent(signed, this.journal);
+
+        const data = Intent.encodeAnchor(signed.hash);
+        const receipt = await this.txManager.sendAndWait({
+            to: this.signer.address,
+            value: 0,
+            data,
+            gasLimit: BASE_TX_GAS + Intent.calldataGas(data)
+        }, { kind: 'intent', stage: 'commit', intentHash: signed.hash, signalId });
+
+        const commit = {
+            hash: signed.hash,
+            chainId: signed.chainId,
+            txHash: eth.getTxHash(receipt),
+            blockNumber: Number(receipt.blockNumber),
+            signalId: signalId || null
+        };
+        await Intent.recordIntent(signed.hash, {
+            signalId: commit.signalId,
+            commitTxHash: commit.txHash,
+            commitBlock: commit.blockNumber
+        }, this.journal);
+        if (this.attribution && signalId) this.attribution.recordCommit(signalId, commit);
+
+        this.log.info('Intent committed', { signalId, intentHash: signed.hash, txHash: commit.txHash });
+        return commit;
+    }
+
+    // mode 'chain' sends a reveal tx; 'file' writes the signed reveal to `file` (default reveals/<hash>.json)
+    async reveal(intentHash, { mode = 'file', file } = {}) {
+        const signed = await Intent.loadIntent(intentHash, this.journal);
+        const revealed = Intent.revealOf(signed, signed.commitTxHash);
+        let reveal;
+
+        if (mode === 'chain') {
+            if (!this.txManager) throw new Intent.IntentError('On-chain reveals need a transaction manager', 'USAGE');
+            const data = Intent.encodeReveal(signed, signed.commitTxHash);
+            const receipt = await this.txManager.sendAndWait({
+                to: this.signer.address,
+                value: 0,
+                data,
+                gasLimit: BASE_TX_GAS + Intent.calldataGas(data)
+            }, { kind: 'intent', stage: 'reveal', intentHash: signed.hash, signalId: signed.signalId || undefined });
+            reveal = { txHash: eth.getTxHash(receipt), blockNumber: Number(receipt.blockNumber) };
+            await Intent.recordIntent(signed.hash, { revealTxHash: reveal.txHash, revealBlock: reveal.blockNumber }, this.journal);
+        } else if (mode === 'file') {
+            reveal = { file: file || path.join(this.revealDir, `${signed.hash.toLowerCase()}.json`) };
+            await fs.mkdir(path.dirname(reveal.file), { recursive: true });
+            await writeAtomic(reveal.file, JSON.stringify(revealed, null, 2));
+            await Intent.recordIntent(signed.hash, { revealFile: reveal.file }, this.journal);
+        } else {
+            throw new Intent.IntentError(`Unknown reveal mode ${mode}`, 'USAGE');
+        }
+
+        if (this.attribution && signed.signalId) this.attribution.recordReveal(signed.signalId, reveal);
+        this.log.info('Intent revealed', { signalId: signed.signalId, intentHash: signed.hash, ...reveal });
+        return { ...reveal, hash: signed.hash, signalId: signed.signalId || null };
+    }
+}
+
+function revealMode(value = process.env.INTENT_REVEAL) {
+    const mode = (value || 'none').toLowerCase();
+    if (!REVEAL_MODES.includes(mode)) {
+        throw new Intent.IntentError(`INTENT_REVEAL must be one of ${REVEAL_MODES.join(', ')}`, 'MISSING_CONFIG');
+    }
+    return mode;
+}
+
+// A reveal file proves its commitment the same way a reveal tx does, minus the ordering check
+async function verifyRevealFile(file, provider) {
+    const revealed = await Intent.loadIntent(file);
+    return Intent.verifyIntent(revealed, revealed.commitTxHash, provider);
+}
+
+// File reveals need no key or RPC; checking a reveal tx reads INTENT_RPC / BASE_RPC
+if (require.main === module) {
+    const [command, target, out] = process.argv.slice(2);
+    const rpc = process.env.INTENT_RPC || process.env.BASE_RPC || 'https://mainnet.base.org';
+
+    const commands = {
+        reveal: async () => {
+            const committer = new CommitReveal(null, null);
+            const result = await committer.reveal(target, { mode: 'file', file: out });
+            console.log(`[REVEAL] ${result.hash} → ${result.file}`);
+        },
+        check: async () => {
+            const result = /^0x[0-9a-fA-F]{64}$/.test(target) ?
+                await Intent.verifyReveal(target, eth.getProvider(rpc)) :
+                await verifyRevealFile(target, eth.getProvider(rpc));
+            console.log(JSON.stringify(result, null, 2));
+            if (!result.valid) process.exitCode = 2;
+        }
+    };
+
+    if (!commands[command] || !target) {
+        console.error('Usage: node commit-reveal.js reveal <intentHash> [file] | check <revealTxHash|revealFile>');
+        process.exit(1);
+    }
+    commands[command]().catch(error => {
+        console.error(`[REVEAL] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = CommitReveal;
+module.exports.revealMode = revealMode;
+module.exports.verifyRevealFile = verifyRevealFile;
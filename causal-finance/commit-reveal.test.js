@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ETHERS, loadWith, tempDir } = require('./test-helpers');
+
+const KEY = '0x' + '11'.repeat(32);
+const OTHER_KEY = '0x' + '22'.repeat(32);
+const CHAIN_ID = 8453;
+
+// A chain that mines every sent tx into its own block; provider.send answers the three reads verification makes
+function fakeChain(eth) {
+    const txs = new Map();
+    let block = 100;
+    const mine = (from, data, { blockNumber = ++block } = {}) => {
+        const hash = eth.keccak256(eth.toUtf8Bytes(`${from}:${data}:${blockNumber}:${txs.size}`));
+        txs.set(hash, {
+            tx: { hash, from: from.toLowerCase(), input: data },
+            receipt: { transactionHash: hash, blockNumber: '0x' + blockNumber.toString(16), transactionIndex: '0x0', status: '0x1' }
+        });
+        return hash;
+    };
+    return {
+        mine,
+        // What CommitReveal sends through: self-sends from the signer
+        txManager: signer => ({
+            getChainId: async () => CHAIN_ID,
+            sendAndWait: async tx => {
+                const hash = mine(signer.address, tx.data);
+                return { transactionHash: hash, blockNumber: Number(txs.get(hash).receipt.blockNumber) };
+            }
+        }),
+        provider: {
+            send: async (method, params) => {
+                if (method === 'eth_chainId') return '0x' + CHAIN_ID.toString(16);
+                const entry = txs.get(params[0]);
+                if (method === 'eth_getTransactionByHash') return entry ? entry.tx : null;
+                if (method === 'eth_getTransactionReceipt') return entry ? entry.receipt : null;
+                throw new Error(`unexpected ${method}`);
+            }
+        }
+    };
+}
+
+for (const pkg of ETHERS) {
+    test(`commit-reveal on ${pkg}`, async t => {
+        const [eth, Intent, CommitReveal, CausalAttribution] = loadWith(pkg, 'ethers-compat', 'intent', 'commit-reveal', 'causal-attribution');
+        const dir = tempDir('commit-reveal-');
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        const wallet = eth.createWallet(KEY);
+        const other = eth.createWallet(OTHER_KEY);
+        const chain = fakeChain(eth);
+        fs.mkdirSync(path.join(dir, 'ledger'));
+        const attribution = new CausalAttribution({ dir: path.join(dir, 'ledger') });
+        const committer = new CommitReveal(chain.txManager(wallet), wallet, {
+            attribution,
+            journal: path.join(dir, 'intents.jsonl'),
+            revealDir: path.join(dir, 'reveals')
+        });
+        const intent = salt => Intent.createIntent('LIQUIDATE', { protocol: 'aave' }, { pattern: 'recursive' },
+            { issuedAt: 1760000000000, salt: '0x' + salt.repeat(32) });
+        const signalId = attribution.tagJAM({ id: 'jam' }, { type: 'test', source: 'test', weight: 2 }).attribution.signalId;
+
+        // Commit, then publish the reveal as a tx after it
+        const commit = await committer.commit(intent('01'), { signalId });
+        const signed = await Intent.loadIntent(commit.hash, committer.journal);
+        const revealTx = payload => chain.mine(wallet.address, payload);
+
+        await t.test('a reveal mined after its commit verifies', async () => {
+            const reveal = await committer.reveal(commit.hash, { mode: 'chain' });
+            const result = await Intent.verifyReveal(reveal.txHash, chain.provider);
+            assert.strictEqual(result.valid, true);
+            assert.deepStrictEqual(result.checks, {
+                hashMatches: true,
+                signatureValid: true,
+                chainMatches: true,
+                mined: true,
+                anchored: true,
+                sentBySigner: true,
+                revealMined: true,
+                revealAfterCommit: true
+            });
+            assert.strictEqual(result.commitTxHash, commit.txHash);
+            assert.strictEqual(result.signer, wallet.address);
+
+            const file = await committer.reveal(commit.hash, { mode: 'file' });
+            assert.strictEqual((await CommitReveal.verifyRevealFile(file.file, chain.provider)).valid, true);
+        });
+
+        await t.test('a reveal with a different salt does not match the anchored hash', async () => {
+            const tampered = { ...signed, intent: { ...signed.intent, salt: '0x' + '02'.repeat(32) } };
+            const result = await Intent.verifyReveal(revealTx(Intent.encodeReveal(tampered, commit.txHash)), chain.provider);
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.checks.hashMatches, false);
+            assert.strictEqual(result.checks.signatureValid, false);
+            assert.strictEqual(result.checks.anchored, false);
+        });
+
+        await t.test('a reveal signed by someone else is rejected', async () => {
+            // Their own valid signature over the same intent, but they did not send the commit
+            const resigned = await Intent.signIntent(signed.intent, other, CHAIN_ID);
+            const byOther = await Intent.verifyReveal(revealTx(Intent.encodeReveal(resigned, commit.txHash)), chain.provider);
+            assert.strictEqual(byOther.valid, false);
+            assert.strictEqual(byOther.checks.signatureValid, true);
+            assert.strictEqual(byOther.checks.sentBySigner, false);
+
+            // Claiming the committer's address with someone else's signature
+            const forged = { ...signed, signature: resigned.signature };
+            const claimed = await Intent.verifyReveal(revealTx(Intent.encodeReveal(forged, commit.txHash)), chain.provider);
+            assert.strictEqual(claimed.valid, false);
+            assert.strictEqual(claimed.checks.signatureValid, false);
+            assert.strictEqual(claimed.signer, other.address);
+        });
+
+        await t.test('a reveal without a matching commit is rejected', async () => {
+            // Points at a tx that anchors a different intent
+            const unrelated = await Intent.signIntent(intent('03'), wallet, CHAIN_ID);
+            const unanchored = await Intent.verifyReveal(revealTx(Intent.encodeReveal(unrelated, commit.txHash)), chain.provider);
+            assert.strictEqual(unanchored.valid, false);
+            assert.strictEqual(unanchored.checks.anchored, false);
+            assert.strictEqual(unanchored.checks.signatureValid, true);
+
+            // Points at no tx at all
+            const missing = '0x' + 'ee'.repeat(32);
+            await assert.rejects(Intent.verifyReveal(revealTx(Intent.encodeReveal(unrelated, missing)), chain.provider),
+                error => error instanceof Intent.IntentError && error.code === 'TX_NOT_FOUND');
+
+            // Mined before its commit
+            const early = chain.mine(wallet.address, Intent.encodeReveal(signed, commit.txHash), { blockNumber: commit.blockNumber - 1 });
+            const reordered = await Intent.verifyReveal(early, chain.provider);
+            assert.strictEqual(reordered.checks.anchored, true);
+            assert.strictEqual(reordered.checks.revealAfterCommit, false);
+            assert.strictEqual(reordered.valid, false);
+
+            await assert.rejects(Intent.verifyReveal(revealTx('0x1234'), chain.provider), error => error.code === 'NOT_A_REVEAL');
+        });
+
+        await t.test('the causal chain links commit and reveal and dates the commitment', () => {
+            const proof = attribution.getCausalTrace(signalId).intent;
+            assert.strictEqual(proof.hash, commit.hash);
+            assert.strictEqual(proof.commitTxHash, commit.txHash);
+            assert.strictEqual(proof.commitBlock, commit.blockNumber);
+            assert.ok(proof.revealTxHash);
+            assert.ok(proof.revealFile.endsWith(`${commit.hash.toLowerCase()}.json`));
+            assert.strictEqual(proof.revealed, true);
+            assert.strictEqual(proof.committedBeforeOutcomes, null);
+
+            attribution.recordEvent(signalId, { type: 'BOT_RESPONSE' });
+            assert.strictEqual(attribution.getCausalTrace(signalId).intent.committedBeforeOutcomes, true);
+            assert.strictEqual(attribution.findByIntent(commit.hash.toUpperCase().replace('0X', '0x')), signalId);
+
+            // Committed only after the chain had an outcome
+            const late = attribution.tagJAM({ id: 'late' }, { type: 'test', source: 'test', weight: 1 }).attribution.signalId;
+            attribution.recordEvent(late, { type: 'BOT_RESPONSE' });
+            attribution.recordCommit(late, { hash: '0x' + 'ab'.repeat(32), chainId: CHAIN_ID, txHash: '0x' + 'cd'.repeat(32), timestamp: Date.now() + 1000 });
+            const lateProof = attribution.getCausalTrace(late).intent;
+            assert.strictEqual(lateProof.revealed, false);
+            assert.strictEqual(lateProof.committedBeforeOutcomes, false);
+
+            // Nothing committed, nothing to reveal
+            const bare = attribution.tagJAM({ id: 'bare' }, { type: 'test', source: 'test', weight: 1 }).attribution.signalId;
+            assert.throws(() => attribution.recordReveal(bare, { txHash: '0x' + 'ef'.repeat(32) }), /has no committed intent/);
+            assert.strictEqual(attribution.getCausalTrace(bare).intent, null);
+        });
+    });
+}
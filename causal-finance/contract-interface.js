@@ -3,6 +3,8 @@
 // Contract Interface - Real protocol connections
 // Plug this into eth-extractor.js for mainnet
 
+const eth = require('./ethers-compat');
+
 const CONTRACTS = {
     // Aave V2 Mainnet
     aave: {
@@ -36,6 +38,15 @@ const CONTRACTS = {
                 { name: 'repayAmount', type: 'uint256' },
                 { name: 'cTokenCollateral', type: 'address' }
             ]
+        },
+        
+        // cETH takes the repay amount as msg.value instead of an argument
+        liquidateBorrowETH: {
+            name: 'liquidateBorrow',
+            inputs: [
+                { name: 'borrower', type: 'address' },
+                { name: 'cTokenCollateral', type: 'address' }
+            ]
         }
     },
     
@@ -61,8 +72,8 @@ const CONTRACTS = {
 const QUERIES = {
     // Find Aave positions near liquidation
     aavePositions: `
-        query AaveUsers($healthFactor: BigDecimal!) {
-            users(where: { healthFactor_lt: $healthFactor }) {
+        query AaveUsers($healthFactor: BigDecimal!, $first: Int = 100) {
+            users(first: $first, where: { healthFactor_lt: $healthFactor }) {
                 id
                 healthFactor
                 totalCollateralETH
@@ -70,8 +81,11 @@ const QUERIES = {
                 reserves {
                     currentATokenBalance
                     currentVariableDebt
+                    currentStableDebt
                     reserve {
                         symbol
+                        underlyingAsset
+                        decimals
                         liquidationThreshold
                     }
                 }
@@ -81,8 +95,8 @@ const QUERIES = {
     
     // Find Compound positions
     compoundPositions: `
-        query CompoundUsers($threshold: BigDecimal!) {
-            accounts(where: { health_lt: $threshold }) {
+        query CompoundUsers($threshold: BigDecimal!, $first: Int = 100) {
+            accounts(first: $first, where: { health_lt: $threshold }) {
                 id
                 health
                 totalBorrowValueInEth
@@ -91,6 +105,11 @@ const QUERIES = {
                     cTokenBalance
                     borrowBalanceUnderlying
                     symbol
+                    market {
+                        id
+                        underlyingAddress
+                        underlyingDecimals
+                    }
                 }
             }
         }
@@ -98,9 +117,10 @@ const QUERIES = {
     
     // MakerDAO CDPs near liquidation
     makerVaults: `
-        query MakerVaults($ratio: BigDecimal!) {
-            cdps(where: { collateralizationRatio_lt: $ratio }) {
+        query MakerVaults($ratio: BigDecimal!, $first: Int = 100) {
+            cdps(first: $first, where: { collateralizationRatio_lt: $ratio }) {
                 id
+                urn
                 collateralizationRatio
                 collateral
                 debt
@@ -113,10 +133,38 @@ const QUERIES = {
     `
 };
 
+// Typed error for anything that can't be turned into valid calldata
+class EncodingError extends Error {
+    constructor(message, field, value) {
+        super(message);
+        this.name = 'EncodingError';
+        this.code = 'INVALID_ARGUMENT';
+        this.field = field;
+        this.value = value;
+    }
+}
+
+const MAX_UINT256 = eth.MaxUint256;
+
+// Build human-readable ABI signatures straight from the CONTRACTS definitions
+function toSignature(definition, mutability = '') {
+    const args = definition.inputs.map(input => `${input.type} ${input.name}`).join(', ');
+    return `function ${definition.name}(${args})${mutability ? ' ' + mutability : ''}`;
+}
+
+const INTERFACES = {
+    aave: eth.createInterface([toSignature(CONTRACTS.aave.liquidationCall)]),
+    compound: eth.createInterface([toSignature(CONTRACTS.compound.liquidateBorrow)]),
+    compoundETH: eth.createInterface([toSignature(CONTRACTS.compound.liquidateBorrowETH, 'payable')]),
+    maker: eth.createInterface([toSignature(CONTRACTS.maker.bark)])
+};
+
 // Export for use in eth-extractor.js
 module.exports = {
     CONTRACTS,
     QUERIES,
+    INTERFACES,
+    EncodingError,
     
     // Helper to connect to real protocols
     async connectToProtocol(protocol, web3Provider) {
@@ -127,40 +175,208 @@ module.exports = {
     },
     
     // Helper to build liquidation transaction
-    buildLiquidationTx(protocol, params) {
-        switch(protocol) {
-            case 'aave':
-                return {
-                    to: CONTRACTS.aave.lendingPool,
-                    data: encodeLiquidationCall(params),
-                    value: 0
-                };
-            case 'compound':
-                return {
-                    to: params.cToken,
-                    data: encodeLiquidateBorrow(params),
-                    value: params.repayAmount // If liquidating ETH
-                };
-            case 'maker':
-                return {
-                    to: CONTRACTS.maker.dog,
-                    data: encodeBark(params),
-                    value: 0
-                };
+    buildLiquidationTx,
+    
+    // Exact liquidation transaction for a position-discovery target
+    buildTargetTx,
+    
+    // Inverse of buildLiquidationTx - recover protocol and params from a built tx
+    decodeLiquidationTx(tx) {
+        if (!tx || typeof tx.data !== 'string' || !eth.isHexString(tx.data) || tx.data.length < 10) {
+            throw new EncodingError('Transaction data is not valid calldata', 'data', tx && tx.data);
+        }
+        
+        const to = tx.to ? validateAddress('to', tx.to) : null;
+        const selector = tx.data.slice(0, 10).toLowerCase();
+        
+        for (const [key, iface] of Object.entries(INTERFACES)) {
+            const fragment = eth.getFunctionFragments(iface)[0];
+            if (eth.getFunctionSelector(iface, fragment.name) !== selector) continue;
+            
+            let decoded;
+            try {
+                decoded = iface.decodeFunctionData(fragment, tx.data);
+            } catch (error) {
+                throw new EncodingError(`Malformed ${fragment.name} calldata: ${error.message}`, 'data', tx.data);
+            }
+            
+            const params = {};
+            fragment.inputs.forEach((input, i) => {
+                params[input.name] = normalizeDecoded(input.type, decoded[i]);
+            });
+            
+            const protocol = key === 'compoundETH' ? 'compound' : key;
+            if (protocol === 'compound') {
+                params.cToken = to;
+                if (key === 'compoundETH') {
+                    params.repayAmount = eth.toBigInt(tx.value).toString();
+                }
+            }
+            
+            return {
+                protocol,
+                method: fragment.name,
+                to,
+                value: eth.toBigInt(tx.value).toString(),
+                params
+            };
         }
+        
+        throw new EncodingError(`Unknown function selector: ${selector}`, 'data', selector);
     }
 };
 
-// ABI encoding helpers (simplified)
+// Transaction builders
+function buildLiquidationTx(protocol, params = {}) {
+    switch(protocol) {
+        case 'aave':
+            return {
+                to: CONTRACTS.aave.lendingPool,
+                data: encodeLiquidationCall(params),
+                value: 0
+            };
+        case 'compound': {
+            const cToken = validateAddress('cToken', params.cToken);
+            const isETH = cToken === eth.getAddress(CONTRACTS.compound.cETH);
+            return {
+                to: cToken,
+                data: encodeLiquidateBorrow(params, isETH),
+                value: isETH ? validateAmount('repayAmount', params.repayAmount).toString() : 0
+            };
+        }
+        case 'maker':
+            return {
+                to: CONTRACTS.maker.dog,
+                data: encodeBark(params),
+                value: 0
+            };
+        default:
+            throw new EncodingError(`Unsupported protocol: ${protocol}`, 'protocol', protocol);
+    }
+}
+
+function buildTargetTx(target, keeper) {
+    switch (target.protocol) {
+        case 'aave':
+            return buildLiquidationTx('aave', {
+                collateralAsset: target.collateralAsset,
+                debtAsset: target.debtAsset,
+                user: target.user,
+                debtToCover: target.maxRepayableDebt,
+                receiveAToken: false // receive underlying, not aToken
+            });
+        case 'compound':
+            return buildLiquidationTx('compound', {
+                cToken: target.debtAsset, // cToken being repaid
+                borrower: target.user,
+                repayAmount: target.maxRepayableDebt,
+                cTokenCollateral: target.collateralAsset // cToken being seized
+            });
+        case 'maker':
+            return buildLiquidationTx('maker', {
+                ilk: target.collateralAsset,
+                urn: target.user,
+                kpr: keeper // keeper incentive recipient
+            });
+        default:
+            throw new EncodingError(`Unsupported protocol: ${target.protocol}`, 'protocol', target.protocol);
+    }
+}
+
+
+// ABI encoding helpers
 function encodeLiquidationCall(params) {
-    // In production: Use ethers.js or web3.js
-    return '0x...';
+    const receiveAToken = params.receiveAToken === undefined ? false : params.receiveAToken;
+    if (typeof receiveAToken !== 'boolean') {
+        throw new EncodingError('receiveAToken must be a boolean', 'receiveAToken', receiveAToken);
+    }
+    
+    return INTERFACES.aave.encodeFunctionData('liquidationCall', [
+        validateAddress('collateralAsset', params.collateralAsset),
+        validateAddress('debtAsset', params.debtAsset),
+        validateAddress('user', params.user),
+        validateAmount('debtToCover', params.debtToCover),
+        receiveAToken
+    ]);
 }
 
-function encodeLiquidateBorrow(params) {
-    return '0x...';
+function encodeLiquidateBorrow(params, isETH = false) {
+    const borrower = validateAddress('borrower', params.borrower);
+    const repayAmount = validateAmount('repayAmount', params.repayAmount);
+    const cTokenCollateral = validateAddress('cTokenCollateral', params.cTokenCollateral);
+    
+    if (isETH) {
+        return INTERFACES.compoundETH.encodeFunctionData('liquidateBorrow', [borrower, cTokenCollateral]);
+    }
+    return INTERFACES.compound.encodeFunctionData('liquidateBorrow', [borrower, repayAmount, cTokenCollateral]);
 }
 
 function encodeBark(params) {
-    return '0x...';
+    return INTERFACES.maker.encodeFunctionData('bark', [
+        validateIlk(params.ilk),
+        validateAddress('urn', params.urn),
+        validateAddress('kpr', params.kpr)
+    ]);
+}
+
+// Argument validation
+function validateAddress(field, value) {
+    if (typeof value !== 'string' || !eth.isAddress(value)) {
+        throw new EncodingError(`${field} must be a valid address`, field, value);
+    }
+    if (value === eth.ZeroAddress) {
+        throw new EncodingError(`${field} cannot be the zero address`, field, value);
+    }
+    return eth.getAddress(value);
+}
+
+// Amounts are raw base units: BigNumber, bigint, safe integer or integer string
+function validateAmount(field, value) {
+    let amount;
+    try {
+        if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+            throw new Error('unsafe number');
+        }
+        if (typeof value === 'string' && !/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) {
+            throw new Error('not an integer string');
+        }
+        amount = eth.toBigInt(value);
+    } catch (error) {
+        throw new EncodingError(`${field} must be an integer amount in base units`, field, value);
+    }
+    
+    if (amount <= 0n) {
+        throw new EncodingError(`${field} must be greater than zero`, field, value);
+    }
+    if (amount > MAX_UINT256) {
+        throw new EncodingError(`${field} exceeds uint256`, field, value);
+    }
+    return amount;
+}
+
+// Maker ilks are bytes32 - accept either the name ('ETH-A') or the raw hex
+function validateIlk(value) {
+    if (typeof value === 'string' && eth.isHexString(value, 32)) {
+        return value;
+    }
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new EncodingError('ilk must be a collateral type name or bytes32 hex', 'ilk', value);
+    }
+    try {
+        return eth.encodeBytes32String(value);
+    } catch (error) {
+        throw new EncodingError('ilk name is longer than 31 bytes', 'ilk', value);
+    }
+}
+
+function normalizeDecoded(type, value) {
+    if (type === 'uint256') return value.toString();
+    if (type === 'bytes32') {
+        try {
+            return eth.decodeBytes32String(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
 }
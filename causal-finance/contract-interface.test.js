@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith } = require('./test-helpers');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const CUSDC = '0x39AA39c021dfbaE8faC545936693aC917d5E7563';
+const USER = '0x00000000000000000000000000000000000000aa';
+const KEEPER = '0x00000000000000000000000000000000000000bb';
+
+for (const pkg of ETHERS) {
+    test(`contract interface on ${pkg}`, async t => {
+        const [eth, contracts] = loadWith(pkg, 'ethers-compat', 'contract-interface');
+        const { CONTRACTS, EncodingError, buildLiquidationTx, buildTargetTx, decodeLiquidationTx } = contracts;
+        const user = eth.getAddress(USER);
+        const keeper = eth.getAddress(KEEPER);
+
+        await t.test('aave liquidationCall round-trips', () => {
+            const tx = buildTargetTx({ protocol: 'aave', collateralAsset: WETH, debtAsset: USDC, user: USER, maxRepayableDebt: 1500000000n });
+            assert.strictEqual(tx.to, CONTRACTS.aave.lendingPool);
+            assert.strictEqual(tx.value, 0);
+
+            assert.deepStrictEqual(decodeLiquidationTx(tx), {
+                protocol: 'aave',
+                method: 'liquidationCall',
+                to: CONTRACTS.aave.lendingPool,
+                value: '0',
+                params: { collateralAsset: WETH, debtAsset: USDC, user, debtToCover: '1500000000', receiveAToken: false }
+            });
+        });
+
+        await t.test('compound liquidateBorrow round-trips, the cToken being the tx target', () => {
+            const tx = buildTargetTx({ protocol: 'compound', debtAsset: CUSDC, collateralAsset: CONTRACTS.compound.cETH, user: USER, maxRepayableDebt: '250000000' });
+            assert.strictEqual(tx.to, CUSDC);
+            assert.strictEqual(tx.value, 0);
+
+            assert.deepStrictEqual(decodeLiquidationTx(tx), {
+                protocol: 'compound',
+                method: 'liquidateBorrow',
+                to: CUSDC,
+                value: '0',
+                params: { borrower: user, repayAmount: '250000000', cTokenCollateral: CONTRACTS.compound.cETH, cToken: CUSDC }
+            });
+        });
+
+        await t.test('cETH liquidateBorrow is payable: the repay amount goes out as value', () => {
+            const tx = buildLiquidationTx('compound', { cToken: CONTRACTS.compound.cETH, borrower: USER, repayAmount: 10n ** 18n, cTokenCollateral: CUSDC });
+            assert.strictEqual(tx.to, CONTRACTS.compound.cETH);
+            assert.strictEqual(tx.value, '1000000000000000000');
+            // liquidateBorrow(address,address): selector plus two words, no amount argument
+            assert.strictEqual(tx.data.length, 2 + 8 + 2 * 64);
+
+            assert.deepStrictEqual(decodeLiquidationTx(tx), {
+                protocol: 'compound',
+                method: 'liquidateBorrow',
+                to: CONTRACTS.compound.cETH,
+                value: '1000000000000000000',
+                params: { borrower: user, cTokenCollateral: CUSDC, cToken: CONTRACTS.compound.cETH, repayAmount: '1000000000000000000' }
+            });
+        });
+
+        await t.test('maker bark round-trips an ilk name and raw bytes32', () => {
+            const tx = buildTargetTx({ protocol: 'maker', collateralAsset: 'ETH-A', user: USER }, KEEPER);
+            assert.strictEqual(tx.to, CONTRACTS.maker.dog);
+
+            assert.deepStrictEqual(decodeLiquidationTx(tx), {
+                protocol: 'maker',
+                method: 'bark',
+                to: CONTRACTS.maker.dog,
+                value: '0',
+                params: { ilk: 'ETH-A', urn: user, kpr: keeper }
+            });
+            const raw = buildLiquidationTx('maker', { ilk: eth.encodeBytes32String('ETH-A'), urn: USER, kpr: KEEPER });
+            assert.strictEqual(raw.data, tx.data);
+        });
+
+        await t.test('invalid addresses, amounts and ilks throw EncodingError', () => {
+            const rejects = (build, field) => assert.throws(build, error => {
+                assert.ok(error instanceof EncodingError);
+                assert.strictEqual(error.code, 'INVALID_ARGUMENT');
+                assert.strictEqual(error.field, field);
+                return true;
+            });
+            const aave = { collateralAsset: WETH, debtAsset: USDC, user: USER, debtToCover: 1n };
+
+            rejects(() => buildLiquidationTx('aave', { ...aave, user: '0x1234' }), 'user');
+            rejects(() => buildLiquidationTx('aave', { ...aave, debtAsset: eth.ZeroAddress }), 'debtAsset');
+            rejects(() => buildLiquidationTx('compound', { cToken: 'cUSDC', borrower: USER, repayAmount: 1n, cTokenCollateral: CUSDC }), 'cToken');
+
+            rejects(() => buildLiquidationTx('aave', { ...aave, debtToCover: 0 }), 'debtToCover');
+            rejects(() => buildLiquidationTx('aave', { ...aave, debtToCover: 1.5 }), 'debtToCover');
+            rejects(() => buildLiquidationTx('aave', { ...aave, debtToCover: '1e18' }), 'debtToCover');
+            rejects(() => buildLiquidationTx('aave', { ...aave, debtToCover: eth.MaxUint256 + 1n }), 'debtToCover');
+            rejects(() => buildLiquidationTx('compound', { cToken: CONTRACTS.compound.cETH, borrower: USER, repayAmount: -1n, cTokenCollateral: CUSDC }), 'repayAmount');
+
+            rejects(() => buildLiquidationTx('maker', { ilk: '', urn: USER, kpr: KEEPER }), 'ilk');
+            rejects(() => buildLiquidationTx('maker', { ilk: 'X'.repeat(32), urn: USER, kpr: KEEPER }), 'ilk');
+            rejects(() => buildLiquidationTx('maker', { ilk: 42, urn: USER, kpr: KEEPER }), 'ilk');
+
+            rejects(() => buildLiquidationTx('euler', {}), 'protocol');
+            rejects(() => decodeLiquidationTx({ to: USER, data: '0xdeadbeef' }), 'data');
+        });
+    });
+}
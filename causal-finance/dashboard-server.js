@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+// Attribution Dashboard - JSON API + static page over the attribution ledger
+// Reads the journaled store read-only, so it runs as its own process next to eth-extractor
+//
+//   GET /                    dashboard.html
+//   GET /dashboard           CausalAttribution.getDashboard()
+//   GET /analysis            CausalAttribution.analyzeSemanticYield()
+//   GET /trace/:signalId     CausalAttribution.getCausalTrace()
+//   GET /profits?since=&limit=   profit records since a ms timestamp or ISO date
+//   GET /metrics             Prometheus metrics for this process
+
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const CausalAttribution = require('./causal-attribution');
+const AttributionStore = require('./attribution-store');
+const metrics = require('./metrics');
+const Logger = require('./logger');
+
+const log = Logger.createLogger('dashboard');
+
+class DashboardServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : parseInt(process.env.DASHBOARD_PORT || '8791', 10);
+        this.host = options.host || process.env.DASHBOARD_HOST || '127.0.0.1';
+        this.dir = options.dir; // ledger directory, defaults to the store's
+        this.refreshMs = options.refreshMs !== undefined ? options.refreshMs : 2000;
+        this.pagePath = path.join(__dirname, 'dashboard.html');
+
+        this.attribution = null;
+        this.loadedAt = 0;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    // Re-read the ledger at most once per refresh window
+    async getAttribution() {
+        if (!this.attribution || Date.now() - this.loadedAt >= this.refreshMs) {
+            const attribution = new CausalAttribution({
+                store: new AttributionStore({ dir: this.dir, readOnly: true })
+            });
+            const { chains, profits } = await attribution.store.load();
+            attribution.chains = chains;
+            attribution.profits = profits;
+
+            this.attribution = attribution;
+            this.loadedAt = Date.now();
+        }
+        return this.attribution;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            return sendJSON(res, 405, { error: 'method not allowed' });
+        }
+
+        try {
+            if (url.pathname === '/' || url.pathname === '/index.html') {
+                const page = await fs.readFile(this.pagePath);
+                res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+                return res.end(page);
+            }
+            if (url.pathname === '/metrics') {
+                res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+                return res.end(metrics.registry.expose());
+            }
+
+            const attribution = await this.getAttribution();
+
+            if (url.pathname === '/dashboard') {
+                return sendJSON(res, 200, await attribution.getDashboard());
+            }
+            if (url.pathname === '/analysis') {
+                return sendJSON(res, 200, attribution.analyzeSemanticYield());
+            }
+            if (url.pathname.startsWith('/trace/')) {
+                const signalId = decodeURIComponent(url.pathname.slice('/trace/'.length));
+                const trace = attribution.getCausalTrace(signalId);
+                return trace ? sendJSON(res, 200, trace) : sendJSON(res, 404, { error: `Unknown signal ${signalId}` });
+            }
+            if (url.pathname === '/profits') {
+                const since = parseSince(url.searchParams.get('since'));
+                const limit = url.searchParams.get('limit');
+                if (since === null || (limit !== null && !/^\d+$/.test(limit))) {
+                    return sendJSON(res, 400, { error: 'since must be a ms timestamp or ISO date; limit an integer' });
+                }
+                return sendJSON(res, 200, attribution.getProfits({ since, limit: limit ? parseInt(limit, 10) : undefined }));
+            }
+
+            sendJSON(res, 404, { error: 'not found' });
+        } catch (error) {
+            log.error('Request failed', { url: req.url, error });
+            sendJSON(res, 500, { error: error.message });
+        }
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json', 'cache-control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function parseSince(value) {
+    if (value === null || value === '') return 0;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+module.exports = DashboardServer;
+
+if (require.main === module) {
+    Logger.redactConsole();
+    const port = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+    const dashboard = new DashboardServer({ port });
+
+    dashboard.listen()
+        .then(address => log.info(`Attribution dashboard on http://${address.address}:${address.port}`))
+        .catch(error => {
+            log.error('Dashboard failed to start', { error });
+            process.exit(1);
+        });
+}
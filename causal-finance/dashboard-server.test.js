@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const DashboardServer = require('./dashboard-server');
+const { tempDir } = require('./test-helpers');
+
+const T = Date.UTC(2026, 0, 1);
+
+// A ledger as eth-extractor leaves it: a snapshot with one completed and one fresh chain, and a
+// journal record after it that moves the fresh one along
+const chain = (type, weight, fields) => ({
+    origin: { type, source: 'test', weight },
+    jam: { id: 'jam', attribution: { signalId: 'x', semanticWeight: weight, sourceType: type, timestamp: T, causalAnchor: null, expectedCascade: weight * weight } },
+    events: [],
+    profit: 0,
+    status: 'BROADCASTED',
+    statusHistory: [],
+    ...fields
+});
+const COMPLETED = chain('parameterChange', 2, {
+    events: [{ timestamp: T + 1000, type: 'LIQUIDATION_EXECUTED', txHash: '0xa1', gasUsed: 300000, response: null, txStatus: 'confirmed' }],
+    profit: 0.375,
+    status: 'COMPLETED',
+    semanticROI: 25
+});
+const PROFITS = [
+    { signalId: 'SIG-a', txHash: '0xa0', amountETH: 0, gasSpent: 0.125, netProfit: -0.125, timestamp: T + 500, liquidationType: 'AAVE_V3', status: 'reverted' },
+    { signalId: 'SIG-a', txHash: '0xa1', amountETH: 0.625, gasSpent: 0.125, netProfit: 0.5, timestamp: T + 2000, liquidationType: 'AAVE_V3', status: 'success' }
+];
+
+function request(base, pathname, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request(base + pathname, { method }, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                type: res.headers['content-type'],
+                body: /json/.test(res.headers['content-type']) ? JSON.parse(body) : body
+            }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('dashboard server', async t => {
+    const dir = tempDir('dashboard-');
+    fs.writeFileSync(path.join(dir, 'causal-profits.snapshot.json'), JSON.stringify({
+        schemaVersion: 2,
+        seq: 1,
+        chains: [['SIG-a', COMPLETED], ['SIG-b', chain('oracleUpdate', 1)]],
+        profits: PROFITS.map(p => [p.txHash, p]),
+        timestamp: T + 3000
+    }));
+    fs.writeFileSync(path.join(dir, 'causal-profits.journal.jsonl'), JSON.stringify({
+        v: 2, seq: 2, op: 'chain', id: 'SIG-b', ts: T + 4000,
+        value: chain('oracleUpdate', 1, { status: 'TRIGGERED', events: [{ timestamp: T + 4000, type: 'BOT_RESPONSE', txHash: null, gasUsed: 0, response: null, txStatus: null }] })
+    }) + '\n');
+    const files = fs.readdirSync(dir).sort();
+
+    const dashboard = new DashboardServer({ port: 0, dir, refreshMs: 0 });
+    const { port } = await dashboard.listen();
+    const base = `http://127.0.0.1:${port}`;
+    t.after(async () => {
+        await dashboard.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await t.test('/ serves the page', async () => {
+        const { status, type, body } = await request(base, '/');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(type, 'text/html; charset=utf-8');
+        assert.match(body, /<html/i);
+    });
+
+    await t.test('/dashboard summarizes snapshot and journal', async () => {
+        const { status, type, body } = await request(base, '/dashboard');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(type, 'application/json');
+        assert.deepStrictEqual(Object.keys(body), ['summary', 'semanticAnalysis', 'recentProfits', 'timestamp']);
+        assert.deepStrictEqual(body.summary, {
+            totalSignals: 2,
+            completedSignals: 1,
+            successRate: 50,
+            totalProfitETH: 0.375,
+            avgProfitPerSignal: 0.1875
+        });
+        assert.deepStrictEqual(body.recentProfits.map(p => p.txHash), ['0xa1', '0xa0']);
+        assert.strictEqual(typeof body.timestamp, 'number');
+    });
+
+    await t.test('/analysis groups chains by signal type', async () => {
+        const { status, body } = await request(base, '/analysis');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, {
+            parameterChange: { count: 1, totalProfit: 0.375, avgROI: 0, successRate: 100, avgProfit: 0.375 },
+            oracleUpdate: { count: 1, totalProfit: 0, avgROI: 0, successRate: 0, avgProfit: 0 }
+        });
+    });
+
+    await t.test('/trace/:signalId returns the chain, 404 for an unknown one', async () => {
+        const { status, body } = await request(base, '/trace/SIG-a');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, {
+            signalId: 'SIG-a',
+            origin: { type: 'parameterChange', weight: 2, timestamp: T },
+            jamBroadcast: { timestamp: T, expectedCascade: 4 },
+            intent: null,
+            events: COMPLETED.events,
+            profit: { total: 0.375, roi: 25, status: 'COMPLETED' },
+            timeline: { signalToEvent: 1000, totalDuration: 1000, eventCount: 1 }
+        });
+        assert.strictEqual((await request(base, '/trace/SIG-b')).body.profit.status, 'TRIGGERED');
+
+        const missing = await request(base, '/trace/SIG-%3Cnone%3E');
+        assert.strictEqual(missing.status, 404);
+        assert.deepStrictEqual(missing.body, { error: 'Unknown signal SIG-<none>' });
+    });
+
+    await t.test('/profits filters by since and keeps the latest `limit`', async () => {
+        const txHashes = async query => {
+            const { status, body } = await request(base, `/profits${query}`);
+            assert.strictEqual(status, 200);
+            return body.map(p => p.txHash);
+        };
+        assert.deepStrictEqual(await txHashes(''), ['0xa0', '0xa1']);
+        assert.deepStrictEqual(await txHashes(`?since=${T + 1000}`), ['0xa1']);
+        assert.deepStrictEqual(await txHashes(`?since=${new Date(T).toISOString()}`), ['0xa0', '0xa1']);
+        assert.deepStrictEqual(await txHashes('?limit=1'), ['0xa1']);
+        assert.deepStrictEqual((await request(base, '/profits?since=0&limit=1')).body, [PROFITS[1]]);
+
+        for (const query of ['?since=yesterday', '?limit=-1', '?limit=ten']) {
+            const { status, body } = await request(base, `/profits${query}`);
+            assert.strictEqual(status, 400, query);
+            assert.match(body.error, /since must be/);
+        }
+    });
+
+    await t.test('other paths and methods are refused; the ledger is never written', async () => {
+        const missing = await request(base, '/nope');
+        assert.deepStrictEqual([missing.status, missing.body], [404, { error: 'not found' }]);
+        const posted = await request(base, '/dashboard', 'POST');
+        assert.deepStrictEqual([posted.status, posted.body], [405, { error: 'method not allowed' }]);
+
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), files);
+    });
+});
@@ -1,3 +1,38 @@
+// Spending limits are read by every broadcasting process from one shared state dir
+const RISK_ENV = {
+  RISK_PROCESS_DAILY_GAS_ETH: process.env.RISK_PROCESS_DAILY_GAS_ETH,
+  RISK_GLOBAL_DAILY_GAS_ETH: process.env.RISK_GLOBAL_DAILY_GAS_ETH,
+  RISK_MAX_TX_PER_MINUTE: process.env.RISK_MAX_TX_PER_MINUTE,
+  RISK_MAX_VALUE_AT_RISK_ETH: process.env.RISK_MAX_VALUE_AT_RISK_ETH
+};
+
+// JSON log lines with secrets redacted; LOG_FORMAT=text for humans
+const LOG_ENV = {
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  LOG_FORMAT: process.env.LOG_FORMAT || 'json'
+};
+
+// Alert sinks and rules, shared so every process notifies the same places (see alert-manager.js)
+const ALERT_ENV = {
+  ALERT_WEBHOOK_URLS: process.env.ALERT_WEBHOOK_URLS,
+  ALERT_WEBHOOK_TOKEN: process.env.ALERT_WEBHOOK_TOKEN,
+  ALERT_SMTP_URL: process.env.ALERT_SMTP_URL,
+  ALERT_SMTP_INSECURE_AUTH: process.env.ALERT_SMTP_INSECURE_AUTH,
+  ALERT_EMAIL_FROM: process.env.ALERT_EMAIL_FROM,
+  ALERT_EMAIL_TO: process.env.ALERT_EMAIL_TO,
+  ALERT_RULES: process.env.ALERT_RULES,
+  ALERT_COOLDOWN_S: process.env.ALERT_COOLDOWN_S,
+  ALERT_WINDOW_S: process.env.ALERT_WINDOW_S,
+  ALERT_TX_FAILURES: process.env.ALERT_TX_FAILURES,
+  ALERT_RPC_ERRORS: process.env.ALERT_RPC_ERRORS
+};
+
+// Each process serves Prometheus metrics on its own port at /metrics
+const metricsEnv = port => ({
+  METRICS_PORT: port,
+  METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1'
+});
+
 module.exports = {
   apps: [
     {
@@ -10,9 +45,19 @@ module.exports = {
       max_memory_restart: '1G',
       env: {
         NODE_ENV: 'production',
+        ...LOG_ENV,
+        ...ALERT_ENV,
         BASE_RPC: process.env.BASE_RPC || 'https://mainnet.base.org',
-        PRIVATE_KEY: process.env.PRIVATE_KEY,
-        SEMANTIC_SEED: 'causal-finance-2024'
+        SEMANTIC_SEED: process.env.SEMANTIC_SEED, // BIP-39 mnemonic; unset to use the keystore
+        SEMANTIC_HD_PATH: process.env.SEMANTIC_HD_PATH,
+        KEYSTORE_PASSWORD_FILE: process.env.KEYSTORE_PASSWORD_FILE,
+        CASCADE_WATCH: process.env.CASCADE_WATCH, // bot / pool addresses whose txs count as responses
+        CASCADE_WINDOW_MS: process.env.CASCADE_WINDOW_MS,
+        SIGNAL_HISTORY_MAX: process.env.SIGNAL_HISTORY_MAX,
+        SIGNAL_HISTORY_DAYS: process.env.SIGNAL_HISTORY_DAYS,
+        SIGNAL_HALF_LIFE_HOURS: process.env.SIGNAL_HALF_LIFE_HOURS, // outcomes count half after this long
+        ...RISK_ENV,
+        ...metricsEnv(9464)
       },
       error_file: './logs/semantic-daemon-error.log',
       out_file: './logs/semantic-daemon-out.log',
@@ -28,9 +73,18 @@ module.exports = {
       max_memory_restart: '1G',
       env: {
         NODE_ENV: 'production',
+        ...LOG_ENV,
+        ...ALERT_ENV,
         PRIVATE_KEY: process.env.PRIVATE_KEY,
+        SIGNER_URL: process.env.SIGNER_URL, // remote signer instead of PRIVATE_KEY
+        SIGNER_ADDRESS: process.env.SIGNER_ADDRESS,
         ETH_RPC: process.env.ETH_RPC || 'https://eth-mainnet.g.alchemy.com/v2/demo',
-        SEMANTIC_BROADCASTER: '0x' + '1'.repeat(40)
+        SEMANTIC_BROADCASTER: '0x' + '1'.repeat(40),
+        DRY_RUN: process.env.DRY_RUN,
+        MIN_PROFIT_ETH: process.env.MIN_PROFIT_ETH,
+        INTENT_REVEAL: process.env.INTENT_REVEAL, // none | file | chain, once a signal's profit is booked
+        ...RISK_ENV,
+        ...metricsEnv(9465)
       },
       error_file: './logs/eth-extractor-error.log',
       out_file: './logs/eth-extractor-out.log',
@@ -46,7 +100,15 @@ module.exports = {
       max_memory_restart: '1G',
       env: {
         NODE_ENV: 'production',
-        PRIVATE_KEY: process.env.PRIVATE_KEY
+        ...LOG_ENV,
+        ...ALERT_ENV,
+        PRIVATE_KEY: process.env.PRIVATE_KEY,
+        SIGNER_URL: process.env.SIGNER_URL,
+        SIGNER_ADDRESS: process.env.SIGNER_ADDRESS,
+        DRY_RUN: process.env.DRY_RUN,
+        MIN_PROFIT_ETH: process.env.MIN_PROFIT_ETH,
+        ...RISK_ENV,
+        ...metricsEnv(9466)
       },
       error_file: './logs/l2-liquidator-error.log',
       out_file: './logs/l2-liquidator-out.log',
@@ -61,7 +123,10 @@ module.exports = {
       watch: false,
       max_memory_restart: '500M',
       env: {
-        NODE_ENV: 'production'
+        NODE_ENV: 'production',
+        ...LOG_ENV,
+        ...ALERT_ENV,
+        ...metricsEnv(9467)
       },
       error_file: './logs/recursive-loop-error.log',
       out_file: './logs/recursive-loop-out.log',
@@ -76,7 +141,10 @@ module.exports = {
       watch: false,
       max_memory_restart: '500M',
       env: {
-        NODE_ENV: 'production'
+        NODE_ENV: 'production',
+        ...LOG_ENV,
+        ...ALERT_ENV,
+        ...metricsEnv(9468)
       },
       error_file: './logs/yield-extractor-error.log',
       out_file: './logs/yield-extractor-out.log',
@@ -93,11 +161,41 @@ module.exports = {
       cron_restart: '*/5 * * * *', // Check balance every 5 minutes
       env: {
         NODE_ENV: 'production',
-        PRIVATE_KEY: process.env.PRIVATE_KEY
+        ...LOG_ENV,
+        ...ALERT_ENV,
+        WATCH_ADDRESS: process.env.WATCH_ADDRESS || process.env.SIGNER_ADDRESS, // no key needed to read balances
+        PRIVATE_KEY: process.env.WATCH_ADDRESS || process.env.SIGNER_ADDRESS ? undefined : process.env.PRIVATE_KEY,
+        ETH_RPC: process.env.ETH_RPC,
+        PRICE_SOURCES: process.env.PRICE_SOURCES, // chainlink,aave by default
+        PRICE_MAX_AGE_S: process.env.PRICE_MAX_AGE_S,
+        BALANCE_TOKENS: process.env.BALANCE_TOKENS, // JSON token lists per chain, defaults in token-balances.js
+        WATCH_WALLETS: process.env.WATCH_WALLETS, // label=address[@chain+chain],... on top of the process keystores
+        MIN_BALANCE_ETH: process.env.MIN_BALANCE_ETH, // chain=ETH,... (default ethereum=0.05,base=0.001)
+        REPORT_WINDOW_HOURS: process.env.REPORT_WINDOW_HOURS, // P&L window logged after each check (default 24)
+        ...metricsEnv(9469)
       },
       error_file: './logs/balance-monitor-error.log',
       out_file: './logs/balance-monitor-out.log',
       log_date_format: 'YYYY-MM-DD HH:mm:ss Z'
+    },
+    {
+      // Attribution dashboard - read-only JSON API + page over the ledger
+      name: 'dashboard',
+      script: './dashboard-server.js',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '300M',
+      env: {
+        NODE_ENV: 'production',
+        ...LOG_ENV,
+        ...ALERT_ENV,
+        DASHBOARD_PORT: process.env.DASHBOARD_PORT || 8791, // /metrics is served on the same port
+        DASHBOARD_HOST: process.env.DASHBOARD_HOST || '127.0.0.1'
+      },
+      error_file: './logs/dashboard-error.log',
+      out_file: './logs/dashboard-out.log',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss Z'
     }
   ],
 
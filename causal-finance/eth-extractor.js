@@ -4,14 +4,31 @@
 // The closed loop daemon that prints money
 
 const SemanticScorer = require('./semantic-weight');
-const { ethers } = require('ethers');
+const PositionDiscovery = require('./position-discovery');
+const ProfitabilityGate = require('./profitability-gate');
+const { logDecision } = require('./profitability-gate');
+const { isDryRun, logSimulation } = require('./simulator');
+const RealizedPnL = require('./realized-pnl');
+const CausalAttribution = require('./causal-attribution');
+const Intent = require('./intent');
+const CommitReveal = require('./commit-reveal');
+const TransactionManager = require('./tx-manager');
+const { createSigner, isReadOnly } = require('./signers');
+const RiskGuard = require('./risk-guard');
+const AlertManager = require('./alert-manager');
+const metrics = require('./metrics');
+const Logger = require('./logger');
+const { RiskLimitError } = RiskGuard;
+const eth = require('./ethers-compat');
 
 class ETHExtractor {
-    constructor() {
+    constructor(options = {}) {
         this.scorer = new SemanticScorer();
+        this.dryRun = isDryRun(options.dryRun); // simulate only, never broadcast
         this.profits = 0;
         this.signalsBroadcast = 0;
         this.baseGasPrice = 0.000001; // Base L2 gas ~$0.001 per tx
+        this.log = Logger.createLogger('eth-extractor');
         
         // Base L2 configuration for semantic broadcasting
         this.baseL2 = {
@@ -23,43 +40,78 @@ class ETHExtractor {
         };
         
         // Initialize providers and wallets
-        this.baseProvider = new ethers.providers.JsonRpcProvider(this.baseL2.rpc);
-        this.mainnetProvider = new ethers.providers.JsonRpcProvider(process.env.ETH_RPC || 'https://eth-mainnet.g.alchemy.com/v2/demo');
+        this.baseProvider = eth.getProvider(this.baseL2.rpc);
+        this.mainnetProvider = eth.getProvider(process.env.ETH_RPC || 'https://eth-mainnet.g.alchemy.com/v2/demo');
         
-        // Wallet for transactions (must be funded on Base L2 and mainnet)
-        if (process.env.PRIVATE_KEY) {
-            this.baseWallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.baseProvider);
-            this.mainnetWallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.mainnetProvider);
+        // Gas budgets, tx rate and kill switch shared with every other broadcasting process
+        this.guard = RiskGuard.forProcess();
+        
+        // Signer for transactions (must be funded on Base L2 and mainnet) - local key, remote or watch-only
+        this.signer = createSigner();
+        if (!isReadOnly(this.signer)) {
+            this.baseWallet = this.signer.connect(this.baseProvider);
+            this.mainnetWallet = this.signer.connect(this.mainnetProvider);
+            
+            // Nonces and fees are owned by the shared manager, not each sendTransaction call
+            this.baseTxManager = TransactionManager.forWallet(this.baseWallet, { guard: this.guard });
+            this.mainnetTxManager = TransactionManager.forWallet(this.mainnetWallet, { guard: this.guard });
         }
         
         // Protocol configurations (mainnet addresses)
         this.protocols = {
             aave: {
                 lendingPool: '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9',
-                liquidationBonus: 0.05, // 5% bonus
                 oracle: '0xA50ba011c48153De246E5192C8f9258A2ba79Ca9'
             },
             compound: {
                 comptroller: '0x3d9819210A31b4961b30EF54bE2aeD79B9c9Cd3B',
-                liquidationIncentive: 0.08, // 8% bonus
                 oracle: '0x50ce56A3239671Ab62f185704Caedf626352741e'
             },
             maker: {
                 cat: '0x78F2c2AF65126834c51822F56Be0d7469D7A523E',
-                liquidationPenalty: 0.13, // 13% penalty (profit)
                 osm: '0x81FE72B5A8d1A857d176C3E7d5Bd2679A9B85763'
             }
         };
+        
+        // Subgraph endpoints come from AAVE_SUBGRAPH / COMPOUND_SUBGRAPH / MAKER_SUBGRAPH;
+        // without one, Aave falls back to reading AAVE_CANDIDATES from the lending pool
+        this.discovery = new PositionDiscovery({
+            provider: this.mainnetProvider,
+            candidates: (process.env.AAVE_CANDIDATES || '').split(',').filter(Boolean)
+        });
+        
+        // Realized profit comes from receipts, priced through the Aave oracle
+        this.pnl = new RealizedPnL(this.mainnetProvider, { oracle: this.protocols.aave.oracle });
+        this.attribution = new CausalAttribution();
+        
+        // Each acted-on signal commits its intent hash on Base before any liquidation goes out;
+        // INTENT_REVEAL decides whether the content is published once profit is booked
+        this.revealMode = CommitReveal.revealMode();
+        this.intents = this.baseTxManager ?
+            new CommitReveal(this.baseTxManager, this.baseWallet, { attribution: this.attribution }) : null;
+        
+        // Bonus / incentive / close factor are read live per reserve - nothing hard-coded
+        this.gate = new ProfitabilityGate(this.mainnetProvider, { minProfitETH: options.minProfitETH });
     }
     
     // Main daemon loop
     async runDaemon() {
-        console.log('[*] ETH Extraction Daemon Starting...');
-        console.log('[*] Converting semantic weight to real ETH');
-        console.log('[*] Broadcasting infinite semantic signals on Base L2\n');
+        this.log.info('ETH extraction daemon starting', { dryRun: this.dryRun });
+        
+        // Pick up open causal chains from the last run and book any liquidation that mined unrecorded
+        await this.attribution.rehydrate({
+            provider: this.mainnetProvider,
+            recoverProfit: async txHash =>
+                RealizedPnL.toProfitRecord(await this.pnl.fromTxHash(txHash, this.senderAddress()))
+        });
+        this.attribution.startExpiryTimer();
         
-        // Start the infinite broadcaster in parallel
-        this.startInfiniteBroadcaster();
+        // Start the infinite broadcaster in parallel (sends real txs, so not in dry-run or watch-only)
+        if (this.canSend()) {
+            this.startInfiniteBroadcaster();
+        } else if (!this.dryRun) {
+            this.log.warn('No signing key configured: simulating liquidations, not broadcasting');
+        }
         
         while (true) {
             // Step 1: Get semantic signal
@@ -67,20 +119,36 @@ class ETHExtractor {
             
             // Step 2: Check if worth acting on
             if (signal.semanticWeight >= 8) {
-                console.log(`[!] HIGH SEMANTIC SIGNAL: ${signal.type}`);
-                
                 // Step 3: Find liquidatable positions
                 const targets = await this.findTargets(signal);
                 
+                // Tag the signal so every liquidation it drives is attributed to it
+                const jam = this.attribution.tagJAM(
+                    { type: 'LIQUIDATION_SIGNAL', protocol: signal.protocol },
+                    { type: signal.eventType, weight: signal.semanticWeight, source: signal.type }
+                );
+                const signalLog = this.log.child({ signalId: jam.attribution.signalId });
+                signalLog.info('High semantic signal', {
+                    type: signal.type,
+                    protocol: signal.protocol,
+                    weight: signal.semanticWeight,
+                    targets: targets.length
+                });
+                if (targets.length > 0) {
+                    await this.commitIntent(signal, jam.attribution.signalId, signalLog);
+                }
+                
                 // Step 4: Execute liquidations
                 for (const target of targets) {
-                    const profit = await this.liquidate(target);
+                    const profit = await this.liquidate(target, jam.attribution.signalId);
                     this.profits += profit;
                     
-                    console.log(`[+] Liquidated: ${target.address}`);
-                    console.log(`    Protocol: ${target.protocol}`);
-                    console.log(`    Profit: ${profit} ETH`);
-                    console.log(`    Total Profits: ${this.profits.toFixed(4)} ETH\n`);
+                    signalLog.info(this.canSend() ? 'Liquidated' : 'Simulated liquidation', {
+                        user: target.user,
+                        protocol: target.protocol,
+                        profitETH: profit,
+                        totalProfitETH: this.profits
+                    });
                 }
             }
             
@@ -107,100 +175,161 @@ class ETHExtractor {
         };
     }
     
-    // Find positions that will be liquidatable
-    async findTargets(signal) {
-        // In production: Query the graph or scan chain
-        // Here: Simulate finding weak positions
+    // Anchor the signal's intent so the ledger can show it was committed before its outcomes.
+    // A failed commit (kill switch, budget, no Base balance) doesn't hold up the liquidations.
+    async commitIntent(signal, signalId, log) {
+        if (this.dryRun || !this.intents) return null;
         
-        const targets = [];
-        const numTargets = Math.floor(signal.cascadePotential / 10);
+        const intent = Intent.createIntent(toAction(signal.eventType), {
+            protocol: signal.protocol,
+            source: signal.type,
+            weight: signal.semanticWeight
+        }, { signalId, pattern: 'recursive' });
+        try {
+            return await this.intents.commit(intent, { signalId });
+        } catch (error) {
+            log.warn('Intent not committed', { error });
+            return null;
+        }
+    }
+    
+    // Publish the signal's intent after its first booked profit, if INTENT_REVEAL asks for it
+    async revealIntent(signalId) {
+        const chain = this.attribution.chains.get(signalId);
+        if (this.revealMode === 'none' || !this.intents || !chain || !chain.intent || chain.intent.revealedAt) return;
         
-        for (let i = 0; i < numTargets; i++) {
-            targets.push({
-                address: '0x' + Math.random().toString(16).substr(2, 40),
-                protocol: signal.protocol === 'all' ? 
-                    ['aave', 'compound', 'maker'][i % 3] : signal.protocol,
-                healthFactor: 1.0 + Math.random() * 0.05, // Just above liquidation
-                collateral: Math.random() * 100 // ETH amount
-            });
+        try {
+            await this.intents.reveal(chain.intent.hash, { mode: this.revealMode });
+        } catch (error) {
+            this.log.warn('Intent not revealed', { signalId, intentHash: chain.intent.hash, error });
         }
+    }
+    
+    // Find positions that are liquidatable right now
+    async findTargets(signal) {
+        const protocols = signal.protocol === 'all' ?
+            ['aave', 'compound', 'maker'] : [signal.protocol];
+        
+        // Higher cascade potential widens how many positions we act on
+        const maxTargets = Math.max(1, Math.floor(signal.cascadePotential / 10));
+        const targets = await this.discovery.findTargets(protocols);
         
-        return targets;
+        return targets.slice(0, maxTargets);
     }
     
     // Execute the liquidation
-    async liquidate(target) {
-        const protocol = this.protocols[target.protocol];
-        const bonus = protocol.liquidationBonus || protocol.liquidationIncentive || protocol.liquidationPenalty;
+    async liquidate(target, signalId) {
+        const tag = `[${target.protocol.toUpperCase()}]`;
+        const log = this.log.child({ signalId, chain: 'ethereum', protocol: target.protocol, user: target.user });
         
-        // Calculate profit from liquidation
-        const liquidationAmount = target.collateral * 0.5; // Can liquidate 50%
-        const profit = liquidationAmount * bonus;
-
         try {
-            let tx;
-            let receipt;
-
-            if (target.protocol === 'aave') {
-                // Aave V2 liquidation
-                const lendingPoolAbi = [
-                    "function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken) external"
-                ];
-                const lendingPool = new ethers.Contract(protocol.lendingPool, lendingPoolAbi, this.mainnetWallet);
-                
-                tx = await lendingPool.liquidationCall(
-                    target.collateralAsset || '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-                    target.debtAsset || '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
-                    target.address,
-                    ethers.utils.parseUnits(liquidationAmount.toString(), 18),
-                    false // receive underlying, not aToken
-                );
-                receipt = await tx.wait();
-                console.log(`[AAVE] Liquidation TX: ${receipt.transactionHash}`);
-                
-            } else if (target.protocol === 'compound') {
-                // Compound V2 liquidation
-                const cTokenAbi = [
-                    "function liquidateBorrow(address borrower, uint repayAmount, address cTokenCollateral) external returns (uint)"
-                ];
-                const cToken = new ethers.Contract(
-                    target.cTokenBorrow || '0x5d3a536E4D6DbD6114cc1Ead35777bAB948E3643', // cDAI
-                    cTokenAbi, 
-                    this.mainnetWallet
-                );
-                
-                tx = await cToken.liquidateBorrow(
-                    target.address,
-                    ethers.utils.parseUnits(liquidationAmount.toString(), 18),
-                    target.cTokenCollateral || '0x4Ddc2D193948926D02f9B1fE9e1daa0718270ED5' // cETH
-                );
-                receipt = await tx.wait();
-                console.log(`[COMPOUND] Liquidation TX: ${receipt.transactionHash}`);
-                
-            } else if (target.protocol === 'maker') {
-                // MakerDAO liquidation (simplified)
-                console.log(`[MAKER] Would execute bite() on urn ${target.address}`);
-                // Complex CDP liquidation flow omitted for brevity
-                await this.sleep(100);
+            // Live bonus, close factor, prices and simulated gas decide whether this is worth sending
+            const decision = await this.gate.evaluate(target, { from: this.senderAddress() });
+            logDecision(`${tag} ${target.user}`, decision, log);
+            
+            if (!this.canSend()) {
+                if (decision.simulation) {
+                    logSimulation(`${tag} liquidation of ${target.user}`, decision.simulation, decision.expectedProfitETH, log);
+                }
+                return decision.profitable ? decision.expectedProfitETH : 0;
             }
+            if (!decision.profitable) {
+                return 0;
+            }
+            
+            // First liquidation repaying this debt token: approve the protocol to pull it
+            if (decision.approval) {
+                await this.mainnetTxManager.sendAndWait(decision.approval, { kind: 'approval', protocol: target.protocol, signalId });
+            }
+            
+            metrics.liquidationsAttempted.inc({ chain: 'ethereum', protocol: target.protocol });
+            const receipt = await this.mainnetTxManager.sendAndWait(decision.tx, {
+                kind: 'liquidation',
+                protocol: target.protocol,
+                signalId,
+                valueAtRiskETH: decision.quote.repayValueETH || 0
+            });
+            log.info('Liquidation mined', { txHash: eth.getTxHash(receipt) });
+            metrics.liquidationsSucceeded.inc({ chain: 'ethereum', protocol: target.protocol });
 
-            return profit;
+            // The liquidation went through; a booking error must not be reported as a failed one
+            return await this.settle(eth.getTxHash(receipt), signalId, target.protocol).catch(error => {
+                log.error('Realized P&L not booked', { txHash: eth.getTxHash(receipt), error });
+                return 0;
+            });
             
         } catch (error) {
-            console.error(`[ERROR] Liquidation failed: ${error.message}`);
+            log.error('Liquidation failed', {
+                txHash: error.receipt ? eth.getTxHash(error.receipt) : undefined,
+                error
+            });
+            
+            // A mined revert still burned gas - book it
+            if (error.receipt) {
+                return this.settle(eth.getTxHash(error.receipt), signalId, target.protocol).catch(() => 0);
+            }
             return 0;
         }
     }
     
+    // Compute realized P&L from the receipt and record it against the signal
+    async settle(txHash, signalId, protocol) {
+        const pnl = await this.pnl.fromTxHash(txHash, this.mainnetWallet.address);
+        metrics.realizedProfit.inc({ chain: 'ethereum', protocol: protocol || 'unknown' }, pnl.netProfitETH);
+        
+        this.log.info('Realized P&L', {
+            signalId,
+            txHash,
+            chain: 'ethereum',
+            protocol,
+            status: pnl.status,
+            collateralReceivedETH: pnl.collateralReceivedETH,
+            debtRepaidETH: pnl.debtRepaidETH,
+            gasCostETH: pnl.gasCostETH + pnl.l1FeeETH,
+            netProfitETH: pnl.netProfitETH
+        });
+        
+        if (signalId) {
+            this.attribution.recordEvent(signalId, {
+                type: pnl.status === 'success' ? 'LIQUIDATION_EXECUTED' : 'LIQUIDATION_REVERTED',
+                txHash,
+                gasUsed: Number(pnl.gasUsed),
+                txStatus: pnl.status === 'success' ? 'confirmed' : 'reverted'
+            });
+            // A revert books only its gas; the chain fails once none of its txs confirmed
+            await this.attribution.recordProfit(signalId, RealizedPnL.toProfitRecord(pnl));
+            await this.revealIntent(signalId);
+        }
+        
+        return pnl.netProfitETH;
+    }
+    
+    senderAddress() {
+        return this.signer ? this.signer.address : process.env.DRY_RUN_FROM;
+    }
+    
+    // Real transactions need a signing key (not watch-only) and dry-run off
+    canSend() {
+        return !this.dryRun && Boolean(this.mainnetTxManager);
+    }
+    
     sleep(ms) {
         return new Promise(r => setTimeout(r, ms));
     }
     
     // Infinite semantic signal broadcaster on L2
     async startInfiniteBroadcaster() {
-        console.log('[*] Starting infinite semantic broadcaster on Base L2...');
+        this.log.info('Starting infinite semantic broadcaster', { chain: 'base' });
         
         while (true) {
+            // Kill switch halts the loop without exiting; removing the file resumes it
+            const halted = await this.guard.killInfo();
+            if (halted) {
+                this.log.warn('Broadcaster halted by kill switch', { reason: halted.reason });
+                await this.sleep(60000);
+                continue;
+            }
+            
             // Generate random semantic signals
             const semanticTypes = [
                 'GOVERNANCE_PROPOSAL_PENDING',
@@ -222,11 +351,11 @@ class ETHExtractor {
             };
             
             // Broadcast to L2 (costs ~$0.001)
-            await this.broadcastSemanticSignal(signal);
+            const sent = await this.broadcastSemanticSignal(signal);
             
-            // Every 100ms = 10 signals/second = 864k signals/day
-            // At $0.001 per signal = $864/day to spam infinite signals
-            await this.sleep(100);
+            // Every 100ms = 10 signals/second = 864k signals/day, capped by RISK_MAX_TX_PER_MINUTE
+            // and the daily gas budget; back off while the guard is refusing
+            await this.sleep(sent ? 100 : 5000);
         }
     }
     
@@ -236,10 +365,10 @@ class ETHExtractor {
 
         try {
             // Actual semantic event broadcast TX on Base L2:
-            const tx = await this.baseWallet.sendTransaction({
+            const receipt = await this.baseTxManager.sendAndWait({
                 to: this.baseWallet.address, // self-send for pure signaling
-                value: ethers.utils.parseEther('0'), // no ETH transfer, just data
-                data: ethers.utils.hexlify(ethers.utils.toUtf8Bytes(
+                value: eth.parseEther('0'), // no ETH transfer, just data
+                data: eth.hexlify(eth.toUtf8Bytes(
                     JSON.stringify({
                         type: signal.type,
                         weight: signal.semanticWeight,
@@ -247,35 +376,47 @@ class ETHExtractor {
                         timestamp: signal.timestamp
                     })
                 )),
-                gasLimit: 50000, // estimated gas limit for signal TX
-                maxFeePerGas: ethers.utils.parseUnits('0.001', 'gwei'), // minimal Base L2 gas
-                maxPriorityFeePerGas: ethers.utils.parseUnits('0.001', 'gwei')
-            });
-
-            const receipt = await tx.wait();
+                gasLimit: 50000 // estimated gas limit for signal TX; fees come from eth_feeHistory
+            }, { kind: 'signal', type: signal.type });
 
-            console.log(`[TX] Signal Broadcast #${this.signalsBroadcast} Hash: ${receipt.transactionHash}`);
-            console.log(`     Type: ${signal.type}`);
-            console.log(`     Weight: ${signal.semanticWeight}`);
+            metrics.signalsBroadcast.inc({ chain: 'base', type: signal.type });
+            this.log.info('Signal broadcast', {
+                chain: 'base',
+                txHash: eth.getTxHash(receipt),
+                type: signal.type,
+                weight: signal.semanticWeight,
+                cascadeId: signal.cascadeId,
+                count: this.signalsBroadcast
+            });
         } catch (error) {
-            console.error(`[ERROR] Broadcasting signal failed: ${error.message}`);
+            if (error instanceof RiskLimitError) {
+                this.log.warn('Signal not sent', { chain: 'base', type: signal.type, error });
+            } else {
+                this.log.error('Broadcasting signal failed', { chain: 'base', type: signal.type, error });
+            }
+            return false;
         }
 
         // Gas cost tracking (approximate)
         const totalGasCost = this.signalsBroadcast * this.baseGasPrice;
 
         if (this.signalsBroadcast % 1000 === 0) {
-            console.log(`[L2] Total Signals: ${this.signalsBroadcast}, Total Gas Cost: $${totalGasCost.toFixed(2)}`);
-            console.log(`[L2] Cascading Effects: UNKNOWN`);
+            this.log.info('Broadcast totals', { chain: 'base', signals: this.signalsBroadcast, gasCostUSD: totalGasCost });
         }
+        return true;
     }
 }
 
+// parameterChange → PARAMETER_CHANGE
+function toAction(eventType) {
+    return String(eventType).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+}
+
 // The recursive economic daemon
 async function runEconomicDaemon() {
     const extractor = new ETHExtractor();
     
-    console.log('[*] Recursive Economic Daemon Initialized');
+    extractor.log.info('Recursive economic daemon initialized');
     // This runs forever, printing money from semantic signals
     await extractor.runDaemon();
     
@@ -284,4 +425,12 @@ async function runEconomicDaemon() {
 }
 
 // Start the money printer
-runEconomicDaemon();
+if (require.main === module) {
+    Logger.redactConsole();
+    metrics.startMetricsServer();
+    eth.onProvider(metrics.instrumentProvider);
+    eth.onProvider((provider, endpoint) => AlertManager.forProcess().watchProvider(provider, endpoint));
+    runEconomicDaemon();
+}
+
+module.exports = ETHExtractor;
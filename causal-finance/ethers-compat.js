@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+// Ethers Compatibility Layer
+// Every process goes through here so the whole ecosystem runs on whichever
+// ethers major is installed (v5 or v6) instead of crashing on half the daemons
+
+const { ethers } = require('ethers');
+
+const version = ethers.version.replace(/^ethers\/?/, '');
+const major = parseInt(version.split('.')[0], 10);
+const isV6 = major >= 6;
+
+const utils = isV6 ? ethers : ethers.utils;
+
+// Providers are cached per RPC url so every module in a process shares one connection
+const providers = new Map();
+const providerHooks = [];
+
+function getProvider(rpc, chainId) {
+    const key = `${rpc}#${chainId || ''}`;
+    if (!providers.has(key)) {
+        const provider = isV6
+            ? new ethers.JsonRpcProvider(rpc, chainId, chainId ? { staticNetwork: true } : undefined)
+            : new ethers.providers.JsonRpcProvider(rpc, chainId);
+        providers.set(key, { provider, endpoint: rpcHost(rpc) });
+        for (const hook of providerHooks) hook(provider, rpcHost(rpc));
+    }
+    return providers.get(key).provider;
+}
+
+// hook(provider, endpoint) runs for every provider, including those already created. Daemons
+// register metrics and alerting here at startup; this layer itself depends on nothing but ethers.
+function onProvider(hook) {
+    providerHooks.push(hook);
+    for (const { provider, endpoint } of providers.values()) hook(provider, endpoint);
+}
+
+// Label for an RPC url: host only, so API keys in paths never leak into labels
+function rpcHost(rpc) {
+    try {
+        return new URL(rpc).host;
+    } catch (e) {
+        return 'unknown';
+    }
+}
+
+function createWallet(privateKey, provider) {
+    return provider ? new ethers.Wallet(privateKey, provider) : new ethers.Wallet(privateKey);
+}
+
+function randomWallet(provider) {
+    const wallet = ethers.Wallet.createRandom();
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+// HD derivation: v5 Wallet.fromMnemonic vs v6 HDNodeWallet.fromPhrase
+function walletFromMnemonic(phrase, hdPath, provider) {
+    const wallet = isV6
+        ? ethers.HDNodeWallet.fromPhrase(phrase, undefined, hdPath)
+        : ethers.Wallet.fromMnemonic(phrase, hdPath);
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+function isValidMnemonic(phrase) {
+    return isV6 ? ethers.Mnemonic.isValidMnemonic(phrase) : ethers.utils.isValidMnemonic(phrase);
+}
+
+// Encrypted JSON keystore (scrypt). scryptN lowers the work factor for tests only.
+async function encryptKeystore(wallet, password, scryptN) {
+    if (isV6) {
+        const account = { address: wallet.address, privateKey: wallet.privateKey };
+        return ethers.encryptKeystoreJson(account, password, scryptN ? { scrypt: { N: scryptN } } : {});
+    }
+    return wallet.encrypt(password, scryptN ? { scrypt: { N: scryptN } } : {});
+}
+
+async function decryptKeystore(json, password, provider) {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+function createContract(address, abi, signerOrProvider) {
+    return new ethers.Contract(address, abi, signerOrProvider);
+}
+
+function createInterface(abi) {
+    return new (isV6 ? ethers.Interface : ethers.utils.Interface)(abi);
+}
+
+// All amounts leave this module as native bigint regardless of ethers version
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (value === null || value === undefined) return 0n;
+    if (typeof value === 'number') return BigInt(value);
+    if (typeof value === 'string') return BigInt(value);
+    if (typeof value.toBigInt === 'function') return value.toBigInt();
+    if (value._hex) return BigInt(value._hex);
+    return BigInt(value.toString());
+}
+
+function parseEther(value) {
+    return toBigInt(utils.parseEther(String(value)));
+}
+
+function parseUnits(value, unit = 18) {
+    return toBigInt(utils.parseUnits(String(value), unit));
+}
+
+function formatEther(value) {
+    return utils.formatEther(toBigInt(value).toString());
+}
+
+function formatUnits(value, unit = 18) {
+    return utils.formatUnits(toBigInt(value).toString(), unit);
+}
+
+// v5 receipts carry transactionHash, v6 receipts carry hash
+function getTxHash(receiptOrTx) {
+    if (!receiptOrTx) return null;
+    return receiptOrTx.transactionHash || receiptOrTx.hash || null;
+}
+
+// Decode a signed raw transaction - sender is recovered from the signature
+function parseSignedTransaction(raw) {
+    const tx = isV6 ? ethers.Transaction.from(raw) : ethers.utils.parseTransaction(raw);
+    return {
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        nonce: Number(tx.nonce),
+        chainId: Number(tx.chainId),
+        value: toBigInt(tx.value),
+        data: tx.data,
+        gasLimit: toBigInt(tx.gasLimit),
+        // Fee fields the tx type doesn't carry are null
+        gasPrice: tx.gasPrice === null || tx.gasPrice === undefined ? null : toBigInt(tx.gasPrice),
+        maxFeePerGas: tx.maxFeePerGas === null || tx.maxFeePerGas === undefined ? null : toBigInt(tx.maxFeePerGas),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas === null || tx.maxPriorityFeePerGas === undefined ?
+            null : toBigInt(tx.maxPriorityFeePerGas)
+    };
+}
+
+function getFunctionSelector(iface, name) {
+    const fragment = iface.getFunction(name);
+    return isV6 ? fragment.selector : iface.getSighash(fragment);
+}
+
+function getFunctionFragments(iface) {
+    return isV6
+        ? iface.fragments.filter(f => f.type === 'function')
+        : Object.values(iface.functions);
+}
+
+// v5: contract.populateTransaction.fn(...), v6: contract.fn.populateTransaction(...)
+function populateTransaction(contract, method, args = []) {
+    return isV6
+        ? contract[method].populateTransaction(...args)
+        : contract.populateTransaction[method](...args);
+}
+
+const abiCoder = isV6 ? ethers.AbiCoder.defaultAbiCoder() : ethers.utils.defaultAbiCoder;
+
+function encodeAbi(types, values) {
+    return abiCoder.encode(types, values);
+}
+
+function decodeAbi(types, data) {
+    return abiCoder.decode(types, data);
+}
+
+function getEventTopic(iface, name) {
+    const fragment = iface.getEvent(name);
+    return isV6 ? fragment.topicHash : iface.getEventTopic(fragment);
+}
+
+// EIP-712: v5 keeps the encoder and signing under underscore names
+const TypedDataEncoder = isV6 ? ethers.TypedDataEncoder : ethers.utils._TypedDataEncoder;
+
+function hashTypedData(domain, types, value) {
+    return TypedDataEncoder.hash(domain, types, value);
+}
+
+async function signTypedData(signer, domain, types, value) {
+    if (typeof signer.signTypedData === 'function') return signer.signTypedData(domain, types, value);
+    if (typeof signer._signTypedData === 'function') return signer._signTypedData(domain, types, value);
+    throw new Error('Signer cannot sign typed data');
+}
+
+function verifyTypedData(domain, types, value, signature) {
+    return utils.verifyTypedData(domain, types, value, signature);
+}
+
+// Raw secp256k1 over a 32-byte digest (Bitcoin signing); s is always the low form
+function signDigest(privateKey, digest) {
+    const signature = isV6
+        ? new ethers.SigningKey(privateKey).sign(digest)
+        : new ethers.utils.SigningKey(privateKey).signDigest(digest);
+    return { r: signature.r, s: signature.s };
+}
+
+function computePublicKey(key, compressed) {
+    return isV6 ? ethers.SigningKey.computePublicKey(key, compressed) : ethers.utils.computePublicKey(key, compressed);
+}
+
+module.exports = {
+    ethers,
+    version,
+    major,
+    isV6,
+
+    getProvider,
+    onProvider,
+    createWallet,
+    randomWallet,
+    walletFromMnemonic,
+    isValidMnemonic,
+    encryptKeystore,
+    decryptKeystore,
+    createContract,
+    createInterface,
+
+    toBigInt,
+    parseEther,
+    parseUnits,
+    formatEther,
+    formatUnits,
+
+    getTxHash,
+    parseSignedTransaction,
+    populateTransaction,
+    encodeAbi,
+    decodeAbi,
+    getFunctionSelector,
+    getFunctionFragments,
+    getEventTopic,
+    hashTypedData,
+    signTypedData,
+    verifyTypedData,
+    signDigest,
+    computePublicKey,
+
+    ZeroAddress: isV6 ? ethers.ZeroAddress : ethers.constants.AddressZero,
+    MaxUint256: toBigInt(isV6 ? ethers.MaxUint256 : ethers.constants.MaxUint256),
+
+    isAddress: utils.isAddress,
+    getAddress: utils.getAddress,
+    isHexString: utils.isHexString,
+    hexlify: utils.hexlify,
+    toUtf8Bytes: utils.toUtf8Bytes,
+    toUtf8String: utils.toUtf8String,
+    keccak256: utils.keccak256,
+    sha256: utils.sha256,
+    ripemd160: utils.ripemd160,
+    id: utils.id,
+    encodeBytes32String: isV6 ? ethers.encodeBytes32String : ethers.utils.formatBytes32String,
+    decodeBytes32String: isV6 ? ethers.decodeBytes32String : ethers.utils.parseBytes32String
+};
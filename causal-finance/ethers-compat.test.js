@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, rpcServer } = require('./test-helpers');
+
+const KEY = '0x' + '11'.repeat(32);
+const ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A'; // of KEY
+
+for (const pkg of ETHERS) {
+    test(`ethers-compat on ${pkg}`, async t => {
+        const [eth] = loadWith(pkg, 'ethers-compat');
+        const node = await rpcServer({
+            eth_chainId: () => '0x1',
+            net_version: () => '1',
+            eth_blockNumber: () => '0x10',
+            eth_getBalance: ([address]) => (address.toLowerCase() === ADDRESS.toLowerCase() ? '0x1bc16d674ec80000' : '0x0')
+        });
+        t.after(() => node.close());
+
+        await t.test('reports the major it runs on', () => {
+            assert.strictEqual(eth.isV6, pkg === 'ethers-v6');
+            assert.strictEqual(eth.major, eth.isV6 ? 6 : 5);
+        });
+
+        await t.test('parses and formats units as bigint', () => {
+            assert.strictEqual(eth.parseEther('1.5'), 1500000000000000000n);
+            assert.strictEqual(eth.parseUnits('123.456789', 6), 123456789n);
+            assert.strictEqual(eth.parseUnits('2', 'gwei'), 2000000000n);
+            assert.strictEqual(eth.formatUnits(123456789n, 6), '123.456789');
+            assert.strictEqual(eth.formatEther(eth.parseEther('0.000000000000000001')), '0.000000000000000001');
+            assert.strictEqual(eth.parseUnits(eth.formatUnits(987654321012345678n, 18), 18), 987654321012345678n);
+            assert.strictEqual(eth.toBigInt('42'), 42n);
+            assert.strictEqual(eth.toBigInt(7), 7n);
+            assert.strictEqual(eth.toBigInt(null), 0n);
+        });
+
+        await t.test('encodes calls the same way on both majors', () => {
+            const iface = eth.createInterface(['function transfer(address to, uint256 amount) returns (bool)']);
+            assert.strictEqual(eth.getFunctionSelector(iface, 'transfer'), '0xa9059cbb');
+            const data = iface.encodeFunctionData('transfer', [ADDRESS, 5n]);
+            const [to, amount] = iface.decodeFunctionData('transfer', data);
+            assert.strictEqual(to, ADDRESS);
+            assert.strictEqual(eth.toBigInt(amount), 5n);
+            assert.deepStrictEqual(eth.decodeAbi(['uint256'], eth.encodeAbi(['uint256'], [9n])).map(eth.toBigInt), [9n]);
+        });
+
+        await t.test('caches one provider per url and runs provider hooks', async () => {
+            const endpoints = [];
+            const provider = eth.getProvider(node.url, 1);
+            eth.onProvider((p, endpoint) => endpoints.push(endpoint));
+            assert.strictEqual(eth.getProvider(node.url, 1), provider);
+            assert.deepStrictEqual(endpoints, [node.url.slice('http://'.length)]);
+
+            assert.strictEqual(Number(await provider.getBlockNumber()), 16);
+            assert.strictEqual(eth.formatEther(await provider.getBalance(ADDRESS)), '2.0');
+        });
+
+        await t.test('wallets sign for the same address', async () => {
+            const wallet = eth.createWallet(KEY, eth.getProvider(node.url, 1));
+            assert.strictEqual(wallet.address, ADDRESS);
+            const raw = await wallet.signTransaction({ to: ADDRESS, value: 1n, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: 1 });
+            const parsed = eth.parseSignedTransaction(raw);
+            assert.strictEqual(parsed.from, ADDRESS);
+            assert.strictEqual(parsed.value, 1n);
+            assert.strictEqual(parsed.gasLimit, 21000n);
+            assert.strictEqual(parsed.gasPrice, 1n);
+            assert.strictEqual(parsed.maxFeePerGas, null);
+        });
+    });
+
+    // Daemons build their providers and wallets through the compat layer at construction
+    test(`daemons construct providers on ${pkg}`, async t => {
+        const node = await rpcServer({
+            eth_chainId: () => '0x1',
+            net_version: () => '1',
+            eth_getBalance: () => '0xde0b6b3a7640000'
+        });
+        const env = { ETH_RPC: process.env.ETH_RPC, BASE_RPC: process.env.BASE_RPC, PRIVATE_KEY: process.env.PRIVATE_KEY };
+        Object.assign(process.env, { ETH_RPC: node.url, BASE_RPC: node.url, PRIVATE_KEY: KEY });
+        t.after(async () => {
+            for (const [name, value] of Object.entries(env)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+            await node.close();
+        });
+
+        const [eth, ETHExtractor, SemanticDaemon] = loadWith(pkg, 'ethers-compat', 'eth-extractor', 'semantic-daemon');
+        const extractor = new ETHExtractor({ dryRun: true });
+        assert.strictEqual(extractor.mainnetWallet.address, ADDRESS);
+        assert.strictEqual(eth.formatEther(await extractor.mainnetProvider.getBalance(ADDRESS)), '1.0');
+
+        const daemon = new SemanticDaemon();
+        assert.strictEqual(eth.formatEther(await daemon.provider.getBalance(ADDRESS)), '1.0');
+    });
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// File Lock - Cross-process coordination through the filesystem
+// Lock files are created with O_EXCL and record their owner ({ pid, at }); state files are replaced
+// atomically via rename. A lock whose owner process is gone, or that is older than the timeout, is
+// broken by renaming it away - rename is atomic, so of several waiters only one moves a given lock.
+
+const fs = require('fs').promises;
+
+async function withLock(lockFile, fn, options = {}) {
+    const timeoutMs = options.timeoutMs || 10000;
+    const started = Date.now();
+    let owner;
+
+    while (true) {
+        try {
+            owner = await createLock(lockFile);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // Break locks left behind by a crashed process
+            if (await breakStaleLock(lockFile, timeoutMs)) continue;
+            if (Date.now() - started > timeoutMs * 2) {
+                throw new Error(`Timed out waiting for lock ${lockFile}`);
+            }
+            await sleep(25);
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        // Ours may have been broken as stale by now; never remove the next holder's lock
+        const current = await readLock(lockFile);
+        if (current && current.text === owner) {
+            await fs.unlink(lockFile).catch(() => {});
+        }
+    }
+}
+
+async function createLock(lockFile) {
+    const owner = JSON.stringify({ pid: process.pid, at: Date.now() });
+    const handle = await fs.open(lockFile, 'wx');
+    try {
+        await handle.writeFile(owner);
+    } catch (error) {
+        await fs.unlink(lockFile).catch(() => {});
+        throw error;
+    } finally {
+        await handle.close();
+    }
+    return owner;
+}
+
+// { text, ino, pid, at } or null when there is no lock. An empty or unreadable owner (a crash between
+// create and write, or a lock from before owners were recorded) is dated by its mtime.
+async function readLock(file) {
+    try {
+        const [text, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+        let owner = {};
+        try {
+            owner = JSON.parse(text) || {};
+        } catch (e) {
+            // no owner recorded
+        }
+        return { text, ino: stat.ino, pid: owner.pid || null, at: owner.at || stat.mtimeMs };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // exists, owned by another user
+    }
+}
+
+// true when the lock is gone (broken here or released meanwhile) and creating it is worth retrying
+async function breakStaleLock(lockFile, timeoutMs) {
+    const lock = await readLock(lockFile);
+    if (!lock) return true;
+    const dead = lock.pid !== null && lock.pid !== process.pid && !isAlive(lock.pid);
+    if (!dead && Date.now() - lock.at <= timeoutMs) return false;
+
+    const moved = `${lockFile}.${process.pid}.${Date.now()}.stale`;
+    try {
+        await fs.rename(lockFile, moved);
+    } catch (error) {
+        if (error.code === 'ENOENT') return true; // another waiter broke it first
+        throw error;
+    }
+
+    // Between reading and renaming, another waiter may have broken the stale lock and taken a fresh
+    // one: that's what got moved. Put it back; link fails if yet another process holds the name now.
+    const taken = await readLock(moved);
+    if (taken && (taken.ino !== lock.ino || taken.text !== lock.text)) {
+        await fs.link(moved, lockFile).catch(() => {});
+    }
+    await fs.unlink(moved).catch(() => {});
+    return true;
+}
+
+async function readJSON(file, fallback = null) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        return fallback; // Missing or half-written file
+    }
+}
+
+async function writeAtomic(file, contents, mode) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, contents, mode ? { mode } : undefined);
+    await fs.rename(tmp, file);
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+module.exports = {
+    withLock,
+    readJSON,
+    writeAtomic
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { withLock, readJSON, writeAtomic } = require('./file-lock');
+const { tempDir } = require('./test-helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A pid that has exited: a child that ran and was reaped
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('file lock', async t => {
+    const dir = tempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const lockFile = path.join(dir, 'state.lock');
+
+    await t.test('runs one section at a time and records its owner', async () => {
+        const order = [];
+        const section = name => withLock(lockFile, async () => {
+            const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+            assert.strictEqual(owner.pid, process.pid);
+            order.push(`${name} in`);
+            await sleep(20);
+            order.push(`${name} out`);
+        });
+        await Promise.all([section('a'), section('b')]);
+        assert.deepStrictEqual(order, ['a in', 'a out', 'b in', 'b out']);
+        assert.ok(!fs.existsSync(lockFile));
+    });
+
+    await t.test('breaks a lock whose owner process is gone', async () => {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: deadPid(), at: Date.now() }));
+        const started = Date.now();
+        assert.strictEqual(await withLock(lockFile, async () => 'ran', { timeoutMs: 5000 }), 'ran');
+        assert.ok(Date.now() - started < 1000, 'no waiting for the timeout');
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+    });
+
+    await t.test('breaks a live owner\'s lock only once it is older than the timeout', async () => {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, at: Date.now() - 1000 }));
+        assert.strictEqual(await withLock(lockFile, async () => 'ran', { timeoutMs: 500 }), 'ran');
+
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, at: Date.now() }));
+        const started = Date.now();
+        assert.strictEqual(await withLock(lockFile, async () => 'ran', { timeoutMs: 300 }), 'ran');
+        assert.ok(Date.now() - started >= 250, 'waited for the timeout');
+    });
+
+    await t.test('dates a lock without an owner by its mtime', async () => {
+        fs.writeFileSync(lockFile, '');
+        const old = new Date(Date.now() - 2000);
+        fs.utimesSync(lockFile, old, old);
+        assert.strictEqual(await withLock(lockFile, async () => 'ran', { timeoutMs: 500 }), 'ran');
+    });
+
+    await t.test('of several waiters on a stale lock, one holds it at a time', async () => {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: deadPid(), at: 0 }));
+        let inside = 0;
+        let most = 0;
+        await Promise.all(Array.from({ length: 5 }, () => withLock(lockFile, async () => {
+            inside += 1;
+            most = Math.max(most, inside);
+            await sleep(10);
+            inside -= 1;
+        })));
+        assert.strictEqual(most, 1);
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+    });
+
+    await t.test('does not release a lock it no longer holds', async () => {
+        const next = JSON.stringify({ pid: process.pid, at: Date.now() + 1 });
+        await withLock(lockFile, async () => {
+            // Broken as stale while running, and taken by the next holder
+            fs.unlinkSync(lockFile);
+            fs.writeFileSync(lockFile, next);
+        });
+        assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), next);
+        fs.unlinkSync(lockFile);
+    });
+
+    await t.test('replaces state files atomically', async () => {
+        const file = path.join(dir, 'state.json');
+        assert.deepStrictEqual(await readJSON(file, {}), {});
+        await writeAtomic(file, JSON.stringify({ n: 1 }));
+        assert.deepStrictEqual(await readJSON(file), { n: 1 });
+        assert.deepStrictEqual(fs.readdirSync(dir), ['state.json']);
+        fs.unlinkSync(file);
+    });
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Minimal JSON-over-HTTP client
+// Uses only node's http/https so local stand-in servers work without extra deps
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+function requestJSON(method, url, body, options = {}) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    const headers = { accept: 'application/json', ...(options.headers || {}) };
+    if (payload !== null) {
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = Buffer.byteLength(payload);
+    }
+    if (target.username || target.password) {
+        const credentials = `${decodeURIComponent(target.username)}:${decodeURIComponent(target.password)}`;
+        headers.authorization = 'Basic ' + Buffer.from(credentials).toString('base64');
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            method,
+            hostname: target.hostname,
+            port: target.port,
+            path: target.pathname + target.search,
+            headers
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let parsed = null;
+                try {
+                    parsed = text ? JSON.parse(text) : null;
+                } catch (e) {
+                    // Non-JSON body - surfaced through the status check below
+                }
+
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const error = new Error(`HTTP ${res.statusCode} from ${target.host}`);
+                    error.status = res.statusCode;
+                    error.body = parsed || text;
+                    return reject(error);
+                }
+                if (parsed === null && text) {
+                    return reject(new Error(`Invalid JSON response from ${target.host}`));
+                }
+                resolve(parsed);
+            });
+        });
+
+        req.setTimeout(options.timeout || 15000, () => {
+            req.destroy(new Error(`Request to ${target.host} timed out`));
+        });
+        req.on('error', reject);
+
+        if (payload !== null) req.write(payload);
+        req.end();
+    });
+}
+
+function postJSON(url, body, options) {
+    return requestJSON('POST', url, body, options);
+}
+
+function getJSON(url, options) {
+    return requestJSON('GET', url, undefined, options);
+}
+
+module.exports = {
+    requestJSON,
+    postJSON,
+    getJSON
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+// Intent - Canonical, signed intent objects anchored on-chain by hash only (whitepaper §3.1-3.2)
+// An intent is { action, parameters, meta } plus issuedAt and a random salt. It is signed as
+// EIP-712 typed data; parameters and meta enter the struct as keccak256 of their canonical JSON,
+// so any JSON-shaped payload signs the same way. Only the EIP-712 digest goes on-chain, as a
+// 36-byte anchor ("CFI1" + digest) in calldata; the signed intent is appended to .intents.jsonl
+// and can be revealed later. verifyIntent() takes a revealed intent and a tx hash and proves the commitment.
+//
+// A reveal is either a transaction carrying "CFR1" + the canonical signed intent and its commit tx
+// hash, or the same content as a JSON file. verifyReveal() checks a reveal tx against its commit.
+//
+// Canonical JSON: object keys sorted by code unit, no whitespace, numbers in shortest round-trip
+// form (-0 as 0, NaN/Infinity rejected), bigints as decimal strings, undefined properties dropped.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const eth = require('./ethers-compat');
+const { readJSON } = require('./file-lock');
+
+const ANCHOR_PREFIX = '0x43464931'; // "CFI1"
+const REVEAL_PREFIX = '0x43465231'; // "CFR1"
+const ACTION_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+const DEFAULT_JOURNAL = path.join(__dirname, '.intents.jsonl');
+
+const DOMAIN = { name: 'CausalFinance Intent', version: '1' };
+const TYPES = {
+    Intent: [
+        { name: 'action', type: 'string' },
+        { name: 'parameters', type: 'bytes32' },
+        { name: 'meta', type: 'bytes32' },
+        { name: 'issuedAt', type: 'uint64' },
+        { name: 'salt', type: 'bytes32' }
+    ]
+};
+
+class IntentError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'IntentError';
+        this.code = code;
+    }
+}
+
+function canonicalize(value, at = '$') {
+    if (value === null) return 'null';
+    switch (typeof value) {
+        case 'boolean':
+            return String(value);
+        case 'string':
+            return JSON.stringify(value);
+        case 'bigint':
+            return JSON.stringify(value.toString());
+        case 'number':
+            if (!Number.isFinite(value)) throw new IntentError(`${at}: ${value} has no JSON form`, 'NOT_CANONICAL');
+            return JSON.stringify(Object.is(value, -0) ? 0 : value);
+        case 'object':
+            break;
+        default:
+            throw new IntentError(`${at}: ${typeof value} has no JSON form`, 'NOT_CANONICAL');
+    }
+
+    if (Array.isArray(value)) {
+        return '[' + value.map((item, i) => canonicalize(item, `${at}[${i}]`)).join(',') + ']';
+    }
+    if (!isPlainObject(value)) {
+        throw new IntentError(`${at}: ${value.constructor ? value.constructor.name : 'object'} is not plain JSON`, 'NOT_CANONICAL');
+    }
+    const members = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => JSON.stringify(key) + ':' + canonicalize(value[key], `${at}.${key}`));
+    return '{' + members.join(',') + '}';
+}
+
+function validateIntent(intent) {
+    if (!isPlainObject(intent)) throw new IntentError('Intent must be an object', 'INVALID_INTENT');
+    if (typeof intent.action !== 'string' || !ACTION_PATTERN.test(intent.action)) {
+        throw new IntentError(`Invalid action ${JSON.stringify(intent.action)} (UPPER_SNAKE_CASE, max 64 chars)`, 'INVALID_INTENT');
+    }
+    for (const field of ['parameters', 'meta']) {
+        if (!isPlainObject(intent[field])) throw new IntentError(`Intent ${field} must be an object`, 'INVALID_INTENT');
+        canonicalize(intent[field], field);
+    }
+    if (!Number.isSafeInteger(intent.issuedAt) || intent.issuedAt < 0) {
+        throw new IntentError('Intent issuedAt must be a unix time in milliseconds', 'INVALID_INTENT');
+    }
+    if (typeof intent.salt !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(intent.salt)) {
+        throw new IntentError('Intent salt must be 32 bytes of hex', 'INVALID_INTENT');
+    }
+    return intent;
+}
+
+function createIntent(action, parameters = {}, meta = {}, options = {}) {
+    return validateIntent({
+        action,
+        parameters,
+        meta,
+        issuedAt: options.issuedAt || Date.now(),
+        salt: options.salt || '0x' + crypto.randomBytes(32).toString('hex')
+    });
+}
+
+function domainFor(chainId) {
+    return { ...DOMAIN, chainId: Number(chainId) };
+}
+
+// The struct as signed: nested objects reduced to the hash of their canonical JSON
+function typedValue(intent) {
+    validateIntent(intent);
+    return {
+        action: intent.action,
+        parameters: eth.keccak256(eth.toUtf8Bytes(canonicalize(intent.parameters))),
+        meta: eth.keccak256(eth.toUtf8Bytes(canonicalize(intent.meta))),
+        issuedAt: intent.issuedAt,
+        salt: intent.salt
+    };
+}
+
+// EIP-712 digest - the only thing that goes on-chain
+function hashIntent(intent, chainId) {
+    return eth.hashTypedData(domainFor(chainId), TYPES, typedValue(intent));
+}
+
+async function signIntent(intent, signer, chainId) {
+    const signature = await eth.signTypedData(signer, domainFor(chainId), TYPES, typedValue(intent));
+    return {
+        intent,
+        chainId: Number(chainId),
+        hash: hashIntent(intent, chainId),
+        signer: eth.getAddress(signer.address),
+        signature
+    };
+}
+
+// Check a signed intent on its own: hash recomputes and the signature recovers to signer
+function verifySignature(signed) {
+    const hash = hashIntent(signed.intent, signed.chainId);
+    let recovered = null;
+    let signatureValid = false;
+    try {
+        recovered = eth.verifyTypedData(domainFor(signed.chainId), TYPES, typedValue(signed.intent), signed.signature);
+        signatureValid = eth.getAddress(recovered) === eth.getAddress(signed.signer);
+    } catch (e) {
+        // malformed signature or signer address - reported as invalid
+    }
+    return {
+        hash,
+        hashMatches: !signed.hash || signed.hash.toLowerCase() === hash.toLowerCase(),
+        signatureValid,
+        recovered
+    };
+}
+
+function encodeAnchor(hash) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) throw new IntentError(`Not a 32-byte hash: ${hash}`, 'INVALID_HASH');
+    return ANCHOR_PREFIX + hash.slice(2).toLowerCase();
+}
+
+// Anchor payload → intent hash, or null if the data isn't an intent anchor
+function decodeAnchor(data) {
+    const hex = String(data || '').toLowerCase();
+    if (hex.length !== ANCHOR_PREFIX.length + 64 || !hex.startsWith(ANCHOR_PREFIX)) return null;
+    return '0x' + hex.slice(ANCHOR_PREFIX.length);
+}
+
+// The signed intent and the tx that committed it - what a reveal publishes
+function revealOf(signed, commitTxHash) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(commitTxHash || '')) {
+        throw new IntentError(`Intent ${signed.hash} has no commit tx to reveal against`, 'NOT_COMMITTED');
+    }
+    return {
+        intent: signed.intent,
+        chainId: signed.chainId,
+        hash: signed.hash,
+        signer: signed.signer,
+        signature: signed.signature,
+        commitTxHash
+    };
+}
+
+function encodeReveal(signed, commitTxHash) {
+    return REVEAL_PREFIX + Buffer.from(canonicalize(revealOf(signed, commitTxHash)), 'utf8').toString('hex');
+}
+
+// Reveal payload → revealed intent, or null if the data isn't a reveal
+function decodeReveal(data) {
+    const hex = String(data || '').toLowerCase();
+    if (!hex.startsWith(REVEAL_PREFIX)) return null;
+    try {
+        return JSON.parse(Buffer.from(hex.slice(REVEAL_PREFIX.length), 'hex').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Intrinsic gas of a data payload (EIP-2028): 16 per non-zero byte, 4 per zero byte
+function calldataGas(data) {
+    const bytes = Buffer.from(String(data).replace(/^0x/, ''), 'hex');
+    return bytes.reduce((gas, byte) => gas + (byte === 0 ? 4 : 16), 0);
+}
+
+// Prove that txHash commits to the revealed intent: the tx is mined and succeeded on the intent's
+// chain, its calldata is the anchor of the recomputed hash, the signature recovers to the signer,
+// and the signer sent the tx
+async function verifyIntent(signed, txHash, provider) {
+    const { hash, hashMatches, signatureValid, recovered } = verifySignature(signed);
+
+    const [tx, receipt, chainId] = await Promise.all([
+        provider.send('eth_getTransactionByHash', [txHash]),
+        provider.send('eth_getTransactionReceipt', [txHash]),
+        provider.send('eth_chainId', [])
+    ]);
+    if (!tx) throw new IntentError(`Transaction ${txHash} not found`, 'TX_NOT_FOUND');
+
+    const anchored = decodeAnchor(tx.input || tx.data);
+    const checks = {
+        hashMatches,
+        signatureValid,
+        chainMatches: Number(chainId) === Number(signed.chainId),
+        mined: Boolean(receipt && receipt.blockNumber !== null && Number(receipt.status) === 1),
+        anchored: anchored !== null && anchored === hash.toLowerCase(),
+        sentBySigner: Boolean(signed.signer) && (tx.from || '').toLowerCase() === signed.signer.toLowerCase()
+    };
+    return {
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        hash,
+        txHash,
+        signer: recovered,
+        from: tx.from,
+        blockNumber: receipt && receipt.blockNumber !== null ? Number(receipt.blockNumber) : null,
+        transactionIndex: receipt && receipt.blockNumber !== null ? Number(receipt.transactionIndex) : null
+    };
+}
+
+// A reveal tx proves its commitment (verifyIntent on the embedded commit tx hash), and that it was
+// mined after the commit
+async function verifyReveal(revealTxHash, provider) {
+    const [tx, receipt] = await Promise.all([
+        provider.send('eth_getTransactionByHash', [revealTxHash]),
+        provider.send('eth_getTransactionReceipt', [revealTxHash])
+    ]);
+    if (!tx) throw new IntentError(`Transaction ${revealTxHash} not found`, 'TX_NOT_FOUND');
+    const revealed = decodeReveal(tx.input || tx.data);
+    if (!revealed) throw new IntentError(`Transaction ${revealTxHash} is not an intent reveal`, 'NOT_A_REVEAL');
+
+    const commit = await verifyIntent(revealed, revealed.commitTxHash, provider);
+    const revealMined = Boolean(receipt && receipt.blockNumber !== null && Number(receipt.status) === 1);
+    const revealBlock = revealMined ? Number(receipt.blockNumber) : null;
+    const revealAfterCommit = revealMined && commit.blockNumber !== null && (revealBlock > commit.blockNumber ||
+        (revealBlock === commit.blockNumber && Number(receipt.transactionIndex) > commit.transactionIndex));
+
+    const checks = { ...commit.checks, revealMined, revealAfterCommit };
+    return {
+        ...commit,
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        commitTxHash: revealed.commitTxHash,
+        revealTxHash,
+        revealBlock,
+        intent: revealed.intent
+    };
+}
+
+// Signed intents are journaled locally (owner-only) until they are revealed
+async function saveIntent(signed, journal = DEFAULT_JOURNAL) {
+    await fs.appendFile(journal, JSON.stringify(signed) + '\n', { mode: 0o600 });
+    return journal;
+}
+
+// Lifecycle updates (commitTxHash, signalId, revealTxHash, revealFile, ...) for a journaled intent
+async function recordIntent(hash, fields, journal = DEFAULT_JOURNAL) {
+    return saveIntent({ hash: hash.toLowerCase(), ...fields, updatedAt: Date.now() }, journal);
+}
+
+// By hash from the journal (signed intent with its updates folded in), or a revealed intent from a JSON file
+async function loadIntent(hashOrFile, journal = DEFAULT_JOURNAL) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hashOrFile)) {
+        const signed = await readJSON(hashOrFile);
+        if (!signed) throw new IntentError(`No intent at ${hashOrFile}`, 'NOT_FOUND');
+        return signed;
+    }
+
+    const hash = hashOrFile.toLowerCase();
+    const text = await fs.readFile(journal, 'utf8').catch(() => '');
+    let signed = null;
+    for (const line of text.split('\n')) {
+        if (!line.includes(hash.slice(2))) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            continue; // torn last line from a crash
+        }
+        if (record.hash.toLowerCase() !== hash) continue;
+        if (record.signature) {
+            signed = record;
+        } else if (signed) {
+            const update = { ...record };
+            delete update.hash;
+            Object.assign(signed, update);
+        }
+    }
+    if (!signed) throw new IntentError(`Intent ${hash} is not in ${journal}`, 'NOT_FOUND');
+    return signed;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+if (require.main === module) {
+    const [command, target, txHash] = process.argv.slice(2);
+    const rpc = process.env.INTENT_RPC || process.env.BASE_RPC || 'https://mainnet.base.org';
+
+    const commands = {
+        // Print the stored intent with its canonical encodings
+        show: async () => {
+            const signed = await loadIntent(target);
+            console.log(JSON.stringify(signed, null, 2));
+            console.log(`parameters: ${canonicalize(signed.intent.parameters)}`);
+            console.log(`meta:       ${canonicalize(signed.intent.meta)}`);
+            console.log(`anchor:     ${encodeAnchor(signed.hash)}`);
+        },
+        // Against the given tx, else the commit tx the journal or reveal file records
+        verify: async () => {
+            const signed = await loadIntent(target);
+            if (!txHash && !signed.commitTxHash) throw new IntentError('verify needs a tx hash', 'USAGE');
+            const result = await verifyIntent(signed, txHash || signed.commitTxHash, eth.getProvider(rpc));
+            console.log(JSON.stringify(result, null, 2));
+            if (!result.valid) process.exitCode = 2;
+        }
+    };
+
+    if (!commands[command] || !target) {
+        console.error('Usage: node intent.js show <hash|file> | verify <hash|file> [txHash]   (INTENT_RPC or BASE_RPC)');
+        process.exit(1);
+    }
+    commands[command]().catch(error => {
+        console.error(`[INTENT] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    IntentError,
+    ANCHOR_PREFIX,
+    REVEAL_PREFIX,
+    TYPES,
+    canonicalize,
+    validateIntent,
+    createIntent,
+    hashIntent,
+    signIntent,
+    verifySignature,
+    encodeAnchor,
+    decodeAnchor,
+    revealOf,
+    encodeReveal,
+    decodeReveal,
+    calldataGas,
+    verifyIntent,
+    verifyReveal,
+    saveIntent,
+    recordIntent,
+    loadIntent
+};
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith } = require('./test-helpers');
+
+const KEY = '0x' + '11'.repeat(32);
+const ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A'; // of KEY
+
+// Fixed vector: the digest was computed by hand-encoding EIP-712 (domain separator over
+// name/version/chainId, struct hash over the keccak of each canonical JSON), not through intent.js
+const VECTOR = {
+    intent: {
+        action: 'LIQUIDATE',
+        parameters: { user: '0x00000000000000000000000000000000000000aa', protocol: 'aave', amount: 1000000n },
+        meta: { signalId: 'SIG-0001' },
+        issuedAt: 1760000000000,
+        salt: '0x' + '5a'.repeat(32)
+    },
+    chainId: 8453,
+    parameters: '{"amount":"1000000","protocol":"aave","user":"0x00000000000000000000000000000000000000aa"}',
+    meta: '{"signalId":"SIG-0001"}',
+    digest: '0x2ddfb2e15a69c8fb83aec673f8aa5b2ae8e510b29586391f6c373c9e92889da8'
+};
+
+for (const pkg of ETHERS) {
+    test(`intents on ${pkg}`, async t => {
+        const [eth, Intent] = loadWith(pkg, 'ethers-compat', 'intent');
+        const { IntentError } = Intent;
+
+        await t.test('the fixed intent hashes to its known digest', () => {
+            assert.strictEqual(Intent.canonicalize(VECTOR.intent.parameters), VECTOR.parameters);
+            assert.strictEqual(Intent.canonicalize(VECTOR.intent.meta), VECTOR.meta);
+            assert.strictEqual(Intent.hashIntent(VECTOR.intent, VECTOR.chainId), VECTOR.digest);
+            // The digest is bound to the chain
+            assert.notStrictEqual(Intent.hashIntent(VECTOR.intent, 1), VECTOR.digest);
+        });
+
+        await t.test('reordered keys canonicalize to the same hash', () => {
+            const reordered = {
+                salt: VECTOR.intent.salt,
+                issuedAt: VECTOR.intent.issuedAt,
+                meta: { signalId: 'SIG-0001', note: undefined },
+                parameters: { amount: 1000000n, protocol: 'aave', user: '0x00000000000000000000000000000000000000aa' },
+                action: 'LIQUIDATE'
+            };
+            assert.strictEqual(Intent.hashIntent(reordered, VECTOR.chainId), VECTOR.digest);
+
+            assert.strictEqual(Intent.canonicalize({ b: [1, { d: -0, c: 1.5e-7 }], a: null }), '{"a":null,"b":[1,{"c":1.5e-7,"d":0}]}');
+            assert.throws(() => Intent.canonicalize({ x: NaN }), error => error instanceof IntentError && error.code === 'NOT_CANONICAL');
+            assert.throws(() => Intent.canonicalize({ at: new Date(0) }), /\$\.at: Date is not plain JSON/);
+            assert.throws(() => Intent.createIntent('liquidate'), error => error.code === 'INVALID_INTENT');
+        });
+
+        await t.test('a signed intent recovers to its signer and fails once changed', async () => {
+            const wallet = eth.createWallet(KEY);
+            const signed = await Intent.signIntent(VECTOR.intent, wallet, VECTOR.chainId);
+            assert.strictEqual(signed.hash, VECTOR.digest);
+            assert.strictEqual(signed.signer, ADDRESS);
+            assert.deepStrictEqual(Intent.verifySignature(signed), { hash: VECTOR.digest, hashMatches: true, signatureValid: true, recovered: ADDRESS });
+
+            const changed = { ...signed, intent: { ...signed.intent, parameters: { ...signed.intent.parameters, amount: 1000001n } } };
+            const result = Intent.verifySignature(changed);
+            assert.strictEqual(result.hashMatches, false);
+            assert.strictEqual(result.signatureValid, false);
+            assert.notStrictEqual(result.recovered, ADDRESS);
+
+            const otherSigner = { ...signed, signer: '0x00000000000000000000000000000000000000bb' };
+            assert.strictEqual(Intent.verifySignature(otherSigner).signatureValid, false);
+            assert.strictEqual(Intent.verifySignature({ ...signed, signature: '0x1234' }).signatureValid, false);
+        });
+
+        await t.test('anchors are "CFI1" followed by the digest', () => {
+            const anchor = Intent.encodeAnchor(VECTOR.digest);
+            assert.strictEqual(anchor, '0x43464931' + VECTOR.digest.slice(2));
+            assert.strictEqual(Buffer.from(anchor.slice(2, 10), 'hex').toString('utf8'), 'CFI1');
+            assert.strictEqual((anchor.length - 2) / 2, 36);
+            assert.strictEqual(Intent.encodeAnchor(VECTOR.digest.toUpperCase().replace('0X', '0x')), anchor);
+
+            assert.strictEqual(Intent.decodeAnchor(anchor), VECTOR.digest);
+            assert.strictEqual(Intent.decodeAnchor(anchor.toUpperCase().replace('0X', '0x')), VECTOR.digest);
+            assert.strictEqual(Intent.decodeAnchor(anchor + '00'), null);
+            assert.strictEqual(Intent.decodeAnchor('0x43465231' + VECTOR.digest.slice(2)), null);
+            assert.strictEqual(Intent.decodeAnchor(undefined), null);
+            assert.throws(() => Intent.encodeAnchor('0x1234'), error => error.code === 'INVALID_HASH');
+
+            // 4 prefix bytes + 32 digest bytes, none of them zero here
+            assert.strictEqual(Intent.calldataGas(anchor), 36 * 16);
+        });
+    });
+}
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+// Keystore - Encrypted wallets for every process
+// Private keys only touch disk as scrypt-encrypted JSON keystores, unlocked with a passphrase
+// from KEYSTORE_PASSWORD, KEYSTORE_PASSWORD_FILE or an inherited file descriptor (KEYSTORE_PASSWORD_FD).
+// With a BIP-39 mnemonic in SEMANTIC_SEED, each process derives the same account on every host instead.
+
+const fs = require('fs');
+const path = require('path');
+const eth = require('./ethers-compat');
+const { createLogger, addSecret } = require('./logger');
+
+const log = createLogger('keystore');
+
+// Each process gets its own account under the shared mnemonic
+const PROCESS_INDEX = {
+    'semantic-daemon': 0,
+    'eth-extractor': 1,
+    'l2-liquidator': 2,
+    'yield-extractor': 3,
+    'recursive-loop': 4
+};
+
+const HD_PATH_PREFIX = "m/44'/60'/0'/0";
+
+class KeystoreError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'KeystoreError';
+        this.code = code;
+    }
+}
+
+class Keystore {
+    constructor(options = {}) {
+        this.dir = options.dir || __dirname;
+        this.mnemonic = options.mnemonic !== undefined ? options.mnemonic : process.env.SEMANTIC_SEED;
+        this.hdPath = options.hdPath || process.env.SEMANTIC_HD_PATH;
+        this.passphrase = options.passphrase; // read from the environment on first use otherwise
+        this.scryptN = options.scryptN; // lower only for tests
+        addSecret(this.mnemonic);
+    }
+
+    keystorePath(name) {
+        return path.join(this.dir, `.${name}-keystore.json`);
+    }
+
+    // Address of a process's keystore (or its not yet migrated plaintext file) without unlocking it
+    addressOf(name, legacyFile) {
+        for (const file of [this.keystorePath(name), legacyFile]) {
+            if (!file || !fs.existsSync(file)) continue;
+            const { address } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (address) return eth.getAddress(address.startsWith('0x') ? address : `0x${address}`);
+        }
+        return null;
+    }
+
+    hdPathFor(name) {
+        if (this.hdPath) return this.hdPath;
+        if (!(name in PROCESS_INDEX)) {
+            throw new KeystoreError(`No HD index for process ${name}; set SEMANTIC_HD_PATH`, 'UNKNOWN_PROCESS');
+        }
+        return `${HD_PATH_PREFIX}/${PROCESS_INDEX[name]}`;
+    }
+
+    // Resolution order: mnemonic → encrypted keystore → migrated plaintext file → new random key
+    async loadWallet(name, provider, options = {}) {
+        if (this.mnemonic) {
+            return this.deriveWallet(name, provider);
+        }
+
+        const file = this.keystorePath(name);
+        if (fs.existsSync(file)) {
+            return this.unlock(file, provider);
+        }
+
+        if (options.legacyFile && fs.existsSync(options.legacyFile)) {
+            return this.migrate(options.legacyFile, name, provider);
+        }
+
+        const wallet = eth.randomWallet();
+        addSecret(wallet.privateKey);
+        await this.save(wallet, name);
+        log.info('Generated wallet', { process: name, address: wallet.address });
+        return provider ? wallet.connect(provider) : wallet;
+    }
+
+    deriveWallet(name, provider) {
+        const phrase = this.mnemonic.trim().split(/\s+/).join(' ');
+        if (!eth.isValidMnemonic(phrase)) {
+            throw new KeystoreError('SEMANTIC_SEED is not a valid BIP-39 mnemonic', 'INVALID_MNEMONIC');
+        }
+        const hdPath = this.hdPathFor(name);
+        const wallet = eth.walletFromMnemonic(phrase, hdPath, provider);
+        addSecret(wallet.privateKey);
+        log.info('Derived wallet', { process: name, address: wallet.address, hdPath });
+        return wallet;
+    }
+
+    async unlock(file, provider) {
+        const json = fs.readFileSync(file, 'utf8');
+        try {
+            const wallet = await eth.decryptKeystore(json, this.getPassphrase(), provider);
+            addSecret(wallet.privateKey);
+            return wallet;
+        } catch (error) {
+            if (error instanceof KeystoreError) throw error;
+            throw new KeystoreError(`Could not decrypt ${path.basename(file)}: ${error.message}`, 'DECRYPT_FAILED');
+        }
+    }
+
+    async save(wallet, name) {
+        const json = await eth.encryptKeystore(wallet, this.getPassphrase(), this.scryptN);
+        const file = this.keystorePath(name);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, json, { mode: 0o600 });
+        fs.renameSync(tmp, file);
+        return file;
+    }
+
+    // Encrypt a plaintext { privateKey } file, check the keystore opens, then delete the plaintext
+    async migrate(legacyFile, name, provider) {
+        const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+        if (!legacy.privateKey) {
+            throw new KeystoreError(`${path.basename(legacyFile)} has no privateKey to migrate`, 'INVALID_LEGACY');
+        }
+        addSecret(legacy.privateKey);
+        const wallet = eth.createWallet(legacy.privateKey);
+        if (legacy.address && eth.getAddress(legacy.address) !== wallet.address) {
+            throw new KeystoreError(`${path.basename(legacyFile)} address does not match its key`, 'INVALID_LEGACY');
+        }
+
+        const file = await this.save(wallet, name);
+        const restored = await this.unlock(file, null);
+        if (restored.address !== wallet.address) {
+            throw new KeystoreError(`Keystore round-trip failed for ${name}`, 'MIGRATION_FAILED');
+        }
+
+        fs.unlinkSync(legacyFile);
+        log.info('Migrated plaintext wallet to keystore', { process: name, from: path.basename(legacyFile), to: path.basename(file), address: wallet.address });
+        return provider ? restored.connect(provider) : restored;
+    }
+
+    getPassphrase() {
+        if (this.passphrase === undefined) {
+            this.passphrase = readPassphrase();
+        }
+        return this.passphrase;
+    }
+}
+
+// Env var, file or inherited fd (e.g. `node semantic-daemon.js 3<passphrase.txt` with KEYSTORE_PASSWORD_FD=3)
+function readPassphrase(env = process.env) {
+    let passphrase = null;
+
+    if (env.KEYSTORE_PASSWORD) {
+        passphrase = env.KEYSTORE_PASSWORD;
+        delete env.KEYSTORE_PASSWORD; // keep it out of child process environments
+    } else if (env.KEYSTORE_PASSWORD_FILE) {
+        passphrase = readSource(env.KEYSTORE_PASSWORD_FILE, 'KEYSTORE_PASSWORD_FILE');
+    } else if (env.KEYSTORE_PASSWORD_FD) {
+        passphrase = readSource(parseInt(env.KEYSTORE_PASSWORD_FD, 10), 'KEYSTORE_PASSWORD_FD');
+    }
+
+    passphrase = passphrase === null ? '' : passphrase.replace(/\r?\n$/, '');
+    if (!passphrase) {
+        throw new KeystoreError(
+            'Keystore passphrase not set (KEYSTORE_PASSWORD, KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD_FD)',
+            'NO_PASSPHRASE'
+        );
+    }
+    addSecret(passphrase);
+    return passphrase;
+}
+
+function readSource(source, name) {
+    try {
+        return fs.readFileSync(source, 'utf8');
+    } catch (error) {
+        throw new KeystoreError(`Could not read the keystore passphrase from ${name}: ${error.message}`, 'NO_PASSPHRASE');
+    }
+}
+
+module.exports = Keystore;
+module.exports.KeystoreError = KeystoreError;
+module.exports.readPassphrase = readPassphrase;
+module.exports.PROCESS_INDEX = PROCESS_INDEX;
+
+// CLI: node keystore.js <process-name> [legacy-file] - print the address, migrating a plaintext file if given
+if (require.main === module) {
+    const name = process.argv[2] || 'semantic-daemon';
+    const legacyFile = process.argv[3] ? path.resolve(process.argv[3]) : null;
+
+    new Keystore().loadWallet(name, null, { legacyFile })
+        .then(wallet => console.log(`${name}: ${wallet.address}`))
+        .catch(error => {
+            console.error(`[KEYSTORE] ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ETHERS, loadWith, tempDir } = require('./test-helpers');
+
+const KEY = '0x' + '11'.repeat(32);
+const ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A'; // of KEY
+const PASSPHRASE = 'correct horse battery';
+
+// KEY encrypted with PASSPHRASE at scrypt N=1024, so decrypting takes milliseconds
+const FIXTURE = {
+    address: '19e7e376e7c213b7e7e7e46cc70a5dd086daff2a',
+    id: '657bfe27-03c0-4094-a3e8-0192f03c41a5',
+    version: 3,
+    crypto: {
+        cipher: 'aes-128-ctr',
+        cipherparams: { iv: '69d658d147b42709ba53123d263f69e3' },
+        ciphertext: 'c77b7552baa3c5583f924c77324a14d25b3b3d297401f6cf10fd118c6f7b45f8',
+        kdf: 'scrypt',
+        kdfparams: { salt: 'be74802e5df0a5700688f278e25c0aa6c05b274d9cfc1c3dcef7c6b4f55654b6', n: 1024, dklen: 32, p: 1, r: 8 },
+        mac: '5fbc3ef67020da29b1d747abaa37d83d2a19aea378dc1e4c5bec7246719ce122'
+    }
+};
+
+for (const pkg of ETHERS) {
+    test(`keystore on ${pkg}`, async t => {
+        const [, Keystore] = loadWith(pkg, 'ethers-compat', 'keystore');
+        const { KeystoreError, readPassphrase } = Keystore;
+        const dir = tempDir('keystore-');
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        fs.writeFileSync(path.join(dir, '.eth-extractor-keystore.json'), JSON.stringify(FIXTURE));
+        const keystore = passphrase => new Keystore({ dir, mnemonic: '', passphrase, scryptN: 1024 });
+
+        await t.test('loadWallet decrypts the process keystore', async () => {
+            const wallet = await keystore(PASSPHRASE).loadWallet('eth-extractor');
+            assert.strictEqual(wallet.address, ADDRESS);
+            assert.strictEqual(wallet.privateKey, KEY);
+            assert.strictEqual(keystore().addressOf('eth-extractor'), ADDRESS);
+        });
+
+        await t.test('a wrong passphrase is a DECRYPT_FAILED KeystoreError', async () => {
+            await assert.rejects(keystore('wrong horse').loadWallet('eth-extractor'), error => {
+                assert.ok(error instanceof KeystoreError);
+                assert.strictEqual(error.code, 'DECRYPT_FAILED');
+                assert.match(error.message, /^Could not decrypt \.eth-extractor-keystore\.json: /);
+                return true;
+            });
+        });
+
+        await t.test('a missing passphrase file is a NO_PASSPHRASE KeystoreError', () => {
+            const missing = path.join(dir, 'no-such-passphrase.txt');
+            assert.throws(() => readPassphrase({ KEYSTORE_PASSWORD_FILE: missing }), error =>
+                error instanceof KeystoreError && error.code === 'NO_PASSPHRASE' && error.message.includes('KEYSTORE_PASSWORD_FILE'));
+            assert.throws(() => readPassphrase({}), error => error.code === 'NO_PASSPHRASE');
+
+            fs.writeFileSync(path.join(dir, 'passphrase.txt'), PASSPHRASE + '\n');
+            assert.strictEqual(readPassphrase({ KEYSTORE_PASSWORD_FILE: path.join(dir, 'passphrase.txt') }), PASSPHRASE);
+        });
+
+        await t.test('without a keystore file a new key is generated and saved owner-only', async () => {
+            assert.strictEqual(keystore().addressOf('l2-liquidator'), null);
+            const created = await keystore(PASSPHRASE).loadWallet('l2-liquidator');
+            const file = path.join(dir, '.l2-liquidator-keystore.json');
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+            assert.strictEqual((await keystore(PASSPHRASE).loadWallet('l2-liquidator')).address, created.address);
+        });
+
+        await t.test('a plaintext key file is migrated and removed', async () => {
+            const legacyFile = path.join(dir, '.legacy-wallet.json');
+            fs.writeFileSync(legacyFile, JSON.stringify({ address: ADDRESS, privateKey: KEY }));
+            const wallet = await keystore(PASSPHRASE).loadWallet('yield-extractor', null, { legacyFile });
+            assert.strictEqual(wallet.address, ADDRESS);
+            assert.ok(!fs.existsSync(legacyFile));
+            assert.strictEqual(keystore().addressOf('yield-extractor'), ADDRESS);
+        });
+    });
+}
@@ -1,17 +1,41 @@
 #!/usr/bin/env node
 
-const { ethers } = require('ethers');
+const eth = require('./ethers-compat');
+const { isDryRun, logSimulation } = require('./simulator');
+const RealizedPnL = require('./realized-pnl');
+const ProfitabilityGate = require('./profitability-gate');
+const { logDecision } = require('./profitability-gate');
+const { buildLiquidationTx } = require('./contract-interface');
+const TransactionManager = require('./tx-manager');
+const { createSigner, isReadOnly } = require('./signers');
+const AlertManager = require('./alert-manager');
+const metrics = require('./metrics');
+const Logger = require('./logger');
+
+const COMET = eth.createInterface([
+    'function absorb(address absorber, address[] calldata accounts)'
+]);
+
+// Aave V3 oracle and data provider share addresses on Arbitrum, Optimism and Polygon
+const AAVE_V3_ORACLE = '0xb56c2F0B653B2e0b10C9b928C8580Ac5Df02C7C7';
+const AAVE_V3_DATA_PROVIDER = '0x69FA688f1Dc47d4B5d8029D5a35FB7a548310654';
 
 class L2Liquidator {
-    constructor() {
+    constructor(options = {}) {
+        this.dryRun = isDryRun(options.dryRun); // simulate only, never broadcast
+        this.minProfitETH = options.minProfitETH; // falls back to MIN_PROFIT_ETH
+        this.log = Logger.createLogger('l2-liquidator');
+        
         this.l2Protocols = {
             arbitrum: {
                 chainId: 42161,
                 rpc: 'https://arb1.arbitrum.io/rpc',
+                oracle: AAVE_V3_ORACLE,
+                weth: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
                 protocols: {
                     aaveV3: {
                         pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-                        liquidationBonus: 0.05,
+                        dataProvider: AAVE_V3_DATA_PROVIDER,
                         gasPrice: '0.1 gwei'
                     }
                 }
@@ -19,10 +43,12 @@ class L2Liquidator {
             optimism: {
                 chainId: 10,
                 rpc: 'https://mainnet.optimism.io',
+                oracle: AAVE_V3_ORACLE,
+                weth: '0x4200000000000000000000000000000000000006',
                 protocols: {
                     aaveV3: {
                         pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-                        liquidationBonus: 0.05,
+                        dataProvider: AAVE_V3_DATA_PROVIDER,
                         gasPrice: '0.001 gwei'
                     }
                 }
@@ -30,10 +56,12 @@ class L2Liquidator {
             polygon: {
                 chainId: 137,
                 rpc: 'https://polygon-rpc.com',
+                oracle: AAVE_V3_ORACLE,
+                weth: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
                 protocols: {
                     aaveV3: {
                         pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-                        liquidationBonus: 0.05,
+                        dataProvider: AAVE_V3_DATA_PROVIDER,
                         gasPrice: '30 gwei'
                     }
                 }
@@ -41,10 +69,11 @@ class L2Liquidator {
             base: {
                 chainId: 8453,
                 rpc: 'https://mainnet.base.org',
+                oracle: null, // absorb() pays no collateral to the caller, only gas is booked
+                weth: '0x4200000000000000000000000000000000000006',
                 protocols: {
                     compoundV3: {
                         comet: '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf',
-                        liquidationBonus: 0.075,
                         gasPrice: '0.001 gwei'
                     }
                 }
@@ -53,75 +82,132 @@ class L2Liquidator {
     }
     async executeCheapLiquidation(chain, target) {
         const config = this.l2Protocols[chain];
-        const provider = new ethers.JsonRpcProvider(config.rpc);
+        const provider = eth.getProvider(config.rpc, config.chainId);
+        
+        // A dry run only needs a sender address, not a key
+        const signer = createSigner(provider);
+        const wallet = isReadOnly(signer) ? null : signer;
+        const sender = signer ? signer.address : process.env.DRY_RUN_FROM;
+        if (!wallet && !this.dryRun) {
+            throw new Error('No signer configured (PRIVATE_KEY or SIGNER_URL)');
+        }
         
-        const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+        // Live reserve bonus, close factor and gas decide whether this goes out
+        const protocol = config.protocols.aaveV3 ? 'aave' : 'compoundV3';
+        const log = this.log.child({ chain, protocol, user: target.user, signalId: target.signalId });
+        log.info(this.dryRun ? 'Simulating liquidation' : 'Executing liquidation');
         
-        console.log(`[${chain.toUpperCase()}] Executing liquidation...`);
-        console.log(`  Expected profit: ${target.collateral * 0.05} ETH`);
+        const decision = await this.createGate(chain, provider).evaluate({
+            protocol,
+            user: target.user,
+            collateralAsset: target.collateralAsset,
+            debtAsset: target.debtAsset,
+            maxRepayableDebt: target.debtAmount
+        }, { from: sender });
+        logDecision(`[${chain.toUpperCase()}] ${target.user}`, decision, log);
+        
+        if (this.dryRun) {
+            if (decision.simulation) {
+                logSimulation(`[${chain.toUpperCase()}] liquidation of ${target.user}`, decision.simulation, decision.expectedProfitETH, log);
+            }
+            return decision;
+        }
+        if (!decision.profitable) {
+            return decision;
+        }
         
-        if (config.protocols.aaveV3) {
-            const poolAbi = [
-                "function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)"
-            ];
-            
-            const pool = new ethers.Contract(
-                config.protocols.aaveV3.pool,
-                poolAbi,
-                wallet
-            );
-            
-            const tx = await pool.liquidationCall(
-                target.collateralAsset,
-                target.debtAsset,
-                target.user,
-                target.debtAmount,
-                false
-            );
-            
-            const receipt = await tx.wait();
-            console.log(`[SUCCESS] TX: ${receipt.transactionHash}`);
-            console.log(`[SUCCESS] Gas used: $${(receipt.gasUsed * 0.000001).toFixed(2)}`);
-            
-        } else if (config.protocols.compoundV3) {
-            const cometAbi = [
-                "function absorb(address absorber, address[] calldata accounts)"
-            ];
-            
-            const comet = new ethers.Contract(
-                config.protocols.compoundV3.comet,
-                cometAbi,
-                wallet
-            );
-            
-            const tx = await comet.absorb(wallet.address, [target.user]);
-            const receipt = await tx.wait();
-            console.log(`[SUCCESS] Absorbed underwater position`);
+        // First liquidation repaying this debt token: approve the pool to pull it
+        const txManager = TransactionManager.forWallet(wallet);
+        if (decision.approval) {
+            await txManager.sendAndWait(decision.approval, { kind: 'approval', chain, protocol, signalId: target.signalId });
         }
+        
+        metrics.liquidationsAttempted.inc({ chain, protocol });
+        const receipt = await txManager
+            .sendAndWait(decision.tx, {
+                kind: 'liquidation',
+                chain,
+                protocol,
+                signalId: target.signalId,
+                valueAtRiskETH: decision.quote.repayValueETH || 0
+            });
+        metrics.liquidationsSucceeded.inc({ chain, protocol });
+        log.info(config.protocols.aaveV3 ? 'Liquidation mined' : 'Absorbed underwater position', { txHash: eth.getTxHash(receipt) });
+        
+        // Realized P&L from the receipt, including the L1 data fee on OP-stack chains
+        const pnl = await new RealizedPnL(provider, { oracle: config.oracle, weth: config.weth })
+            .fromTxHash(eth.getTxHash(receipt), wallet.address);
+        log.info('Realized P&L', {
+            txHash: eth.getTxHash(receipt),
+            gasCostETH: pnl.gasCostETH,
+            l1FeeETH: pnl.l1FeeETH,
+            netProfitETH: pnl.netProfitETH
+        });
+        metrics.realizedProfit.inc({ chain, protocol }, pnl.netProfitETH);
+        return pnl;
+    }
+    
+    createGate(chain, provider) {
+        const config = this.l2Protocols[chain];
+        const { aaveV3, compoundV3 } = config.protocols;
+        
+        return new ProfitabilityGate(provider, {
+            minProfitETH: this.minProfitETH,
+            weth: config.weth,
+            aave: aaveV3 ? {
+                version: 3,
+                pool: aaveV3.pool,
+                dataProvider: aaveV3.dataProvider,
+                oracle: config.oracle
+            } : undefined,
+            buildTx: (target, from) => {
+                if (aaveV3) {
+                    // V3 pool keeps the V2 liquidationCall signature
+                    return {
+                        ...buildLiquidationTx('aave', {
+                            collateralAsset: target.collateralAsset,
+                            debtAsset: target.debtAsset,
+                            user: target.user,
+                            debtToCover: target.maxRepayableDebt,
+                            receiveAToken: false
+                        }),
+                        to: aaveV3.pool
+                    };
+                }
+                return {
+                    to: compoundV3.comet,
+                    data: COMET.encodeFunctionData('absorb', [from, [target.user]]),
+                    value: 0
+                };
+            }
+        });
     }
 
     async scanL2Markets() {
-        console.log('[*] Scanning L2 markets\n');
+        this.log.info('Scanning L2 markets');
         
         for (const [chain, config] of Object.entries(this.l2Protocols)) {
-            console.log(`[${chain}] Checking positions...`);
+            this.log.debug('Checking positions', { chain });
             // Production: Use The Graph or Alchemy SDK
         }
     }
 }
 
 if (require.main === module) {
+    Logger.redactConsole();
     const liquidator = new L2Liquidator();
+    metrics.startMetricsServer();
+    eth.onProvider(metrics.instrumentProvider);
+    eth.onProvider((provider, endpoint) => AlertManager.forProcess().watchProvider(provider, endpoint));
     
-    console.log('[*] L2 Liquidator initialized');
-    console.log('[*] Gas costs: Mainnet $20-50, L2 $0.10-1.00\n');
+    liquidator.log.info('L2 liquidator initialized', { dryRun: liquidator.dryRun });
     
     const exampleTarget = {
         user: '0x' + '1'.repeat(40),
         collateralAsset: '0x' + '2'.repeat(40),
         debtAsset: '0x' + '3'.repeat(40),
         collateral: 10,
-        debtAmount: ethers.parseEther('7500')
+        debtAmount: eth.parseEther('7500')
     };
 }
 
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+// Logger - Structured JSON lines with correlation fields and secret redaction
+// Every line carries level, module and whatever correlation fields the caller bound
+// (chain, signalId, txHash, ...), so `grep SIG-...` over PM2 logs follows a signal from
+// broadcast to realized profit. Everything written - fields, messages, errors - passes
+// through redact() first: registered secrets, secret-looking env values, bare 32-byte hex
+// keys and API keys embedded in RPC urls never reach a log file.
+//
+//   LOG_LEVEL   debug | info (default) | warn | error
+//   LOG_FORMAT  json (default) | text
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_FIELD = /^(private_?key|mnemonic|seed|phrase|passphrase|password|secret|api_?key|authorization|(auth|access|admin)_?token)$/i;
+// Env vars whose values are registered as secrets at startup
+const SECRET_ENV = /KEY|SECRET|PASSWORD|TOKEN|SEED|MNEMONIC/;
+const NOT_SECRET_ENV = /_(FILE|FD|ADDRESS|PATH)$/;
+// Query parameters that carry credentials in RPC urls
+const SECRET_PARAM = /^(api[-_]?key|key|token|access[-_]?token|secret|auth|password)$/i;
+
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>\\`]+/g;
+const BARE_KEY_PATTERN = /(?<![0-9A-Za-z])[0-9a-fA-F]{64}(?![0-9A-Za-z])/g;
+
+const secrets = new Set();
+
+class Logger {
+    constructor(module, fields = {}, options = {}) {
+        this.module = module;
+        this.fields = fields;
+        this.level = LEVELS[options.level || process.env.LOG_LEVEL] || LEVELS.info;
+        this.format = options.format || process.env.LOG_FORMAT || 'json';
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+    }
+
+    // Bind correlation fields (signalId, txHash, chain, ...) for every line that follows
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields }, {
+            level: levelName(this.level),
+            format: this.format,
+            stdout: this.stdout,
+            stderr: this.stderr
+        });
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < this.level) return;
+
+        const entry = {
+            ts: new Date().toISOString(),
+            level,
+            module: this.module,
+            msg,
+            ...sanitize({ ...this.fields, ...fields })
+        };
+        const line = this.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+        const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+        stream.write(redact(line) + '\n');
+    }
+}
+
+function createLogger(module, fields) {
+    return new Logger(module, fields);
+}
+
+// Register a value that must never appear in logs (keys, mnemonics, passphrases, auth tokens)
+function addSecret(value) {
+    if (typeof value !== 'string' || value.length < 8) return;
+    secrets.add(value);
+    if (/^0x[0-9a-fA-F]+$/.test(value)) secrets.add(value.slice(2));
+}
+
+function redact(text) {
+    let out = String(text);
+    // Longest first so a secret containing another is replaced whole
+    for (const secret of Array.from(secrets).sort((a, b) => b.length - a.length)) {
+        out = out.split(secret).join(REDACTED);
+    }
+    return out
+        .replace(URL_PATTERN, redactUrl)
+        .replace(BARE_KEY_PATTERN, REDACTED);
+}
+
+// Keep scheme, host and short path segments; drop userinfo, credential params and key-like segments
+// (https://eth-mainnet.g.alchemy.com/v2/<key>, https://mainnet.infura.io/v3/<key>)
+function redactUrl(match) {
+    // Punctuation closing the surrounding sentence ("(url=https://.../v3/<key>, ...)") isn't part of the url
+    const [, raw, trailing] = match.match(/^(.*?)([.,;:)\]]*)$/);
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (e) {
+        return match;
+    }
+    if (url.username || url.password) {
+        url.username = '';
+        url.password = '';
+    }
+    url.pathname = url.pathname.split('/')
+        .map(segment => /^[A-Za-z0-9_-]{20,}$/.test(segment) && !/^0x/.test(segment) ? REDACTED : segment)
+        .join('/');
+    for (const name of Array.from(url.searchParams.keys())) {
+        if (SECRET_PARAM.test(name)) url.searchParams.set(name, REDACTED);
+    }
+    return url.toString().replace(/%5BREDACTED%5D/g, REDACTED) + trailing;
+}
+
+// JSON-safe copy: bigints as strings, errors as { message, code }, secret-named fields masked
+function sanitize(value, key, depth = 0) {
+    if (key !== undefined && SECRET_FIELD.test(key)) return REDACTED;
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) {
+        const error = { message: value.message };
+        if (value.code !== undefined) error.code = value.code;
+        return error;
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 5) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => sanitize(item, undefined, depth + 1));
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+        if (v === undefined || typeof v === 'function') continue;
+        out[k] = sanitize(v, k, depth + 1);
+    }
+    return out;
+}
+
+function formatText(entry) {
+    const { ts, level, module, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join(' ');
+    return `${ts.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra ? ' ' + extra : ''}`;
+}
+
+function levelName(level) {
+    return Object.keys(LEVELS).find(name => LEVELS[name] === level);
+}
+
+// Safety net for anything still writing through console (libraries, demo output)
+function redactConsole() {
+    if (console.__redacted) return;
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => original(redact(util.format(...args)));
+    }
+    console.__redacted = true;
+}
+
+function registerEnvSecrets(env = process.env) {
+    for (const [name, value] of Object.entries(env)) {
+        if (SECRET_ENV.test(name) && !NOT_SECRET_ENV.test(name)) addSecret(value);
+    }
+}
+
+registerEnvSecrets();
+
+module.exports = Logger;
+module.exports.createLogger = createLogger;
+module.exports.addSecret = addSecret;
+module.exports.redact = redact;
+module.exports.redactConsole = redactConsole;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+// Metrics - Prometheus text exposition without external deps
+// One registry per process; every process in ecosystem.config.js serves it on
+// METRICS_PORT at /metrics. Metric names are defined here so all daemons share them.
+
+const http = require('http');
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const CHAIN_NAMES = {
+    1: 'ethereum',
+    10: 'optimism',
+    8453: 'base',
+    42161: 'arbitrum'
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // label key → value
+    }
+
+    key(labels = {}) {
+        return JSON.stringify(this.labelNames.map(label => String(labels[label] === undefined ? '' : labels[label])));
+    }
+
+    labelsOf(key) {
+        const values = JSON.parse(key);
+        return this.labelNames.map((label, i) => [label, values[i]]);
+    }
+
+    samples() {
+        return Array.from(this.values.entries()).map(([key, value]) => formatSample(this.name, this.labelsOf(key), value));
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value = 1) {
+        if (value < 0) throw new Error(`${this.name}: counters only go up`);
+        const key = this.key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.values.set(this.key(labels), value);
+    }
+
+    inc(labels, value = 1) {
+        const key = this.key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = this.values.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    // Returns a function that records the elapsed seconds when called
+    startTimer(labels) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    samples() {
+        const lines = [];
+        for (const [key, entry] of this.values) {
+            const labels = this.labelsOf(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(formatSample(`${this.name}_bucket`, [...labels, ['le', String(bound)]], entry.counts[i]));
+            });
+            lines.push(formatSample(`${this.name}_bucket`, [...labels, ['le', '+Inf']], entry.count));
+            lines.push(formatSample(`${this.name}_sum`, labels, entry.sum));
+            lines.push(formatSample(`${this.name}_count`, labels, entry.count));
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = []; // refreshed right before each scrape
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) return this.metrics.get(metric.name);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    collect(fn) {
+        this.collectors.push(fn);
+    }
+
+    // Prometheus text format 0.0.4
+    expose() {
+        this.collectors.forEach(fn => fn());
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.samples());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+// Shared metric definitions
+const txsSent = registry.counter('causal_txs_sent_total', 'Transactions broadcast', ['chain', 'kind']);
+const txsFailed = registry.counter('causal_txs_failed_total', 'Transactions that failed to send, reverted or were dropped', ['chain', 'kind', 'status']);
+const txReplacements = registry.counter('causal_tx_replacements_total', 'Stuck transactions replaced with bumped fees', ['chain']);
+const gasSpent = registry.counter('causal_gas_spent_eth_total', 'Gas spent on mined transactions, in ETH', ['chain']);
+const liquidationsAttempted = registry.counter('causal_liquidations_attempted_total', 'Liquidations sent after passing the profitability gate', ['chain', 'protocol']);
+const liquidationsSucceeded = registry.counter('causal_liquidations_succeeded_total', 'Liquidations mined successfully', ['chain', 'protocol']);
+const realizedProfit = registry.gauge('causal_realized_profit_eth', 'Cumulative realized net profit since start, in ETH (can go negative)', ['chain', 'protocol']);
+const signalsBroadcast = registry.counter('causal_signals_broadcast_total', 'Semantic signals broadcast', ['chain', 'type']);
+const walletBalance = registry.gauge('causal_wallet_balance_eth', 'Wallet balance, in ETH', ['chain', 'address']);
+const assetBalance = registry.gauge('causal_wallet_asset_balance', 'Wallet balance per asset (ETH, ERC-20, aToken, cToken), in its own units', ['chain', 'address', 'asset']);
+const walletBelowMinimum = registry.gauge('causal_wallet_below_minimum', '1 while a process wallet holds less ETH than its chain minimum', ['chain', 'process']);
+const ethPrice = registry.gauge('causal_eth_price_usd', 'Last ETH/USD price read from the price sources');
+const alertsSent = registry.counter('causal_alerts_total', 'Alerts sent to the sinks (after deduplication)', ['rule', 'severity']);
+const alertSinkFailures = registry.counter('causal_alert_sink_failures_total', 'Alerts a sink failed to deliver', ['sink']);
+const rpcDuration = registry.histogram('causal_rpc_request_duration_seconds', 'JSON-RPC request latency', ['endpoint', 'method', 'status']);
+
+const startTime = registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds');
+const residentMemory = registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const heapUsed = registry.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes');
+startTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+registry.collect(() => {
+    const memory = process.memoryUsage();
+    residentMemory.set({}, memory.rss);
+    heapUsed.set({}, memory.heapUsed);
+});
+
+function chainName(chainId) {
+    if (chainId === null || chainId === undefined) return 'unknown';
+    return CHAIN_NAMES[Number(chainId)] || String(chainId);
+}
+
+// Time every JSON-RPC call through provider.send (both ethers majors route requests through it)
+function instrumentProvider(provider, endpoint) {
+    if (provider.__metricsInstrumented) return provider;
+    const send = provider.send.bind(provider);
+
+    provider.send = async (method, params) => {
+        const done = rpcDuration.startTimer({ endpoint, method });
+        try {
+            const result = await send(method, params);
+            done({ status: 'ok' });
+            return result;
+        } catch (error) {
+            done({ status: 'error' });
+            throw error;
+        }
+    };
+    provider.__metricsInstrumented = true;
+    return provider;
+}
+
+// Serves /metrics when METRICS_PORT (or options.port) is set; returns null otherwise
+function startMetricsServer(options = {}) {
+    const port = options.port !== undefined ? options.port : process.env.METRICS_PORT;
+    if (port === undefined || port === null || port === '') return null;
+    const host = options.host || process.env.METRICS_HOST || '127.0.0.1';
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+            res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+            return res.end(registry.expose());
+        }
+        res.writeHead(404, { 'content-type': 'text/plain' });
+        res.end('not found\n');
+    });
+    server.on('error', error => log.error('Metrics server failed', { error }));
+    server.listen(Number(port), host, () => {
+        const address = server.address();
+        log.info(`Prometheus endpoint on http://${address.address}:${address.port}/metrics`);
+    });
+    return server;
+}
+
+function formatSample(name, labels, value) {
+    const body = labels.length === 0 ? '' :
+        '{' + labels.map(([label, v]) => `${label}="${escapeLabel(v)}"`).join(',') + '}';
+    return `${name}${body} ${formatValue(value)}`;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+module.exports = {
+    registry,
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    chainName,
+    instrumentProvider,
+    startMetricsServer,
+
+    txsSent,
+    txsFailed,
+    txReplacements,
+    gasSpent,
+    liquidationsAttempted,
+    liquidationsSucceeded,
+    realizedProfit,
+    signalsBroadcast,
+    walletBalance,
+    assetBalance,
+    walletBelowMinimum,
+    ethPrice,
+    alertsSent,
+    alertSinkFailures,
+    rpcDuration
+};
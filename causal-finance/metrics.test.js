@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const metrics = require('./metrics');
+
+const { Registry } = metrics;
+
+function get(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+test('exposition format: HELP and TYPE lines, one sample per label set', () => {
+    const registry = new Registry();
+    const sent = registry.counter('test_txs_total', 'Transactions\nsent, C:\\ style', ['chain', 'kind']);
+    const balance = registry.gauge('test_balance_eth', 'Wallet balance', ['chain']);
+    const price = registry.gauge('test_price_usd', 'Unlabelled');
+
+    sent.inc({ chain: 'ethereum', kind: 'liquidation' });
+    sent.inc({ chain: 'ethereum', kind: 'liquidation' }, 2);
+    sent.inc({ chain: 'base' }); // missing label → empty string
+    balance.set({ chain: 'ethereum' }, 1.25);
+    balance.inc({ chain: 'ethereum' }, -0.25);
+    price.set({}, Infinity);
+
+    assert.strictEqual(registry.expose(), [
+        '# HELP test_txs_total Transactions\\nsent, C:\\\\ style',
+        '# TYPE test_txs_total counter',
+        'test_txs_total{chain="ethereum",kind="liquidation"} 3',
+        'test_txs_total{chain="base",kind=""} 1',
+        '# HELP test_balance_eth Wallet balance',
+        '# TYPE test_balance_eth gauge',
+        'test_balance_eth{chain="ethereum"} 1',
+        '# HELP test_price_usd Unlabelled',
+        '# TYPE test_price_usd gauge',
+        'test_price_usd +Inf',
+        ''
+    ].join('\n'));
+    assert.throws(() => sent.inc({ chain: 'base' }, -1), /counters only go up/);
+    // Registering a name twice returns the first metric
+    assert.strictEqual(registry.counter('test_txs_total', 'again', ['chain']), sent);
+});
+
+test('label values escape backslashes, quotes and newlines', () => {
+    const registry = new Registry();
+    const errors = registry.counter('test_errors_total', 'Errors', ['endpoint', 'message']);
+    errors.inc({ endpoint: 'C:\\rpc', message: 'said "no"\nthen quit' });
+
+    assert.strictEqual(registry.expose().split('\n')[2],
+        'test_errors_total{endpoint="C:\\\\rpc",message="said \\"no\\"\\nthen quit"} 1');
+});
+
+test('histograms expose cumulative buckets, sum and count', () => {
+    const registry = new Registry();
+    const latency = registry.histogram('test_seconds', 'Latency', ['method'], [1, 0.5]);
+    latency.observe({ method: 'eth_call' }, 0.25);
+    latency.observe({ method: 'eth_call' }, 0.75);
+    latency.observe({ method: 'eth_call' }, 4);
+
+    assert.deepStrictEqual(registry.expose().split('\n').slice(2, -1), [
+        'test_seconds_bucket{method="eth_call",le="0.5"} 1',
+        'test_seconds_bucket{method="eth_call",le="1"} 2',
+        'test_seconds_bucket{method="eth_call",le="+Inf"} 3',
+        'test_seconds_sum{method="eth_call"} 5',
+        'test_seconds_count{method="eth_call"} 3'
+    ]);
+});
+
+test('/metrics serves the shared registry', async t => {
+    assert.strictEqual(metrics.startMetricsServer({}), null);
+
+    const server = metrics.startMetricsServer({ port: 0 });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    metrics.txsSent.inc({ chain: 'ethereum', kind: 'liquidation' });
+    metrics.txsSent.inc({ chain: 'ethereum', kind: 'liquidation' });
+    metrics.walletBalance.set({ chain: 'base', address: '0xabc' }, 0.5);
+
+    const { status, headers, body } = await get(`${base}/metrics?x=1`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+    const lines = body.split('\n');
+    for (const line of [
+        '# HELP causal_txs_sent_total Transactions broadcast',
+        '# TYPE causal_txs_sent_total counter',
+        'causal_txs_sent_total{chain="ethereum",kind="liquidation"} 2',
+        '# TYPE causal_wallet_balance_eth gauge',
+        'causal_wallet_balance_eth{chain="base",address="0xabc"} 0.5',
+        '# TYPE causal_rpc_request_duration_seconds histogram'
+    ]) {
+        assert.ok(lines.includes(line), `missing ${line}`);
+    }
+    // Process gauges are refreshed on every scrape
+    assert.match(body, /\nprocess_resident_memory_bytes \d+\n/);
+    assert.ok(body.endsWith('\n'));
+
+    assert.strictEqual((await get(`${base}/other`)).status, 404);
+});
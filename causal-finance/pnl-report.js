@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+// P&L Report - Where a window's change in holdings came from
+// Splits the change in value between two balance snapshots into:
+//   realized profit   liquidation proceeds booked in the attribution ledger (before gas)
+//   gas               every mined tx from the risk guard's gas journal (signals and intents included);
+//                     the ledger's liquidation gas when the journal has nothing for the window
+//   price effect      starting holdings marked to the end-of-window prices
+//   transfers         whatever quantity change is left: deposits, withdrawals, untracked flows
+// so that change = realized - gas + transfers + price effect. Amounts are in USD when both snapshots
+// carry an ETH price, in ETH otherwise (then price effect only covers token/ETH moves).
+// Snapshots come from logs/balance-history.jsonl (plus the older karmic-reflections.json).
+
+const fs = require('fs').promises;
+const path = require('path');
+const AttributionStore = require('./attribution-store');
+const { readGasJournal } = require('./risk-guard');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NATIVE = 'ETH';
+
+const HISTORY_FILE = path.join(__dirname, 'logs', 'balance-history.jsonl');
+const LEGACY_HISTORY_FILE = path.join(__dirname, 'logs', 'karmic-reflections.json');
+
+const CSV_COLUMNS = [
+    ['from', p => new Date(p.from).toISOString()],
+    ['to', p => new Date(p.to).toISOString()],
+    ['currency', p => p.currency],
+    ['start_value', p => p.startValue],
+    ['end_value', p => p.endValue],
+    ['change', p => p.change],
+    ['realized_profit', p => p.realizedProfit],
+    ['gas_cost', p => p.gasCost],
+    ['net_profit', p => p.netProfit],
+    ['transfers', p => p.transfers],
+    ['price_effect', p => p.priceEffect],
+    ['liquidations', p => p.liquidations],
+    ['realized_profit_eth', p => p.realizedProfitETH],
+    ['gas_eth', p => p.gasETH],
+    ['eth_price_end', p => p.ethPrice]
+];
+
+class PnLReport {
+    constructor(options = {}) {
+        this.historyFile = options.historyFile || HISTORY_FILE;
+        this.legacyFile = options.legacyFile === undefined ? LEGACY_HISTORY_FILE : options.legacyFile;
+        this.store = options.store || new AttributionStore({ readOnly: true, dir: options.ledgerDir });
+        this.gasDir = options.gasDir || process.env.RISK_DIR || path.join(__dirname, '.risk');
+    }
+
+    // All snapshots, oldest first; the same snapshot in both files counts once
+    async loadSnapshots() {
+        const byTimestamp = new Map();
+        if (this.legacyFile) {
+            try {
+                for (const snapshot of JSON.parse(await fs.readFile(this.legacyFile, 'utf8'))) {
+                    byTimestamp.set(snapshot.timestamp, snapshot);
+                }
+            } catch (e) {
+                // missing or half-written
+            }
+        }
+        const text = await fs.readFile(this.historyFile, 'utf8').catch(() => '');
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            try {
+                const snapshot = JSON.parse(line);
+                byTimestamp.set(snapshot.timestamp, snapshot);
+            } catch (e) {
+                // torn last line
+            }
+        }
+        return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // { from, to, totals, periods, processes }; bucketMs splits the window into consecutive periods
+    async generate({ from, to = Date.now(), bucketMs = null } = {}) {
+        if (from === undefined) from = to - DAY;
+        if (!(to > from)) throw new Error('Report window must end after it starts');
+
+        const [snapshots, { profits }, gas] = await Promise.all([
+            this.loadSnapshots(),
+            this.store.load(),
+            readGasJournal(this.gasDir, from, to)
+        ]);
+        const booked = Array.from(profits.values()).filter(p => p.timestamp > from && p.timestamp <= to);
+
+        const periods = [];
+        if (bucketMs) {
+            for (let start = from; start < to; start += bucketMs) {
+                periods.push(period(snapshots, booked, gas, start, Math.min(start + bucketMs, to)));
+            }
+        }
+        const totals = period(snapshots, booked, gas, from, to);
+        const since = totals.start === null ? from : totals.start;
+        return {
+            from,
+            to,
+            totals,
+            periods,
+            processes: processSpend(snapshots.filter(s => s.timestamp >= since && s.timestamp <= to), gas)
+        };
+    }
+}
+
+// One window's decomposition; holdings fields are null without two snapshots to compare
+function period(snapshots, booked, gas, from, to) {
+    const profits = booked.filter(p => p.timestamp > from && p.timestamp <= to);
+    const txs = gas.filter(g => g.ts > from && g.ts <= to);
+
+    const realizedProfitETH = profits.reduce((sum, p) => sum + p.amountETH, 0);
+    const liquidationGasETH = profits.reduce((sum, p) => sum + (p.gasSpent || 0), 0);
+    const gasSource = txs.length > 0 ? 'journal' : 'ledger';
+    const gasETH = gasSource === 'journal' ? txs.reduce((sum, g) => sum + g.gasETH, 0) : liquidationGasETH;
+
+    const result = {
+        from,
+        to,
+        liquidations: profits.length,
+        realizedProfitETH,
+        liquidationGasETH,
+        gasETH,
+        gasSource,
+        byType: groupSum(profits, p => p.liquidationType, p => p.amountETH - (p.gasSpent || 0)),
+        gasByProcess: groupSum(txs, g => g.process, g => g.gasETH),
+        gasByKind: groupSum(txs, g => g.kind || 'other', g => g.gasETH),
+        currency: 'ETH',
+        ethPrice: null,
+        start: null,
+        end: null,
+        hours: 0,
+        startValue: null,
+        endValue: null,
+        change: null,
+        realizedProfit: realizedProfitETH,
+        gasCost: gasETH,
+        netProfit: realizedProfitETH - gasETH,
+        transfers: null,
+        priceEffect: null,
+        netProfitPerHour: null,
+        assets: {},
+        unpriced: []
+    };
+
+    const start = snapshotAt(snapshots, from, to);
+    const end = latestAt(snapshots, to);
+    if (!start || !end || end.timestamp <= start.timestamp) return result;
+
+    const currency = start.ethPrice && end.ethPrice ? 'USD' : 'ETH';
+    const toCurrency = eth => (currency === 'USD' ? eth * end.ethPrice : eth);
+    const [q0, p0] = holdings(start, currency);
+    const [q1, p1] = holdings(end, currency);
+
+    let startValue = 0;
+    let endValue = 0;
+    let priceEffect = 0;
+    let quantityEffect = 0;
+    const unpriced = new Set();
+    const assets = {};
+
+    for (const key of new Set([...q0.keys(), ...q1.keys()])) {
+        const asset = key.slice(key.indexOf('|') + 1);
+        const a = q0.get(key) || 0;
+        const b = q1.get(key) || 0;
+        if (a !== b) {
+            const entry = assets[asset] || (assets[asset] = { start: 0, end: 0, change: 0 });
+            entry.start += a;
+            entry.end += b;
+            entry.change += b - a;
+        }
+
+        const pa = p0.has(asset) ? p0.get(asset) : p1.get(asset);
+        const pb = p1.has(asset) ? p1.get(asset) : p0.get(asset);
+        if (pa === undefined) {
+            unpriced.add(asset);
+            continue;
+        }
+        startValue += a * pa;
+        endValue += b * pb;
+        priceEffect += a * (pb - pa);
+        quantityEffect += (b - a) * pb;
+    }
+
+    const hours = (end.timestamp - start.timestamp) / HOUR;
+    const realizedProfit = toCurrency(realizedProfitETH);
+    const gasCost = toCurrency(gasETH);
+    return {
+        ...result,
+        currency,
+        ethPrice: end.ethPrice || null,
+        start: start.timestamp,
+        end: end.timestamp,
+        hours,
+        startValue,
+        endValue,
+        change: endValue - startValue,
+        realizedProfit,
+        gasCost,
+        netProfit: realizedProfit - gasCost,
+        transfers: quantityEffect - realizedProfit + gasCost,
+        priceEffect,
+        netProfitPerHour: hours > 0 ? (realizedProfit - gasCost) / hours : null,
+        assets,
+        unpriced: Array.from(unpriced)
+    };
+}
+
+// process|chain:asset → quantity (in the underlying), chain:asset → unit price in currency.
+// Rows from before per-asset/per-process history are ETH held by the signer.
+function holdings(snapshot, currency) {
+    const quantities = new Map();
+    const prices = new Map();
+    for (const row of snapshot.balances || []) {
+        const asset = `${row.chain}:${row.underlying || row.asset || NATIVE}`;
+        const quantity = row.underlyingBalance !== undefined ? row.underlyingBalance : row.balance;
+        const key = `${row.process || 'signer'}|${asset}`;
+        quantities.set(key, (quantities.get(key) || 0) + quantity);
+
+        let value = currency === 'USD' ? row.usdValue : row.valueETH;
+        if (currency === 'ETH' && value === undefined && !row.asset) value = row.balance;
+        if (typeof value === 'number' && quantity > 0 && !prices.has(asset)) prices.set(asset, value / quantity);
+    }
+    return [quantities, prices];
+}
+
+// The snapshot in force at `at`: the latest one taken by then, else the first one before `until`
+function snapshotAt(snapshots, at, until) {
+    return latestAt(snapshots, at) || snapshots.find(s => s.timestamp > at && s.timestamp <= until) || null;
+}
+
+function latestAt(snapshots, at) {
+    let found = null;
+    for (const snapshot of snapshots) {
+        if (snapshot.timestamp > at) break;
+        found = snapshot;
+    }
+    return found;
+}
+
+function groupSum(items, keyOf, valueOf) {
+    const groups = {};
+    for (const item of items) {
+        const key = keyOf(item);
+        groups[key] = (groups[key] || 0) + valueOf(item);
+    }
+    return groups;
+}
+
+// Native ETH per process and chain between consecutive snapshots: drops are spend (gas, for the
+// broadcasters), rises are top-ups. gasETH is what the gas journal booked for the process.
+function processSpend(snapshots, gas = []) {
+    const processes = {};
+    const previous = new Map();
+
+    for (const snapshot of snapshots) {
+        for (const row of snapshot.balances || []) {
+            if (row.asset && row.asset !== NATIVE) continue;
+            const label = row.process || 'signer';
+            const chains = processes[label] || (processes[label] = {});
+            const entry = chains[row.chain] || (chains[row.chain] = {
+                spentETH: 0, toppedUpETH: 0, gasETH: 0, currentETH: 0, since: snapshot.timestamp, byDay: {}
+            });
+
+            const key = `${label}|${row.chain}`;
+            if (previous.has(key)) {
+                const delta = row.balance - previous.get(key);
+                if (delta < 0) {
+                    const day = new Date(snapshot.timestamp).toISOString().slice(0, 10);
+                    entry.spentETH -= delta;
+                    entry.byDay[day] = (entry.byDay[day] || 0) - delta;
+                } else {
+                    entry.toppedUpETH += delta;
+                }
+            }
+            previous.set(key, row.balance);
+            entry.currentETH = row.balance;
+            entry.until = snapshot.timestamp;
+        }
+    }
+
+    for (const g of gas) {
+        const entry = processes[g.process] && processes[g.process][g.chain];
+        if (entry) entry.gasETH += g.gasETH;
+    }
+    for (const chains of Object.values(processes)) {
+        for (const entry of Object.values(chains)) {
+            const days = (entry.until - entry.since) / DAY;
+            entry.spendPerDayETH = days > 0 ? entry.spentETH / days : null;
+        }
+    }
+    return processes;
+}
+
+// One row per period (the whole window when there are none)
+function toCSV(report) {
+    const rows = report.periods.length > 0 ? report.periods : [report.totals];
+    const cell = value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(Math.round(value * 1e8) / 1e8);
+        return /[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    };
+    return [
+        CSV_COLUMNS.map(([name]) => name).join(','),
+        ...rows.map(row => CSV_COLUMNS.map(([, get]) => cell(get(row))).join(','))
+    ].join('\n') + '\n';
+}
+
+// "36h", "7d" → ms; null for anything else
+function parseSpan(value) {
+    const match = String(value).match(/^(\d+(?:\.\d+)?)([hd])$/);
+    return match ? parseFloat(match[1]) * (match[2] === 'h' ? HOUR : DAY) : null;
+}
+
+// ISO date, epoch ms, "now" or a span back from now ("36h", "7d")
+function parseTime(value, now = Date.now()) {
+    if (value === undefined || value === 'now') return now;
+    const span = parseSpan(value);
+    if (span !== null) return now - span;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Not a time: ${value}`);
+    return time;
+}
+
+// node pnl-report.js [from] [to] [--bucket hour|day|<span>] [--csv <file>|-]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const i = args.indexOf(name);
+        return i === -1 ? undefined : args.splice(i, 2)[1];
+    };
+
+    const run = async () => {
+        const bucket = option('--bucket');
+        const csv = option('--csv');
+        const to = parseTime(args[1]);
+        const from = args[0] === undefined ? to - DAY : parseTime(args[0]);
+        const bucketMs = bucket === undefined ? null : { day: DAY, hour: HOUR }[bucket] || parseSpan(bucket);
+        if (bucket !== undefined && !bucketMs) throw new Error(`Bucket must be hour, day or a span like 6h, not ${bucket}`);
+
+        const report = await new PnLReport().generate({ from, to, bucketMs });
+        if (csv === '-') {
+            process.stdout.write(toCSV(report));
+        } else if (csv) {
+            await fs.writeFile(csv, toCSV(report));
+            console.log(`[PNL] ${report.periods.length || 1} rows → ${csv}`);
+        } else {
+            console.log(JSON.stringify(report, null, 2));
+        }
+    };
+
+    if (args.includes('--help')) {
+        console.error('Usage: node pnl-report.js [from] [to] [--bucket hour|day|<span>] [--csv <file>|-]   (times: ISO, epoch ms, now, 36h, 7d)');
+        process.exit(1);
+    }
+    run().catch(error => {
+        console.error(`[PNL] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = PnLReport;
+module.exports.HISTORY_FILE = HISTORY_FILE;
+module.exports.toCSV = toCSV;
+module.exports.parseTime = parseTime;
+module.exports.processSpend = processSpend;
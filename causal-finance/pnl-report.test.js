@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PnLReport = require('./pnl-report');
+const { tempDir } = require('./test-helpers');
+
+const { toCSV, processSpend } = PnLReport;
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+// eth-extractor's holdings: ETH plus USDC. Hour 1 books a 1 ETH liquidation (0.125 ETH gas);
+// hour 2 spends 0.0625 ETH on an approval, 500 USDC is deposited and ETH goes 2000 → 2100.
+// Amounts are binary fractions so every total below is exact.
+const snapshot = (at, ethPrice, eth, usdc) => ({
+    timestamp: at,
+    ethPrice,
+    balances: [
+        { process: 'eth-extractor', chain: 'ethereum', asset: 'ETH', balance: eth, usdValue: eth * ethPrice },
+        { process: 'eth-extractor', chain: 'ethereum', asset: 'USDC', balance: usdc, usdValue: usdc, valueETH: usdc / ethPrice }
+    ]
+});
+const SNAPSHOTS = [
+    snapshot(T0, 2000, 10, 1000),
+    snapshot(T0 + HOUR, 2000, 10.875, 1000),
+    snapshot(T0 + 2 * HOUR, 2100, 10.8125, 1500)
+];
+const PROFITS = [
+    { txHash: '0xa', timestamp: T0 + HOUR / 2, amountETH: 1, gasSpent: 0.125, liquidationType: 'AAVE_V3' }
+];
+const GAS = [
+    { ts: T0 + HOUR / 2, process: 'eth-extractor', chain: 'ethereum', kind: 'liquidation', gasETH: 0.125 },
+    { ts: T0 + 3 * HOUR / 2, process: 'eth-extractor', chain: 'ethereum', kind: 'approval', gasETH: 0.0625 }
+];
+
+// Only the fields the decomposition is checked on
+const components = p => ({
+    currency: p.currency,
+    ethPrice: p.ethPrice,
+    startValue: p.startValue,
+    endValue: p.endValue,
+    change: p.change,
+    realizedProfit: p.realizedProfit,
+    gasCost: p.gasCost,
+    netProfit: p.netProfit,
+    transfers: p.transfers,
+    priceEffect: p.priceEffect,
+    liquidations: p.liquidations,
+    gasETH: p.gasETH,
+    gasSource: p.gasSource
+});
+
+test('pnl report', async t => {
+    const dir = tempDir('pnl-');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const historyFile = path.join(dir, 'balance-history.jsonl');
+    fs.writeFileSync(historyFile, SNAPSHOTS.map(s => JSON.stringify(s)).join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'gas-2026-01.jsonl'), GAS.map(g => JSON.stringify(g)).join('\n') + '\n');
+
+    const report = await new PnLReport({
+        historyFile,
+        legacyFile: null,
+        gasDir: dir,
+        store: { load: async () => ({ chains: new Map(), profits: new Map(PROFITS.map(p => [p.txHash, p])) }) }
+    }).generate({ from: T0, to: T0 + 2 * HOUR, bucketMs: HOUR });
+
+    await t.test('each hour splits into realized profit, gas, transfers and price effect', () => {
+        assert.strictEqual(report.periods.length, 2);
+        assert.deepStrictEqual(components(report.periods[0]), {
+            currency: 'USD',
+            ethPrice: 2000,
+            startValue: 21000,
+            endValue: 22750,
+            change: 1750,
+            realizedProfit: 2000,
+            gasCost: 250,
+            netProfit: 1750,
+            transfers: 0,
+            priceEffect: 0,
+            liquidations: 1,
+            gasETH: 0.125,
+            gasSource: 'journal'
+        });
+        assert.deepStrictEqual(components(report.periods[1]), {
+            currency: 'USD',
+            ethPrice: 2100,
+            startValue: 22750,
+            endValue: 24206.25,
+            change: 1456.25,
+            realizedProfit: 0,
+            gasCost: 131.25,
+            netProfit: -131.25,
+            transfers: 500,
+            priceEffect: 1087.5,
+            liquidations: 0,
+            gasETH: 0.0625,
+            gasSource: 'journal'
+        });
+        assert.deepStrictEqual(report.periods[0].byType, { AAVE_V3: 0.875 });
+        assert.deepStrictEqual(report.periods[1].gasByKind, { approval: 0.0625 });
+        assert.deepStrictEqual(report.periods[1].assets, {
+            'ethereum:ETH': { start: 10.875, end: 10.8125, change: -0.0625 },
+            'ethereum:USDC': { start: 1000, end: 1500, change: 500 }
+        });
+    });
+
+    await t.test('the whole window adds up the same way', () => {
+        const totals = report.totals;
+        assert.deepStrictEqual(components(totals), {
+            currency: 'USD',
+            ethPrice: 2100,
+            startValue: 21000,
+            endValue: 24206.25,
+            change: 3206.25,
+            realizedProfit: 2100,
+            gasCost: 393.75,
+            netProfit: 1706.25,
+            transfers: 500,
+            priceEffect: 1000,
+            liquidations: 1,
+            gasETH: 0.1875,
+            gasSource: 'journal'
+        });
+        assert.strictEqual(totals.change, totals.realizedProfit - totals.gasCost + totals.transfers + totals.priceEffect);
+        assert.strictEqual(totals.hours, 2);
+        assert.strictEqual(totals.netProfitPerHour, 853.125);
+        assert.deepStrictEqual(totals.gasByProcess, { 'eth-extractor': 0.1875 });
+    });
+
+    await t.test('without journal entries gas falls back to the ledger', async () => {
+        const ledgerOnly = await new PnLReport({
+            historyFile,
+            legacyFile: null,
+            gasDir: path.join(dir, 'missing'),
+            store: { load: async () => ({ chains: new Map(), profits: new Map(PROFITS.map(p => [p.txHash, p])) }) }
+        }).generate({ from: T0, to: T0 + HOUR });
+        assert.strictEqual(ledgerOnly.totals.gasSource, 'ledger');
+        assert.strictEqual(ledgerOnly.totals.gasETH, 0.125);
+        assert.strictEqual(ledgerOnly.totals.transfers, 0);
+    });
+
+    await t.test('processSpend separates spend from top-ups per process and chain', () => {
+        assert.deepStrictEqual(report.processes, {
+            'eth-extractor': {
+                ethereum: {
+                    spentETH: 0.0625,
+                    toppedUpETH: 0.875,
+                    gasETH: 0.1875,
+                    currentETH: 10.8125,
+                    since: T0,
+                    until: T0 + 2 * HOUR,
+                    byDay: { '2026-01-01': 0.0625 },
+                    spendPerDayETH: 0.75
+                }
+            }
+        });
+        assert.deepStrictEqual(processSpend([]), {});
+    });
+
+    await t.test('CSV has a header row, one row per period and escaped cells', () => {
+        const lines = toCSV(report).trimEnd().split('\n');
+        assert.strictEqual(lines[0], 'from,to,currency,start_value,end_value,change,realized_profit,gas_cost,net_profit,' +
+            'transfers,price_effect,liquidations,realized_profit_eth,gas_eth,eth_price_end');
+        assert.deepStrictEqual(lines.slice(1), [
+            '2026-01-01T00:00:00.000Z,2026-01-01T01:00:00.000Z,USD,21000,22750,1750,2000,250,1750,0,0,1,1,0.125,2000',
+            '2026-01-01T01:00:00.000Z,2026-01-01T02:00:00.000Z,USD,22750,24206.25,1456.25,0,131.25,-131.25,500,1087.5,0,0,0.0625,2100'
+        ]);
+
+        const odd = { ...report.totals, currency: 'U"S,D', startValue: null, ethPrice: 1 / 3 };
+        const [header, row] = toCSV({ periods: [], totals: odd }).trimEnd().split('\n');
+        assert.ok(header.startsWith('from,to,currency,'));
+        assert.ok(row.startsWith('2026-01-01T00:00:00.000Z,2026-01-01T02:00:00.000Z,"U""S,D",,24206.25,'));
+        assert.ok(row.endsWith(',0.33333333'));
+    });
+});
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+// Position Discovery - Finds real liquidatable positions
+// Runs the QUERIES from contract-interface.js through a pluggable fetcher,
+// or reads the Aave lending pool directly, and normalizes everything into one target shape.
+// Collateral and debt are the reserves worth the most in ETH, priced through the Aave oracle.
+
+const { CONTRACTS, QUERIES } = require('./contract-interface');
+const { postJSON } = require('./http-json');
+const eth = require('./ethers-compat');
+const { createOraclePricer } = require('./realized-pnl');
+const { createLogger } = require('./logger');
+
+const log = createLogger('position-discovery');
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const CTOKEN_DECIMALS = 8;
+
+// Default assets checked when reading Aave reserves on-chain
+const AAVE_ASSETS = {
+    WETH: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+    USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    DAI: { address: DAI, decimals: 18 }
+};
+
+const LENDING_POOL_ABI = [
+    'function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)'
+];
+
+const DATA_PROVIDER_ABI = [
+    'function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)'
+];
+
+// Fetcher for any GraphQL endpoint: (query, variables) => data
+function createGraphQLFetcher(url, options = {}) {
+    return async (query, variables) => {
+        const response = await postJSON(url, { query, variables }, options);
+        if (response.errors && response.errors.length > 0) {
+            throw new Error(`GraphQL error from ${url}: ${response.errors[0].message}`);
+        }
+        return response.data;
+    };
+}
+
+class PositionDiscovery {
+    constructor(options = {}) {
+        this.healthFactorThreshold = options.healthFactorThreshold || 1.0;
+        this.makerRatioThreshold = options.makerRatioThreshold || 1.5;
+        this.closeFactorBps = BigInt(options.closeFactorBps || 5000); // 50% of debt per call
+        this.first = options.first || 100;
+
+        // Subgraph endpoints - point these at a local mock server for testing
+        const endpoints = {
+            aave: process.env.AAVE_SUBGRAPH,
+            compound: process.env.COMPOUND_SUBGRAPH,
+            maker: process.env.MAKER_SUBGRAPH,
+            ...(options.endpoints || {})
+        };
+
+        // One fetcher per protocol; an injected fetcher wins over endpoints
+        this.fetchers = {};
+        for (const protocol of ['aave', 'compound', 'maker']) {
+            if (options.fetchers && options.fetchers[protocol]) {
+                this.fetchers[protocol] = options.fetchers[protocol];
+            } else if (options.fetcher) {
+                this.fetchers[protocol] = options.fetcher;
+            } else if (endpoints[protocol]) {
+                this.fetchers[protocol] = createGraphQLFetcher(endpoints[protocol]);
+            }
+        }
+
+        // On-chain fallback for Aave when a provider and candidate users are supplied
+        this.provider = options.provider || null;
+        this.candidates = options.candidates || [];
+        this.aaveAssets = options.aaveAssets || AAVE_ASSETS;
+
+        // (token, amount) => ETH value; cTokens are valued through their underlying
+        this.pricer = options.pricer || (this.provider ? createOraclePricer(this.provider, options) : null);
+    }
+
+    // Find targets for a list of protocols, skipping any that fail
+    async findTargets(protocols = ['aave', 'compound', 'maker']) {
+        const targets = [];
+
+        for (const protocol of protocols) {
+            try {
+                targets.push(...await this.findProtocolTargets(protocol));
+            } catch (error) {
+                log.error('Lookup failed', { protocol, error });
+            }
+        }
+
+        return targets.sort((a, b) => a.healthFactor - b.healthFactor);
+    }
+
+    async findProtocolTargets(protocol) {
+        switch (protocol) {
+            case 'aave':
+                if (this.fetchers.aave) return this.findAavePositions();
+                if (this.provider) return this.readAavePositions(this.candidates);
+                return [];
+            case 'compound':
+                return this.fetchers.compound ? this.findCompoundPositions() : [];
+            case 'maker':
+                return this.fetchers.maker ? this.findMakerVaults() : [];
+            default:
+                throw new Error(`Unknown protocol: ${protocol}`);
+        }
+    }
+
+    async findAavePositions() {
+        const data = await this.fetchers.aave(QUERIES.aavePositions, {
+            healthFactor: String(this.healthFactorThreshold),
+            first: this.first
+        });
+
+        const targets = [];
+        for (const user of data.users || []) {
+            const target = await this.normalizeAave(user);
+            if (target) targets.push(target);
+        }
+        return targets;
+    }
+
+    async normalizeAave(user) {
+        const reserves = user.reserves || [];
+        const debtOf = r => BigInt(r.currentVariableDebt || '0') + BigInt(r.currentStableDebt || '0');
+        const collateral = await this.largestByValue(reserves, r => [r.reserve.underlyingAsset, r.currentATokenBalance]);
+        const debt = await this.largestByValue(reserves, r => [r.reserve.underlyingAsset, debtOf(r)]);
+        if (!collateral || !debt) return null;
+
+        return {
+            protocol: 'aave',
+            user: eth.getAddress(user.id),
+            collateralAsset: eth.getAddress(collateral.reserve.underlyingAsset),
+            collateralSymbol: collateral.reserve.symbol,
+            debtAsset: eth.getAddress(debt.reserve.underlyingAsset),
+            debtSymbol: debt.reserve.symbol,
+            healthFactor: parseFloat(user.healthFactor),
+            maxRepayableDebt: this.applyCloseFactor(debtOf(debt)).toString(),
+            collateralValueETH: parseFloat(user.totalCollateralETH),
+            debtValueETH: parseFloat(user.totalDebtETH),
+            source: 'subgraph'
+        };
+    }
+
+    async findCompoundPositions() {
+        const data = await this.fetchers.compound(QUERIES.compoundPositions, {
+            threshold: String(this.healthFactorThreshold),
+            first: this.first
+        });
+
+        const targets = [];
+        for (const account of data.accounts || []) {
+            const target = await this.normalizeCompound(account);
+            if (target) targets.push(target);
+        }
+        return targets;
+    }
+
+    async normalizeCompound(account) {
+        const tokens = account.tokens || [];
+
+        // Compound subgraph reports balances in decimal units: cTokens have 8 decimals, borrows the underlying's.
+        // cETH lists the zero address as its underlying.
+        const seizable = t => eth.parseUnits(truncateDecimals(t.cTokenBalance, CTOKEN_DECIMALS), CTOKEN_DECIMALS);
+        const borrowed = t => {
+            const decimals = Number(t.market.underlyingDecimals);
+            return eth.parseUnits(truncateDecimals(t.borrowBalanceUnderlying, decimals), decimals);
+        };
+        const underlying = t => (t.market.underlyingAddress === ZERO_ADDRESS ? AAVE_ASSETS.WETH.address : t.market.underlyingAddress);
+
+        const collateral = await this.largestByValue(tokens, t => [t.market.id, seizable(t)]);
+        const debt = await this.largestByValue(tokens, t => [underlying(t), borrowed(t)]);
+        if (!collateral || !debt) return null;
+
+        return {
+            protocol: 'compound',
+            user: eth.getAddress(account.id),
+            collateralAsset: eth.getAddress(collateral.market.id), // cToken seized
+            collateralSymbol: collateral.symbol,
+            debtAsset: eth.getAddress(debt.market.id), // cToken repaid
+            debtSymbol: debt.symbol,
+            healthFactor: parseFloat(account.health),
+            maxRepayableDebt: this.applyCloseFactor(borrowed(debt)).toString(),
+            collateralValueETH: parseFloat(account.totalCollateralValueInEth),
+            debtValueETH: parseFloat(account.totalBorrowValueInEth),
+            source: 'subgraph'
+        };
+    }
+
+    async findMakerVaults() {
+        const data = await this.fetchers.maker(QUERIES.makerVaults, {
+            ratio: String(this.makerRatioThreshold),
+            first: this.first
+        });
+
+        return (data.cdps || [])
+            .map(cdp => this.normalizeMaker(cdp))
+            .filter(Boolean);
+    }
+
+    normalizeMaker(cdp) {
+        const ratio = parseFloat(cdp.collateralizationRatio);
+        const liquidationRatio = parseFloat(cdp.ilk.liquidationRatio);
+        if (!cdp.urn || !liquidationRatio) return null;
+
+        // bark() takes the whole vault, so the full debt is repayable
+        return {
+            protocol: 'maker',
+            user: eth.getAddress(cdp.urn),
+            collateralAsset: cdp.ilk.name, // ilk, passed to bark()
+            collateralSymbol: cdp.ilk.name,
+            debtAsset: DAI,
+            debtSymbol: 'DAI',
+            healthFactor: ratio / liquidationRatio,
+            maxRepayableDebt: eth.parseUnits(truncateDecimals(cdp.debt, 18), 18).toString(),
+            collateralValueETH: null,
+            debtValueETH: null,
+            source: 'subgraph'
+        };
+    }
+
+    // Read Aave positions straight from the lending pool for known borrowers
+    async readAavePositions(users) {
+        const pool = eth.createContract(CONTRACTS.aave.lendingPool, LENDING_POOL_ABI, this.provider);
+        const dataProvider = eth.createContract(CONTRACTS.aave.dataProvider, DATA_PROVIDER_ABI, this.provider);
+        const targets = [];
+
+        for (const user of users) {
+            const account = await pool.getUserAccountData(user);
+            const healthFactor = parseFloat(eth.formatEther(account.healthFactor));
+            if (eth.toBigInt(account.totalDebtETH) === 0n || healthFactor >= this.healthFactorThreshold) continue;
+
+            const reserves = [];
+            for (const [symbol, asset] of Object.entries(this.aaveAssets)) {
+                const data = await dataProvider.getUserReserveData(asset.address, user);
+                reserves.push({
+                    symbol,
+                    asset,
+                    collateral: eth.toBigInt(data.currentATokenBalance),
+                    debt: eth.toBigInt(data.currentVariableDebt) + eth.toBigInt(data.currentStableDebt)
+                });
+            }
+
+            const collateral = await this.largestByValue(reserves, r => [r.asset.address, r.collateral]);
+            const debt = await this.largestByValue(reserves, r => [r.asset.address, r.debt]);
+            if (!collateral || !debt) continue;
+
+            targets.push({
+                protocol: 'aave',
+                user: eth.getAddress(user),
+                collateralAsset: eth.getAddress(collateral.asset.address),
+                collateralSymbol: collateral.symbol,
+                debtAsset: eth.getAddress(debt.asset.address),
+                debtSymbol: debt.symbol,
+                healthFactor,
+                maxRepayableDebt: this.applyCloseFactor(debt.debt).toString(),
+                collateralValueETH: parseFloat(eth.formatEther(account.totalCollateralETH)),
+                debtValueETH: parseFloat(eth.formatEther(account.totalDebtETH)),
+                source: 'onchain'
+            });
+        }
+
+        return targets;
+    }
+
+    applyCloseFactor(debt) {
+        return debt * this.closeFactorBps / 10000n;
+    }
+
+    // Pick the entry worth the most in ETH; holding(item) → [token, raw amount].
+    // Raw amounts can't be compared across reserves: 5000 USDC outweighs 2 WETH by count alone.
+    async largestByValue(items, holding) {
+        let best = null;
+        let bestValue = 0;
+        for (const item of items) {
+            const [token, amount] = holding(item);
+            if (eth.toBigInt(amount || 0) === 0n) continue;
+            if (!this.pricer) {
+                throw new Error('Pricing reserves needs a provider or a pricer');
+            }
+            const value = await this.pricer(token, amount);
+            if (value > bestValue) {
+                best = item;
+                bestValue = value;
+            }
+        }
+        return best;
+    }
+}
+
+// parseUnits rejects more fractional digits than the token has
+function truncateDecimals(value, decimals) {
+    const [whole, fraction = ''] = String(value).split('.');
+    return fraction ? `${whole}.${fraction.slice(0, decimals) || '0'}` : whole;
+}
+
+module.exports = PositionDiscovery;
+module.exports.createGraphQLFetcher = createGraphQLFetcher;
+module.exports.AAVE_ASSETS = AAVE_ASSETS;
+
+// Scan once if run directly
+if (require.main === module) {
+    const discovery = new PositionDiscovery({
+        provider: process.env.ETH_RPC ? eth.getProvider(process.env.ETH_RPC) : null,
+        candidates: (process.env.AAVE_CANDIDATES || '').split(',').filter(Boolean)
+    });
+
+    discovery.findTargets().then(targets => {
+        console.log(`[DISCOVERY] Found ${targets.length} liquidatable positions`);
+        targets.forEach(t => {
+            console.log(`  [${t.protocol}] ${t.user} HF ${t.healthFactor.toFixed(4)} ` +
+                `${t.collateralSymbol} → ${t.debtSymbol} repay ${t.maxRepayableDebt}`);
+        });
+    });
+}
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, jsonServer, rpcServer, ethCall } = require('./test-helpers');
+const { CONTRACTS } = require('./contract-interface');
+
+const USER = '0x00000000000000000000000000000000000000aa';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const CUSDC = '0x39AA39c021dfbaE8faC545936693aC917d5E7563';
+const CETH = '0x4Ddc2D193948926D02f9B1fE9e1daa0718270ED5';
+
+// 1 ETH = 2000 USD; prices in ETH per whole token
+const ETH_PER_UNIT = { [WETH]: 1, [USDC]: 0.0005, [DAI]: 0.0005 };
+const DECIMALS = { [WETH]: 18, [USDC]: 6, [DAI]: 18 };
+const stubPricer = async (token, amount) => {
+    const units = Number(amount) / 10 ** DECIMALS[token];
+    return units * ETH_PER_UNIT[token];
+};
+
+// By count USDC is the largest collateral and debt; by value it's WETH collateral (3 ETH vs 2)
+// and DAI debt once its stable part is included (1.5 ETH vs 1.25)
+const e18 = n => (BigInt(n) * 10n ** 18n).toString();
+const e6 = n => (BigInt(n) * 10n ** 6n).toString();
+const aaveUser = {
+    id: USER,
+    healthFactor: '0.97',
+    totalCollateralETH: '5',
+    totalDebtETH: '2.75',
+    reserves: [
+        { currentATokenBalance: e18(3), currentVariableDebt: '0', currentStableDebt: '0', reserve: { symbol: 'WETH', underlyingAsset: WETH, decimals: 18 } },
+        { currentATokenBalance: e6(4000), currentVariableDebt: e6(2500), currentStableDebt: '0', reserve: { symbol: 'USDC', underlyingAsset: USDC, decimals: 6 } },
+        { currentATokenBalance: '0', currentVariableDebt: e18(1000), currentStableDebt: e18(2000), reserve: { symbol: 'DAI', underlyingAsset: DAI, decimals: 18 } }
+    ]
+};
+
+const subgraph = data => jsonServer(() => (data.errors ? data : { data }));
+
+test('Aave subgraph targets pick reserves by ETH value, stable debt included', async t => {
+    const server = await subgraph({ users: [aaveUser] });
+    t.after(() => server.close());
+    const [PositionDiscovery] = loadWith('ethers', 'position-discovery');
+    const discovery = new PositionDiscovery({ endpoints: { aave: server.url }, pricer: stubPricer, healthFactorThreshold: 1.02 });
+
+    const [target] = await discovery.findTargets(['aave']);
+    assert.strictEqual(target.collateralSymbol, 'WETH');
+    assert.strictEqual(target.debtSymbol, 'DAI');
+    assert.strictEqual(target.maxRepayableDebt, e18(1500)); // half of 3000 DAI
+    assert.strictEqual(target.healthFactor, 0.97);
+    assert.strictEqual(target.source, 'subgraph');
+
+    const [request] = server.requests;
+    assert.match(request.body.query, /currentStableDebt/);
+    assert.deepStrictEqual(request.body.variables, { healthFactor: '1.02', first: 100 });
+});
+
+test('Compound subgraph targets price cTokens and borrows, cETH as WETH', async t => {
+    const server = await subgraph({
+        accounts: [{
+            id: USER,
+            health: '0.95',
+            totalBorrowValueInEth: '1.2',
+            totalCollateralValueInEth: '1.9',
+            tokens: [
+                // 45000 cUSDC ≈ 1000 USDC = 0.5 ETH; 50 cETH ≈ 1 ETH
+                { cTokenBalance: '45000', borrowBalanceUnderlying: '1400', symbol: 'cUSDC', market: { id: CUSDC, underlyingAddress: USDC, underlyingDecimals: 6 } },
+                { cTokenBalance: '50', borrowBalanceUnderlying: '0.9', symbol: 'cETH', market: { id: CETH, underlyingAddress: '0x0000000000000000000000000000000000000000', underlyingDecimals: 18 } }
+            ]
+        }]
+    });
+    t.after(() => server.close());
+    const [PositionDiscovery] = loadWith('ethers', 'position-discovery');
+    const cTokens = { [CUSDC]: [USDC, 0.0222222], [CETH]: [WETH, 0.02] }; // underlying per cToken
+    const pricer = async (token, amount) => {
+        if (!cTokens[token]) return stubPricer(token, amount);
+        const [underlying, rate] = cTokens[token];
+        return stubPricer(underlying, BigInt(Math.round(Number(amount) / 1e8 * rate * 10 ** DECIMALS[underlying])));
+    };
+    const discovery = new PositionDiscovery({ endpoints: { compound: server.url }, pricer });
+
+    const [target] = await discovery.findTargets(['compound']);
+    assert.strictEqual(target.collateralSymbol, 'cETH');
+    assert.strictEqual(target.collateralAsset, CETH);
+    assert.strictEqual(target.debtSymbol, 'cETH'); // 0.9 ETH outweighs 1400 USDC = 0.7 ETH
+    assert.strictEqual(target.maxRepayableDebt, (45n * 10n ** 16n).toString());
+});
+
+test('Maker vaults are repayable in full', async t => {
+    const server = await subgraph({
+        cdps: [{ id: '1', urn: USER, collateralizationRatio: '1.4', collateral: '10', debt: '12000.123456789012345678901', ilk: { name: 'ETH-A', liquidationRatio: '1.45' } }]
+    });
+    t.after(() => server.close());
+    const [PositionDiscovery] = loadWith('ethers', 'position-discovery');
+    const discovery = new PositionDiscovery({ endpoints: { maker: server.url } });
+
+    const [target] = await discovery.findTargets(['maker']);
+    assert.strictEqual(target.collateralAsset, 'ETH-A');
+    assert.strictEqual(target.maxRepayableDebt, '12000123456789012345678');
+    assert.ok(Math.abs(target.healthFactor - 1.4 / 1.45) < 1e-12);
+});
+
+test('GraphQL errors skip the protocol', async t => {
+    const server = await subgraph({ errors: [{ message: 'indexing failed' }] });
+    t.after(() => server.close());
+    const [PositionDiscovery] = loadWith('ethers', 'position-discovery');
+    const discovery = new PositionDiscovery({ endpoints: { aave: server.url, maker: server.url }, pricer: stubPricer });
+
+    assert.deepStrictEqual(await discovery.findTargets(['aave', 'maker']), []);
+    assert.strictEqual(server.requests.length, 2);
+});
+
+for (const pkg of ETHERS) {
+    test(`on-chain Aave reads are priced through the oracle on ${pkg}`, async t => {
+        const reserves = Object.fromEntries(aaveUser.reserves.map(r => [r.reserve.underlyingAsset.toLowerCase(), r]));
+        const usd = { [WETH]: 2000n, [USDC]: 1n, [DAI]: 1n };
+        const token = decimals => ({ abi: ['function decimals() view returns (uint8)'], decimals: () => [decimals] });
+        const node = await rpcServer({
+            eth_chainId: () => '0x1',
+            net_version: () => '1',
+            eth_call: ethCall({
+                [CONTRACTS.aave.lendingPool]: {
+                    abi: ['function getUserAccountData(address user) view returns (uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)'],
+                    getUserAccountData: () => [e18(5), 275n * 10n ** 16n, 0, 8000, 7500, 97n * 10n ** 16n]
+                },
+                [CONTRACTS.aave.dataProvider]: {
+                    abi: ['function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)'],
+                    getUserReserveData: ([asset]) => {
+                        const r = reserves[asset.toLowerCase()];
+                        return [r.currentATokenBalance, r.currentStableDebt, r.currentVariableDebt, 0, 0, 0, 0, 0, true];
+                    }
+                },
+                // V3-style USD oracle with 8 decimals
+                [CONTRACTS.aave.oracle]: {
+                    abi: ['function getAssetPrice(address asset) view returns (uint256)'],
+                    getAssetPrice: ([asset]) => [usd[Object.keys(usd).find(a => a.toLowerCase() === asset.toLowerCase())] * 10n ** 8n]
+                },
+                [WETH]: token(18),
+                [USDC]: token(6),
+                [DAI]: token(18)
+            })
+        });
+        t.after(() => node.close());
+
+        const [eth, PositionDiscovery] = loadWith(pkg, 'ethers-compat', 'position-discovery');
+        const discovery = new PositionDiscovery({ provider: eth.getProvider(node.url, 1), candidates: [USER] });
+
+        const [target] = await discovery.findTargets(['aave']);
+        assert.strictEqual(target.collateralSymbol, 'WETH');
+        assert.strictEqual(target.debtSymbol, 'DAI');
+        assert.strictEqual(target.maxRepayableDebt, e18(1500));
+        assert.strictEqual(target.healthFactor, 0.97);
+        assert.strictEqual(target.source, 'onchain');
+    });
+}
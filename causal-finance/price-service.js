@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+// Price Service - ETH/USD from on-chain oracles, with staleness checks and fallback
+// Sources are tried in order until one returns a fresh, positive price:
+//   chainlink  ETH/USD aggregator latestRoundData(); rejected once updatedAt is older than PRICE_MAX_AGE_S
+//              (measured against the block's timestamp, not the local clock) or the round is incomplete
+//   aave       Aave oracle: getAssetPrice(WETH) / getAssetPrice(USDC). Works for ETH-quoted (V2) and
+//              USD-quoted (V3) oracles alike; assumes USDC at $1 and has no timestamp to check
+//   fixed      ETH_PRICE_USD - explicit only, for offline runs
+// One lookup per block: every caller in the same block shares the same answer.
+//
+//   PRICE_SOURCES       comma-separated, in order (default chainlink,aave)
+//   PRICE_RPC           Ethereum RPC the oracles are read from (default ETH_RPC)
+//   PRICE_MAX_AGE_S     oldest acceptable Chainlink answer (default 3900: 1h heartbeat + 5 minutes)
+//   CHAINLINK_ETH_USD   aggregator address (default mainnet ETH/USD)
+//   ETH_PRICE_USD       price used by the fixed source
+
+const eth = require('./ethers-compat');
+const { CONTRACTS } = require('./contract-interface');
+const { extractRevertReason } = require('./simulator');
+const { createLogger } = require('./logger');
+
+const log = createLogger('price-service');
+
+const CHAINLINK_ETH_USD = '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+const AGGREGATOR_ABI = [
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+    'function decimals() view returns (uint8)'
+];
+const AAVE_ORACLE_ABI = ['function getAssetPrice(address asset) view returns (uint256)'];
+
+class PriceError extends Error {
+    constructor(message, code, failures = []) {
+        super(message);
+        this.name = 'PriceError';
+        this.code = code;
+        this.failures = failures;
+    }
+}
+
+// Each source: { name, read({ blockTag, timestamp }) → { price, updatedAt } }; updatedAt in seconds or null
+
+function chainlinkSource(provider, options = {}) {
+    const feed = eth.createContract(options.aggregator || process.env.CHAINLINK_ETH_USD || CHAINLINK_ETH_USD, AGGREGATOR_ABI, provider);
+    const maxAgeS = options.maxAgeS || parseInt(process.env.PRICE_MAX_AGE_S || '3900', 10);
+    let decimals = null;
+
+    return {
+        name: 'chainlink',
+        async read({ blockTag, timestamp }) {
+            if (decimals === null) decimals = Number(await feed.decimals());
+            const [roundId, answer, , updatedAt, answeredInRound] = await feed.latestRoundData({ blockTag });
+
+            if (eth.toBigInt(answer) <= 0n) {
+                throw new PriceError(`Non-positive answer ${answer}`, 'INVALID_PRICE');
+            }
+            if (eth.toBigInt(updatedAt) === 0n || eth.toBigInt(answeredInRound) < eth.toBigInt(roundId)) {
+                throw new PriceError(`Round ${roundId} is incomplete`, 'STALE_PRICE');
+            }
+            const age = timestamp - Number(updatedAt);
+            if (age > maxAgeS) {
+                throw new PriceError(`Answer is ${age}s old (max ${maxAgeS}s)`, 'STALE_PRICE');
+            }
+            return { price: parseFloat(eth.formatUnits(answer, decimals)), updatedAt: Number(updatedAt) };
+        }
+    };
+}
+
+function aaveSource(provider, options = {}) {
+    const oracle = eth.createContract(options.oracle || CONTRACTS.aave.oracle, AAVE_ORACLE_ABI, provider);
+    const weth = options.weth || WETH;
+    const usd = options.usd || USDC;
+
+    return {
+        name: 'aave',
+        async read({ blockTag }) {
+            const [wethPrice, usdPrice] = await Promise.all([
+                oracle.getAssetPrice(weth, { blockTag }),
+                oracle.getAssetPrice(usd, { blockTag })
+            ]);
+            if (eth.toBigInt(wethPrice) === 0n || eth.toBigInt(usdPrice) === 0n) {
+                throw new PriceError('Oracle returned a zero price', 'INVALID_PRICE');
+            }
+            return { price: Number(eth.toBigInt(wethPrice)) / Number(eth.toBigInt(usdPrice)), updatedAt: null };
+        }
+    };
+}
+
+function fixedSource(price = process.env.ETH_PRICE_USD) {
+    const value = parseFloat(price);
+    if (!(value > 0)) {
+        throw new PriceError('The fixed price source needs ETH_PRICE_USD', 'MISSING_CONFIG');
+    }
+    return { name: 'fixed', read: async () => ({ price: value, updatedAt: null }) };
+}
+
+const SOURCES = { chainlink: chainlinkSource, aave: aaveSource, fixed: (provider, options) => fixedSource(options.price) };
+
+class PriceService {
+    // options.sources: source objects (tests pass fixedSource(...)), or names from SOURCES;
+    // options.provider is only needed when a source reads the chain
+    constructor(options = {}) {
+        const names = (process.env.PRICE_SOURCES || 'chainlink,aave').split(',').map(s => s.trim()).filter(Boolean);
+        const sources = options.sources || names;
+        this.provider = options.provider ||
+            (sources.some(s => typeof s === 'string' && s !== 'fixed') ?
+                eth.getProvider(process.env.PRICE_RPC || process.env.ETH_RPC || 'https://eth-mainnet.g.alchemy.com/v2/demo') : null);
+
+        this.sources = sources.map(source => {
+            if (typeof source !== 'string') return source;
+            if (!SOURCES[source]) {
+                throw new PriceError(`Unknown price source ${source} (${Object.keys(SOURCES).join(', ')})`, 'MISSING_CONFIG');
+            }
+            return SOURCES[source](this.provider, options[source] || {});
+        });
+        this.cache = null; // { blockNumber, promise } of the last block priced
+    }
+
+    // { price, source, blockNumber, updatedAt }; throws PriceError when every source fails
+    async getETHPrice() {
+        const block = this.provider ? await this.provider.send('eth_getBlockByNumber', ['latest', false]) : null;
+        const blockNumber = block ? Number(block.number) : null;
+
+        if (this.cache && this.cache.blockNumber === blockNumber && blockNumber !== null) {
+            return this.cache.promise;
+        }
+        const promise = this.query(block);
+        this.cache = { blockNumber, promise };
+        promise.catch(() => {
+            if (this.cache && this.cache.promise === promise) this.cache = null; // retry next call
+        });
+        return promise;
+    }
+
+    async query(block) {
+        const context = block ?
+            { blockTag: Number(block.number), timestamp: Number(block.timestamp) } :
+            { blockTag: 'latest', timestamp: Math.floor(Date.now() / 1000) };
+        const failures = [];
+
+        for (const source of this.sources) {
+            try {
+                const { price, updatedAt } = await source.read(context);
+                if (!(price > 0) || !Number.isFinite(price)) {
+                    throw new PriceError(`Unusable price ${price}`, 'INVALID_PRICE');
+                }
+                if (failures.length > 0) log.warn('Price from fallback source', { source: source.name, failures });
+                return { price, source: source.name, blockNumber: block ? context.blockTag : null, updatedAt };
+            } catch (error) {
+                failures.push({ source: source.name, error: error instanceof PriceError ? error.message : extractRevertReason(error) });
+            }
+        }
+        throw new PriceError(`No ETH price: ${failures.map(f => `${f.source}: ${f.error}`).join('; ')}`, 'NO_PRICE', failures);
+    }
+}
+
+if (require.main === module) {
+    new PriceService().getETHPrice()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error(`[PRICE] ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = PriceService;
+module.exports.PriceError = PriceError;
+module.exports.chainlinkSource = chainlinkSource;
+module.exports.aaveSource = aaveSource;
+module.exports.fixedSource = fixedSource;
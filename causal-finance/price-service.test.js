@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, rpcServer, ethCall } = require('./test-helpers');
+
+const FEED = '0x00000000000000000000000000000000000000f1';
+const ORACLE = '0x00000000000000000000000000000000000000f2';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const NOW = 1760000000;
+
+// A node with an ETH/USD aggregator (8 decimals) and an Aave oracle quoting WETH at 2010 USDC
+async function oracleNode() {
+    const state = {
+        head: { number: 100, timestamp: NOW },
+        round: { roundId: 7n, answer: 2000n * 10n ** 8n, updatedAt: NOW - 60, answeredInRound: 7n },
+        calls: []
+    };
+    const call = ethCall({
+        [FEED]: {
+            abi: [
+                'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+                'function decimals() view returns (uint8)'
+            ],
+            decimals: () => [8],
+            latestRoundData: (args, params) => {
+                state.calls.push(params[1]);
+                const { roundId, answer, updatedAt, answeredInRound } = state.round;
+                return [roundId, answer, updatedAt, updatedAt, answeredInRound];
+            }
+        },
+        [ORACLE]: {
+            abi: ['function getAssetPrice(address asset) view returns (uint256)'],
+            getAssetPrice: ([asset]) => [asset === WETH ? 2010n * 10n ** 8n : asset === USDC ? 10n ** 8n : 0n]
+        }
+    });
+    const node = await rpcServer({
+        eth_chainId: () => '0x1',
+        net_version: () => '1',
+        eth_getBlockByNumber: () => ({ number: '0x' + state.head.number.toString(16), timestamp: '0x' + state.head.timestamp.toString(16) }),
+        eth_call: call
+    });
+    return { node, state };
+}
+
+for (const pkg of ETHERS) {
+    test(`price service on ${pkg}`, async t => {
+        const [eth, PriceService] = loadWith(pkg, 'ethers-compat', 'price-service');
+        const { PriceError, chainlinkSource, aaveSource, fixedSource } = PriceService;
+        const { node, state } = await oracleNode();
+        t.after(() => node.close());
+
+        const provider = eth.getProvider(node.url, 1);
+        const service = (...sources) => new PriceService({ provider, sources });
+        const chainlink = () => chainlinkSource(provider, { aggregator: FEED, maxAgeS: 3900 });
+        const aave = () => aaveSource(provider, { oracle: ORACLE });
+        const reset = () => {
+            state.head = { number: state.head.number + 1, timestamp: NOW };
+            state.round = { roundId: 7n, answer: 2000n * 10n ** 8n, updatedAt: NOW - 60, answeredInRound: 7n };
+            state.calls.length = 0;
+        };
+
+        await t.test('the fixed source needs an explicit positive price and no node', async () => {
+            const quote = await new PriceService({ sources: [fixedSource('2500.5')] }).getETHPrice();
+            assert.deepStrictEqual(quote, { price: 2500.5, source: 'fixed', blockNumber: null, updatedAt: null });
+
+            const env = process.env.ETH_PRICE_USD;
+            delete process.env.ETH_PRICE_USD;
+            try {
+                assert.throws(() => fixedSource(), error => error instanceof PriceError && error.code === 'MISSING_CONFIG');
+            } finally {
+                if (env !== undefined) process.env.ETH_PRICE_USD = env;
+            }
+            assert.throws(() => fixedSource('-1'), error => error.code === 'MISSING_CONFIG');
+            assert.strictEqual(new PriceService({ sources: ['fixed'], fixed: { price: 3000 } }).provider, null);
+        });
+
+        await t.test('a fresh Chainlink round is read at the latest block', async () => {
+            reset();
+            const quote = await service(chainlink(), aave()).getETHPrice();
+            assert.deepStrictEqual(quote, { price: 2000, source: 'chainlink', blockNumber: state.head.number, updatedAt: NOW - 60 });
+            assert.deepStrictEqual(state.calls, ['0x' + state.head.number.toString(16)]);
+        });
+
+        await t.test('a stale round falls back to the Aave oracle', async () => {
+            reset();
+            state.round.updatedAt = NOW - 3901; // older than the block by more than maxAgeS
+            const quote = await service(chainlink(), aave()).getETHPrice();
+            assert.strictEqual(quote.source, 'aave');
+            assert.strictEqual(quote.price, 2010);
+            assert.strictEqual(quote.updatedAt, null);
+        });
+
+        await t.test('staleness is measured against the block, not the local clock', async () => {
+            reset();
+            state.head.timestamp = NOW + 3600;
+            state.round.updatedAt = NOW; // an hour old at that block, fresh enough
+            assert.strictEqual((await service(chainlink()).getETHPrice()).price, 2000);
+
+            reset();
+            state.head.timestamp = NOW + 7200;
+            state.round.updatedAt = NOW;
+            await assert.rejects(service(chainlink()).getETHPrice(), error =>
+                error.code === 'NO_PRICE' && /chainlink: Answer is 7200s old \(max 3900s\)/.test(error.message));
+        });
+
+        await t.test('incomplete rounds and non-positive answers are refused', async () => {
+            const refusal = async (change, pattern) => {
+                reset();
+                Object.assign(state.round, change);
+                await assert.rejects(service(chainlink()).getETHPrice(), error => {
+                    assert.ok(error instanceof PriceError);
+                    assert.strictEqual(error.failures.length, 1);
+                    assert.match(error.failures[0].error, pattern);
+                    return true;
+                });
+            };
+            await refusal({ answeredInRound: 6n }, /Round 7 is incomplete/);
+            await refusal({ updatedAt: 0 }, /Round 7 is incomplete/);
+            await refusal({ answer: 0n }, /Non-positive answer 0/);
+            await refusal({ answer: -5n }, /Non-positive answer -5/);
+        });
+
+        await t.test('one lookup per block; failures are not cached', async () => {
+            reset();
+            const prices = service(chainlink());
+            await Promise.all([prices.getETHPrice(), prices.getETHPrice()]);
+            await prices.getETHPrice();
+            assert.strictEqual(state.calls.length, 1);
+
+            state.head.number++;
+            state.round.updatedAt = 0;
+            await assert.rejects(prices.getETHPrice(), /incomplete/);
+            state.round.updatedAt = NOW - 60;
+            assert.strictEqual((await prices.getETHPrice()).price, 2000);
+            assert.strictEqual(state.calls.length, 3);
+        });
+    });
+}
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+// Profitability Gate - Refuses liquidations that don't pay
+// Reads live liquidation bonus / incentive and close factor from each protocol,
+// prices collateral and debt through the protocol oracle, subtracts simulated gas
+// and only lets a liquidation through when net expected profit clears the floor.
+// Aave and Compound pull the repaid debt token from the sender: a sender without the balance is
+// refused, and a missing allowance comes back as an approval tx to send first (its gas is counted,
+// and the liquidation is simulated with the allowance granted through a state override).
+
+const eth = require('./ethers-compat');
+const { CONTRACTS, buildTargetTx } = require('./contract-interface');
+const { simulateTransaction } = require('./simulator');
+const { createLogger } = require('./logger');
+
+const log = createLogger('profitability-gate');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const WAD = 10n ** 18n;
+const RAY = 10n ** 27n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+const ALLOWANCE_SLOTS_PROBED = 32;
+
+const AAVE_DATA_PROVIDER_ABI = [
+    'function getReserveConfigurationData(address asset) view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+    'function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)',
+    'function getLiquidationProtocolFee(address asset) view returns (uint256)'
+];
+const AAVE_POOL_ABI = [
+    'function getUserAccountData(address user) view returns (uint256, uint256, uint256, uint256, uint256, uint256 healthFactor)'
+];
+const AAVE_ORACLE_ABI = ['function getAssetPrice(address asset) view returns (uint256)'];
+
+const COMPTROLLER_ABI = [
+    'function liquidationIncentiveMantissa() view returns (uint256)',
+    'function closeFactorMantissa() view returns (uint256)',
+    'function oracle() view returns (address)'
+];
+const COMPOUND_ORACLE_ABI = ['function getUnderlyingPrice(address cToken) view returns (uint256)'];
+const CTOKEN_ABI = [
+    'function borrowBalanceStored(address account) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function exchangeRateStored() view returns (uint256)',
+    'function protocolSeizeShareMantissa() view returns (uint256)',
+    'function underlying() view returns (address)'
+];
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+const ERC20 = eth.createInterface(ERC20_ABI);
+
+const DOG_ABI = ['function ilks(bytes32 ilk) view returns (address clip, uint256 chop, uint256 hole, uint256 dirt)'];
+const VAT_ABI = [
+    'function ilks(bytes32 ilk) view returns (uint256 Art, uint256 rate, uint256 spot, uint256 line, uint256 dust)',
+    'function urns(bytes32 ilk, address urn) view returns (uint256 ink, uint256 art)'
+];
+const CLIP_ABI = [
+    'function tip() view returns (uint192)',
+    'function chip() view returns (uint64)'
+];
+
+class ProfitabilityGate {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+
+        const floor = options.minProfitETH !== undefined ? options.minProfitETH : process.env.MIN_PROFIT_ETH;
+        this.minProfitETH = floor !== undefined ? parseFloat(floor) : 0.01;
+
+        // Aave V2 on mainnet by default; L2s pass their V3 pool / data provider / oracle
+        this.aave = {
+            version: 2,
+            pool: CONTRACTS.aave.lendingPool,
+            dataProvider: CONTRACTS.aave.dataProvider,
+            oracle: CONTRACTS.aave.oracle,
+            ...(options.aave || {})
+        };
+        this.weth = options.weth || WETH;
+        this.comptroller = options.comptroller || CONTRACTS.compound.comptroller;
+        this.cETH = options.cETH || CONTRACTS.compound.cETH;
+        this.maker = { dog: CONTRACTS.maker.dog, vat: CONTRACTS.maker.vat, ...(options.maker || {}) };
+
+        // Builds the tx from the gate-adjusted target; L2s override this
+        this.buildTx = options.buildTx || buildTargetTx;
+
+        this.allowanceSlots = new Map(); // token → storage slot of its allowance mapping, null if not found
+    }
+
+    // Decide whether a target is worth liquidating right now.
+    // Returns the adjusted target, the exact tx to send and the numbers behind the decision.
+    async evaluate(target, { from } = {}) {
+        const decision = {
+            profitable: false,
+            reason: null,
+            target,
+            tx: null,
+            approval: null,
+            funding: null,
+            simulation: null,
+            quote: null,
+            gasCostETH: 0,
+            expectedProfitETH: 0,
+            minProfitETH: this.minProfitETH
+        };
+
+        try {
+            decision.quote = await this.quote(target);
+        } catch (error) {
+            decision.reason = `Could not read liquidation parameters: ${error.message}`;
+            return decision;
+        }
+
+        if (decision.quote.repayAmount !== null && decision.quote.repayAmount <= 0n) {
+            decision.reason = 'Nothing repayable at current close factor';
+            return decision;
+        }
+
+        decision.target = decision.quote.repayAmount === null ? target :
+            { ...target, maxRepayableDebt: decision.quote.repayAmount.toString() };
+        decision.tx = this.buildTx(decision.target, from);
+
+        let stateOverrides = null;
+        let approvalGasCostETH = 0;
+        if (from) {
+            try {
+                decision.funding = await this.debtFunding(decision.target, decision.tx, from);
+            } catch (error) {
+                decision.reason = `Could not read debt token balance: ${error.message}`;
+                return decision;
+            }
+        }
+        if (decision.funding) {
+            const { token, spender, amount, balance, allowance } = decision.funding;
+            if (balance < amount) {
+                decision.reason = `Sender holds ${balance} of the ${amount} ${token} needed to repay`;
+                return decision;
+            }
+            if (allowance < amount) {
+                decision.approval = { to: token, data: ERC20.encodeFunctionData('approve', [spender, MAX_UINT256]), value: 0 };
+                const approval = await simulateTransaction(this.provider, decision.approval, { from });
+                if (!approval.success) {
+                    decision.reason = `Approval reverted: ${approval.revertReason}`;
+                    return decision;
+                }
+                approvalGasCostETH = approval.gasCostETH;
+                stateOverrides = await this.allowanceOverride(decision.funding, from);
+            }
+        }
+
+        decision.simulation = await simulateTransaction(this.provider, decision.tx, { from, stateOverrides });
+        if (!decision.simulation.success) {
+            decision.reason = `Simulation reverted: ${decision.simulation.revertReason}`;
+            return decision;
+        }
+
+        decision.gasCostETH = decision.simulation.gasCostETH + approvalGasCostETH;
+        decision.expectedProfitETH = decision.quote.grossProfitETH - decision.gasCostETH;
+        decision.profitable = decision.expectedProfitETH >= this.minProfitETH;
+        decision.reason = decision.profitable ? 'Above profit floor' :
+            `Expected ${decision.expectedProfitETH.toFixed(6)} ETH is below floor ${this.minProfitETH} ETH`;
+
+        return decision;
+    }
+
+    // What the liquidation pulls from the sender: { token, spender, amount, balance, allowance }.
+    // null when it pulls nothing - cETH is repaid with the tx value, bark() and absorb() need no capital.
+    async debtFunding(target, tx, from) {
+        let token;
+        if (target.protocol === 'aave') {
+            token = target.debtAsset;
+        } else if (target.protocol === 'compound' && eth.toBigInt(tx.value) === 0n) {
+            token = await eth.createContract(target.debtAsset, CTOKEN_ABI, this.provider).underlying();
+        } else {
+            return null;
+        }
+
+        const erc20 = eth.createContract(token, ERC20_ABI, this.provider);
+        const [balance, allowance] = await Promise.all([erc20.balanceOf(from), erc20.allowance(from, tx.to)]);
+        return {
+            token: eth.getAddress(token),
+            spender: eth.getAddress(tx.to),
+            amount: BigInt(target.maxRepayableDebt),
+            balance: eth.toBigInt(balance),
+            allowance: eth.toBigInt(allowance)
+        };
+    }
+
+    // State override granting the allowance the approval will, or null when the token's allowance slot
+    // can't be found (the simulation then reverts on the allowance, as the live tx would without approval)
+    async allowanceOverride({ token, spender }, owner) {
+        if (!this.allowanceSlots.has(token)) {
+            this.allowanceSlots.set(token, await this.findAllowanceSlot(token, owner, spender));
+        }
+        const slot = this.allowanceSlots.get(token);
+        if (slot === null) {
+            log.warn('Allowance slot not found, simulating without approval', { token });
+            return null;
+        }
+        return { [token]: { stateDiff: { [allowanceKey(owner, spender, slot)]: word(MAX_UINT256) } } };
+    }
+
+    // Solidity lays out allowance[owner][spender] at keccak(spender . keccak(owner . slot)); try the
+    // low slots until allowance() reads back the overridden value
+    async findAllowanceSlot(token, owner, spender) {
+        const data = ERC20.encodeFunctionData('allowance', [owner, spender]);
+        for (let slot = 0; slot < ALLOWANCE_SLOTS_PROBED; slot++) {
+            const override = { [token]: { stateDiff: { [allowanceKey(owner, spender, slot)]: word(MAX_UINT256) } } };
+            try {
+                const result = await this.provider.send('eth_call', [{ to: token, data }, 'latest', override]);
+                if (eth.toBigInt(result) === MAX_UINT256) return slot;
+            } catch (error) {
+                return null; // no state override support on this RPC
+            }
+        }
+        return null;
+    }
+
+    async quote(target) {
+        switch (target.protocol) {
+            case 'aave':
+                return this.quoteAave(target);
+            case 'compound':
+                return this.quoteCompound(target);
+            case 'maker':
+                return this.quoteMaker(target);
+            case 'compoundV3':
+                // Comet absorb() pays the caller nothing directly
+                return { grossProfitETH: 0, repayAmount: null, bonus: 0, closeFactor: null };
+            default:
+                throw new Error(`Unsupported protocol: ${target.protocol}`);
+        }
+    }
+
+    async quoteAave(target) {
+        const dataProvider = eth.createContract(this.aave.dataProvider, AAVE_DATA_PROVIDER_ABI, this.provider);
+        const oracle = eth.createContract(this.aave.oracle, AAVE_ORACLE_ABI, this.provider);
+
+        const [collateralConfig, debtConfig, collateralData, debtData] = await Promise.all([
+            dataProvider.getReserveConfigurationData(target.collateralAsset),
+            dataProvider.getReserveConfigurationData(target.debtAsset),
+            dataProvider.getUserReserveData(target.collateralAsset, target.user),
+            dataProvider.getUserReserveData(target.debtAsset, target.user)
+        ]);
+
+        // liquidationBonus is in bps including principal (10500 = 5% bonus)
+        let bonus = Number(eth.toBigInt(collateralConfig.liquidationBonus) - 10000n) / 10000;
+        if (this.aave.version >= 3) {
+            // V3 sends a share of the bonus to the treasury
+            const fee = await dataProvider.getLiquidationProtocolFee(target.collateralAsset).catch(() => 0n);
+            bonus *= 1 - Number(eth.toBigInt(fee)) / 10000;
+        }
+
+        const closeFactor = await this.aaveCloseFactor(target.user);
+        const debt = eth.toBigInt(debtData.currentVariableDebt) + eth.toBigInt(debtData.currentStableDebt);
+        let repayAmount = debt * BigInt(Math.round(closeFactor * 10000)) / 10000n;
+
+        const [collateralPrice, debtPrice, wethPrice] = await Promise.all([
+            oracle.getAssetPrice(target.collateralAsset),
+            oracle.getAssetPrice(target.debtAsset),
+            oracle.getAssetPrice(this.weth)
+        ]);
+        const toETH = (amount, decimals, price) =>
+            parseFloat(eth.formatUnits(amount, Number(decimals))) *
+            Number(eth.toBigInt(price)) / Number(eth.toBigInt(wethPrice));
+
+        const collateralValueETH = toETH(collateralData.currentATokenBalance, collateralConfig.decimals, collateralPrice);
+        let repayValueETH = toETH(repayAmount, debtConfig.decimals, debtPrice);
+
+        // Can't seize more collateral than the user has
+        if (repayValueETH * (1 + bonus) > collateralValueETH && repayValueETH > 0) {
+            const scale = collateralValueETH / (1 + bonus) / repayValueETH;
+            repayAmount = repayAmount * BigInt(Math.floor(scale * 1e6)) / 1000000n;
+            repayValueETH *= scale;
+        }
+
+        return {
+            grossProfitETH: repayValueETH * bonus,
+            repayAmount,
+            repayValueETH,
+            collateralValueETH,
+            debtValueETH: toETH(debt, debtConfig.decimals, debtPrice),
+            bonus,
+            closeFactor
+        };
+    }
+
+    // V2: fixed 50%. V3: 100% once health factor drops below 0.95
+    async aaveCloseFactor(user) {
+        if (this.aave.version < 3) return 0.5;
+        const pool = eth.createContract(this.aave.pool, AAVE_POOL_ABI, this.provider);
+        const account = await pool.getUserAccountData(user);
+        const healthFactor = parseFloat(eth.formatEther(account.healthFactor));
+        return healthFactor < 0.95 ? 1 : 0.5;
+    }
+
+    async quoteCompound(target) {
+        const comptroller = eth.createContract(this.comptroller, COMPTROLLER_ABI, this.provider);
+        const debtToken = eth.createContract(target.debtAsset, CTOKEN_ABI, this.provider);
+        const collateralToken = eth.createContract(target.collateralAsset, CTOKEN_ABI, this.provider);
+
+        const [incentive, closeFactorMantissa, oracleAddress, borrowed, cTokenBalance, exchangeRate, seizeShare] =
+            await Promise.all([
+                comptroller.liquidationIncentiveMantissa(),
+                comptroller.closeFactorMantissa(),
+                comptroller.oracle(),
+                debtToken.borrowBalanceStored(target.user),
+                collateralToken.balanceOf(target.user),
+                collateralToken.exchangeRateStored(),
+                // Older cTokens predate the protocol seize share
+                collateralToken.protocolSeizeShareMantissa().catch(() => 0n)
+            ]);
+
+        const oracle = eth.createContract(oracleAddress, COMPOUND_ORACLE_ABI, this.provider);
+        const [debtPrice, collateralPrice, ethPrice] = await Promise.all([
+            oracle.getUnderlyingPrice(target.debtAsset),
+            oracle.getUnderlyingPrice(target.collateralAsset),
+            oracle.getUnderlyingPrice(this.cETH)
+        ]);
+
+        // getUnderlyingPrice is scaled so amount * price / 1e36 is USD
+        const toETH = (amount, price) =>
+            Number(eth.toBigInt(amount) * eth.toBigInt(price) / WAD) / Number(eth.toBigInt(ethPrice));
+
+        const closeFactor = Number(eth.formatEther(closeFactorMantissa));
+        const incentiveFactor = Number(eth.formatEther(incentive));
+        const keptShare = 1 - Number(eth.formatEther(seizeShare));
+
+        let repayAmount = eth.toBigInt(borrowed) * eth.toBigInt(closeFactorMantissa) / WAD;
+        const underlyingCollateral = eth.toBigInt(cTokenBalance) * eth.toBigInt(exchangeRate) / WAD;
+        const collateralValueETH = toETH(underlyingCollateral, collateralPrice);
+        let repayValueETH = toETH(repayAmount, debtPrice);
+
+        if (repayValueETH * incentiveFactor > collateralValueETH && repayValueETH > 0) {
+            const scale = collateralValueETH / incentiveFactor / repayValueETH;
+            repayAmount = repayAmount * BigInt(Math.floor(scale * 1e6)) / 1000000n;
+            repayValueETH *= scale;
+        }
+
+        return {
+            grossProfitETH: repayValueETH * incentiveFactor * keptShare - repayValueETH,
+            repayAmount,
+            repayValueETH,
+            collateralValueETH,
+            debtValueETH: toETH(borrowed, debtPrice),
+            bonus: incentiveFactor * keptShare - 1,
+            closeFactor
+        };
+    }
+
+    // bark() needs no capital: the keeper earns the clipper's tip + chip * tab in DAI
+    async quoteMaker(target) {
+        const ilk = eth.isHexString(target.collateralAsset, 32) ?
+            target.collateralAsset : eth.encodeBytes32String(target.collateralAsset);
+
+        const dog = eth.createContract(this.maker.dog, DOG_ABI, this.provider);
+        const vat = eth.createContract(this.maker.vat, VAT_ABI, this.provider);
+        const [dogIlk, vatIlk, urn] = await Promise.all([
+            dog.ilks(ilk),
+            vat.ilks(ilk),
+            vat.urns(ilk, target.user)
+        ]);
+
+        const clip = eth.createContract(dogIlk.clip, CLIP_ABI, this.provider);
+        const [tip, chip] = await Promise.all([clip.tip(), clip.chip()]);
+
+        // tab (rad) = art * rate * chop / WAD; reward (rad) = tip + chip * tab / WAD
+        const tab = eth.toBigInt(urn.art) * eth.toBigInt(vatIlk.rate) * eth.toBigInt(dogIlk.chop) / WAD;
+        const reward = eth.toBigInt(tip) + eth.toBigInt(chip) * tab / WAD;
+        const rewardDAI = parseFloat(eth.formatUnits(reward / RAY, 18));
+
+        const oracle = eth.createContract(this.aave.oracle, AAVE_ORACLE_ABI, this.provider);
+        const [daiPrice, wethPrice] = await Promise.all([
+            oracle.getAssetPrice(DAI),
+            oracle.getAssetPrice(this.weth)
+        ]);
+        const daiInETH = Number(eth.toBigInt(daiPrice)) / Number(eth.toBigInt(wethPrice));
+
+        return {
+            grossProfitETH: rewardDAI * daiInETH,
+            repayAmount: null,
+            repayValueETH: 0,
+            collateralValueETH: null,
+            debtValueETH: parseFloat(eth.formatUnits(tab / RAY, 18)) * daiInETH,
+            bonus: Number(eth.formatEther(dogIlk.chop)) - 1, // penalty, goes to the protocol
+            closeFactor: 1
+        };
+    }
+}
+
+function allowanceKey(owner, spender, slot) {
+    const inner = eth.keccak256(eth.encodeAbi(['address', 'uint256'], [owner, slot]));
+    return eth.keccak256(eth.encodeAbi(['address', 'bytes32'], [spender, inner]));
+}
+
+const word = value => '0x' + value.toString(16).padStart(64, '0');
+
+// Pass the caller's logger so the decision carries its signalId / chain
+function logDecision(tag, decision, logger = log) {
+    const q = decision.quote;
+    logger.info(`${tag}: ${decision.profitable ? 'PASS' : 'REFUSE'} - ${decision.reason}`, q ? {
+        profitable: decision.profitable,
+        bonus: q.bonus,
+        closeFactor: q.closeFactor,
+        grossProfitETH: q.grossProfitETH,
+        gasCostETH: decision.gasCostETH,
+        expectedProfitETH: decision.expectedProfitETH
+    } : { profitable: decision.profitable });
+}
+
+module.exports = ProfitabilityGate;
+module.exports.logDecision = logDecision;
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, rpcServer, ethCall } = require('./test-helpers');
+const { CONTRACTS } = require('./contract-interface');
+
+const SENDER = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+const USER = '0x00000000000000000000000000000000000000aa';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const POOL = CONTRACTS.aave.lendingPool;
+const DAI_ALLOWANCE_SLOT = 3;
+const e18 = n => BigInt(n) * 10n ** 18n;
+const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const target = {
+    protocol: 'aave',
+    user: USER,
+    collateralAsset: WETH,
+    debtAsset: DAI,
+    maxRepayableDebt: e18(500).toString()
+};
+
+// Aave V2 with 1000 DAI of debt against 10 WETH: half is repayable, 500 DAI = 0.25 ETH earning a 5% bonus.
+// DAI keeps allowances in slot 3; the pool reverts unless the sender's allowance covers the repay.
+async function mainnet(eth, { balance, allowance }) {
+    const storageKey = (owner, spender) => eth.keccak256(eth.encodeAbi(['address', 'bytes32'],
+        [spender, eth.keccak256(eth.encodeAbi(['address', 'uint256'], [owner, DAI_ALLOWANCE_SLOT]))]));
+    const allowanceOf = (owner, spender, overrides) => {
+        const token = Object.keys(overrides || {}).find(address => same(address, DAI));
+        const diff = token && overrides[token].stateDiff ? overrides[token].stateDiff : {};
+        const key = Object.keys(diff).find(k => same(k, storageKey(owner, spender)));
+        return key ? BigInt(diff[key]) : same(owner, SENDER) ? allowance : 0n;
+    };
+    const reverted = reason => Object.assign(new Error('execution reverted'), {
+        code: 3,
+        data: '0x08c379a0' + eth.encodeAbi(['string'], [reason]).slice(2)
+    });
+    const liquidate = ([call, , overrides]) => {
+        if (allowanceOf(call.from, POOL, overrides) < e18(500)) throw reverted('Dai/insufficient-allowance');
+    };
+
+    const calls = [];
+    const call = ethCall({
+        [CONTRACTS.aave.dataProvider]: {
+            abi: [
+                'function getReserveConfigurationData(address asset) view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+                'function getUserReserveData(address asset, address user) view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)'
+            ],
+            getReserveConfigurationData: () => [18, 8000, 8250, 10500, 1000, true, true, false, true, false],
+            getUserReserveData: ([asset]) => (same(asset, WETH) ?
+                [e18(10), 0, 0, 0, 0, 0, 0, 0, true] :
+                [0, e18(400), e18(600), 0, 0, 0, 0, 0, false])
+        },
+        [CONTRACTS.aave.oracle]: {
+            abi: ['function getAssetPrice(address asset) view returns (uint256)'],
+            getAssetPrice: ([asset]) => [same(asset, DAI) ? 5n * 10n ** 14n : e18(1)] // ETH-quoted
+        },
+        [DAI]: {
+            abi: [
+                'function balanceOf(address owner) view returns (uint256)',
+                'function allowance(address owner, address spender) view returns (uint256)',
+                'function approve(address spender, uint256 amount) returns (bool)'
+            ],
+            balanceOf: ([owner]) => [same(owner, SENDER) ? balance : 0n],
+            allowance: ([owner, spender], [, , overrides]) => [allowanceOf(owner, spender, overrides)],
+            approve: () => [true]
+        },
+        [POOL]: {
+            abi: ['function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)'],
+            liquidationCall: (args, params) => {
+                liquidate(params);
+                return [];
+            }
+        }
+    });
+
+    const node = await rpcServer({
+        eth_chainId: () => '0x1',
+        net_version: () => '1',
+        eth_call: params => {
+            calls.push(params);
+            return call(params);
+        },
+        eth_estimateGas: params => {
+            if (same(params[0].to, DAI)) return '0xb3b0'; // 46000
+            liquidate(params);
+            return '0x61a80'; // 400000
+        },
+        eth_gasPrice: () => '0x3b9aca00',
+        eth_maxPriorityFeePerGas: () => '0x3b9aca00',
+        eth_getBlockByNumber: () => ({
+            number: '0x10',
+            hash: '0x' + '01'.repeat(32),
+            parentHash: '0x' + '02'.repeat(32),
+            timestamp: '0x6500000',
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: '0x1c9c380',
+            gasUsed: '0x0',
+            miner: '0x' + '00'.repeat(20),
+            extraData: '0x',
+            baseFeePerGas: '0x3b9aca00', // 1 gwei
+            transactions: []
+        })
+    });
+    return { node, calls };
+}
+
+for (const pkg of ETHERS) {
+    test(`profitability gate funds Aave repays on ${pkg}`, async t => {
+        const [eth, ProfitabilityGate] = loadWith(pkg, 'ethers-compat', 'profitability-gate');
+        const servers = [];
+        t.after(() => Promise.all(servers.map(server => server.close())));
+        const gateFor = async state => {
+            const { node, calls } = await mainnet(eth, state);
+            servers.push(node);
+            return { gate: new ProfitabilityGate(eth.getProvider(node.url, 1), { minProfitETH: 0.005 }), calls };
+        };
+
+        await t.test('without an allowance: approval tx, simulated with the allowance overridden', async () => {
+            const { gate, calls } = await gateFor({ balance: e18(1000), allowance: 0n });
+            const decision = await gate.evaluate(target, { from: SENDER });
+
+            assert.strictEqual(decision.profitable, true, decision.reason);
+            assert.ok(Math.abs(decision.quote.grossProfitETH - 0.0125) < 1e-9);
+            assert.strictEqual(decision.funding.allowance, 0n);
+            assert.strictEqual(decision.approval.to, DAI);
+            const [spender, amount] = eth.createInterface(['function approve(address spender, uint256 amount)'])
+                .decodeFunctionData('approve', decision.approval.data);
+            assert.strictEqual(spender, POOL);
+            assert.strictEqual(eth.toBigInt(amount), 2n ** 256n - 1n);
+
+            // The approval's gas is part of the cost
+            assert.ok(decision.gasCostETH > decision.simulation.gasCostETH);
+            assert.ok(Math.abs(decision.gasCostETH / decision.simulation.gasCostETH - 446000 / 400000) < 1e-9);
+            const liquidation = calls.find(params => same(params[0].to, POOL));
+            assert.ok(liquidation[2], 'liquidation simulated with a state override');
+            assert.strictEqual(gate.allowanceSlots.get(DAI), DAI_ALLOWANCE_SLOT);
+        });
+
+        await t.test('with an allowance: no approval, no override', async () => {
+            const { gate, calls } = await gateFor({ balance: e18(1000), allowance: e18(500) });
+            const decision = await gate.evaluate(target, { from: SENDER });
+
+            assert.strictEqual(decision.profitable, true, decision.reason);
+            assert.strictEqual(decision.approval, null);
+            assert.strictEqual(decision.gasCostETH, decision.simulation.gasCostETH);
+            assert.ok(calls.every(params => params.length < 3));
+        });
+
+        await t.test('refuses a sender that cannot fund the repay', async () => {
+            const { gate } = await gateFor({ balance: e18(100), allowance: 0n });
+            const decision = await gate.evaluate(target, { from: SENDER });
+
+            assert.strictEqual(decision.profitable, false);
+            assert.strictEqual(decision.simulation, null);
+            assert.match(decision.reason, /holds 100000000000000000000 of the 500000000000000000000/);
+        });
+    });
+}
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+// Realized P&L - Profit measured from what actually happened on-chain
+// Parses liquidation events and ERC-20 Transfer logs from the raw receipt:
+// collateral received - debt repaid - gasUsed * effectiveGasPrice - L1 data fee
+// A Maker bark() is paid in internal Vat DAI (Vat.suck to the keeper), read from the Vat's LogNote.
+
+const eth = require('./ethers-compat');
+const { CONTRACTS } = require('./contract-interface');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const RAY = 10n ** 27n;
+
+const EVENTS = eth.createInterface([
+    // Aave V2 / V3 LendingPool
+    'event LiquidationCall(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateralAmount, address liquidator, bool receiveAToken)',
+    // Compound V2 cToken
+    'event LiquidateBorrow(address liquidator, address borrower, uint256 repayAmount, address cTokenCollateral, uint256 seizeTokens)',
+    // Maker Dog (Liquidation 2.0)
+    'event Bark(bytes32 indexed ilk, address indexed urn, uint256 ink, uint256 art, uint256 due, address clip, uint256 indexed id)',
+    // Compound V3 Comet
+    'event AbsorbDebt(address indexed absorber, address indexed borrower, uint256 basePaidOut, uint256 usdValue)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+// The Vat logs every call as an anonymous LogNote: topics are the selector (left-aligned) and the
+// first three arguments. suck(vow, keeper, rad) is how Dog.bark pays the keeper's tip + chip.
+const VAT = eth.getAddress(CONTRACTS.maker.vat);
+const SUCK_NOTE = eth.getFunctionSelector(eth.createInterface(['function suck(address u, address v, uint256 rad)']), 'suck') +
+    '0'.repeat(56);
+
+const ORACLE_ABI = ['function getAssetPrice(address asset) view returns (uint256)'];
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+const CTOKEN_ABI = [
+    'function underlying() view returns (address)',
+    'function exchangeRateStored() view returns (uint256)',
+    'function isCToken() view returns (bool)'
+];
+
+// Values any token amount in ETH through an Aave-style oracle.
+// Dividing by the WETH price makes this work for both ETH-quoted (V2) and USD-quoted (V3) oracles;
+// cTokens are converted to their underlying first.
+function createOraclePricer(provider, options = {}) {
+    const oracleAddress = options.oracle === undefined ? CONTRACTS.aave.oracle : options.oracle;
+    const oracle = oracleAddress ? eth.createContract(oracleAddress, ORACLE_ABI, provider) : null;
+    const weth = eth.getAddress(options.weth || WETH);
+    const cETH = eth.getAddress(options.cETH || CONTRACTS.compound.cETH);
+    const decimalsCache = new Map();
+
+    async function decimalsOf(token) {
+        if (!decimalsCache.has(token)) {
+            const contract = eth.createContract(token, ERC20_ABI, provider);
+            decimalsCache.set(token, Number(await contract.decimals()));
+        }
+        return decimalsCache.get(token);
+    }
+
+    async function underlyingOf(token) {
+        const cToken = eth.createContract(token, CTOKEN_ABI, provider);
+        try {
+            if (!await cToken.isCToken()) return null;
+        } catch (e) {
+            return null;
+        }
+        const rate = eth.toBigInt(await cToken.exchangeRateStored());
+        const underlying = token === cETH ? weth : eth.getAddress(await cToken.underlying());
+        return { underlying, rate };
+    }
+
+    return async function priceInETH(token, amount) {
+        token = eth.getAddress(token);
+        amount = eth.toBigInt(amount);
+        if (amount === 0n) return 0;
+        if (token === weth) return parseFloat(eth.formatEther(amount));
+
+        // cToken amounts: underlying = cTokens * exchangeRate / 1e18
+        const cToken = await underlyingOf(token);
+        if (cToken) {
+            return priceInETH(cToken.underlying, amount * cToken.rate / 10n ** 18n);
+        }
+
+        if (!oracle) {
+            throw new Error(`No price oracle configured to value ${token}`);
+        }
+        const [assetPrice, wethPrice, decimals] = await Promise.all([
+            oracle.getAssetPrice(token),
+            oracle.getAssetPrice(weth),
+            decimalsOf(token)
+        ]);
+        const units = parseFloat(eth.formatUnits(amount, decimals));
+        return units * Number(eth.toBigInt(assetPrice)) / Number(eth.toBigInt(wethPrice));
+    };
+}
+
+class RealizedPnL {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.priceInETH = options.pricer || createOraclePricer(provider, options);
+    }
+
+    // Fetch the raw receipt so chain-specific fields (l1Fee on OP-stack) survive
+    async fromTxHash(txHash, liquidator) {
+        const [receipt, tx] = await Promise.all([
+            this.provider.send('eth_getTransactionReceipt', [txHash]),
+            this.provider.send('eth_getTransactionByHash', [txHash])
+        ]);
+        if (!receipt) {
+            throw new Error(`No receipt for ${txHash}`);
+        }
+        return this.fromReceipt(receipt, { liquidator: liquidator || (tx && tx.from), value: tx && tx.value });
+    }
+
+    async fromReceipt(receipt, { liquidator, value } = {}) {
+        liquidator = eth.getAddress(liquidator || receipt.from);
+        const succeeded = eth.toBigInt(receipt.status) === 1n;
+
+        const gasUsed = eth.toBigInt(receipt.gasUsed);
+        const gasPrice = eth.toBigInt(receipt.effectiveGasPrice || receipt.gasPrice);
+        const l1Fee = eth.toBigInt(receipt.l1Fee);
+
+        const result = {
+            txHash: receipt.transactionHash || receipt.hash,
+            status: succeeded ? 'success' : 'reverted',
+            liquidator,
+            protocol: null,
+            liquidation: null,
+            tokenDeltas: [],
+            collateralReceivedETH: 0,
+            debtRepaidETH: 0,
+            gasUsed: gasUsed.toString(),
+            gasCostETH: parseFloat(eth.formatEther(gasUsed * gasPrice)),
+            l1FeeETH: parseFloat(eth.formatEther(l1Fee)),
+            netProfitETH: 0
+        };
+
+        if (succeeded) {
+            const { liquidation, deltas } = this.parseLogs(receipt.logs || [], liquidator);
+            result.protocol = liquidation ? liquidation.protocol : null;
+            result.liquidation = liquidation;
+
+            // ETH sent with the tx (cETH liquidations) is debt repaid too
+            const valueSent = eth.toBigInt(value);
+            if (valueSent > 0n) {
+                result.debtRepaidETH += parseFloat(eth.formatEther(valueSent));
+            }
+
+            for (const [token, delta] of deltas) {
+                if (delta === 0n) continue;
+                const valueETH = await this.priceInETH(token, delta < 0n ? -delta : delta);
+                result.tokenDeltas.push({ token, amount: delta.toString(), valueETH: delta < 0n ? -valueETH : valueETH });
+                if (delta > 0n) {
+                    result.collateralReceivedETH += valueETH;
+                } else {
+                    result.debtRepaidETH += valueETH;
+                }
+            }
+        }
+
+        result.netProfitETH = result.collateralReceivedETH - result.debtRepaidETH -
+            result.gasCostETH - result.l1FeeETH;
+        return result;
+    }
+
+    parseLogs(logs, liquidator) {
+        const deltas = new Map();
+        let liquidation = null;
+        let keeperReward = 0n;
+
+        for (const log of logs) {
+            const reward = parseKeeperReward(log, liquidator);
+            if (reward > 0n) {
+                deltas.set(DAI, (deltas.get(DAI) || 0n) + reward);
+                keeperReward += reward;
+                continue;
+            }
+
+            const parsed = parseLog(log);
+            if (!parsed) continue;
+            const args = parsed.args;
+
+            switch (parsed.name) {
+                case 'Transfer': {
+                    const token = eth.getAddress(log.address);
+                    const amount = eth.toBigInt(args.value);
+                    const from = eth.getAddress(args.from);
+                    const to = eth.getAddress(args.to);
+                    if (to === liquidator) deltas.set(token, (deltas.get(token) || 0n) + amount);
+                    if (from === liquidator) deltas.set(token, (deltas.get(token) || 0n) - amount);
+                    break;
+                }
+                case 'LiquidationCall':
+                    liquidation = {
+                        protocol: 'aave',
+                        user: args.user,
+                        collateralAsset: args.collateralAsset,
+                        debtAsset: args.debtAsset,
+                        debtRepaid: eth.toBigInt(args.debtToCover).toString(),
+                        collateralSeized: eth.toBigInt(args.liquidatedCollateralAmount).toString()
+                    };
+                    break;
+                case 'LiquidateBorrow':
+                    liquidation = {
+                        protocol: 'compound',
+                        user: args.borrower,
+                        collateralAsset: args.cTokenCollateral,
+                        debtAsset: eth.getAddress(log.address),
+                        debtRepaid: eth.toBigInt(args.repayAmount).toString(),
+                        collateralSeized: eth.toBigInt(args.seizeTokens).toString()
+                    };
+                    break;
+                case 'Bark':
+                    // The keeper incentive is credited as internal Vat DAI, not an ERC-20
+                    // Transfer; it is counted from the Vat's suck note instead
+                    liquidation = {
+                        protocol: 'maker',
+                        user: args.urn,
+                        collateralAsset: eth.decodeBytes32String(args.ilk),
+                        debtAsset: null,
+                        debtRepaid: eth.toBigInt(args.due).toString(),
+                        collateralSeized: eth.toBigInt(args.ink).toString(),
+                        auctionId: eth.toBigInt(args.id).toString()
+                    };
+                    break;
+                case 'AbsorbDebt':
+                    liquidation = {
+                        protocol: 'compoundV3',
+                        user: args.borrower,
+                        collateralAsset: null,
+                        debtAsset: eth.getAddress(log.address),
+                        debtRepaid: eth.toBigInt(args.basePaidOut).toString(),
+                        collateralSeized: null
+                    };
+                    break;
+            }
+        }
+
+        if (liquidation && liquidation.protocol === 'maker') {
+            liquidation.keeperReward = keeperReward.toString();
+        }
+        return { liquidation, deltas };
+    }
+
+    // Shape expected by CausalAttribution.recordProfit
+    static toProfitRecord(pnl) {
+        return {
+            txHash: pnl.txHash,
+            amountETH: pnl.collateralReceivedETH - pnl.debtRepaidETH,
+            gasSpent: pnl.gasCostETH + pnl.l1FeeETH,
+            type: pnl.protocol || 'UNKNOWN',
+            status: pnl.status
+        };
+    }
+}
+
+// DAI (wad) the Vat sucked to the liquidator in this log, 0n for any other log
+function parseKeeperReward(log, liquidator) {
+    const topics = log.topics || [];
+    if (topics.length !== 4 || String(topics[0]).toLowerCase() !== SUCK_NOTE) return 0n;
+    if (eth.getAddress(log.address) !== VAT) return 0n;
+    if (eth.getAddress('0x' + topics[2].slice(-40)) !== liquidator) return 0n;
+    return eth.toBigInt(topics[3]) / RAY;
+}
+
+// v5 throws on unknown topics, v6 returns null - normalize to null
+function parseLog(log) {
+    try {
+        return EVENTS.parseLog({ topics: log.topics, data: log.data });
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = RealizedPnL;
+module.exports.createOraclePricer = createOraclePricer;
+module.exports.EVENTS = EVENTS;
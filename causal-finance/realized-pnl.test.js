@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith } = require('./test-helpers');
+const { CONTRACTS } = require('./contract-interface');
+
+const KEEPER = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+const URN = '0x00000000000000000000000000000000000000aa';
+const VOW = '0xA950524441892A31ebddF91d3cEEFa04Bf454466';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const RAY = 10n ** 27n;
+
+// 1 DAI = 0.0005 ETH
+const pricer = async (token, amount) => Number(amount) / 1e18 * (token === DAI ? 0.0005 : 1);
+const word = value => '0x' + BigInt(value).toString(16).padStart(64, '0');
+const addressWord = address => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+
+function receipt(logs, status = 1) {
+    return {
+        transactionHash: '0x' + 'ab'.repeat(32),
+        from: KEEPER,
+        status: `0x${status}`,
+        gasUsed: '0x' + (300000).toString(16),
+        effectiveGasPrice: '0x' + (10n ** 10n).toString(16), // 10 gwei → 0.003 ETH
+        logs
+    };
+}
+
+for (const pkg of ETHERS) {
+    test(`realized P&L on ${pkg}`, async t => {
+        const [eth, RealizedPnL] = loadWith(pkg, 'ethers-compat', 'realized-pnl');
+        const pnl = new RealizedPnL(null, { pricer });
+        const suckNote = eth.getFunctionSelector(eth.createInterface(['function suck(address u, address v, uint256 rad)']), 'suck') + '0'.repeat(56);
+
+        // Dog.bark emits Bark, then Vat.suck(vow, keeper, tip + chip * tab) pays the keeper in Vat DAI
+        const bark = eth.createInterface([
+            'event Bark(bytes32 indexed ilk, address indexed urn, uint256 ink, uint256 art, uint256 due, address clip, uint256 indexed id)'
+        ]);
+        const barkLog = {
+            address: CONTRACTS.maker.dog,
+            ...bark.encodeEventLog(bark.getEvent('Bark'), [
+                eth.encodeBytes32String('ETH-A'), URN, 10n ** 19n, 10n ** 22n, 10n ** 49n, CONTRACTS.maker.dog, 7n
+            ])
+        };
+        const suckLog = (keeper, rad) => ({
+            address: CONTRACTS.maker.vat,
+            topics: [suckNote, addressWord(VOW), addressWord(keeper), word(rad)],
+            data: '0x'
+        });
+
+        await t.test('counts the bark keeper reward (tip + chip) as proceeds', async () => {
+            // 300 DAI tip + 0.1% of a 10000 DAI tab = 310 DAI = 0.155 ETH
+            const result = await pnl.fromReceipt(receipt([barkLog, suckLog(KEEPER, 310n * 10n ** 18n * RAY)]));
+            assert.strictEqual(result.protocol, 'maker');
+            assert.strictEqual(result.liquidation.collateralAsset, 'ETH-A');
+            assert.strictEqual(result.liquidation.keeperReward, (310n * 10n ** 18n).toString());
+            assert.deepStrictEqual(result.tokenDeltas.map(d => d.token), [DAI]);
+            assert.ok(Math.abs(result.collateralReceivedETH - 0.155) < 1e-12);
+            assert.strictEqual(result.debtRepaidETH, 0);
+            assert.ok(Math.abs(result.netProfitETH - (0.155 - 0.003)) < 1e-12);
+        });
+
+        await t.test('ignores sucks to anyone else', async () => {
+            const result = await pnl.fromReceipt(receipt([barkLog, suckLog(VOW, 10n ** 45n)]));
+            assert.strictEqual(result.liquidation.keeperReward, '0');
+            assert.strictEqual(result.collateralReceivedETH, 0);
+            assert.ok(Math.abs(result.netProfitETH + 0.003) < 1e-12);
+        });
+
+        await t.test('nets ERC-20 transfers in and out of the liquidator', async () => {
+            const erc20 = eth.createInterface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+            const transfer = (token, from, to, value) => ({
+                address: token,
+                ...erc20.encodeEventLog(erc20.getEvent('Transfer'), [from, to, value])
+            });
+            const result = await pnl.fromReceipt(receipt([
+                transfer(DAI, KEEPER, URN, 1000n * 10n ** 18n), // 0.5 ETH repaid
+                transfer(WETH, URN, KEEPER, 55n * 10n ** 16n) // 0.55 ETH seized
+            ]));
+            assert.ok(Math.abs(result.debtRepaidETH - 0.5) < 1e-12);
+            assert.ok(Math.abs(result.collateralReceivedETH - 0.55) < 1e-12);
+            assert.ok(Math.abs(RealizedPnL.toProfitRecord(result).amountETH - 0.05) < 1e-12);
+        });
+
+        await t.test('a reverted tx books gas only', async () => {
+            const result = await pnl.fromReceipt(receipt([barkLog, suckLog(KEEPER, 10n ** 45n)], 0));
+            assert.strictEqual(result.status, 'reverted');
+            assert.strictEqual(result.collateralReceivedETH, 0);
+            assert.ok(Math.abs(result.netProfitETH + 0.003) < 1e-12);
+        });
+    });
+}
@@ -4,6 +4,7 @@
 // Where past intent becomes future yield
 
 const crypto = require('crypto');
+const { startMetricsServer } = require('./metrics');
 
 class ClosedLoopExtractor {
     constructor() {
@@ -62,7 +63,7 @@ class ClosedLoopExtractor {
     }
     
     broadcast(anchor) {
-        // In reality: OP_RETURN on BSV
+        // In reality: OP_RETURN on BSV (see btc-anchor.js)
         // Here: Semantic field update
         this.semanticField = anchor;
     }
@@ -116,4 +117,5 @@ console.log('[*] Initializing Closed Loop Protocol...');
 console.log('[*] Remember: All loops close through recursion');
 console.log('[*] The past creates the future that validates the past\n');
 
+startMetricsServer();
 loop.run();
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+// Risk Guard - Spending limits and kill switch shared by every broadcasting process
+// Daily gas budgets (per process and global), tx-per-minute and value-at-risk caps are
+// checked before each send. State lives in .risk/state.json so a PM2 restart doesn't reset
+// the budget; a state file that can't be read refuses every send until it's fixed or removed.
+// The presence of .risk/KILL halts all sending until it's removed. Each authorized send reserves
+// its worst-case gas until it mines (booked at the actual cost) or fails (released), so txs in
+// flight count against the budget. Every mined tx's gas is also appended to
+// .risk/gas-<YYYY-MM>.jsonl, which outlives the daily budget for P&L reports.
+
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { withLock, writeAtomic } = require('./file-lock');
+const AlertManager = require('./alert-manager');
+const { createLogger } = require('./logger');
+
+const log = createLogger('risk-guard');
+
+const STATE_VERSION = 2;
+const RESERVATION_TTL_MS = 60 * 60 * 1000; // a crashed sender's reservations stop counting after this
+
+let reservationSeq = 0;
+
+class RiskLimitError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'RiskLimitError';
+        this.code = code;
+    }
+}
+
+class RiskGuard {
+    constructor(processName, options = {}) {
+        this.processName = processName || defaultProcessName();
+        this.dir = options.dir || process.env.RISK_DIR || path.join(__dirname, '.risk');
+        this.stateFile = path.join(this.dir, 'state.json');
+        this.killFile = options.killFile || process.env.RISK_KILL_FILE || path.join(this.dir, 'KILL');
+
+        this.limits = {
+            processDailyGasETH: limit(options.processDailyGasETH, 'RISK_PROCESS_DAILY_GAS_ETH', 0.1),
+            globalDailyGasETH: limit(options.globalDailyGasETH, 'RISK_GLOBAL_DAILY_GAS_ETH', 0.5),
+            maxTxPerMinute: limit(options.maxTxPerMinute, 'RISK_MAX_TX_PER_MINUTE', 30),
+            maxValueAtRiskETH: limit(options.maxValueAtRiskETH, 'RISK_MAX_VALUE_AT_RISK_ETH', 10)
+        };
+        this.alerts = options.alerts || AlertManager.forProcess(this.processName);
+    }
+
+    // One guard per process name
+    static forProcess(processName, options) {
+        const name = processName || defaultProcessName();
+        if (!guards.has(name)) {
+            guards.set(name, new RiskGuard(name, options));
+        }
+        return guards.get(name);
+    }
+
+    // Throws RiskLimitError if this send would break a limit; otherwise reserves a rate slot and
+    // maxGasCostETH of the budget. Resolves to the reservation id for recordGas() / release().
+    async authorize({ maxGasCostETH = 0, valueAtRiskETH = 0 } = {}) {
+        const killed = await this.killInfo();
+        if (killed) {
+            throw new RiskLimitError(`Kill switch engaged: ${killed.reason}`, 'KILL_SWITCH');
+        }
+        if (valueAtRiskETH > this.limits.maxValueAtRiskETH) {
+            throw new RiskLimitError(
+                `Value at risk ${valueAtRiskETH.toFixed(4)} ETH exceeds ${this.limits.maxValueAtRiskETH} ETH`,
+                'VALUE_AT_RISK'
+            );
+        }
+
+        return this.update(state => {
+            const usage = this.usage(state);
+            const now = Date.now();
+            usage.txTimes = usage.txTimes.filter(t => now - t < 60000);
+
+            if (usage.txTimes.length >= this.limits.maxTxPerMinute) {
+                throw new RiskLimitError(`${this.processName} hit ${this.limits.maxTxPerMinute} tx/minute`, 'RATE_LIMIT');
+            }
+            this.checkBudgets(state, usage, now, maxGasCostETH);
+
+            usage.txTimes.push(now);
+            const id = `${now.toString(36)}-${process.pid}-${++reservationSeq}`;
+            usage.reservations[id] = { gasETH: maxGasCostETH, at: now };
+            return id;
+        }).catch(error => this.budgetAlert(error));
+    }
+
+    // Raise (or lower) a reservation to maxGasCostETH, e.g. for a fee-bumped replacement of the same
+    // send. Throws RiskLimitError, leaving the reservation as it was, if the increase breaks a budget.
+    // Takes no rate slot: the replacement reuses the nonce of the send that was authorized.
+    async resize(reservation, maxGasCostETH) {
+        if (!reservation) return;
+        await this.update(state => {
+            const usage = this.usage(state);
+            const now = Date.now();
+            const held = usage.reservations[reservation];
+            const increase = maxGasCostETH - (held ? held.gasETH : 0);
+            if (increase > 0) this.checkBudgets(state, usage, now, increase);
+            usage.reservations[reservation] = { gasETH: maxGasCostETH, at: held ? held.at : now };
+        }).catch(error => this.budgetAlert(error));
+    }
+
+    // Throws if reserving another gasETH would pass the global or this process's daily budget
+    checkBudgets(state, usage, now, gasETH) {
+        const globalReservedETH = Object.values(state.processes).reduce((sum, u) => sum + reservedETH(u, now), 0);
+        if (state.globalGasETH + globalReservedETH + gasETH > this.limits.globalDailyGasETH) {
+            throw new RiskLimitError(
+                `Global daily gas budget ${this.limits.globalDailyGasETH} ETH would be exceeded`,
+                'GLOBAL_BUDGET'
+            );
+        }
+        if (usage.gasETH + reservedETH(usage, now) + gasETH > this.limits.processDailyGasETH) {
+            throw new RiskLimitError(
+                `${this.processName} daily gas budget ${this.limits.processDailyGasETH} ETH would be exceeded`,
+                'PROCESS_BUDGET'
+            );
+        }
+    }
+
+    // A send refused for budget (or for unreadable state) raises budgetExhausted, once per cooldown,
+    // before the error goes back to the caller
+    async budgetAlert(error) {
+        const scopes = { GLOBAL_BUDGET: 'global', PROCESS_BUDGET: this.processName, STATE_UNREADABLE: 'state' };
+        if (scopes[error.code]) {
+            await this.alerts.notify('budgetExhausted', { scope: scopes[error.code], reason: error.message });
+        }
+        throw error;
+    }
+
+    // Book actual gas once a tx is mined, replacing its reservation; exhausting the global budget
+    // trips the kill switch. details ({ chain, txHash, kind }) go into the gas journal with it.
+    async recordGas(gasCostETH, details = {}, reservation = null) {
+        let exhausted = false;
+
+        // Journal first: the spend is real even if the budget state can't be updated
+        await this.journalGas(gasCostETH, details);
+        await this.update(state => {
+            const usage = this.usage(state);
+            if (reservation) delete usage.reservations[reservation];
+            usage.gasETH += gasCostETH;
+            usage.txCount++;
+            state.globalGasETH += gasCostETH;
+            exhausted = state.globalGasETH >= this.limits.globalDailyGasETH;
+        });
+
+        if (exhausted && !await this.killInfo()) {
+            const reason = `Global daily gas budget ${this.limits.globalDailyGasETH} ETH exhausted`;
+            await this.kill(reason);
+            await this.alerts.notify('budgetExhausted', { scope: 'global', reason: `${reason} - kill switch engaged` });
+        }
+    }
+
+    // The reserved send never mined (failed, dropped): hand its gas back to the budget
+    async release(reservation) {
+        if (!reservation) return;
+        await this.update(state => {
+            delete this.usage(state).reservations[reservation];
+        });
+    }
+
+    // One line per tx in a monthly file; O_APPEND keeps concurrent writers' lines whole
+    async journalGas(gasETH, details, ts = Date.now()) {
+        const file = path.join(this.dir, `gas-${new Date(ts).toISOString().slice(0, 7)}.jsonl`);
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.appendFile(file, JSON.stringify({ ts, process: this.processName, ...details, gasETH }) + '\n');
+    }
+
+    async kill(reason = 'manual', by = this.processName) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await writeAtomic(this.killFile, JSON.stringify({ reason, by, at: Date.now() }, null, 2));
+        log.error('Kill switch engaged', { by, reason });
+    }
+
+    async resume() {
+        await fs.unlink(this.killFile).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+        log.info('Kill switch cleared', { by: this.processName });
+    }
+
+    // Any file at the kill path counts - `touch .risk/KILL` works too
+    async killInfo() {
+        try {
+            const text = await fs.readFile(this.killFile, 'utf8');
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return { reason: text.trim() || 'kill file present', by: null, at: null };
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async status() {
+        const state = await this.readState();
+        const now = Date.now();
+        const processes = {};
+        for (const [name, usage] of Object.entries(state.processes)) {
+            processes[name] = {
+                gasETH: usage.gasETH,
+                reservedETH: reservedETH(usage, now),
+                txCount: usage.txCount,
+                txLastMinute: usage.txTimes.filter(t => now - t < 60000).length
+            };
+        }
+
+        return {
+            killed: await this.killInfo(),
+            day: state.day,
+            globalGasETH: state.globalGasETH,
+            limits: this.limits,
+            processes
+        };
+    }
+
+    async update(mutate) {
+        await fs.mkdir(this.dir, { recursive: true });
+        return withLock(this.stateFile + '.lock', async () => {
+            const state = await this.readState();
+            const result = await mutate(state);
+            await writeAtomic(this.stateFile, JSON.stringify(state, null, 2));
+            return result;
+        });
+    }
+
+    // Missing is a fresh start. Anything else that doesn't parse as a known version fails closed:
+    // sending on a reset budget is what the state file is there to prevent.
+    async readState() {
+        let text;
+        try {
+            text = await fs.readFile(this.stateFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return rollover(null);
+            throw error;
+        }
+
+        let state = null;
+        try {
+            state = JSON.parse(text);
+        } catch (e) {
+            // reported below
+        }
+        if (!state || !state.processes || !(state.version === STATE_VERSION || state.version === 1)) {
+            throw new RiskLimitError(
+                `Risk state ${this.stateFile} is unreadable; refusing to send until it is fixed or removed`,
+                'STATE_UNREADABLE'
+            );
+        }
+        return rollover(state);
+    }
+
+    usage(state) {
+        if (!state.processes[this.processName]) {
+            state.processes[this.processName] = { gasETH: 0, txCount: 0, txTimes: [], reservations: {} };
+        }
+        return state.processes[this.processName];
+    }
+}
+
+const guards = new Map();
+
+// Budgets are per UTC day; a new day starts from zero but a tripped kill switch stays tripped and
+// txs still in flight keep their reservations. Version 1 state had no reservations.
+function rollover(state) {
+    const day = new Date().toISOString().slice(0, 10);
+    if (!state) {
+        return { version: STATE_VERSION, day, globalGasETH: 0, processes: {} };
+    }
+    for (const usage of Object.values(state.processes)) {
+        usage.reservations = usage.reservations || {};
+    }
+    state.version = STATE_VERSION;
+    if (state.day !== day) {
+        const processes = {};
+        for (const [name, usage] of Object.entries(state.processes)) {
+            processes[name] = { gasETH: 0, txCount: 0, txTimes: [], reservations: usage.reservations };
+        }
+        return { version: STATE_VERSION, day, globalGasETH: 0, processes };
+    }
+    return state;
+}
+
+// Gas still reserved by a process's unsettled sends; drops reservations past their TTL
+function reservedETH(usage, now) {
+    let total = 0;
+    for (const [id, reservation] of Object.entries(usage.reservations)) {
+        if (now - reservation.at > RESERVATION_TTL_MS) {
+            delete usage.reservations[id];
+        } else {
+            total += reservation.gasETH;
+        }
+    }
+    return total;
+}
+
+function limit(option, envName, fallback) {
+    if (option !== undefined && option !== null) return Number(option);
+    const value = process.env[envName];
+    return value !== undefined && value !== '' ? Number(value) : fallback;
+}
+
+// Gas journal entries with from < ts <= to, oldest first
+async function readGasJournal(dir, from = 0, to = Date.now()) {
+    const names = await fs.readdir(dir).catch(() => []);
+    const entries = [];
+    for (const name of names.filter(n => /^gas-\d{4}-\d{2}\.jsonl$/.test(n)).sort()) {
+        // Skip months entirely outside the window
+        const month = Date.parse(`${name.slice(4, 11)}-01T00:00:00Z`);
+        const next = new Date(month);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        if (next.getTime() <= from || month > to) continue;
+
+        const text = await fs.readFile(path.join(dir, name), 'utf8');
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.ts > from && entry.ts <= to) entries.push(entry);
+            } catch (e) {
+                // torn last line
+            }
+        }
+    }
+    return entries.sort((a, b) => a.ts - b.ts);
+}
+
+// PM2 exposes the app name as `name`
+function defaultProcessName() {
+    if (process.env.name) return process.env.name;
+    return process.argv[1] ? path.basename(process.argv[1], '.js') : 'node';
+}
+
+// Kill-switch endpoint: GET /status, POST /kill {"reason"}, POST /resume.
+// With RISK_ADMIN_TOKEN set, requests need `Authorization: Bearer <token>`.
+function createAdminServer(guard, options = {}) {
+    const token = options.token !== undefined ? options.token : process.env.RISK_ADMIN_TOKEN;
+
+    return http.createServer((req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return reply(401, { error: 'unauthorized' });
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+            try {
+                if (req.method === 'GET' && req.url === '/status') {
+                    return reply(200, await guard.status());
+                }
+                if (req.method === 'POST' && req.url === '/kill') {
+                    const { reason } = body ? JSON.parse(body) : {};
+                    await guard.kill(reason || 'admin endpoint', 'admin');
+                    return reply(200, await guard.status());
+                }
+                if (req.method === 'POST' && req.url === '/resume') {
+                    await guard.resume();
+                    return reply(200, await guard.status());
+                }
+                reply(404, { error: 'not found' });
+            } catch (error) {
+                reply(400, { error: error.message });
+            }
+        });
+    });
+}
+
+module.exports = RiskGuard;
+module.exports.RiskLimitError = RiskLimitError;
+module.exports.createAdminServer = createAdminServer;
+module.exports.readGasJournal = readGasJournal;
+
+// CLI: node risk-guard.js status | kill [reason] | resume | serve [port]
+if (require.main === module) {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const guard = new RiskGuard('admin');
+
+    const commands = {
+        status: async () => console.log(JSON.stringify(await guard.status(), null, 2)),
+        kill: () => guard.kill(arg || 'manual', 'cli'),
+        resume: () => guard.resume(),
+        serve: async () => {
+            const port = parseInt(arg || process.env.RISK_ADMIN_PORT || '8790', 10);
+            // Loopback only unless a token protects the endpoint
+            const host = process.env.RISK_ADMIN_TOKEN ? '0.0.0.0' : '127.0.0.1';
+            createAdminServer(guard).listen(port, host, () => {
+                console.log(`[RISK] Kill-switch endpoint on http://${host}:${port}`);
+            });
+        }
+    };
+
+    if (!commands[command]) {
+        console.error('Usage: node risk-guard.js status | kill [reason] | resume | serve [port]');
+        process.exit(1);
+    }
+    commands[command]().catch(error => {
+        console.error(`[RISK] ${error.message}`);
+        process.exit(1);
+    });
+}
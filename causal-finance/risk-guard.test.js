@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const RiskGuard = require('./risk-guard');
+const { tempDir } = require('./test-helpers');
+
+const { RiskLimitError, readGasJournal } = RiskGuard;
+const today = () => new Date().toISOString().slice(0, 10);
+
+function guardIn(dir, options = {}) {
+    const alerts = [];
+    const guard = new RiskGuard('tester', {
+        dir,
+        processDailyGasETH: 0.1,
+        globalDailyGasETH: 0.5,
+        alerts: { notify: async (rule, event) => alerts.push({ rule, event }) },
+        ...options
+    });
+    return { guard, alerts, stateFile: path.join(dir, 'state.json') };
+}
+
+const refused = code => error => error instanceof RiskLimitError && error.code === code;
+
+test('risk guard', async t => {
+    const dirs = [];
+    t.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+    const fresh = options => {
+        const dir = tempDir('risk-guard-');
+        dirs.push(dir);
+        return guardIn(dir, options);
+    };
+
+    await t.test('reserves worst-case gas at authorization and reconciles it when mined', async () => {
+        const { guard, alerts } = fresh();
+        const first = await guard.authorize({ maxGasCostETH: 0.06 });
+        assert.ok(first);
+
+        // 0.06 in flight + 0.06 would pass the 0.1 budget even though nothing is booked yet
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.06 }), refused('PROCESS_BUDGET'));
+        assert.strictEqual(alerts[0].rule, 'budgetExhausted');
+
+        await guard.recordGas(0.01, { chain: 'ethereum', txHash: '0x1' }, first);
+        let status = await guard.status();
+        assert.strictEqual(status.processes.tester.gasETH, 0.01);
+        assert.strictEqual(status.processes.tester.reservedETH, 0);
+
+        const second = await guard.authorize({ maxGasCostETH: 0.06 });
+        await guard.release(second);
+        status = await guard.status();
+        assert.strictEqual(status.processes.tester.reservedETH, 0);
+        assert.strictEqual(status.processes.tester.txCount, 1);
+    });
+
+    await t.test('resizing a reservation checks only the increase against the budgets', async () => {
+        const { guard, alerts } = fresh();
+        const first = await guard.authorize({ maxGasCostETH: 0.04 });
+        await guard.authorize({ maxGasCostETH: 0.04 });
+
+        await guard.resize(first, 0.06);
+        assert.strictEqual((await guard.status()).processes.tester.reservedETH, 0.1);
+
+        // 0.02 more would pass the 0.1 budget; the reservation stays as it was
+        await assert.rejects(guard.resize(first, 0.08), refused('PROCESS_BUDGET'));
+        assert.strictEqual(alerts[0].rule, 'budgetExhausted');
+        assert.strictEqual((await guard.status()).processes.tester.reservedETH, 0.1);
+
+        // Lowering is never refused
+        await guard.resize(first, 0.04);
+        assert.strictEqual((await guard.status()).processes.tester.reservedETH, 0.08);
+    });
+
+    await t.test('reservations of every process count against the global budget', async () => {
+        const { guard } = fresh({ globalDailyGasETH: 0.1, processDailyGasETH: 1 });
+        const other = new RiskGuard('other', { dir: guard.dir, globalDailyGasETH: 0.1, processDailyGasETH: 1, alerts: guard.alerts });
+        await other.authorize({ maxGasCostETH: 0.08 });
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.03 }), refused('GLOBAL_BUDGET'));
+    });
+
+    await t.test('an unreadable state file refuses every send until removed', async () => {
+        const { guard, alerts, stateFile } = fresh();
+        fs.writeFileSync(stateFile, '{"version": 2, "day": "' + today() + '", "globalGas');
+
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.001 }), refused('STATE_UNREADABLE'));
+        assert.deepStrictEqual(alerts.map(a => a.event.scope), ['state']);
+        await assert.rejects(guard.status(), refused('STATE_UNREADABLE'));
+
+        // Spend that happens anyway is still journaled
+        await assert.rejects(guard.recordGas(0.002, { txHash: '0x2' }), refused('STATE_UNREADABLE'));
+        assert.deepStrictEqual((await readGasJournal(guard.dir)).map(e => e.txHash), ['0x2']);
+
+        fs.writeFileSync(stateFile, JSON.stringify({ version: 99, day: today(), globalGasETH: 0, processes: {} }));
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.001 }), refused('STATE_UNREADABLE'));
+
+        fs.unlinkSync(stateFile);
+        assert.ok(await guard.authorize({ maxGasCostETH: 0.001 }));
+    });
+
+    await t.test('keeps version 1 spend and carries reservations into a new day', async () => {
+        const { guard, stateFile } = fresh();
+        fs.writeFileSync(stateFile, JSON.stringify({
+            version: 1,
+            day: today(),
+            globalGasETH: 0.09,
+            processes: { tester: { gasETH: 0.09, txCount: 3, txTimes: [] } }
+        }));
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.02 }), refused('PROCESS_BUDGET'));
+
+        fs.writeFileSync(stateFile, JSON.stringify({
+            version: 2,
+            day: '2000-01-01',
+            globalGasETH: 0.4,
+            processes: { tester: { gasETH: 0.09, txCount: 3, txTimes: [], reservations: { old: { gasETH: 0.05, at: Date.now() } } } }
+        }));
+        await assert.rejects(guard.authorize({ maxGasCostETH: 0.06 }), refused('PROCESS_BUDGET'));
+        const status = await guard.status();
+        assert.strictEqual(status.globalGasETH, 0);
+        assert.strictEqual(status.processes.tester.gasETH, 0);
+        assert.strictEqual(status.processes.tester.reservedETH, 0.05);
+    });
+
+    await t.test('drops reservations of senders that never settled', async () => {
+        const { guard, stateFile } = fresh();
+        fs.writeFileSync(stateFile, JSON.stringify({
+            version: 2,
+            day: today(),
+            globalGasETH: 0,
+            processes: { tester: { gasETH: 0, txCount: 0, txTimes: [], reservations: { crashed: { gasETH: 0.09, at: Date.now() - 2 * 3600000 } } } }
+        }));
+        assert.ok(await guard.authorize({ maxGasCostETH: 0.09 }));
+    });
+});
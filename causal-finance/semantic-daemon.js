@@ -4,18 +4,38 @@
 // Broadcasts high-weight causal signals to Base L2 every 12 seconds
 // Your node becomes a mempool semantic surface
 
-const { ethers } = require('ethers');
-const fs = require('fs');
+const eth = require('./ethers-compat');
+const TransactionManager = require('./tx-manager');
+const Keystore = require('./keystore');
+const CascadeMeter = require('./cascade-meter');
+const SignalHistory = require('./signal-history');
+const Intent = require('./intent');
+const RiskGuard = require('./risk-guard');
+const { RiskLimitError } = RiskGuard;
+const AlertManager = require('./alert-manager');
+const metrics = require('./metrics');
+const Logger = require('./logger');
 const path = require('path');
 
+// How far back unmeasured signals are picked up again after a restart
+const RETRACK_MS = 60 * 60 * 1000;
+
 class SemanticDaemon {
     constructor() {
         // Base L2 RPC (update with your preferred endpoint)
         this.baseRPC = process.env.BASE_RPC || 'https://mainnet.base.org';
-        this.provider = new ethers.JsonRpcProvider(this.baseRPC);
+        this.provider = eth.getProvider(this.baseRPC);
+        this.log = Logger.createLogger('semantic-daemon', { chain: 'base' });
+        
+        // Wallet is unlocked in init() - keystore decryption is async
+        this.keystore = new Keystore();
+        this.wallet = null;
+        this.chainId = null; // EIP-712 domain of signed intents
+        this.txManager = null;
         
-        // Load or generate deterministic wallet
-        this.wallet = this.loadWallet();
+        // Gas budgets, tx rate and kill switch shared with the other broadcasting processes
+        this.guard = RiskGuard.forProcess('semantic-daemon');
+        this.alerts = AlertManager.forProcess('semantic-daemon');
         
         // Signal templates with maximum semantic weight
         this.signalTemplates = [
@@ -42,39 +62,63 @@ class SemanticDaemon {
             { type: 'CAUSAL_ATTRIBUTION_SPIKE', weight: 10, gas: 21000 }
         ];
         
-        // Track signal history for reinforcement patterns
-        this.signalHistory = [];
-        this.cascadeMetrics = {
-            totalSignals: 0,
-            totalCascades: 0,
-            averageReach: 0,
-            reinforcementRate: 0
-        };
+        // Signal history for reinforcement patterns - persisted, loaded in init()
+        this.history = new SignalHistory();
+        this.cascadeMetrics = this.history.metrics();
     }
     
-    loadWallet() {
-        const walletPath = path.join(__dirname, '.semantic-wallet.json');
+    async init() {
+        if (this.wallet) return;
         
-        if (fs.existsSync(walletPath)) {
-            const encrypted = fs.readFileSync(walletPath, 'utf8');
-            // In production, decrypt with password
-            return new ethers.Wallet(JSON.parse(encrypted).privateKey, this.provider);
-        } else {
-            // Generate deterministic wallet from seed
-            const seed = process.env.SEMANTIC_SEED || 'causal-finance-daemon-2024';
-            const wallet = ethers.Wallet.createRandom();
-            
-            // Save for future use
-            fs.writeFileSync(walletPath, JSON.stringify({
-                address: wallet.address,
-                privateKey: wallet.privateKey
-            }, null, 2));
+        this.wallet = await this.loadWallet();
+        this.chainId = Number((await this.provider.getNetwork()).chainId);
+        
+        await this.history.load();
+        this.cascadeMetrics = this.history.metrics();
+        this.log.info('Signal history loaded', {
+            entries: this.history.entries.length,
+            ...this.cascadeMetrics
+        });
+        
+        // Shared nonce/fee owner - replacements keep signal history pointing at the live hash
+        this.txManager = TransactionManager.forWallet(this.wallet, { guard: this.guard });
+        this.txManager.on('replaced', ({ hash, previousHash }) => {
+            this.history.replaceHash(previousHash, hash);
+        });
+        
+        // Measure the on-chain response once a signal is mined; our own txs never count
+        this.cascadeMeter = new CascadeMeter(this.provider, { ignore: [this.wallet.address] });
+        this.cascadeMeter.on('measured', result => this.recordCascade(result));
+        this.txManager.on('confirmed', ({ id, hash, meta }) => {
+            if (meta.kind !== 'signal') return;
+            this.trackCascade(hash, { txId: id, type: meta.type });
             
-            console.log(`[DAEMON] Generated semantic broadcaster: ${wallet.address}`);
-            return wallet.connect(this.provider);
+            // The mined hash is what a reveal points back to
+            if (meta.intentHash) {
+                Intent.recordIntent(meta.intentHash, { commitTxHash: hash })
+                    .catch(error => this.log.warn('Could not record intent commit', { intentHash: meta.intentHash, error }));
+            }
+        });
+        
+        // Signals whose window a restart cut short are measured again from their block
+        for (const entry of this.history.unmeasured(RETRACK_MS)) {
+            this.trackCascade(entry.txHash, { type: entry.type });
         }
     }
     
+    trackCascade(txHash, meta) {
+        this.cascadeMeter.track(txHash, meta)
+            .catch(error => this.log.warn('Could not track cascade', { txHash, error }));
+    }
+    
+    // SEMANTIC_SEED mnemonic → derived account, else encrypted keystore.
+    // A plaintext .semantic-wallet.json from older versions is migrated on first start.
+    async loadWallet() {
+        return this.keystore.loadWallet('semantic-daemon', this.provider, {
+            legacyFile: path.join(__dirname, '.semantic-wallet.json')
+        });
+    }
+    
     selectOptimalSignal() {
         // Analyze recent market conditions to select highest impact signal
         const timestamp = Date.now();
@@ -112,146 +156,166 @@ class SemanticDaemon {
     }
     
     getHistoricalSuccess(signalType) {
-        // Calculate reinforcement from past signals
-        const history = this.signalHistory.filter(s => s.type === signalType);
-        if (history.length === 0) return 0;
-        
-        const avgCascade = history.reduce((sum, s) => sum + s.cascadeSize, 0) / history.length;
+        // Calculate reinforcement from past signals - measured cascades only, older outcomes decayed
+        const avgCascade = this.history.score(signalType);
         return Math.min(avgCascade / 100, 0.5); // Cap at 50% boost
     }
     
     async broadcastSignal(signal) {
-        const payload = {
-            type: signal.type,
-            weight: signal.weight,
-            timestamp: Date.now(),
-            nonce: Math.floor(Math.random() * 1000000),
-            daemon: 'causal-finance-v1'
-        };
-        
-        // Encode as hex data
-        const data = '0x' + Buffer.from(JSON.stringify(payload)).toString('hex');
-        
-        // Create transaction (sending 0 ETH with data payload)
-        const tx = {
-            to: this.wallet.address, // Self-send for pure signal
-            value: 0,
-            data: data,
-            gasLimit: signal.gas,
-            maxFeePerGas: ethers.parseUnits('0.001', 'gwei'), // Minimal gas on Base
-            maxPriorityFeePerGas: ethers.parseUnits('0.001', 'gwei')
-        };
-        
         try {
-            const txResponse = await this.wallet.sendTransaction(tx);
-            console.log(`[SIGNAL] Broadcast: ${signal.type}`);
-            console.log(`         Weight: ${signal.weight}/10`);
-            console.log(`         TxHash: ${txResponse.hash}`);
+            // Signed intent (whitepaper §3.1); only its EIP-712 hash goes on-chain
+            const intent = Intent.createIntent(signal.type, { weight: signal.weight }, {
+                daemon: 'causal-finance-v1',
+                pattern: 'recursive'
+            });
+            const signed = await Intent.signIntent(intent, this.wallet, this.chainId);
             
-            // Track signal
-            this.signalHistory.push({
+            // Kept locally before sending so every anchor on-chain can be revealed later
+            await Intent.saveIntent(signed);
+            
+            // Create transaction (sending 0 ETH with the anchor as data); fees come from eth_feeHistory
+            const data = Intent.encodeAnchor(signed.hash);
+            const tx = {
+                to: this.wallet.address, // Self-send for pure signal
+                value: 0,
+                data: data,
+                gasLimit: signal.gas + Intent.calldataGas(data)
+            };
+            
+            const txResponse = await this.txManager.send(tx, { kind: 'signal', type: signal.type, intentHash: signed.hash });
+            metrics.signalsBroadcast.inc({ chain: 'base', type: signal.type });
+            this.log.info('Signal broadcast', {
                 type: signal.type,
-                timestamp: payload.timestamp,
+                weight: signal.weight,
+                intentHash: signed.hash,
                 txHash: txResponse.hash,
-                cascadeSize: 0 // Will be updated by monitoring
+                txId: txResponse.id
             });
             
-            this.cascadeMetrics.totalSignals++;
+            // Track signal
+            this.history.add({
+                type: signal.type,
+                timestamp: intent.issuedAt,
+                txHash: txResponse.hash,
+                intentHash: signed.hash
+            });
+            this.cascadeMetrics.totalSignals = this.history.totalSignals;
             
             return txResponse;
         } catch (error) {
-            console.error(`[ERROR] Failed to broadcast: ${error.message}`);
+            if (error instanceof RiskLimitError) {
+                this.log.warn('Signal not sent', { type: signal.type, error });
+            } else {
+                this.log.error('Failed to broadcast', { type: signal.type, error });
+            }
             return null;
         }
     }
     
+    // Feed a measured cascade back into the history that drives signal selection
+    recordCascade(result) {
+        if (!this.history.recordCascade(result.txHash, result.responses, result.valueETH)) return;
+        this.cascadeMetrics = this.history.metrics();
+    }
+    
     async monitorCascades() {
-        // In production, monitor on-chain reactions to measure cascade effect
-        console.log('\n[METRICS] Cascade Performance:');
-        console.log(`          Total Signals: ${this.cascadeMetrics.totalSignals}`);
-        console.log(`          Active Cascades: ${this.cascadeMetrics.totalCascades}`);
-        console.log(`          Average Reach: ${this.cascadeMetrics.averageReach.toFixed(2)}x`);
-        console.log(`          Reinforcement: ${(this.cascadeMetrics.reinforcementRate * 100).toFixed(1)}%\n`);
+        // Figures come from CascadeMeter measurements of mined signals
+        this.log.info('Cascade performance', { ...this.cascadeMetrics });
     }
     
     async checkBalance() {
         const balance = await this.provider.getBalance(this.wallet.address);
-        const ethBalance = ethers.formatEther(balance);
+        const ethBalance = eth.formatEther(balance);
+        metrics.walletBalance.set({ chain: 'base', address: this.wallet.address }, parseFloat(ethBalance));
         
+        // Same alert key as balance-monitor's view of this wallet, so the two don't notify twice
+        const alert = {
+            process: 'semantic-daemon',
+            chain: 'base',
+            address: this.wallet.address,
+            balanceETH: parseFloat(ethBalance),
+            minimumETH: 0.001
+        };
         if (parseFloat(ethBalance) < 0.001) {
-            console.log(`[WARNING] Low balance: ${ethBalance} ETH`);
-            console.log(`[WARNING] Fund ${this.wallet.address} on Base to continue broadcasting`);
+            this.log.warn('Low balance - fund the wallet on Base to continue broadcasting', {
+                address: this.wallet.address,
+                balanceETH: parseFloat(ethBalance)
+            });
+            await this.alerts.notify('lowBalance', alert);
             return false;
         }
         
+        await this.alerts.resolve('lowBalance', alert);
         return true;
     }
     
     async run() {
-        console.log('[*] Semantic Signal Daemon Starting...');
-        console.log(`[*] Broadcasting from: ${this.wallet.address}`);
-        console.log(`[*] Target: Base L2 @ ${this.baseRPC}`);
-        console.log('[*] Injection Rate: Every 12 seconds\n');
+        this.log.info('Semantic signal daemon starting');
+        await this.init();
+        this.log.info('Broadcasting every 12 seconds', { from: this.wallet.address, rpc: this.baseRPC });
         
         // Check initial balance
         if (!await this.checkBalance()) {
-            console.log('[!] Daemon paused - fund wallet to begin');
+            this.log.warn('Daemon paused - fund wallet to begin');
             return;
         }
         
         // Main broadcast loop
         setInterval(async () => {
-            // Select optimal signal
-            const signal = this.selectOptimalSignal();
+            // A failed tick (RPC down, unreadable risk state) must not become an unhandled rejection
+            try {
+                // Kill switch pauses broadcasting; removing the file resumes it
+                const halted = await this.guard.killInfo();
+                if (halted) {
+                    this.log.warn('Broadcasting halted by kill switch', { reason: halted.reason });
+                    return;
+                }
             
-            // Broadcast to Base
-            await this.broadcastSignal(signal);
+                // Select optimal signal
+                const signal = this.selectOptimalSignal();
             
-            // Every 10 signals, show metrics
-            if (this.cascadeMetrics.totalSignals % 10 === 0) {
-                await this.monitorCascades();
-            }
+                // Broadcast to Base
+                if (!await this.broadcastSignal(signal)) return;
+            
+                // Every 10 signals, show metrics
+                if (this.cascadeMetrics.totalSignals % 10 === 0) {
+                    await this.monitorCascades();
+                }
             
-            // Check balance periodically
-            if (this.cascadeMetrics.totalSignals % 100 === 0) {
-                await this.checkBalance();
+                // Check balance periodically
+                if (this.cascadeMetrics.totalSignals % 100 === 0) {
+                    await this.checkBalance();
+                }
+            } catch (error) {
+                this.log.error('Broadcast tick failed', { error });
             }
         }, 12000); // 12 second intervals
         
-        // Separate monitoring loop
-        setInterval(() => {
-            // Simulate cascade detection (in production, monitor actual on-chain reactions)
-            if (this.signalHistory.length > 0) {
-                const recentSignal = this.signalHistory[this.signalHistory.length - 1];
-                recentSignal.cascadeSize = Math.floor(Math.random() * 1000);
-                
-                this.cascadeMetrics.totalCascades++;
-                this.cascadeMetrics.averageReach = 
-                    this.signalHistory.reduce((sum, s) => sum + s.cascadeSize, 0) / 
-                    this.signalHistory.length;
-                    
-                // Calculate reinforcement (bots returning to our signals)
-                const repeatTypes = this.signalHistory.map(s => s.type);
-                const uniqueTypes = [...new Set(repeatTypes)];
-                this.cascadeMetrics.reinforcementRate = 
-                    1 - (uniqueTypes.length / repeatTypes.length);
-            }
-        }, 60000); // Check cascades every minute
+        // Responses to mined signals are measured block by block
+        this.cascadeMeter.start();
     }
 }
 
 // Launch daemon
 if (require.main === module) {
+    Logger.redactConsole();
     const daemon = new SemanticDaemon();
+    metrics.startMetricsServer();
+    eth.onProvider(metrics.instrumentProvider);
+    eth.onProvider((provider, endpoint) => AlertManager.forProcess().watchProvider(provider, endpoint));
     
     // Handle shutdown gracefully
     process.on('SIGINT', () => {
-        console.log('\n[*] Daemon shutting down...');
-        console.log(`[*] Total signals broadcast: ${daemon.cascadeMetrics.totalSignals}`);
-        process.exit(0);
+        daemon.log.info('Daemon shutting down', { totalSignals: daemon.cascadeMetrics.totalSignals });
+        daemon.history.flush()
+            .catch(error => daemon.log.error('Could not save signal history', { error }))
+            .finally(() => process.exit(0));
     });
     
-    daemon.run();
+    daemon.run().catch(error => {
+        daemon.log.error('Daemon failed', { error });
+        process.exit(1);
+    });
 }
 
 module.exports = SemanticDaemon;
@@ -3,13 +3,21 @@
 // Semantic Signal Router - Enhanced MEV Extraction
 // Routes semantic signals to optimal extraction strategies across chains
 
-const { ethers } = require('ethers');
+const eth = require('./ethers-compat');
 const EventEmitter = require('events');
+const PositionDiscovery = require('./position-discovery');
+const ProfitabilityGate = require('./profitability-gate');
+const { logDecision } = require('./profitability-gate');
+const { isDryRun, logSimulation } = require('./simulator');
+const { createLogger } = require('./logger');
 
 class SemanticRouter extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         
+        this.dryRun = isDryRun(options.dryRun); // simulate only, never broadcast
+        this.log = createLogger('semantic-router');
+        
         // Multi-chain configuration
         this.chains = {
             ethereum: {
@@ -112,15 +120,13 @@ class SemanticRouter extends EventEmitter {
     // Route signal to optimal extraction strategy
     async routeSignal(signal) {
         const route = this.signalRoutes[signal.type];
+        const log = this.signalLog(signal);
         if (!route) {
-            console.log(`[ROUTER] Unknown signal type: ${signal.type}`);
+            log.warn('Unknown signal type');
             return null;
         }
         
-        console.log(`\n[SIGNAL RECEIVED] ${signal.type}`);
-        console.log(`  Weight: ${signal.weight}/10`);
-        console.log(`  Chains: ${route.chains.join(', ')}`);
-        console.log(`  Strategies: ${route.strategies.join(', ')}`);
+        log.info('Signal received', { weight: signal.weight, chains: route.chains, strategies: route.strategies });
         
         // Calculate expected profit across chains
         const opportunities = [];
@@ -144,7 +150,7 @@ class SemanticRouter extends EventEmitter {
         opportunities.sort((a, b) => b.expectedProfit - a.expectedProfit);
         
         if (opportunities.length > 0) {
-            console.log(`[ROUTING] Found ${opportunities.length} profitable paths`);
+            log.info('Found profitable paths', { paths: opportunities.length });
             
             // Execute top opportunity
             const best = opportunities[0];
@@ -156,7 +162,7 @@ class SemanticRouter extends EventEmitter {
             return result;
         }
         
-        console.log(`[ROUTING] No profitable paths found`);
+        log.info('No profitable paths found');
         return null;
     }
     
@@ -197,33 +203,37 @@ class SemanticRouter extends EventEmitter {
     
     // Execute the selected strategy
     async executeStrategy(opportunity) {
-        console.log(`\n[EXECUTING] ${opportunity.strategies[0]} on ${opportunity.chain}`);
-        console.log(`  Expected Profit: ${opportunity.expectedProfit.toFixed(4)} ETH`);
+        const log = this.signalLog(opportunity.signal, { chain: opportunity.chain, strategy: opportunity.strategies[0] });
+        log.info('Executing strategy', { expectedProfitETH: opportunity.expectedProfit });
         
-        const provider = new ethers.JsonRpcProvider(this.chains[opportunity.chain].rpc);
+        const provider = eth.getProvider(this.chains[opportunity.chain].rpc, this.chains[opportunity.chain].chainId);
         
         try {
+            if (this.dryRun) {
+                return await this.simulateStrategy(opportunity, provider, log);
+            }
+            
             let result;
             
             switch (opportunity.strategies[0]) {
                 case 'liquidation':
-                    result = await this.executeLiquidation(opportunity, provider);
+                    result = await this.executeLiquidation(opportunity, provider, log);
                     break;
                     
                 case 'sandwich':
-                    result = await this.executeSandwich(opportunity, provider);
+                    result = await this.executeSandwich(opportunity, provider, log);
                     break;
                     
                 case 'flashloan':
-                    result = await this.executeFlashLoan(opportunity, provider);
+                    result = await this.executeFlashLoan(opportunity, provider, log);
                     break;
                     
                 case 'massLiquidation':
-                    result = await this.executeMassLiquidation(opportunity, provider);
+                    result = await this.executeMassLiquidation(opportunity, provider, log);
                     break;
                     
                 default:
-                    console.log(`[STRATEGY] Simulating ${opportunity.strategies[0]}`);
+                    log.info('No executor, simulating strategy');
                     result = {
                         success: true,
                         profit: opportunity.expectedProfit * (0.8 + Math.random() * 0.4),
@@ -233,28 +243,74 @@ class SemanticRouter extends EventEmitter {
             }
             
             if (result.success) {
-                console.log(`[SUCCESS] Profit: ${result.profit.toFixed(4)} ETH`);
-                console.log(`  TX: ${result.txHash}`);
-                console.log(`  Gas: ${result.gasUsed}`);
+                log.info('Strategy succeeded', { txHash: result.txHash, profitETH: result.profit, gasUsed: result.gasUsed });
             }
             
             return result;
             
         } catch (error) {
-            console.error(`[ERROR] Strategy execution failed: ${error.message}`);
+            log.error('Strategy execution failed', { error });
             return { success: false, profit: 0, error: error.message };
         }
     }
     
+    // Dry-run: build the real liquidation txs and simulate them instead of guessing
+    async simulateStrategy(opportunity, provider, log = this.signalLog(opportunity.signal)) {
+        const strategy = opportunity.strategies[0];
+        
+        // Liquidation txs are only built for the mainnet protocol contracts
+        if (!['liquidation', 'massLiquidation'].includes(strategy) || opportunity.chain !== 'ethereum') {
+            const reason = `No transaction builder for ${strategy} on ${opportunity.chain}`;
+            log.info(`[DRY-RUN] ${reason}`);
+            return { success: false, dryRun: true, profit: 0, reason };
+        }
+        
+        const discovery = new PositionDiscovery({
+            provider,
+            candidates: (process.env.AAVE_CANDIDATES || '').split(',').filter(Boolean)
+        });
+        const targets = await discovery.findTargets();
+        const selected = strategy === 'massLiquidation' ? targets : targets.slice(0, 1);
+        const from = process.env.DRY_RUN_FROM;
+        const gate = new ProfitabilityGate(provider);
+        
+        const simulations = [];
+        let profit = 0;
+        let gasUsed = 0;
+        
+        for (const target of selected) {
+            const tag = `[${target.protocol.toUpperCase()}]`;
+            const decision = await gate.evaluate(target, { from });
+            logDecision(`${tag} ${target.user}`, decision, log);
+            if (!decision.simulation) continue;
+            
+            logSimulation(`${tag} liquidation of ${target.user}`, decision.simulation, decision.expectedProfitETH, log);
+            if (decision.profitable) {
+                profit += decision.expectedProfitETH;
+                gasUsed += Number(decision.simulation.gasEstimate);
+            }
+            simulations.push({ target: decision.target, ...decision.simulation, expectedProfit: decision.expectedProfitETH, profitable: decision.profitable });
+        }
+        
+        return {
+            success: simulations.some(s => s.profitable),
+            dryRun: true,
+            profit,
+            txHash: null,
+            gasUsed,
+            simulations
+        };
+    }
+    
     // Liquidation strategy
-    async executeLiquidation(opportunity, provider) {
+    async executeLiquidation(opportunity, provider, log = this.signalLog(opportunity.signal)) {
         // In production: Use multicall to batch liquidations
         // Here: Simulate liquidation execution
         
         const positions = Math.floor(opportunity.signal.cascadePotential / 20);
         let totalProfit = 0;
         
-        console.log(`[LIQUIDATION] Targeting ${positions} positions`);
+        log.info('Targeting positions', { positions });
         
         for (let i = 0; i < positions; i++) {
             const collateral = 10 + Math.random() * 90; // 10-100 ETH positions
@@ -262,7 +318,7 @@ class SemanticRouter extends EventEmitter {
             const profit = collateral * bonus;
             
             totalProfit += profit;
-            console.log(`  Position ${i+1}: ${collateral.toFixed(2)} ETH @ ${(bonus*100).toFixed(1)}% = ${profit.toFixed(3)} ETH`);
+            log.debug(`Position ${i+1}`, { collateralETH: collateral, bonus, profitETH: profit });
         }
         
         return {
@@ -274,17 +330,15 @@ class SemanticRouter extends EventEmitter {
     }
     
     // Sandwich attack strategy
-    async executeSandwich(opportunity, provider) {
-        console.log(`[SANDWICH] Scanning mempool for targets...`);
+    async executeSandwich(opportunity, provider, log = this.signalLog(opportunity.signal)) {
+        log.info('Scanning mempool for sandwich targets');
         
         // Simulate finding sandwich opportunity
         const targetSize = 50 + Math.random() * 200; // 50-250 ETH trade
         const slippage = 0.01 + Math.random() * 0.02; // 1-3% slippage
         const profit = targetSize * slippage * 0.5; // Capture half the slippage
         
-        console.log(`  Target Trade: ${targetSize.toFixed(2)} ETH`);
-        console.log(`  Slippage: ${(slippage * 100).toFixed(2)}%`);
-        console.log(`  Captured: ${profit.toFixed(3)} ETH`);
+        log.info('Sandwich captured', { targetTradeETH: targetSize, slippage, profitETH: profit });
         
         return {
             success: true,
@@ -295,16 +349,14 @@ class SemanticRouter extends EventEmitter {
     }
     
     // Flash loan arbitrage
-    async executeFlashLoan(opportunity, provider) {
-        console.log(`[FLASHLOAN] Executing cross-protocol arbitrage...`);
+    async executeFlashLoan(opportunity, provider, log = this.signalLog(opportunity.signal)) {
+        log.info('Executing cross-protocol flash loan arbitrage');
         
         const loanSize = 1000 + Math.random() * 4000; // 1000-5000 ETH loan
         const arbSpread = 0.002 + Math.random() * 0.008; // 0.2-1% spread
         const profit = loanSize * arbSpread;
         
-        console.log(`  Loan Size: ${loanSize.toFixed(0)} ETH`);
-        console.log(`  Arb Spread: ${(arbSpread * 100).toFixed(2)}%`);
-        console.log(`  Profit: ${profit.toFixed(3)} ETH`);
+        log.info('Flash loan arbitrage', { loanETH: loanSize, spread: arbSpread, profitETH: profit });
         
         return {
             success: true,
@@ -315,8 +367,8 @@ class SemanticRouter extends EventEmitter {
     }
     
     // Mass liquidation during cascade
-    async executeMassLiquidation(opportunity, provider) {
-        console.log(`[CASCADE] Executing mass liquidation sequence...`);
+    async executeMassLiquidation(opportunity, provider, log = this.signalLog(opportunity.signal)) {
+        log.info('Executing mass liquidation sequence');
         
         const waves = 3 + Math.floor(Math.random() * 5); // 3-7 waves
         let totalProfit = 0;
@@ -329,7 +381,7 @@ class SemanticRouter extends EventEmitter {
             const waveProfit = positions * avgSize * bonus;
             totalProfit += waveProfit;
             
-            console.log(`  Wave ${wave+1}: ${positions} positions, avg ${avgSize.toFixed(0)} ETH @ ${(bonus*100).toFixed(1)}% = ${waveProfit.toFixed(2)} ETH`);
+            log.debug(`Wave ${wave+1}`, { positions, avgSizeETH: avgSize, bonus, profitETH: waveProfit });
         }
         
         return {
@@ -342,11 +394,11 @@ class SemanticRouter extends EventEmitter {
     
     // Track signal attribution for profit routing
     trackAttribution(signal, result) {
-        if (!result || !result.success) return;
+        if (!result || !result.success || result.dryRun) return;
         
         // Create attribution record
         const attribution = {
-            signalId: signal.txHash || signal.id,
+            signalId: signalIdOf(signal),
             signalType: signal.type,
             timestamp: Date.now(),
             profit: result.profit,
@@ -365,6 +417,11 @@ class SemanticRouter extends EventEmitter {
         this.emit('attribution', attribution);
     }
     
+    // signalId from CausalAttribution.tagJAM when the caller has one, so router logs join the ledger
+    signalLog(signal, fields = {}) {
+        return this.log.child({ signalId: signalIdOf(signal), type: signal.type, ...fields });
+    }
+    
     // Get attribution report
     getAttributionReport() {
         const report = {
@@ -395,6 +452,10 @@ class SemanticRouter extends EventEmitter {
     }
 }
 
+function signalIdOf(signal) {
+    return signal.signalId || (signal.attribution && signal.attribution.signalId) || signal.txHash || signal.id;
+}
+
 // Export for use in main daemon
 module.exports = SemanticRouter;
 
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+// Signal History - Persistent, time-decayed reinforcement data for the semantic daemon
+// Every broadcast signal and its measured cascade is kept in .signal-history.json so PM2
+// restarts don't reset what the selector has learned. Retention is bounded by count and age,
+// and outcomes are weighted by age: a result loses half its weight every half-life, so types
+// that stop producing cascades fade back to no boost (README §3.4 - "ineffective ones decay").
+//
+//   SIGNAL_HISTORY_MAX         entries kept (default 20000)
+//   SIGNAL_HISTORY_DAYS        entries older than this are dropped (default 14)
+//   SIGNAL_HALF_LIFE_HOURS     age at which an outcome counts half (default 24)
+//   SIGNAL_HISTORY_FLUSH_MS    how long changes may sit in memory before being written (default 5000)
+
+const path = require('path');
+const { writeAtomic, readJSON } = require('./file-lock');
+const { createLogger } = require('./logger');
+
+const log = createLogger('signal-history');
+
+const SCHEMA_VERSION = 1;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class SignalHistory {
+    constructor(options = {}) {
+        this.file = options.file || process.env.SIGNAL_HISTORY_FILE || path.join(__dirname, '.signal-history.json');
+        this.maxEntries = options.maxEntries || parseInt(process.env.SIGNAL_HISTORY_MAX || '20000', 10);
+        this.maxAgeMs = options.maxAgeMs || parseFloat(process.env.SIGNAL_HISTORY_DAYS || '14') * DAY;
+        this.halfLifeMs = options.halfLifeMs || parseFloat(process.env.SIGNAL_HALF_LIFE_HOURS || '24') * HOUR;
+        this.flushMs = options.flushMs !== undefined ? options.flushMs :
+            parseInt(process.env.SIGNAL_HISTORY_FLUSH_MS || '5000', 10);
+
+        this.entries = [];
+        this.totalSignals = 0; // lifetime count, survives retention
+        this.timer = null;
+        this.queue = Promise.resolve(); // serializes writes
+    }
+
+    async load() {
+        const data = await readJSON(this.file);
+        if (!data) return this;
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`${this.file} is schema v${data.schemaVersion}, newer than supported v${SCHEMA_VERSION}`);
+        }
+
+        this.entries = Array.isArray(data.entries) ? data.entries : [];
+        this.totalSignals = Math.max(data.totalSignals || 0, this.entries.length);
+        this.prune();
+        return this;
+    }
+
+    add(signal) {
+        this.entries.push({
+            type: signal.type,
+            timestamp: signal.timestamp || Date.now(),
+            txHash: signal.txHash ? signal.txHash.toLowerCase() : null,
+            intentHash: signal.intentHash || null,
+            cascadeSize: 0, // set by the cascade meter once the window closes
+            cascadeValueETH: 0,
+            measured: false
+        });
+        this.totalSignals++;
+        this.prune();
+        this.scheduleSave();
+    }
+
+    find(txHash) {
+        const hash = String(txHash).toLowerCase();
+        return this.entries.find(e => e.txHash === hash);
+    }
+
+    // A stuck signal was replaced with bumped fees - keep the entry on the live hash
+    replaceHash(previousHash, txHash) {
+        const entry = this.find(previousHash);
+        if (!entry) return false;
+        entry.txHash = txHash.toLowerCase();
+        this.scheduleSave();
+        return true;
+    }
+
+    recordCascade(txHash, cascadeSize, cascadeValueETH) {
+        const entry = this.find(txHash);
+        if (!entry) return null;
+        entry.cascadeSize = cascadeSize;
+        entry.cascadeValueETH = cascadeValueETH;
+        entry.measured = true;
+        this.scheduleSave();
+        return entry;
+    }
+
+    // Signals sent within maxAgeMs of now whose cascade was never measured (e.g. cut off by a restart)
+    unmeasured(maxAgeMs, now = Date.now()) {
+        return this.entries.filter(e => !e.measured && e.txHash && now - e.timestamp <= maxAgeMs);
+    }
+
+    weight(timestamp, now = Date.now()) {
+        return Math.pow(0.5, Math.max(0, now - timestamp) / this.halfLifeMs);
+    }
+
+    // Decay-weighted mean cascade size of a type's measured signals. The weights are not normalized
+    // below 1, so a lone old outcome fades towards 0 instead of counting at full strength forever.
+    score(type, now = Date.now()) {
+        let weighted = 0;
+        let weights = 0;
+        for (const entry of this.entries) {
+            if (entry.type !== type || !entry.measured) continue;
+            const w = this.weight(entry.timestamp, now);
+            weighted += w * entry.cascadeSize;
+            weights += w;
+        }
+        return weights === 0 ? 0 : weighted / Math.max(weights, 1);
+    }
+
+    metrics() {
+        const measured = this.entries.filter(e => e.measured);
+        const types = this.entries.map(e => e.type);
+        return {
+            totalSignals: this.totalSignals,
+            totalCascades: measured.filter(e => e.cascadeSize > 0).length,
+            averageReach: measured.length === 0 ? 0 :
+                measured.reduce((sum, e) => sum + e.cascadeSize, 0) / measured.length,
+            // Reinforcement: share of signals repeating a type we already sent (bots returning to our signals)
+            reinforcementRate: types.length === 0 ? 0 : 1 - (new Set(types).size / types.length)
+        };
+    }
+
+    // Per type: counts, hit rate, plain and decayed cascade averages
+    summary(now = Date.now()) {
+        const byType = {};
+        for (const entry of this.entries) {
+            const s = byType[entry.type] || (byType[entry.type] = {
+                signals: 0, measured: 0, hits: 0, totalCascade: 0, totalValueETH: 0, lastSent: 0
+            });
+            s.signals++;
+            s.lastSent = Math.max(s.lastSent, entry.timestamp);
+            if (!entry.measured) continue;
+            s.measured++;
+            if (entry.cascadeSize > 0) s.hits++;
+            s.totalCascade += entry.cascadeSize;
+            s.totalValueETH += entry.cascadeValueETH;
+        }
+        for (const [type, s] of Object.entries(byType)) {
+            s.hitRate = s.measured === 0 ? 0 : s.hits / s.measured;
+            s.avgCascade = s.measured === 0 ? 0 : s.totalCascade / s.measured;
+            s.decayedScore = this.score(type, now);
+        }
+        return byType;
+    }
+
+    // Per type success in consecutive buckets of bucketMs, oldest first
+    timeline(bucketMs = DAY, type = null) {
+        const buckets = new Map();
+        for (const entry of this.entries) {
+            if (type && entry.type !== type) continue;
+            const start = Math.floor(entry.timestamp / bucketMs) * bucketMs;
+            const key = `${start}|${entry.type}`;
+            const b = buckets.get(key) || { start, type: entry.type, signals: 0, measured: 0, hits: 0, totalCascade: 0 };
+            b.signals++;
+            if (entry.measured) {
+                b.measured++;
+                if (entry.cascadeSize > 0) b.hits++;
+                b.totalCascade += entry.cascadeSize;
+            }
+            buckets.set(key, b);
+        }
+        return Array.from(buckets.values())
+            .sort((a, b) => a.start - b.start || a.type.localeCompare(b.type))
+            .map(b => ({
+                ...b,
+                hitRate: b.measured === 0 ? 0 : b.hits / b.measured,
+                avgCascade: b.measured === 0 ? 0 : b.totalCascade / b.measured
+            }));
+    }
+
+    prune(now = Date.now()) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(e => now - e.timestamp <= this.maxAgeMs);
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(this.entries.length - this.maxEntries);
+        }
+        return before - this.entries.length;
+    }
+
+    // Coalesce bursts of changes into one write
+    scheduleSave() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.save().catch(error => log.error('Could not save signal history', { file: this.file, error }));
+        }, this.flushMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    save() {
+        this.queue = this.queue.catch(() => {}).then(() => writeAtomic(this.file, JSON.stringify({
+            schemaVersion: SCHEMA_VERSION,
+            totalSignals: this.totalSignals,
+            entries: this.entries,
+            timestamp: Date.now()
+        })));
+        return this.queue;
+    }
+
+    // Write pending changes now (shutdown)
+    async flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            await this.save();
+        }
+        await this.queue;
+    }
+}
+
+// Inspect per-type success over time from the persisted history
+if (require.main === module) {
+    const [command = 'summary', ...args] = process.argv.slice(2);
+    const history = new SignalHistory();
+    const pct = value => (value * 100).toFixed(1) + '%';
+    // First `labels` columns left-aligned, numbers right-aligned
+    const row = (cells, widths, labels = 1) => cells.map((c, i) => String(c)[i < labels ? 'padEnd' : 'padStart'](widths[i])).join('  ');
+
+    const commands = {
+        summary: () => {
+            const summary = Object.entries(history.summary())
+                .sort(([, a], [, b]) => b.decayedScore - a.decayedScore);
+            const widths = [30, 8, 9, 8, 11, 10, 12, 24];
+            console.log(`${history.entries.length} signals kept, ${history.totalSignals} sent in total, half-life ${history.halfLifeMs / HOUR}h\n`);
+            console.log(row(['type', 'signals', 'measured', 'hit', 'avg reach', 'decayed', 'value ETH', 'last sent'], widths));
+            for (const [type, s] of summary) {
+                console.log(row([type, s.signals, s.measured, pct(s.hitRate), s.avgCascade.toFixed(2),
+                    s.decayedScore.toFixed(2), s.totalValueETH.toFixed(4), new Date(s.lastSent).toISOString()], widths));
+            }
+        },
+        timeline: () => {
+            const hours = parseFloat(args[0] || '24');
+            const widths = [20, 30, 8, 9, 8, 11];
+            console.log(row(['bucket', 'type', 'signals', 'measured', 'hit', 'avg reach'], widths, 2));
+            for (const b of history.timeline(hours * HOUR, args[1] || null)) {
+                console.log(row([new Date(b.start).toISOString().slice(0, 16), b.type, b.signals, b.measured,
+                    pct(b.hitRate), b.avgCascade.toFixed(2)], widths, 2));
+            }
+        },
+        json: () => console.log(JSON.stringify({ metrics: history.metrics(), summary: history.summary() }, null, 2))
+    };
+
+    if (!commands[command]) {
+        console.error('Usage: node signal-history.js summary | timeline [hours-per-bucket] [type] | json');
+        process.exit(1);
+    }
+    history.load().then(commands[command]).catch(error => {
+        console.error(`[HISTORY] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = SignalHistory;
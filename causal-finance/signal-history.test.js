@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SignalHistory = require('./signal-history');
+const { tempDir } = require('./test-helpers');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15);
+
+const measured = (type, timestamp, cascadeSize) => ({
+    type, timestamp, txHash: null, intentHash: null, cascadeSize, cascadeValueETH: 0, measured: true
+});
+
+test('signal history', async t => {
+    const dir = tempDir('signal-history-');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const history = (options = {}) => new SignalHistory({ file: path.join(dir, 'history.json'), halfLifeMs: 24 * HOUR, flushMs: 60000, ...options });
+
+    await t.test('an outcome one half-life old scores half', () => {
+        const h = history();
+        h.entries = [measured('ORACLE', NOW - 24 * HOUR, 8)];
+        assert.strictEqual(h.weight(NOW - 24 * HOUR, NOW), 0.5);
+        assert.strictEqual(h.score('ORACLE', NOW), 4);
+        assert.strictEqual(h.score('ORACLE', NOW + 24 * HOUR), 2);
+        assert.strictEqual(h.score('ORACLE', NOW - 24 * HOUR), 8);
+        assert.strictEqual(h.score('OTHER', NOW), 0);
+    });
+
+    await t.test('once the weights reach 1 the score is their weighted mean', () => {
+        const h = history();
+        h.entries = [
+            measured('ORACLE', NOW, 6),
+            measured('ORACLE', NOW - 24 * HOUR, 12),
+            measured('ORACLE', NOW - 48 * HOUR, 0),
+            { ...measured('ORACLE', NOW, 100), measured: false } // not measured yet
+        ];
+        // (1*6 + 0.5*12 + 0.25*0) / 1.75
+        assert.strictEqual(h.score('ORACLE', NOW), 12 / 1.75);
+    });
+
+    await t.test('entries past the max age or max count are pruned', () => {
+        const h = history({ maxAgeMs: 72 * HOUR, maxEntries: 3 });
+        h.entries = [
+            measured('A', NOW - 73 * HOUR, 1), // too old
+            measured('B', NOW - 72 * HOUR, 1), // exactly at the limit, kept by age but not by count
+            measured('C', NOW - 48 * HOUR, 1),
+            measured('D', NOW - 24 * HOUR, 1),
+            measured('E', NOW, 1)
+        ];
+        assert.strictEqual(h.prune(NOW), 2);
+        assert.deepStrictEqual(h.entries.map(e => e.type), ['C', 'D', 'E']);
+        assert.strictEqual(h.prune(NOW), 0);
+        assert.strictEqual(h.prune(NOW + 49 * HOUR), 2);
+    });
+
+    await t.test('load keeps the lifetime count and prunes what expired while stopped', async () => {
+        const file = path.join(dir, 'saved.json');
+        const now = Date.now();
+        fs.writeFileSync(file, JSON.stringify({
+            schemaVersion: 1,
+            totalSignals: 40,
+            entries: [measured('OLD', now - 30 * 24 * HOUR, 1), measured('NEW', now - HOUR, 3)]
+        }));
+        const h = await history({ file }).load();
+        assert.deepStrictEqual(h.entries.map(e => e.type), ['NEW']);
+        assert.strictEqual(h.totalSignals, 40);
+
+        const empty = await history({ file: path.join(dir, 'missing.json') }).load();
+        assert.deepStrictEqual(empty.entries, []);
+    });
+
+    await t.test('a file with a newer schemaVersion is rejected', async () => {
+        const file = path.join(dir, 'newer.json');
+        fs.writeFileSync(file, JSON.stringify({ schemaVersion: 2, totalSignals: 1, entries: [] }));
+        await assert.rejects(history({ file }).load(), /schema v2, newer than supported v1/);
+    });
+});
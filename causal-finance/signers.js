@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+// Signers - Where the key lives is configuration, not code
+// local:  PRIVATE_KEY in this process
+// remote: an external signer speaking JSON-RPC eth_signTransaction (SIGNER_URL + SIGNER_ADDRESS)
+// watch:  address only (WATCH_ADDRESS) - balances and dry runs, never signs
+// Every backend exposes address, provider, connect(), signTransaction() and sendTransaction();
+// local and remote also sign EIP-712 typed data (signTypedData)
+
+const eth = require('./ethers-compat');
+const { postJSON } = require('./http-json');
+
+class SignerError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SignerError';
+        this.code = code;
+    }
+}
+
+class RemoteSigner {
+    constructor(url, address, provider, options = {}) {
+        if (!url) throw new SignerError('Remote signer needs SIGNER_URL', 'MISSING_CONFIG');
+        if (!address || !eth.isAddress(address)) {
+            throw new SignerError('Remote signer needs a valid SIGNER_ADDRESS', 'MISSING_CONFIG');
+        }
+        this.url = url;
+        this.address = eth.getAddress(address);
+        this.provider = provider || null;
+        this.timeout = options.timeout || 15000;
+        this.requestId = 1;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, this.address, provider, { timeout: this.timeout });
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async rpc(method, params) {
+        const response = await postJSON(this.url, {
+            jsonrpc: '2.0',
+            id: this.requestId++,
+            method,
+            params
+        }, { timeout: this.timeout });
+
+        if (!response || response.error) {
+            const message = response && response.error ? response.error.message : 'empty response';
+            throw new SignerError(`Remote signer ${method} failed: ${message}`, 'REMOTE_ERROR');
+        }
+        return response.result;
+    }
+
+    // Fill whatever the caller left out; the transaction manager already sets all of it
+    async populate(tx) {
+        const populated = { ...tx };
+        if (populated.chainId === undefined) {
+            populated.chainId = Number((await this.requireProvider().getNetwork()).chainId);
+        }
+        if (populated.nonce === undefined || populated.nonce === null) {
+            populated.nonce = Number(await this.requireProvider().getTransactionCount(this.address, 'pending'));
+        }
+        if (populated.gasLimit === undefined) {
+            populated.gasLimit = await this.requireProvider().estimateGas({ ...populated, from: this.address });
+        }
+        if (populated.maxFeePerGas === undefined && populated.gasPrice === undefined) {
+            const feeData = await this.requireProvider().getFeeData();
+            populated.maxFeePerGas = feeData.maxFeePerGas;
+            populated.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+        }
+        return populated;
+    }
+
+    async signTransaction(tx) {
+        const populated = await this.populate(tx);
+        const request = {
+            from: this.address,
+            to: populated.to,
+            data: populated.data || '0x',
+            value: toQuantity(populated.value),
+            gas: toQuantity(populated.gasLimit),
+            nonce: toQuantity(populated.nonce),
+            chainId: toQuantity(populated.chainId)
+        };
+        if (populated.gasPrice !== undefined) {
+            request.gasPrice = toQuantity(populated.gasPrice);
+        } else {
+            request.type = '0x2';
+            request.maxFeePerGas = toQuantity(populated.maxFeePerGas);
+            request.maxPriorityFeePerGas = toQuantity(populated.maxPriorityFeePerGas);
+        }
+
+        const result = await this.rpc('eth_signTransaction', [request]);
+        const raw = typeof result === 'string' ? result : result && result.raw; // geth/clef return { raw, tx }
+
+        // Never broadcast what we didn't ask for
+        const signed = eth.parseSignedTransaction(raw);
+        if (eth.getAddress(signed.from) !== this.address) {
+            throw new SignerError(`Remote signer signed as ${signed.from}, expected ${this.address}`, 'SIGNER_MISMATCH');
+        }
+        const changed = changedFields(request, signed);
+        if (changed.length > 0) {
+            throw new SignerError(`Remote signer returned a different transaction (${changed.join(', ')} changed)`, 'SIGNER_MISMATCH');
+        }
+        return raw;
+    }
+
+    // EIP-712 via eth_signTypedData_v4; the signature must recover to SIGNER_ADDRESS
+    async signTypedData(domain, types, value) {
+        const primaryType = Object.keys(types).find(name =>
+            !Object.values(types).some(fields => fields.some(field => field.type.replace(/\[\d*\]$/, '') === name)));
+        const typedData = {
+            types: { EIP712Domain: domainFields(domain), ...types },
+            primaryType,
+            domain,
+            message: value
+        };
+        const signature = await this.rpc('eth_signTypedData_v4', [this.address,
+            JSON.stringify(typedData, (key, v) => typeof v === 'bigint' ? v.toString() : v)]);
+
+        if (eth.getAddress(eth.verifyTypedData(domain, types, value, signature)) !== this.address) {
+            throw new SignerError(`Remote signer signed typed data as someone other than ${this.address}`, 'SIGNER_MISMATCH');
+        }
+        return signature;
+    }
+
+    // Same response shape as ethers: hash, nonce and wait() that rejects on revert with error.receipt
+    async sendTransaction(tx) {
+        const provider = this.requireProvider();
+        const raw = await this.signTransaction(tx);
+        const signed = eth.parseSignedTransaction(raw);
+        const hash = await provider.send('eth_sendRawTransaction', [raw]);
+
+        return {
+            ...signed,
+            hash: hash || signed.hash,
+            wait: async (confirmations = 1, timeout) => {
+                const receipt = await provider.waitForTransaction(hash || signed.hash, confirmations, timeout);
+                if (receipt && Number(receipt.status) === 0) {
+                    const error = new Error(`Transaction ${eth.getTxHash(receipt)} reverted`);
+                    error.receipt = receipt;
+                    throw error;
+                }
+                return receipt;
+            }
+        };
+    }
+
+    requireProvider() {
+        if (!this.provider) throw new SignerError('Remote signer is not connected to a provider', 'NO_PROVIDER');
+        return this.provider;
+    }
+}
+
+class WatchOnlySigner {
+    constructor(address, provider) {
+        if (!address || !eth.isAddress(address)) {
+            throw new SignerError('Watch-only mode needs a valid WATCH_ADDRESS', 'MISSING_CONFIG');
+        }
+        this.address = eth.getAddress(address);
+        this.provider = provider || null;
+        this.readOnly = true;
+    }
+
+    connect(provider) {
+        return new WatchOnlySigner(this.address, provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async signTransaction() {
+        throw new SignerError(`${this.address} is watch-only`, 'READ_ONLY');
+    }
+
+    async sendTransaction() {
+        throw new SignerError(`${this.address} is watch-only`, 'READ_ONLY');
+    }
+
+    async signTypedData() {
+        throw new SignerError(`${this.address} is watch-only`, 'READ_ONLY');
+    }
+}
+
+// SIGNER=local|remote|watch picks explicitly; otherwise the first configured backend wins.
+// Returns null when nothing is configured so callers can fall back to DRY_RUN_FROM.
+function createSigner(provider, env = process.env) {
+    const backend = (env.SIGNER ||
+        (env.SIGNER_URL ? 'remote' : env.PRIVATE_KEY ? 'local' : env.WATCH_ADDRESS ? 'watch' : '')).toLowerCase();
+
+    switch (backend) {
+        case 'local':
+            if (!env.PRIVATE_KEY) throw new SignerError('SIGNER=local needs PRIVATE_KEY', 'MISSING_CONFIG');
+            return eth.createWallet(env.PRIVATE_KEY, provider);
+        case 'remote':
+            return new RemoteSigner(env.SIGNER_URL, env.SIGNER_ADDRESS, provider);
+        case 'watch':
+            return new WatchOnlySigner(env.WATCH_ADDRESS || env.SIGNER_ADDRESS, provider);
+        case '':
+            return null;
+        default:
+            throw new SignerError(`Unknown SIGNER backend: ${backend}`, 'MISSING_CONFIG');
+    }
+}
+
+function isReadOnly(signer) {
+    return !signer || signer.readOnly === true;
+}
+
+// EIP712Domain fields in the order the spec lists them, for the ones the domain sets
+function domainFields(domain) {
+    return [
+        ['name', 'string'],
+        ['version', 'string'],
+        ['chainId', 'uint256'],
+        ['verifyingContract', 'address'],
+        ['salt', 'bytes32']
+    ].filter(([name]) => domain[name] !== undefined).map(([name, type]) => ({ name, type }));
+}
+
+function toQuantity(value) {
+    return '0x' + eth.toBigInt(value).toString(16);
+}
+
+// Fields of a signed tx that differ from the eth_signTransaction request; a missing `to` must stay missing
+function changedFields(request, signed) {
+    const address = value => value ? eth.getAddress(value) : null;
+    const quantity = value => value === undefined || value === null ? null : eth.toBigInt(value);
+    const fields = {
+        to: [address(request.to), address(signed.to)],
+        data: [request.data.toLowerCase(), signed.data.toLowerCase()],
+        value: [quantity(request.value), signed.value],
+        nonce: [quantity(request.nonce), BigInt(signed.nonce)],
+        chainId: [quantity(request.chainId), BigInt(signed.chainId)],
+        gasLimit: [quantity(request.gas), signed.gasLimit],
+        gasPrice: [quantity(request.gasPrice), signed.gasPrice],
+        maxFeePerGas: [quantity(request.maxFeePerGas), signed.maxFeePerGas],
+        maxPriorityFeePerGas: [quantity(request.maxPriorityFeePerGas), signed.maxPriorityFeePerGas]
+    };
+    return Object.keys(fields).filter(field => fields[field][0] !== fields[field][1]);
+}
+
+module.exports = {
+    SignerError,
+    RemoteSigner,
+    WatchOnlySigner,
+    createSigner,
+    isReadOnly
+};
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, rpcServer } = require('./test-helpers');
+
+const KEY = '0x' + '11'.repeat(32);
+const ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A'; // of KEY
+const OTHER_KEY = '0x' + '22'.repeat(32);
+const TO = '0x00000000000000000000000000000000000000aa';
+
+const tx = { to: TO, data: '0x1234', value: 5n, gasLimit: 21000n, nonce: 3, chainId: 1, maxFeePerGas: 2000000000n, maxPriorityFeePerGas: 1000000000n };
+
+// Stand-in for an external signer (clef, web3signer): signs eth_signTransaction requests with its own key
+function remoteSigner(eth, key, tamper = request => request) {
+    const wallet = eth.createWallet(key);
+    return rpcServer({
+        eth_signTransaction: ([request]) => {
+            const signed = tamper({ ...request });
+            return wallet.signTransaction({
+                type: 2,
+                to: signed.to,
+                data: signed.data,
+                value: BigInt(signed.value),
+                gasLimit: BigInt(signed.gas),
+                nonce: Number(signed.nonce),
+                chainId: Number(signed.chainId),
+                maxFeePerGas: BigInt(signed.maxFeePerGas),
+                maxPriorityFeePerGas: BigInt(signed.maxPriorityFeePerGas)
+            });
+        },
+        eth_signTypedData_v4: ([address, json]) => {
+            const { types, domain, message } = JSON.parse(json);
+            const { EIP712Domain, ...rest } = types;
+            return eth.signTypedData(wallet, domain, rest, message);
+        }
+    });
+}
+
+for (const pkg of ETHERS) {
+    test(`signers on ${pkg}`, async t => {
+        const [eth, signers] = loadWith(pkg, 'ethers-compat', 'signers');
+        const { RemoteSigner, createSigner, isReadOnly, SignerError } = signers;
+        const servers = [];
+        t.after(() => Promise.all(servers.map(server => server.close())));
+        const standIn = async (...args) => {
+            const server = await remoteSigner(eth, ...args);
+            servers.push(server);
+            return server;
+        };
+
+        await t.test('remote signer: the stand-in signs exactly the requested tx', async () => {
+            const server = await standIn(KEY);
+            const raw = await new RemoteSigner(server.url, ADDRESS).signTransaction(tx);
+
+            const parsed = eth.parseSignedTransaction(raw);
+            assert.strictEqual(parsed.from, ADDRESS);
+            assert.strictEqual(parsed.to, eth.getAddress(TO));
+            assert.strictEqual(parsed.nonce, 3);
+            assert.strictEqual(parsed.value, 5n);
+
+            const [request] = server.requests[0].body.params;
+            assert.deepStrictEqual(request, {
+                from: ADDRESS,
+                to: TO,
+                data: '0x1234',
+                value: '0x5',
+                gas: '0x5208',
+                nonce: '0x3',
+                chainId: '0x1',
+                type: '0x2',
+                maxFeePerGas: '0x77359400',
+                maxPriorityFeePerGas: '0x3b9aca00'
+            });
+        });
+
+        await t.test('remote signer: refuses a signature from another key or for another tx', async () => {
+            const impostor = await standIn(OTHER_KEY);
+            await assert.rejects(new RemoteSigner(impostor.url, ADDRESS).signTransaction(tx),
+                error => error instanceof SignerError && error.code === 'SIGNER_MISMATCH');
+
+            const tampered = [
+                [{ nonce: '0x9' }, 'nonce'],
+                [{ value: '0x6' }, 'value'],
+                [{ data: '0x1235' }, 'data'],
+                [{ to: '0x00000000000000000000000000000000000000bb' }, 'to'],
+                [{ to: null }, 'to'],
+                [{ gas: '0x5209' }, 'gasLimit'],
+                [{ maxFeePerGas: '0x77359401' }, 'maxFeePerGas']
+            ];
+            for (const [change, field] of tampered) {
+                const rewriter = await standIn(KEY, request => ({ ...request, ...change }));
+                await assert.rejects(new RemoteSigner(rewriter.url, ADDRESS).signTransaction(tx), error =>
+                    error.code === 'SIGNER_MISMATCH' && error.message === `Remote signer returned a different transaction (${field} changed)`);
+            }
+
+            // A contract creation must come back without a recipient, too
+            const creator = await standIn(KEY, request => ({ ...request, to: TO }));
+            await assert.rejects(new RemoteSigner(creator.url, ADDRESS).signTransaction({ ...tx, to: undefined }),
+                /different transaction \(to changed\)/);
+        });
+
+        await t.test('remote signer: signs EIP-712 typed data that recovers to its address', async () => {
+            const server = await standIn(KEY);
+            const domain = { name: 'Intent', version: '1', chainId: 8453 };
+            const types = { Intent: [{ name: 'hash', type: 'bytes32' }, { name: 'amount', type: 'uint256' }] };
+            const value = { hash: '0x' + 'ab'.repeat(32), amount: 10n ** 20n };
+
+            const signature = await new RemoteSigner(server.url, ADDRESS).signTypedData(domain, types, value);
+            assert.strictEqual(eth.verifyTypedData(domain, types, value, signature), ADDRESS);
+            const typedData = JSON.parse(server.requests[0].body.params[1]);
+            assert.strictEqual(typedData.primaryType, 'Intent');
+            assert.strictEqual(typedData.message.amount, '100000000000000000000');
+        });
+
+        await t.test('remote signer: surfaces JSON-RPC errors', async () => {
+            const server = await rpcServer({});
+            servers.push(server);
+            await assert.rejects(new RemoteSigner(server.url, ADDRESS).signTransaction(tx),
+                error => error.code === 'REMOTE_ERROR' && /eth_signTransaction/.test(error.message));
+        });
+
+        await t.test('createSigner picks the configured backend', () => {
+            assert.strictEqual(createSigner(null, {}), null);
+            assert.strictEqual(createSigner(null, { PRIVATE_KEY: KEY }).address, ADDRESS);
+            assert.ok(createSigner(null, { SIGNER_URL: 'http://127.0.0.1:1', SIGNER_ADDRESS: ADDRESS, PRIVATE_KEY: KEY }) instanceof RemoteSigner);
+            assert.throws(() => createSigner(null, { SIGNER: 'hsm' }), /Unknown SIGNER backend/);
+            assert.throws(() => createSigner(null, { SIGNER_URL: 'http://127.0.0.1:1' }), /valid SIGNER_ADDRESS/);
+        });
+
+        await t.test('watch-only: an address that never signs', async () => {
+            const watch = createSigner(null, { WATCH_ADDRESS: ADDRESS.toLowerCase() });
+            assert.strictEqual(watch.address, ADDRESS);
+            assert.ok(isReadOnly(watch));
+            assert.ok(isReadOnly(null));
+            assert.ok(!isReadOnly(createSigner(null, { PRIVATE_KEY: KEY })));
+            await assert.rejects(watch.signTransaction(tx), error => error.code === 'READ_ONLY');
+            await assert.rejects(watch.connect(null).sendTransaction(tx), error => error.code === 'READ_ONLY');
+        });
+    });
+}
+
+// Without a signing key eth-extractor simulates: no broadcaster, even with DRY_RUN off
+test('watch-only eth-extractor never starts the broadcaster', async t => {
+    const env = { PRIVATE_KEY: process.env.PRIVATE_KEY, SIGNER_URL: process.env.SIGNER_URL, WATCH_ADDRESS: process.env.WATCH_ADDRESS };
+    delete process.env.PRIVATE_KEY;
+    delete process.env.SIGNER_URL;
+    process.env.WATCH_ADDRESS = ADDRESS;
+    t.after(() => {
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    const [ETHExtractor] = loadWith('ethers', 'eth-extractor');
+    const extractor = new ETHExtractor({ dryRun: false });
+    let broadcasting = false;
+    extractor.startInfiniteBroadcaster = async () => {
+        broadcasting = true;
+    };
+    extractor.attribution.rehydrate = async () => {};
+    extractor.attribution.startExpiryTimer = () => {};
+    extractor.getNextSignal = async () => {
+        throw new Error('stop');
+    };
+
+    assert.strictEqual(extractor.canSend(), false);
+    assert.strictEqual(extractor.senderAddress(), ADDRESS);
+    await assert.rejects(extractor.runDaemon(), /stop/);
+    assert.strictEqual(broadcasting, false);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+// Transaction Simulator - Dry-run support for every liquidation path
+// Runs eth_call + estimateGas against the configured RPC and reports
+// gas, cost and revert reason without broadcasting anything.
+// options.stateOverrides ({ [address]: { stateDiff } }) goes to both calls as the geth-style third
+// parameter, e.g. to grant an allowance that an approval sent first would grant.
+
+const eth = require('./ethers-compat');
+const { createLogger } = require('./logger');
+
+const log = createLogger('simulator');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Constructor option wins, otherwise DRY_RUN=1|true in the environment
+function isDryRun(option) {
+    if (option !== undefined && option !== null) return Boolean(option);
+    return ['1', 'true', 'yes'].includes(String(process.env.DRY_RUN || '').toLowerCase());
+}
+
+async function simulateTransaction(provider, tx, options = {}) {
+    const request = {
+        to: tx.to,
+        data: tx.data,
+        value: eth.toBigInt(tx.value),
+        from: options.from || tx.from
+    };
+    if (!request.from) delete request.from;
+
+    const result = {
+        success: false,
+        to: request.to,
+        from: request.from || null,
+        data: request.data,
+        value: request.value.toString(),
+        returnData: null,
+        gasEstimate: null,
+        gasPrice: null,
+        gasCostETH: null,
+        revertReason: null
+    };
+
+    try {
+        let gasEstimate;
+        if (options.stateOverrides) {
+            const rpcRequest = { ...request, value: '0x' + request.value.toString(16) };
+            result.returnData = await provider.send('eth_call', [rpcRequest, 'latest', options.stateOverrides]);
+            gasEstimate = eth.toBigInt(await provider.send('eth_estimateGas', [rpcRequest, 'latest', options.stateOverrides]));
+        } else {
+            result.returnData = await provider.call(request);
+            gasEstimate = eth.toBigInt(await provider.estimateGas(request));
+        }
+        const feeData = await provider.getFeeData();
+        const gasPrice = eth.toBigInt(feeData.maxFeePerGas || feeData.gasPrice);
+
+        result.success = true;
+        result.gasEstimate = gasEstimate.toString();
+        result.gasPrice = gasPrice.toString();
+        result.gasCostETH = parseFloat(eth.formatEther(gasEstimate * gasPrice));
+    } catch (error) {
+        result.revertReason = extractRevertReason(error);
+    }
+
+    return result;
+}
+
+// Pull a readable reason out of whatever shape the provider error has
+function extractRevertReason(error) {
+    const data = findRevertData(error);
+    if (data) {
+        const decoded = decodeRevertData(data);
+        if (decoded) return decoded;
+    }
+    if (error.reason) return error.reason;
+    return error.shortMessage || error.message || 'execution reverted';
+}
+
+function findRevertData(error, depth = 0) {
+    if (!error || depth > 4) return null;
+    if (typeof error === 'string') {
+        return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+    }
+    if (typeof error !== 'object') return null;
+
+    for (const key of ['data', 'error', 'info', 'body']) {
+        let value = error[key];
+        if (key === 'body' && typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (e) {
+                continue;
+            }
+        }
+        const found = findRevertData(value, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+function decodeRevertData(data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_SELECTOR) {
+            return eth.decodeAbi(['string'], '0x' + data.slice(10))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = eth.decodeAbi(['uint256'], '0x' + data.slice(10))[0];
+            return `Panic(0x${eth.toBigInt(code).toString(16)})`;
+        }
+    } catch (e) {
+        return null;
+    }
+    return `Custom error ${selector}`;
+}
+
+function logSimulation(tag, simulation, expectedProfit, logger = log) {
+    logger.info(`[DRY-RUN] ${tag}`, {
+        to: simulation.to,
+        selector: simulation.data.slice(0, 10),
+        calldataBytes: (simulation.data.length - 2) / 2,
+        success: simulation.success,
+        gasEstimate: simulation.success ? simulation.gasEstimate : undefined,
+        gasCostETH: simulation.success ? simulation.gasCostETH : undefined,
+        expectedProfitETH: simulation.success ? expectedProfit : undefined,
+        revertReason: simulation.success ? undefined : simulation.revertReason
+    });
+}
+
+module.exports = {
+    isDryRun,
+    simulateTransaction,
+    extractRevertReason,
+    decodeRevertData,
+    logSimulation
+};
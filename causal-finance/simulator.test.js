@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith, rpcServer } = require('./test-helpers');
+
+const TARGET = '0x00000000000000000000000000000000000000aa';
+const FROM = '0x00000000000000000000000000000000000000bb';
+const GWEI = 10n ** 9n;
+
+for (const pkg of ETHERS) {
+    test(`simulator on ${pkg}`, async t => {
+        const [eth, { simulateTransaction, extractRevertReason }] = loadWith(pkg, 'ethers-compat', 'simulator');
+        const revert = (signature, types, values) => eth.keccak256(eth.toUtf8Bytes(signature)).slice(0, 10) + eth.encodeAbi(types, values).slice(2);
+        const ERROR = revert('Error(string)', ['string'], ['Health factor not below threshold']);
+        const PANIC = revert('Panic(uint256)', ['uint256'], [0x11]);
+        const CUSTOM = revert('CollateralCannotBeLiquidated(address)', ['address'], [TARGET]);
+
+        // A node that reverts eth_call and eth_estimateGas with whatever revert data the calldata names.
+        // ethers v5 hands eth_call revert data back as the result; the estimate is what throws there.
+        const reverts = { '0x01': ERROR, '0x02': PANIC, '0x03': CUSTOM };
+        const execute = result => ([call]) => {
+            if (reverts[call.data]) throw Object.assign(new Error('execution reverted'), { code: 3, data: reverts[call.data] });
+            return result;
+        };
+        const node = await rpcServer({
+            eth_chainId: () => '0x1',
+            net_version: () => '1',
+            eth_call: execute('0x'),
+            eth_estimateGas: execute('0x5208')
+        });
+        t.after(() => node.close());
+        const provider = eth.getProvider(node.url, 1);
+
+        await t.test('Error(string) and Panic(uint256) reverts decode to their reason', async () => {
+            const error = await simulateTransaction(provider, { to: TARGET, data: '0x01' });
+            assert.strictEqual(error.success, false);
+            assert.strictEqual(error.revertReason, 'Health factor not below threshold');
+            assert.strictEqual(error.gasEstimate, null);
+
+            const panic = await simulateTransaction(provider, { to: TARGET, data: '0x02' });
+            assert.strictEqual(panic.revertReason, 'Panic(0x11)');
+        });
+
+        await t.test('custom-error reverts report their selector', async () => {
+            const custom = await simulateTransaction(provider, { to: TARGET, data: '0x03' });
+            assert.strictEqual(custom.success, false);
+            assert.strictEqual(custom.revertReason, `Custom error ${CUSTOM.slice(0, 10)}`);
+        });
+
+        await t.test('revert data is found however the error nests it', () => {
+            assert.strictEqual(extractRevertReason({ error: { data: ERROR } }), 'Health factor not below threshold');
+            assert.strictEqual(extractRevertReason({ info: { error: { code: 3, data: PANIC } } }), 'Panic(0x11)');
+            assert.strictEqual(extractRevertReason({ body: JSON.stringify({ error: { code: 3, data: CUSTOM } }) }),
+                `Custom error ${CUSTOM.slice(0, 10)}`);
+            // Without usable data the provider's own wording is kept
+            assert.strictEqual(extractRevertReason({ data: '0x', reason: 'nope', message: 'call failed' }), 'nope');
+            assert.strictEqual(extractRevertReason({ body: '<html>', shortMessage: 'missing revert data' }), 'missing revert data');
+            assert.strictEqual(extractRevertReason({}), 'execution reverted');
+        });
+
+        await t.test('state overrides go to eth_call and eth_estimateGas as the third parameter', async () => {
+            const calls = [];
+            const stub = {
+                send: async (method, params) => {
+                    calls.push([method, params]);
+                    return method === 'eth_call' ? '0x' + '00'.repeat(31) + '01' : '0x30d40';
+                },
+                call: () => assert.fail('call() bypasses the overrides'),
+                estimateGas: () => assert.fail('estimateGas() bypasses the overrides'),
+                getFeeData: async () => ({ maxFeePerGas: 2n * GWEI, gasPrice: 5n * GWEI })
+            };
+            const overrides = { [TARGET]: { stateDiff: { ['0x' + '00'.repeat(31) + '07']: '0x' + 'ff'.repeat(32) } } };
+
+            const result = await simulateTransaction(stub, { to: TARGET, data: '0x1234', value: 10n ** 18n },
+                { from: FROM, stateOverrides: overrides });
+            const request = { to: TARGET, data: '0x1234', value: '0xde0b6b3a7640000', from: FROM };
+            assert.deepStrictEqual(calls, [
+                ['eth_call', [request, 'latest', overrides]],
+                ['eth_estimateGas', [request, 'latest', overrides]]
+            ]);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.returnData, '0x' + '00'.repeat(31) + '01');
+            assert.strictEqual(result.value, (10n ** 18n).toString());
+            assert.strictEqual(result.gasEstimate, '200000');
+            assert.strictEqual(result.gasPrice, (2n * GWEI).toString()); // maxFeePerGas over gasPrice
+            assert.strictEqual(result.gasCostETH, 0.0004);
+        });
+    });
+}
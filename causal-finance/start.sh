@@ -14,8 +14,8 @@ fi
 source .env
 
 # Check required variables
-if [ -z "$PRIVATE_KEY" ]; then
-    echo "Error: PRIVATE_KEY not set in .env"
+if [ -z "$PRIVATE_KEY" ] && [ -z "$SIGNER_URL" ]; then
+    echo "Error: set PRIVATE_KEY or SIGNER_URL + SIGNER_ADDRESS in .env"
     exit 1
 fi
 
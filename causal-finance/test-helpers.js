@@ -0,0 +1,123 @@
+// Test Helpers - Shared by the *.test.js files (`npm test`, node's built-in runner)
+// ETHERS lists the ethers packages installed: `ethers` plus the `ethers-v6` dev dependency, so
+// tests run on both majors. loadWith() requires this directory's modules against one of them.
+// The servers are local stand-ins for JSON-RPC nodes, subgraphs, signers and webhooks.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const ETHERS = ['ethers', 'ethers-v6'].filter(name => {
+    try {
+        require.resolve(name);
+        return true;
+    } catch (e) {
+        return false;
+    }
+});
+
+const isLocal = file => file.startsWith(__dirname + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`);
+
+function clearLocalModules() {
+    for (const file of Object.keys(require.cache)) {
+        if (isLocal(file)) delete require.cache[file];
+    }
+}
+
+// Fresh copies of ./<name> modules with require('ethers') resolving to pkg; later plain requires
+// get fresh copies on the default package again
+function loadWith(pkg, ...names) {
+    const load = Module._load;
+    const ethers = require(pkg);
+    Module._load = function (request, ...rest) {
+        return request === 'ethers' ? ethers : load.call(this, request, ...rest);
+    };
+    clearLocalModules();
+    try {
+        return names.map(name => require(`./${name}`));
+    } finally {
+        Module._load = load;
+        clearLocalModules();
+    }
+}
+
+// handler(body, req) → response body, or { status, body } for anything but 200
+async function jsonServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            const body = text ? JSON.parse(text) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            try {
+                const reply = await handler(body, req);
+                const status = reply && reply.status ? reply.status : 200;
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(reply && reply.status ? reply.body : reply));
+            } catch (error) {
+                res.writeHead(500, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// JSON-RPC 2.0 node: methods[name](params) → result; throwing returns a JSON-RPC error.
+// Batches (ethers v6 sends them) are answered element by element.
+function rpcServer(methods) {
+    const answer = async call => {
+        try {
+            if (!methods[call.method]) throw Object.assign(new Error(`Method ${call.method} not found`), { code: -32601 });
+            return { jsonrpc: '2.0', id: call.id, result: await methods[call.method](call.params || []) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: call.id, error: { code: error.code || -32000, message: error.message, data: error.data } };
+        }
+    };
+    return jsonServer(body => (Array.isArray(body) ? Promise.all(body.map(answer)) : answer(body)));
+}
+
+// eth_call method for rpcServer: contracts[address] = { abi, <function>(args, params) → result values },
+// params being the raw eth_call params (call, block, state overrides). Calls to anything else revert.
+function ethCall(contracts) {
+    const eth = require('./ethers-compat');
+    const targets = new Map(Object.entries(contracts).map(([address, contract]) =>
+        [address.toLowerCase(), { contract, iface: eth.createInterface(contract.abi) }]));
+
+    return params => {
+        const [call] = params;
+        const target = targets.get(String(call.to).toLowerCase());
+        let parsed = null;
+        try {
+            parsed = target && target.iface.parseTransaction({ data: call.data });
+        } catch (e) {
+            // v5 throws on an unknown selector, v6 returns null
+        }
+        if (!parsed || !target.contract[parsed.name]) {
+            throw Object.assign(new Error('execution reverted'), { code: 3, data: '0x' });
+        }
+        return target.iface.encodeFunctionResult(parsed.name, target.contract[parsed.name](parsed.args, params));
+    };
+}
+
+function tempDir(prefix = 'causal-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+module.exports = {
+    ETHERS,
+    loadWith,
+    jsonServer,
+    rpcServer,
+    ethCall,
+    tempDir
+};
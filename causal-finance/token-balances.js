@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+// Token Balances - Native, ERC-20, aToken and cToken balances in one Multicall3 round trip per chain
+// Liquidation proceeds arrive as WETH, stablecoins, aTokens and cTokens, not just ETH. Every asset is
+// reported in its own units and converted to its underlying: aTokens accrue 1:1 (balanceOf already
+// includes interest), cTokens are worth balance * exchangeRateStored / 1e18 of the underlying.
+//
+//   BALANCE_TOKENS   JSON file { "<chain>": [token, ...] } replacing the default list for those chains
+//                    token: { symbol, address, decimals?, kind?: erc20 | aToken | cToken,
+//                             underlying?: symbol in the same list or "ETH", peg?: "USD" }
+//   MULTICALL3       Multicall3 address (same on every chain by default)
+
+const eth = require('./ethers-compat');
+const { CONTRACTS } = require('./contract-interface');
+const { readJSON } = require('./file-lock');
+
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const NATIVE = 'ETH';
+const MAX_CALLS = 200; // per aggregate3 call, keeps eth_call under node gas caps
+
+const MULTICALL = eth.createInterface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)'
+]);
+const TOKEN = eth.createInterface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function exchangeRateStored() view returns (uint256)'
+]);
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const L2_WETH = '0x4200000000000000000000000000000000000006';
+const AAVE_V3_AWETH = '0xe50fA9b3c56FfB159cB0FCA61F5c9D750e8128c8'; // same address on Arbitrum and Optimism
+
+const DEFAULT_TOKENS = {
+    ethereum: [
+        { symbol: 'WETH', address: WETH, decimals: 18 },
+        { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, peg: 'USD' },
+        { symbol: 'DAI', address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, peg: 'USD' },
+        // Aave V2
+        { symbol: 'aWETH', address: '0x030bA81f1c18d280636F32af80b9AAd02Cf0854e', decimals: 18, kind: 'aToken', underlying: 'WETH' },
+        { symbol: 'aUSDC', address: '0xBcca60bB61934080951369a648Fb03DF4F96263C', decimals: 6, kind: 'aToken', underlying: 'USDC' },
+        { symbol: 'aDAI', address: '0x028171bCA77440897B824Ca71D1c56caC55b68A3', decimals: 18, kind: 'aToken', underlying: 'DAI' },
+        // Compound V2
+        { symbol: 'cETH', address: CONTRACTS.compound.cETH, decimals: 8, kind: 'cToken', underlying: NATIVE },
+        { symbol: 'cUSDC', address: '0x39AA39c021dfbaE8faC545936693aC917d5E7563', decimals: 8, kind: 'cToken', underlying: 'USDC' },
+        { symbol: 'cDAI', address: '0x5d3a536E4D6DbD6114cc1Ead35777bAB948E3643', decimals: 8, kind: 'cToken', underlying: 'DAI' }
+    ],
+    base: [
+        { symbol: 'WETH', address: L2_WETH, decimals: 18 },
+        { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, peg: 'USD' }
+    ],
+    arbitrum: [
+        { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+        { symbol: 'USDC', address: '0xaf88d065e77c8cC2239CAA82Bd36E2b2EF59ae13', decimals: 6, peg: 'USD' },
+        { symbol: 'aWETH', address: AAVE_V3_AWETH, decimals: 18, kind: 'aToken', underlying: 'WETH' }
+    ],
+    optimism: [
+        { symbol: 'WETH', address: L2_WETH, decimals: 18 },
+        { symbol: 'USDC', address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6, peg: 'USD' },
+        { symbol: 'aWETH', address: AAVE_V3_AWETH, decimals: 18, kind: 'aToken', underlying: 'WETH' }
+    ]
+};
+
+// Defaults, with the chains listed in BALANCE_TOKENS replaced
+async function loadTokenLists(file = process.env.BALANCE_TOKENS) {
+    if (!file) return { ...DEFAULT_TOKENS };
+    const lists = await readJSON(file);
+    if (!lists || typeof lists !== 'object') {
+        throw new Error(`BALANCE_TOKENS ${file} is missing or not a JSON object`);
+    }
+    return { ...DEFAULT_TOKENS, ...lists };
+}
+
+class TokenBalances {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.multicallAddress = options.multicall || process.env.MULTICALL3 || MULTICALL3;
+    }
+
+    // calls: [{ target, data }] → [{ success, data }], split into MAX_CALLS-sized eth_calls
+    async multicall(calls, blockTag = 'latest') {
+        const results = [];
+        for (let i = 0; i < calls.length; i += MAX_CALLS) {
+            const batch = calls.slice(i, i + MAX_CALLS).map(call => [call.target, true, call.data]);
+            const data = MULTICALL.encodeFunctionData('aggregate3', [batch]);
+            const raw = await this.provider.send('eth_call', [{ to: this.multicallAddress, data }, blockTag]);
+            const [returned] = MULTICALL.decodeFunctionResult('aggregate3', raw);
+            for (const [success, returnData] of returned) {
+                results.push({ success, data: returnData });
+            }
+        }
+        return results;
+    }
+
+    // One row per asset (native ETH first): own units plus the underlying amount.
+    // Assets whose calls fail (not deployed on this chain, wrong address) come back with an error instead.
+    async read(owner, tokens = [], blockTag = 'latest') {
+        const bySymbol = new Map(tokens.map(token => [token.symbol, token]));
+        const assets = [{ symbol: NATIVE, address: null, decimals: 18, kind: 'native' }, ...tokens.map(token => ({
+            ...token,
+            address: eth.getAddress(token.address),
+            kind: token.kind || 'erc20'
+        }))];
+
+        // Queue every call, remembering where each answer lands
+        const calls = [];
+        const queue = (target, iface, method, args = []) => {
+            calls.push({ target, data: iface.encodeFunctionData(method, args), iface, method });
+            return calls.length - 1;
+        };
+        const plans = assets.map(asset => {
+            if (asset.kind === 'native') {
+                return { balance: queue(this.multicallAddress, MULTICALL, 'getEthBalance', [owner]) };
+            }
+            if (asset.kind !== 'erc20' && !asset.underlying) {
+                throw new Error(`${asset.symbol} is a ${asset.kind} without an underlying`);
+            }
+            if (asset.underlying && asset.underlying !== NATIVE && !bySymbol.has(asset.underlying)) {
+                throw new Error(`${asset.symbol}: underlying ${asset.underlying} is not in the token list`);
+            }
+            return {
+                balance: queue(asset.address, TOKEN, 'balanceOf', [owner]),
+                decimals: asset.decimals === undefined ? queue(asset.address, TOKEN, 'decimals') : null,
+                rate: asset.kind === 'cToken' ? queue(asset.address, TOKEN, 'exchangeRateStored') : null
+            };
+        });
+
+        const results = await this.multicall(calls, blockTag);
+        const value = index => {
+            const result = results[index];
+            if (!result.success || result.data === '0x') {
+                throw new Error(`${calls[index].method}() failed on ${calls[index].target}`);
+            }
+            return eth.toBigInt(calls[index].iface.decodeFunctionResult(calls[index].method, result.data)[0]);
+        };
+
+        // Decimals first: underlyings may be read as assets of their own
+        const decimals = new Map([[NATIVE, 18]]);
+        const errors = new Map();
+        assets.forEach((asset, i) => {
+            try {
+                decimals.set(asset.symbol, plans[i].decimals === null || plans[i].decimals === undefined ?
+                    asset.decimals : Number(value(plans[i].decimals)));
+            } catch (error) {
+                errors.set(asset.symbol, error.message);
+            }
+        });
+
+        return assets.map((asset, i) => {
+            const row = { asset: asset.symbol, address: asset.address, kind: asset.kind };
+            try {
+                if (errors.has(asset.symbol)) throw new Error(errors.get(asset.symbol));
+                const raw = value(plans[i].balance);
+                const underlyingSymbol = asset.underlying || asset.symbol;
+                const underlying = underlyingSymbol === NATIVE ? null : bySymbol.get(underlyingSymbol);
+                if (!decimals.has(underlyingSymbol)) {
+                    throw new Error(`Decimals of ${underlyingSymbol} are unknown`);
+                }
+
+                const underlyingRaw = asset.kind === 'cToken' ? raw * value(plans[i].rate) / 10n ** 18n : raw;
+                return {
+                    ...row,
+                    raw: raw.toString(),
+                    balance: parseFloat(eth.formatUnits(raw, decimals.get(asset.symbol))),
+                    underlying: underlyingSymbol,
+                    underlyingAddress: underlying ? eth.getAddress(underlying.address) : null,
+                    underlyingRaw: underlyingRaw.toString(),
+                    underlyingBalance: parseFloat(eth.formatUnits(underlyingRaw, decimals.get(underlyingSymbol))),
+                    peg: underlying ? underlying.peg || null : null
+                };
+            } catch (error) {
+                return { ...row, error: error.message };
+            }
+        });
+    }
+}
+
+// Print one address's balances on one chain: node token-balances.js <address> [chain] [rpc]
+if (require.main === module) {
+    const [owner, chain = 'ethereum', rpc = process.env.ETH_RPC] = process.argv.slice(2);
+    if (!owner || !rpc) {
+        console.error('Usage: node token-balances.js <address> [chain] [rpc]   (rpc defaults to ETH_RPC)');
+        process.exit(1);
+    }
+    loadTokenLists()
+        .then(lists => new TokenBalances(eth.getProvider(rpc)).read(owner, lists[chain] || []))
+        .then(rows => {
+            for (const row of rows) {
+                console.log(row.error ?
+                    `${row.asset.padEnd(8)} ${row.error}` :
+                    `${row.asset.padEnd(8)} ${String(row.balance).padStart(24)}  = ${row.underlyingBalance} ${row.underlying}`);
+            }
+        })
+        .catch(error => {
+            console.error(`[BALANCES] ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = TokenBalances;
+module.exports.DEFAULT_TOKENS = DEFAULT_TOKENS;
+module.exports.NATIVE = NATIVE;
+module.exports.loadTokenLists = loadTokenLists;
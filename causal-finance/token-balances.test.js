@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ETHERS, loadWith } = require('./test-helpers');
+
+const OWNER = '0x00000000000000000000000000000000000000aa';
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const AUSDC = '0xBcca60bB61934080951369a648Fb03DF4F96263C';
+const CETH = '0x4Ddc2D193948926D02f9B1fE9e1daa0718270ED5';
+const CUSDC = '0x39AA39c021dfbaE8faC545936693aC917d5E7563';
+const BROKEN = '0x00000000000000000000000000000000000000bb';
+
+const TOKENS = [
+    { symbol: 'WETH', address: WETH, decimals: 18 },
+    { symbol: 'USDC', address: USDC, peg: 'USD' }, // decimals read on chain
+    { symbol: 'aUSDC', address: AUSDC, decimals: 6, kind: 'aToken', underlying: 'USDC' },
+    { symbol: 'cETH', address: CETH, decimals: 8, kind: 'cToken', underlying: 'ETH' },
+    { symbol: 'cUSDC', address: CUSDC, decimals: 8, kind: 'cToken', underlying: 'USDC' },
+    { symbol: 'BROKEN', address: BROKEN, decimals: 18 }
+];
+
+// What each (target, method) answers; anything missing fails inside aggregate3 like a revert would
+const CHAIN = {
+    [`${MULTICALL3}:getEthBalance`]: 15n * 10n ** 17n,
+    [`${WETH}:balanceOf`]: 2n * 10n ** 18n,
+    [`${USDC}:balanceOf`]: 1234560000n,
+    [`${USDC}:decimals`]: 6n,
+    [`${AUSDC}:balanceOf`]: 500000000n,
+    [`${CETH}:balanceOf`]: 5000000000n, // 50 cETH
+    [`${CETH}:exchangeRateStored`]: 2n * 10n ** 26n, // 0.02 ETH per cETH, scaled by 1e18 + 18 - 8
+    [`${CUSDC}:balanceOf`]: 10000000000n, // 100 cUSDC
+    [`${CUSDC}:exchangeRateStored`]: 23n * 10n ** 13n // 0.023 USDC per cUSDC
+};
+
+// A provider whose only contract is Multicall3: decodes aggregate3, answers each sub-call from CHAIN
+function multicallProvider(eth) {
+    const multicall = eth.createInterface([
+        'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+        'function getEthBalance(address addr) view returns (uint256 balance)'
+    ]);
+    const token = eth.createInterface([
+        'function balanceOf(address owner) view returns (uint256)',
+        'function decimals() view returns (uint8)',
+        'function exchangeRateStored() view returns (uint256)'
+    ]);
+    const requests = [];
+
+    const answer = (target, callData) => {
+        const iface = eth.getAddress(target) === MULTICALL3 ? multicall : token;
+        const fragment = eth.getFunctionFragments(iface).find(f => eth.getFunctionSelector(iface, f.name) === callData.slice(0, 10));
+        const result = fragment && CHAIN[`${eth.getAddress(target)}:${fragment.name}`];
+        if (result === undefined) return [false, '0x'];
+        if (fragment.name === 'balanceOf' || fragment.name === 'getEthBalance') {
+            assert.strictEqual(eth.getAddress(iface.decodeFunctionData(fragment.name, callData)[0]), eth.getAddress(OWNER));
+        }
+        return [true, iface.encodeFunctionResult(fragment.name, [result])];
+    };
+
+    return {
+        requests,
+        send: async (method, [call, blockTag]) => {
+            assert.strictEqual(method, 'eth_call');
+            assert.strictEqual(eth.getAddress(call.to), MULTICALL3);
+            requests.push({ blockTag });
+            const [calls] = multicall.decodeFunctionData('aggregate3', call.data);
+            return multicall.encodeFunctionResult('aggregate3', [calls.map(([target, allowFailure, callData]) => {
+                assert.strictEqual(allowFailure, true);
+                return answer(target, callData);
+            })]);
+        }
+    };
+}
+
+for (const pkg of ETHERS) {
+    test(`token balances on ${pkg}`, async t => {
+        const [eth, TokenBalances] = loadWith(pkg, 'ethers-compat', 'token-balances');
+
+        await t.test('one aggregate3 call reads every asset, converted to its underlying', async () => {
+            const provider = multicallProvider(eth);
+            const rows = await new TokenBalances(provider).read(OWNER, TOKENS, '0x10');
+            assert.deepStrictEqual(provider.requests, [{ blockTag: '0x10' }]);
+
+            const bySymbol = Object.fromEntries(rows.map(row => [row.asset, row]));
+            assert.deepStrictEqual(rows.map(row => row.asset), ['ETH', 'WETH', 'USDC', 'aUSDC', 'cETH', 'cUSDC', 'BROKEN']);
+            assert.deepStrictEqual(bySymbol.ETH, {
+                asset: 'ETH',
+                address: null,
+                kind: 'native',
+                raw: '1500000000000000000',
+                balance: 1.5,
+                underlying: 'ETH',
+                underlyingAddress: null,
+                underlyingRaw: '1500000000000000000',
+                underlyingBalance: 1.5,
+                peg: null
+            });
+            assert.strictEqual(bySymbol.WETH.balance, 2);
+            assert.strictEqual(bySymbol.USDC.balance, 1234.56);
+            assert.strictEqual(bySymbol.USDC.peg, 'USD');
+        });
+
+        await t.test('aTokens count 1:1, cTokens scale by the stored exchange rate', async () => {
+            const rows = await new TokenBalances(multicallProvider(eth)).read(OWNER, TOKENS);
+            const bySymbol = Object.fromEntries(rows.map(row => [row.asset, row]));
+
+            assert.deepStrictEqual(
+                ['aUSDC', 'cETH', 'cUSDC'].map(symbol => {
+                    const { kind, balance, underlying, underlyingAddress, underlyingRaw, underlyingBalance, peg } = bySymbol[symbol];
+                    return { kind, balance, underlying, underlyingAddress, underlyingRaw, underlyingBalance, peg };
+                }),
+                [
+                    { kind: 'aToken', balance: 500, underlying: 'USDC', underlyingAddress: USDC, underlyingRaw: '500000000', underlyingBalance: 500, peg: 'USD' },
+                    { kind: 'cToken', balance: 50, underlying: 'ETH', underlyingAddress: null, underlyingRaw: '1000000000000000000', underlyingBalance: 1, peg: null },
+                    { kind: 'cToken', balance: 100, underlying: 'USDC', underlyingAddress: USDC, underlyingRaw: '2300000', underlyingBalance: 2.3, peg: 'USD' }
+                ]);
+        });
+
+        await t.test('a failed sub-call marks only its asset', async () => {
+            const rows = await new TokenBalances(multicallProvider(eth)).read(OWNER, TOKENS);
+            const broken = rows.find(row => row.asset === 'BROKEN');
+            assert.deepStrictEqual(broken, {
+                asset: 'BROKEN',
+                address: BROKEN,
+                kind: 'erc20',
+                error: `balanceOf() failed on ${BROKEN}`
+            });
+            assert.strictEqual(rows.filter(row => row.error).length, 1);
+
+            // Without its decimals an asset, and every asset priced in it, has no balance
+            const noDecimals = TOKENS.filter(token => token.symbol !== 'BROKEN')
+                .map(token => token.symbol === 'USDC' ? { ...token, address: BROKEN } : token);
+            const bySymbol = Object.fromEntries((await new TokenBalances(multicallProvider(eth)).read(OWNER, noDecimals))
+                .map(row => [row.asset, row]));
+            assert.strictEqual(bySymbol.USDC.error, `decimals() failed on ${BROKEN}`);
+            assert.strictEqual(bySymbol.aUSDC.error, 'Decimals of USDC are unknown');
+            assert.strictEqual(bySymbol.cETH.underlyingBalance, 1);
+        });
+
+        await t.test('wrapped tokens need an underlying in the list', async () => {
+            const reader = new TokenBalances(multicallProvider(eth));
+            await assert.rejects(reader.read(OWNER, [{ symbol: 'cX', address: CUSDC, kind: 'cToken' }]), /cToken without an underlying/);
+            await assert.rejects(reader.read(OWNER, [{ symbol: 'aX', address: AUSDC, kind: 'aToken', underlying: 'X' }]),
+                /underlying X is not in the token list/);
+        });
+    });
+}
@@ -0,0 +1,482 @@
+#!/usr/bin/env node
+
+// Transaction Manager - One owner for nonces and fees per chain/address
+// Every process sending from the same key allocates nonces through a shared lock file,
+// prices EIP-1559 fees from eth_feeHistory and replaces stuck txs with bumped fees
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const eth = require('./ethers-compat');
+const { withLock, readJSON, writeAtomic } = require('./file-lock');
+const RiskGuard = require('./risk-guard');
+const AlertManager = require('./alert-manager');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+class TransactionManager extends EventEmitter {
+    constructor(wallet, options = {}) {
+        super();
+
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.nonceDir = options.nonceDir || path.join(__dirname, '.nonces');
+        this.guard = options.guard || RiskGuard.forProcess();
+        this.alerts = options.alerts || AlertManager.forProcess(this.guard.processName);
+
+        // Fee policy
+        this.feeHistoryBlocks = options.feeHistoryBlocks || 10;
+        this.rewardPercentile = options.rewardPercentile || 50;
+        this.baseFeeMultiplier = options.baseFeeMultiplier || 2;
+        this.minPriorityFee = eth.toBigInt(options.minPriorityFee || 0);
+        this.maxFeeCap = options.maxFeeCapGwei ? eth.parseUnits(String(options.maxFeeCapGwei), 'gwei') : null;
+
+        // Replacement policy - nodes require at least +10% to accept a replacement
+        this.bumpPercent = BigInt(options.bumpPercent || 15);
+        this.stuckAfterMs = options.stuckAfterMs || 60000;
+        this.maxReplacements = options.maxReplacements || 5;
+        this.pollIntervalMs = options.pollIntervalMs || 4000;
+        this.lockTimeoutMs = options.lockTimeoutMs || 10000;
+
+        this.pending = new Map(); // id → pending tx record
+        this.finished = new Map(); // id → settled record, bounded
+        this.nextId = 1;
+        this.timer = null;
+        this.chainId = null;
+        this.log = createLogger('tx-manager', { from: wallet.address });
+    }
+
+    // One manager per chain/address within a process
+    static forWallet(wallet, options) {
+        const key = `${wallet.address}@${providerKey(wallet.provider)}`;
+        if (!managers.has(key)) {
+            managers.set(key, new TransactionManager(wallet, options));
+        }
+        return managers.get(key);
+    }
+
+    get address() {
+        return this.wallet.address;
+    }
+
+    async getChainId() {
+        if (this.chainId === null) {
+            const network = await this.provider.getNetwork();
+            this.chainId = Number(network.chainId);
+        }
+        return this.chainId;
+    }
+
+    // Queue and submit a transaction. Resolves once it's broadcast, not mined.
+    async send(tx, meta = {}) {
+        const record = {
+            id: this.nextId++,
+            meta,
+            status: 'queued',
+            nonce: null,
+            hash: null,
+            hashes: [],
+            attempts: 0,
+            tx: null,
+            reservation: null, // risk-guard budget held until the tx mines or fails
+            createdAt: Date.now(),
+            submittedAt: null,
+            receipt: null,
+            error: null
+        };
+        record.done = new Promise((resolve, reject) => {
+            record.resolve = resolve;
+            record.reject = reject;
+        });
+        record.done.catch(() => {}); // callers opt in through wait()
+
+        this.pending.set(record.id, record);
+        this.emitStatus(record);
+
+        try {
+            const populated = await this.populate(tx);
+
+            // Kill switch, budgets and rate are checked before a nonce is taken
+            record.reservation = await this.guard.authorize({
+                maxGasCostETH: maxGasCostETH(populated),
+                valueAtRiskETH: meta.valueAtRiskETH !== undefined ? meta.valueAtRiskETH :
+                    parseFloat(eth.formatEther(populated.value))
+            });
+            populated.nonce = await this.allocateNonce();
+            record.nonce = populated.nonce;
+            record.tx = populated;
+
+            await this.submit(record, populated);
+        } catch (error) {
+            // Hand the nonce back so the next send doesn't leave a gap
+            if (record.nonce !== null && record.attempts === 0) {
+                await this.releaseNonce(record.nonce).catch(() => {});
+            }
+            this.settle(record, 'failed', null, error);
+            throw error;
+        }
+
+        this.startMonitor();
+        return this.snapshot(record);
+    }
+
+    // Send and wait for the final receipt; rejects on revert with error.receipt set
+    async sendAndWait(tx, meta) {
+        const sent = await this.send(tx, meta);
+        return this.wait(sent.id);
+    }
+
+    wait(id) {
+        const record = this.pending.get(id) || this.finished.get(id);
+        if (!record) return Promise.reject(new Error(`Unknown transaction id ${id}`));
+        return record.done;
+    }
+
+    // Pending queue with status, for dashboards and logs
+    getQueue() {
+        return Array.from(this.pending.values()).map(record => this.snapshot(record));
+    }
+
+    async populate(tx) {
+        const populated = {
+            to: tx.to,
+            data: tx.data || '0x',
+            value: eth.toBigInt(tx.value),
+            chainId: await this.getChainId(),
+            type: 2
+        };
+
+        populated.gasLimit = tx.gasLimit !== undefined ? eth.toBigInt(tx.gasLimit) :
+            eth.toBigInt(await this.provider.estimateGas({ ...populated, from: this.address })) * 120n / 100n;
+
+        const fees = await this.estimateFees();
+        populated.maxFeePerGas = tx.maxFeePerGas !== undefined ? eth.toBigInt(tx.maxFeePerGas) : fees.maxFeePerGas;
+        populated.maxPriorityFeePerGas = tx.maxPriorityFeePerGas !== undefined ?
+            eth.toBigInt(tx.maxPriorityFeePerGas) : fees.maxPriorityFeePerGas;
+
+        return populated;
+    }
+
+    // EIP-1559 fees from eth_feeHistory: median recent tip, headroom over next base fee
+    async estimateFees() {
+        let baseFee;
+        let priorityFee;
+
+        try {
+            const history = await this.provider.send('eth_feeHistory', [
+                '0x' + this.feeHistoryBlocks.toString(16),
+                'latest',
+                [this.rewardPercentile]
+            ]);
+            // Last entry is the base fee of the next block
+            baseFee = eth.toBigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const rewards = (history.reward || [])
+                .map(r => eth.toBigInt(r[0]))
+                .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+        } catch (error) {
+            // RPC without eth_feeHistory - price off eth_gasPrice instead
+            const gasPrice = eth.toBigInt(await this.provider.send('eth_gasPrice', []));
+            baseFee = gasPrice;
+            priorityFee = 0n;
+        }
+
+        if (priorityFee < this.minPriorityFee) priorityFee = this.minPriorityFee;
+
+        let maxFeePerGas = baseFee * BigInt(Math.round(this.baseFeeMultiplier * 100)) / 100n + priorityFee;
+        if (this.maxFeeCap !== null && maxFeePerGas > this.maxFeeCap) {
+            maxFeePerGas = this.maxFeeCap;
+            if (priorityFee > maxFeePerGas) priorityFee = maxFeePerGas;
+        }
+
+        return { baseFee, maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+    }
+
+    // Nonce allocation shared across processes through a lock file per chain/address
+    async allocateNonce() {
+        const file = await this.nonceFile();
+
+        return withLock(file + '.lock', async () => {
+            const stored = await readJSON(file);
+            const onChain = Number(await this.provider.getTransactionCount(this.address, 'pending'));
+
+            // A stored nonce ahead of the chain is only trusted while it's fresh;
+            // past that, the node's pending count wins so a lost tx can't leave a permanent gap
+            const fresh = stored && Date.now() - stored.updatedAt < this.stuckAfterMs * 2;
+            const nonce = fresh ? Math.max(stored.next, onChain) : onChain;
+
+            await writeAtomic(file, JSON.stringify({ next: nonce + 1, updatedAt: Date.now() }));
+            return nonce;
+        }, { timeoutMs: this.lockTimeoutMs });
+    }
+
+    async releaseNonce(nonce) {
+        const file = await this.nonceFile();
+
+        await withLock(file + '.lock', async () => {
+            const stored = await readJSON(file);
+            if (stored && stored.next === nonce + 1) {
+                await writeAtomic(file, JSON.stringify({ next: nonce, updatedAt: Date.now() }));
+            }
+        }, { timeoutMs: this.lockTimeoutMs });
+    }
+
+    async nonceFile() {
+        const chainId = await this.getChainId();
+        await fs.mkdir(this.nonceDir, { recursive: true });
+        return path.join(this.nonceDir, `${chainId}-${this.address.toLowerCase()}.json`);
+    }
+
+    async submit(record, tx) {
+        const response = await this.wallet.sendTransaction(tx);
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.attempts++;
+        record.submittedAt = Date.now();
+        record.status = 'submitted';
+        if (record.attempts === 1) {
+            metrics.txsSent.inc(this.metricLabels(record));
+            this.recordLog(record).info('Transaction submitted', {
+                maxFeePerGas: tx.maxFeePerGas,
+                maxPriorityFeePerGas: tx.maxPriorityFeePerGas
+            });
+        }
+        this.emitStatus(record);
+        return response;
+    }
+
+    startMonitor() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.poll().catch(error => this.log.error('Poll failed', { chain: metrics.chainName(this.chainId), error }));
+        }, this.pollIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stopMonitor() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const record of Array.from(this.pending.values())) {
+                if (record.status !== 'submitted' && record.status !== 'stuck') continue;
+                await this.check(record);
+            }
+            if (this.pending.size === 0) this.stopMonitor();
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async check(record) {
+        if (await this.settleMined(record)) return;
+
+        // The nonce is used. One of our attempts may have mined after the receipts were read (or the
+        // node served the nonce before the receipt), so look again before blaming a tx we don't know about.
+        const mined = Number(await this.provider.getTransactionCount(this.address, 'latest'));
+        if (mined > record.nonce) {
+            if (await this.settleMined(record)) return;
+            this.settle(record, 'dropped', null, new Error(`Nonce ${record.nonce} used by another transaction`));
+            return;
+        }
+
+        if (Date.now() - record.submittedAt < this.stuckAfterMs) return;
+
+        if (record.attempts > this.maxReplacements) {
+            if (record.status !== 'stuck') {
+                this.recordLog(record).error(`Stuck after ${record.attempts} attempts`);
+                record.status = 'stuck';
+                this.emitStatus(record);
+            }
+            return;
+        }
+
+        await this.replace(record);
+    }
+
+    // Any of the attempts (original or replacements) may be the one that mined; true once settled
+    async settleMined(record) {
+        for (const hash of record.hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt && receipt.blockNumber !== null && receipt.blockNumber !== undefined) {
+                record.hash = hash;
+                if (Number(receipt.status) === 1) {
+                    this.settle(record, 'confirmed', receipt);
+                } else {
+                    const error = new Error(`Transaction ${hash} reverted`);
+                    error.receipt = receipt;
+                    this.settle(record, 'reverted', receipt, error);
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Resend the same nonce with fees bumped past both the old tx and the current market
+    async replace(record) {
+        // A tripped kill switch stops replacements too; the original may still mine
+        if (await this.guard.killInfo()) return;
+
+        const current = await this.estimateFees();
+        const bump = value => value * (100n + this.bumpPercent) / 100n;
+
+        let maxPriorityFeePerGas = maxBig(bump(record.tx.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+        let maxFeePerGas = maxBig(bump(record.tx.maxFeePerGas), current.maxFeePerGas);
+        if (this.maxFeeCap !== null && maxFeePerGas > this.maxFeeCap) {
+            if (record.tx.maxFeePerGas >= this.maxFeeCap) {
+                record.status = 'stuck';
+                this.emitStatus(record);
+                return;
+            }
+            maxFeePerGas = this.maxFeeCap;
+        }
+        if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+        const previousHash = record.hash;
+        const replacement = { ...record.tx, maxFeePerGas, maxPriorityFeePerGas };
+
+        // The bumped fee raises the worst-case gas cost; reserve it before sending, or leave the
+        // original to mine at its own fee
+        const reserved = maxGasCostETH(record.tx);
+        try {
+            await this.guard.resize(record.reservation, maxGasCostETH(replacement));
+        } catch (error) {
+            this.recordLog(record).warn('Replacement refused by risk guard', { error });
+            return;
+        }
+
+        try {
+            await this.submit(record, replacement);
+            record.tx = replacement;
+            this.recordLog(record).info('Replaced stuck transaction', { previousHash, maxFeePerGas, maxPriorityFeePerGas });
+            metrics.txReplacements.inc({ chain: metrics.chainName(this.chainId) });
+            this.emit('replaced', { ...this.snapshot(record), previousHash });
+        } catch (error) {
+            // "nonce too low" / "already known" usually means an earlier attempt just mined
+            this.recordLog(record).warn('Replacement failed', { error });
+            await this.guard.resize(record.reservation, reserved)
+                .catch(e => this.recordLog(record).error('Could not restore gas reservation', { error: e }));
+        }
+    }
+
+    settle(record, status, receipt, error) {
+        record.status = status;
+        record.receipt = receipt || null;
+        record.error = error ? error.message : null;
+
+        this.pending.delete(record.id);
+        this.finished.set(record.id, record);
+        if (this.finished.size > 1000) {
+            this.finished.delete(this.finished.keys().next().value);
+        }
+
+        // Mined: the actual gas replaces the budget reserved at authorization. Never mined: hand it back.
+        if (receipt) {
+            const gasETH = gasCostETH(receipt);
+            metrics.gasSpent.inc({ chain: metrics.chainName(this.chainId) }, gasETH);
+            this.guard.recordGas(gasETH, { ...this.metricLabels(record), txHash: eth.getTxHash(receipt) }, record.reservation)
+                .catch(e => this.recordLog(record).error('Could not record gas spend', { error: e }));
+        } else if (record.reservation) {
+            this.guard.release(record.reservation)
+                .catch(e => this.recordLog(record).error('Could not release gas reservation', { error: e }));
+        }
+        if (status !== 'confirmed') {
+            metrics.txsFailed.inc({ ...this.metricLabels(record), status });
+            // Sends refused by the risk guard are its alerts (budgetExhausted), not tx failures
+            if (!(error instanceof RiskGuard.RiskLimitError)) {
+                this.alerts.notify('txFailures', {
+                    process: this.guard.processName,
+                    chain: metrics.chainName(this.chainId),
+                    status,
+                    hash: record.hash || null,
+                    error: error ? error.message : status
+                });
+            }
+        }
+        this.recordLog(record)[status === 'confirmed' ? 'info' : 'warn'](`Transaction ${status}`, {
+            blockNumber: receipt ? receipt.blockNumber : undefined,
+            gasUsed: receipt ? eth.toBigInt(receipt.gasUsed) : undefined,
+            error: error || undefined
+        });
+
+        this.emitStatus(record);
+        if (error) {
+            record.reject(error);
+        } else {
+            record.resolve(receipt);
+        }
+    }
+
+    emitStatus(record) {
+        const snapshot = this.snapshot(record);
+        this.emit('status', snapshot);
+        this.emit(record.status, snapshot);
+    }
+
+    // Correlation fields for one transaction: chain, nonce, hash plus the caller's meta (signalId, kind, ...)
+    recordLog(record) {
+        return this.log.child({
+            ...record.meta,
+            chain: metrics.chainName(this.chainId),
+            txId: record.id,
+            nonce: record.nonce,
+            txHash: record.hash
+        });
+    }
+
+    metricLabels(record) {
+        return { chain: metrics.chainName(this.chainId), kind: record.meta.kind || 'other' };
+    }
+
+    snapshot(record) {
+        return {
+            id: record.id,
+            status: record.status,
+            chainId: this.chainId,
+            from: this.address,
+            nonce: record.nonce,
+            hash: record.hash,
+            hashes: record.hashes.slice(),
+            attempts: record.attempts,
+            maxFeePerGas: record.tx ? record.tx.maxFeePerGas.toString() : null,
+            maxPriorityFeePerGas: record.tx ? record.tx.maxPriorityFeePerGas.toString() : null,
+            meta: record.meta,
+            createdAt: record.createdAt,
+            submittedAt: record.submittedAt,
+            error: record.error
+        };
+    }
+}
+
+const managers = new Map();
+
+function providerKey(provider) {
+    if (!provider) return 'none';
+    if (provider.connection && provider.connection.url) return provider.connection.url; // v5
+    if (provider._getConnection) return provider._getConnection().url; // v6
+    return 'default';
+}
+
+function gasCostETH(receipt) {
+    const gasPrice = eth.toBigInt(receipt.effectiveGasPrice || receipt.gasPrice);
+    return parseFloat(eth.formatEther(eth.toBigInt(receipt.gasUsed) * gasPrice));
+}
+
+// Worst case for a populated tx: every unit of its gas limit at its max fee
+function maxGasCostETH(tx) {
+    return parseFloat(eth.formatEther(tx.gasLimit * tx.maxFeePerGas));
+}
+
+function maxBig(a, b) {
+    return a > b ? a : b;
+}
+
+module.exports = TransactionManager;
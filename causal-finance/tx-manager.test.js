@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TransactionManager = require('./tx-manager');
+const { RiskLimitError } = require('./risk-guard');
+
+const ADDRESS = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+
+// A manager over a scripted provider, with one submitted record at nonce 7 sent as two attempts
+function setup(provider) {
+    const guard = { processName: 'test', booked: [], released: [] };
+    guard.recordGas = async (gasETH, details, reservation) => guard.booked.push(reservation);
+    guard.release = async reservation => guard.released.push(reservation);
+    // Reservations as the guard holds them; resizing past guard.budgetETH is refused
+    guard.reserved = { r1: 0.05 };
+    guard.budgetETH = Infinity;
+    guard.killInfo = async () => null;
+    guard.resize = async (reservation, gasETH) => {
+        if (gasETH > guard.budgetETH) throw new RiskLimitError('test daily gas budget 0.055 ETH would be exceeded', 'PROCESS_BUDGET');
+        guard.reserved[reservation] = gasETH;
+    };
+    const alerts = [];
+    const manager = new TransactionManager({ address: ADDRESS, provider }, {
+        guard,
+        alerts: { notify: (rule, event) => alerts.push({ rule, event }) }
+    });
+    manager.chainId = 1;
+
+    const record = {
+        id: 1,
+        meta: { kind: 'test' },
+        status: 'submitted',
+        nonce: 7,
+        hash: '0xb',
+        hashes: ['0xa', '0xb'],
+        attempts: 2,
+        reservation: 'r1',
+        tx: null,
+        createdAt: Date.now(),
+        submittedAt: Date.now()
+    };
+    record.done = new Promise((resolve, reject) => {
+        record.resolve = resolve;
+        record.reject = reject;
+    });
+    record.done.catch(() => {});
+    manager.pending.set(record.id, record);
+    return { manager, record, alerts, guard };
+}
+
+const receipt = hash => ({ hash, blockNumber: 100, status: 1, gasUsed: 21000n, effectiveGasPrice: 10n ** 9n });
+
+test('a receipt that lands after the nonce moves settles the record as confirmed', async () => {
+    // The first attempt's receipt only shows up once the nonce is already reported as used
+    let nonceRead = false;
+    const { manager, record, alerts, guard } = setup({
+        getTransactionReceipt: async hash => (nonceRead && hash === '0xa' ? receipt(hash) : null),
+        getTransactionCount: async () => {
+            nonceRead = true;
+            return 8;
+        }
+    });
+
+    await manager.check(record);
+    assert.strictEqual(record.status, 'confirmed');
+    assert.strictEqual(record.hash, '0xa');
+    assert.strictEqual((await record.done).hash, '0xa');
+    assert.deepStrictEqual(alerts, []);
+    assert.deepStrictEqual(guard.booked, ['r1']);
+});
+
+test('a used nonce with no receipt for any attempt is dropped', async () => {
+    const queried = [];
+    const { manager, record, alerts, guard } = setup({
+        getTransactionReceipt: async hash => {
+            queried.push(hash);
+            return null;
+        },
+        getTransactionCount: async () => 8
+    });
+
+    await manager.check(record);
+    assert.strictEqual(record.status, 'dropped');
+    assert.deepStrictEqual(queried, ['0xa', '0xb', '0xa', '0xb']);
+    await assert.rejects(record.done, /Nonce 7 used by another transaction/);
+    assert.strictEqual(alerts[0].event.status, 'dropped');
+    assert.deepStrictEqual(guard.released, ['r1']);
+});
+
+test('an unused nonce leaves the record pending', async () => {
+    const { manager, record } = setup({
+        getTransactionReceipt: async () => null,
+        getTransactionCount: async () => 7
+    });
+
+    await manager.check(record);
+    assert.strictEqual(record.status, 'submitted');
+    assert.ok(manager.pending.has(record.id));
+});
+
+// A record stuck at 50 gwei for 1M gas (0.05 ETH reserved). The market is at 1 gwei, so the 15% bump
+// sets the replacement's fee. sendError makes the node reject the replacement.
+function stuck(sendError = null) {
+    const sent = [];
+    const context = setup({
+        send: async method => {
+            if (method === 'eth_gasPrice') return '0x3b9aca00';
+            throw new Error(`unexpected ${method}`); // no eth_feeHistory
+        }
+    });
+    context.manager.wallet.sendTransaction = async tx => {
+        if (sendError) throw sendError;
+        sent.push(tx);
+        return { hash: '0xc' };
+    };
+    context.record.tx = { to: ADDRESS, nonce: 7, gasLimit: 1000000n, maxFeePerGas: 50n * 10n ** 9n, maxPriorityFeePerGas: 2n * 10n ** 9n };
+    return { ...context, sent };
+}
+
+test('a replacement raises the reservation to its bumped worst case before sending', async () => {
+    const { manager, record, guard, sent } = stuck();
+
+    await manager.replace(record);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].maxFeePerGas, 57500000000n);
+    assert.strictEqual(guard.reserved.r1, 0.0575);
+    assert.strictEqual(record.attempts, 3);
+    assert.deepStrictEqual(record.hashes, ['0xa', '0xb', '0xc']);
+});
+
+test('a replacement the budget cannot cover is not sent', async () => {
+    const { manager, record, guard, sent } = stuck();
+    guard.budgetETH = 0.055;
+
+    await manager.replace(record);
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(guard.reserved.r1, 0.05);
+    assert.strictEqual(record.tx.maxFeePerGas, 50n * 10n ** 9n);
+    assert.strictEqual(record.attempts, 2);
+    assert.strictEqual(record.status, 'submitted');
+});
+
+test('a replacement the node rejects hands the increase back', async () => {
+    const { manager, record, guard, sent } = stuck(new Error('replacement transaction underpriced'));
+
+    await manager.replace(record);
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(guard.reserved.r1, 0.05);
+    assert.strictEqual(record.tx.maxFeePerGas, 50n * 10n ** 9n);
+});
@@ -3,6 +3,11 @@
 // Universal Governance Extraction Protocol
 // Mine liquidations from consensus theater
 
+const { startMetricsServer } = require('./metrics');
+const Logger = require('./logger');
+
+const log = Logger.createLogger('yield-extractor');
+
 class Alice {
     constructor() {
         const SemanticScorer = require('./semantic-weight');
@@ -24,10 +29,12 @@ class Alice {
         signal.semanticWeight = cascade.semanticWeight;
         signal.cascadePotential = cascade.cascadePotential;
         
-        console.log(`[Alice] Signal detected: ${signal.type}`);
-        console.log(`       Proposal: ${signal.proposal || signal.filing}`);
-        console.log(`       Semantic Weight: ${signal.semanticWeight}/10`);
-        console.log(`       Cascade Potential: ${signal.cascadePotential}x`);
+        log.info('[Alice] Signal detected', {
+            type: signal.type,
+            proposal: signal.proposal || signal.filing,
+            weight: signal.semanticWeight,
+            cascadePotential: signal.cascadePotential
+        });
         return signal;
     }
 }
@@ -35,7 +42,7 @@ class Alice {
 class Bob {
     // Extracts value from signals
     async extract(signal) {
-        console.log(`[Bob] Preparing extraction for: ${signal.effect}`);
+        log.info('[Bob] Preparing extraction', { type: signal.type, effect: signal.effect });
         
         const strategies = {
             'LIQUIDATE_VAULTS': () => this.liquidateVaults(signal),
@@ -47,23 +54,22 @@ class Bob {
         // Multiply profit by cascade potential!
         const actualProfit = baseProfit * (signal.cascadePotential / 10);
         
-        console.log(`[Bob] Base extraction: ${baseProfit.toFixed(2)} ETH`);
-        console.log(`[Bob] With cascade multiplier: ${actualProfit.toFixed(2)} ETH`);
+        log.info('[Bob] Extracted', { type: signal.type, baseProfitETH: baseProfit, profitETH: actualProfit });
         return actualProfit;
     }
     
     async liquidateVaults() {
-        console.log('      Running vault liquidation bot...');
+        log.debug('Running vault liquidation bot');
         return Math.random() * 10;
     }
     
     async liquidatePositions() {
-        console.log('      Running position liquidation bot...');
+        log.debug('Running position liquidation bot');
         return Math.random() * 15;
     }
     
     async liquidateDefi() {
-        console.log('      Running DeFi liquidation bot...');
+        log.debug('Running DeFi liquidation bot');
         return Math.random() * 20;
     }
 }
@@ -74,17 +80,18 @@ async function mine() {
     const bob = new Bob();
     let totalProfit = 0;
     
-    console.log('[*] Governance Extraction Protocol Active');
-    console.log('[*] Mining liquidations from consensus changes...\n');
+    log.info('Governance extraction protocol active');
     
     setInterval(async () => {
         const signal = await alice.watch();
         const profit = await bob.extract(signal);
         totalProfit += profit;
         
-        console.log(`[*] Total extracted: ${totalProfit.toFixed(2)} ETH\n`);
+        log.info('Total extracted', { totalProfitETH: totalProfit });
     }, 3000);
 }
 
 // Start mining
+Logger.redactConsole();
+startMetricsServer();
 mine();